@@ -0,0 +1,55 @@
+import ReconciliationService from '../src/services/reconciliation.service.js';
+
+// Usage: node scripts/reconcile-storage.js [--cleanup] [--grace-hours=N] [--json]
+const args = process.argv.slice(2);
+const cleanup = args.includes('--cleanup');
+const json = args.includes('--json');
+const graceArg = args.find(arg => arg.startsWith('--grace-hours='));
+
+const options = { cleanup };
+if (graceArg) {
+  options.graceHours = Number(graceArg.split('=')[1]);
+  if (!Number.isFinite(options.graceHours) || options.graceHours < 0) {
+    console.error('--grace-hours must be a number of hours (0 or more)');
+    process.exit(1);
+  }
+}
+
+const printList = (title, items, format) => {
+  console.log(`${title}: ${items.length}`);
+  items.forEach(item => console.log(`   ${format(item)}`));
+  console.log('');
+};
+
+async function reconcile() {
+  const report = await ReconciliationService.run(options);
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(0);
+  }
+
+  console.log(`\n🔍 Storage reconciliation ${report.cleanup ? '(cleanup)' : '(dry run)'}`);
+  console.log(`   ${report.objectsScanned} objects, ${report.songsScanned} songs scanned`);
+  console.log(`   ${report.skippedRecent} recent unreferenced objects skipped\n`);
+
+  printList('🗑️  Orphaned objects', report.orphanObjects, o => `${o.key} (${o.size} bytes)`);
+  printList('❓ Missing objects', report.missingObjects, o =>
+    `${o.key} [${o.kind}] ${o.songId ? `song ${o.songId}` : `playlist ${o.playlistId}`}`);
+  printList('📏 Size mismatches', report.sizeMismatches, o =>
+    `${o.key} [${o.kind}] song ${o.songId}: expected ${o.expected}, found ${o.actual}`);
+
+  if (report.cleanup) {
+    console.log(`✅ Deleted ${report.deleted} orphaned objects (${report.failedDeletes.length} failed)`);
+    console.log(`✅ Repaired storage records of ${report.repairedSongs} songs\n`);
+  } else {
+    console.log('Nothing was changed. Run with --cleanup to delete orphans and repair derived files.\n');
+  }
+
+  process.exit(0);
+}
+
+reconcile().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -52,8 +52,23 @@ app.use(
     origin: config.cors.allowedOrigins,
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
-    exposedHeaders: ["X-Total-Count", "X-Page", "X-Per-Page"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Requested-With",
+      "Range",
+      "If-Range",
+      "X-Device-Id",
+      "X-Device-Name",
+    ],
+    exposedHeaders: [
+      "X-Total-Count",
+      "X-Page",
+      "X-Per-Page",
+      "Accept-Ranges",
+      "Content-Range",
+      "Content-Length",
+    ],
     maxAge: 86400, // 24 hours
   }),
 );
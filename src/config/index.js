@@ -2,14 +2,32 @@ import dotenv from 'dotenv';
 import {
   AUDIO_BITRATES,
   AUDIO_QUALITIES,
+  DOWNLOAD_CONFIG,
   ENVIRONMENTS,
+  LOCAL_STORAGE_CONFIG,
+  PREVIEW_CONFIG,
+  STORAGE_DRIVERS,
+  STREAM_LIMIT_CONFIG,
+  STREAM_MODES,
+  TRANSCODE_CONFIG,
+  TRASH_CONFIG,
+  RECONCILE_CONFIG,
+  UPLOAD_SESSION_CONFIG,
+  UPLOAD_URL_CONFIG,
 } from '../utils/constants.js';
 
 dotenv.config();
 
+const env = process.env.NODE_ENV || ENVIRONMENTS.DEVELOPMENT;
+
+// Outside production, the storage URL and download licence keys fall back to
+// the JWT secret so local setups need no extra keys. Production must set its
+// own for each (see validateConfig)
+const secretFallback = env === ENVIRONMENTS.PRODUCTION ? undefined : process.env.JWT_SECRET;
+
 const config = {
   // Server
-  env: process.env.NODE_ENV || ENVIRONMENTS.DEVELOPMENT,
+  env,
   port: parseInt(process.env.PORT || '3000', 10),
   apiVersion: process.env.API_VERSION || 'v1',
 
@@ -35,6 +53,91 @@ const config = {
     publicUrl: process.env.R2_PUBLIC_URL,
   },
 
+  // Object storage
+  storage: {
+    // r2 | local | memory
+    driver: process.env.STORAGE_DRIVER || STORAGE_DRIVERS.R2,
+    localRoot: process.env.LOCAL_STORAGE_ROOT || LOCAL_STORAGE_CONFIG.DEFAULT_ROOT,
+    // Origin used in signed URLs issued by the local and memory drivers
+    publicBaseUrl:
+      process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || '3000'}`,
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || secretFallback,
+    // Reconciliation job: report only unless cleanup is enabled
+    reconcileCleanup: process.env.STORAGE_RECONCILE_CLEANUP === 'true',
+    reconcileGraceHours: parseInt(
+      process.env.STORAGE_RECONCILE_GRACE_HOURS ||
+        String(RECONCILE_CONFIG.DEFAULT_GRACE_HOURS),
+      10,
+    ),
+  },
+
+  // Streaming
+  streaming: {
+    // 'redirect' hands out presigned R2 URLs, 'proxy' pipes bytes through the API
+    mode: process.env.STREAM_MODE || STREAM_MODES.REDIRECT,
+    // Simultaneous streaming devices per account (0 disables the limit)
+    maxConcurrentStreams: parseInt(
+      process.env.MAX_CONCURRENT_STREAMS ||
+        String(STREAM_LIMIT_CONFIG.DEFAULT_MAX_STREAMS),
+      10,
+    ),
+  },
+
+  // Preview clips (cut at upload time)
+  preview: {
+    startMs: parseInt(
+      process.env.PREVIEW_START_MS || String(PREVIEW_CONFIG.DEFAULT_START_MS),
+      10,
+    ),
+    durationMs: parseInt(
+      process.env.PREVIEW_DURATION_MS ||
+        String(PREVIEW_CONFIG.DEFAULT_DURATION_MS),
+      10,
+    ),
+  },
+
+  // Resumable (multipart) and direct-to-storage uploads
+  uploads: {
+    maxSessionFileSize: parseInt(
+      process.env.UPLOAD_SESSION_MAX_FILE_SIZE ||
+        String(UPLOAD_SESSION_CONFIG.DEFAULT_MAX_FILE_SIZE),
+      10,
+    ),
+    sessionTtlHours: parseInt(
+      process.env.UPLOAD_SESSION_TTL_HOURS ||
+        String(UPLOAD_SESSION_CONFIG.DEFAULT_TTL_HOURS),
+      10,
+    ),
+    uploadUrlExpiry: parseInt(
+      process.env.UPLOAD_URL_EXPIRY ||
+        String(UPLOAD_URL_CONFIG.DEFAULT_EXPIRY_SECONDS),
+      10,
+    ),
+  },
+
+  // Song trash (deleted songs are restorable for this long, then purged)
+  trash: {
+    retentionDays: parseInt(
+      process.env.SONG_TRASH_RETENTION_DAYS ||
+        String(TRASH_CONFIG.DEFAULT_RETENTION_DAYS),
+      10,
+    ),
+  },
+
+  // Offline downloads
+  downloads: {
+    licenseSecret: process.env.DOWNLOAD_LICENSE_SECRET || secretFallback,
+    licenseTtlDays: parseInt(
+      process.env.DOWNLOAD_LICENSE_TTL_DAYS ||
+        String(DOWNLOAD_CONFIG.LICENSE_TTL_DAYS),
+      10,
+    ),
+    maxOfflineTracks: parseInt(
+      process.env.MAX_OFFLINE_TRACKS || String(DOWNLOAD_CONFIG.MAX_OFFLINE_TRACKS),
+      10,
+    ),
+  },
+
   // Redis
   redis: {
     url: process.env.REDIS_URL,
@@ -108,28 +211,52 @@ const config = {
       [AUDIO_QUALITIES.MEDIUM]: AUDIO_BITRATES[AUDIO_QUALITIES.MEDIUM],
       [AUDIO_QUALITIES.LOW]: AUDIO_BITRATES[AUDIO_QUALITIES.LOW],
     },
+    // Transcoding (quality tiers) runs ffmpeg from the background worker
+    ffmpegPath: process.env.FFMPEG_PATH || TRANSCODE_CONFIG.DEFAULT_FFMPEG_PATH,
+    transcodeTimeoutSeconds: parseInt(
+      process.env.TRANSCODE_TIMEOUT_SECONDS ||
+        String(TRANSCODE_CONFIG.DEFAULT_TIMEOUT_SECONDS),
+      10,
+    ),
   },
 };
 
 // Validation
-const validateConfig = () => {
+const validateConfig = (settings = config) => {
+  if (settings.env !== ENVIRONMENTS.PRODUCTION) return;
+
   const required = {
-    SUPABASE_URL: config.supabase.url,
-    SUPABASE_ANON_KEY: config.supabase.anonKey,
-    JWT_SECRET: config.jwt.secret,
+    SUPABASE_URL: settings.supabase.url,
+    SUPABASE_ANON_KEY: settings.supabase.anonKey,
+    JWT_SECRET: settings.jwt.secret,
+    STORAGE_SIGNING_SECRET: settings.storage.signingSecret,
+    DOWNLOAD_LICENSE_SECRET: settings.downloads.licenseSecret,
   };
 
   const missing = Object.entries(required)
     .filter(([, value]) => !value)
     .map(([key]) => key);
 
-  if (missing.length > 0 && config.env === ENVIRONMENTS.PRODUCTION) {
+  if (missing.length > 0) {
     throw new Error(
       `Missing required environment variables: ${missing.join(', ')}`,
     );
   }
+
+  // One leaked key must not forge auth tokens, licences and storage URLs alike
+  const secrets = [
+    settings.jwt.secret,
+    settings.storage.signingSecret,
+    settings.downloads.licenseSecret,
+  ];
+  if (new Set(secrets).size !== secrets.length) {
+    throw new Error(
+      'JWT_SECRET, STORAGE_SIGNING_SECRET and DOWNLOAD_LICENSE_SECRET must all be different',
+    );
+  }
 };
 
 validateConfig();
 
+export { validateConfig };
 export default config;
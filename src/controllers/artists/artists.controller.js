@@ -0,0 +1,47 @@
+/**
+ * Artists Controller
+ * Artist pages: top tracks, albums and related artists
+ */
+
+import { successResponse } from "../../utils/apiResponse.js";
+import { HTTP_STATUS, ERROR_MESSAGES } from "../../utils/constants.js";
+import ApiError from "../../utils/apiError.js";
+import { logger } from "../../utils/logger.js";
+import ArtistService from "../../services/artist.service.js";
+
+/**
+ * @description Get an artist page by artist ID or slug
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getArtist = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  try {
+    const artist = await ArtistService.getArtistPage(req.params.id);
+
+    return successResponse(
+      res,
+      { artist },
+      "Artist retrieved successfully",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in getArtist controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+export { getArtist };
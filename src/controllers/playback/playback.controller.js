@@ -0,0 +1,263 @@
+/**
+ * Playback Session Controller
+ * Start, heartbeat and end server-owned playback sessions, and manage the
+ * account's concurrently streaming devices
+ */
+
+import { successResponse } from "../../utils/apiResponse.js";
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  PLAYBACK_CONFIG,
+} from "../../utils/constants.js";
+import ApiError from "../../utils/apiError.js";
+import { logger } from "../../utils/logger.js";
+import config from "../../config/index.js";
+import PlaybackSessionService from "../../services/playbackSession.service.js";
+import StreamLimitService from "../../services/streamLimit.service.js";
+import { getStreamDevice } from "../../middleware/streamLimit.js";
+import { transformPlaybackSession } from "../../utils/modelTransformers.js";
+
+/**
+ * @description Start a playback session on its first track
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const startSession = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const {
+    song_id,
+    source,
+    device_type,
+    network_type,
+    quality,
+    position_ms,
+  } = req.body;
+
+  try {
+    const session = await PlaybackSessionService.start(userId, {
+      songId: song_id,
+      source,
+      deviceType: device_type,
+      networkType: network_type,
+      quality,
+      positionMs: position_ms,
+    });
+
+    return successResponse(
+      res,
+      {
+        session: transformPlaybackSession(session),
+        heartbeatIntervalMs: PLAYBACK_CONFIG.HEARTBEAT_INTERVAL_MS,
+      },
+      "Playback session started",
+      HTTP_STATUS.CREATED,
+    );
+  } catch (error) {
+    logger.error("Error in startSession controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Report playback position; a new song_id advances the session
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const sendHeartbeat = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { sessionId } = req.params;
+  const { position_ms, song_id, quality, network_type } = req.body;
+
+  try {
+    const { session, finishedTrack } = await PlaybackSessionService.heartbeat(
+      userId,
+      sessionId,
+      {
+        songId: song_id,
+        positionMs: position_ms,
+        quality,
+        networkType: network_type,
+      },
+    );
+
+    return successResponse(
+      res,
+      {
+        session: transformPlaybackSession(session),
+        finishedTrack,
+      },
+      "Heartbeat recorded",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in sendHeartbeat controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description End a playback session and record its final track
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const endSession = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { sessionId } = req.params;
+  const { position_ms, skipped } = req.body;
+
+  try {
+    const { session, finishedTrack } = await PlaybackSessionService.end(
+      userId,
+      sessionId,
+      { positionMs: position_ms, skipped },
+    );
+
+    const { deviceId } = getStreamDevice(req);
+    if (deviceId) {
+      await StreamLimitService.release(userId, deviceId);
+    }
+
+    return successResponse(
+      res,
+      {
+        session: transformPlaybackSession(session),
+        finishedTrack,
+      },
+      "Playback session ended",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in endSession controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description List devices currently streaming on the account
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const listActiveStreams = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  try {
+    const streams = await StreamLimitService.getActiveStreams(userId);
+
+    return successResponse(
+      res,
+      {
+        streams,
+        currentDeviceId: getStreamDevice(req).deviceId,
+        maxStreams: config.streaming.maxConcurrentStreams,
+      },
+      "Active streams retrieved successfully",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in listActiveStreams controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Stop playback on another device, freeing its slot
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const kickStream = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { deviceId } = req.params;
+
+  try {
+    const kicked = await StreamLimitService.kick(userId, deviceId);
+    if (!kicked) {
+      throw new ApiError(
+        HTTP_STATUS.NOT_FOUND,
+        "No active stream on this device",
+      );
+    }
+
+    return successResponse(
+      res,
+      { deviceId, kicked: true },
+      "Stream stopped on device",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in kickStream controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+export {
+  startSession,
+  sendHeartbeat,
+  endSession,
+  listActiveStreams,
+  kickStream,
+};
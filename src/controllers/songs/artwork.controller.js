@@ -0,0 +1,133 @@
+/**
+ * Artwork Controller
+ * Cover art uploads for songs, albums and playlists (multipart "image")
+ */
+
+import { successResponse } from "../../utils/apiResponse.js";
+import { HTTP_STATUS, ERROR_MESSAGES } from "../../utils/constants.js";
+import ApiError from "../../utils/apiError.js";
+import { logger } from "../../utils/logger.js";
+import ArtworkService from "../../services/artwork.service.js";
+import { transformPlaylist, transformSong } from "../../utils/modelTransformers.js";
+
+/**
+ * @description Replace a song's cover art (uploader or admin)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const uploadSongCover = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  try {
+    const song = await ArtworkService.setSongCover(req.user, req.params.id, req.file);
+
+    return successResponse(
+      res,
+      transformSong(song),
+      "Cover art updated",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in uploadSongCover controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Set one cover on every track of an album the user uploaded.
+ * album_artist narrows the match when several albums share a title.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const uploadAlbumCover = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { album, album_artist } = req.body;
+
+  try {
+    const result = await ArtworkService.setAlbumCover(
+      userId,
+      { album, albumArtist: album_artist },
+      req.file,
+    );
+
+    return successResponse(
+      res,
+      {
+        album,
+        albumArtist: album_artist || null,
+        coverArt: result.coverArt,
+        songIds: result.songIds,
+        failedSongIds: result.failed,
+      },
+      result.failed.length === 0
+        ? "Album cover updated"
+        : `Album cover updated on ${result.songIds.length} of ${result.songIds.length + result.failed.length} songs`,
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in uploadAlbumCover controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Replace a playlist's cover image (owner or admin)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const uploadPlaylistCover = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  try {
+    const playlist = await ArtworkService.setPlaylistCover(req.user, req.params.id, req.file);
+
+    return successResponse(
+      res,
+      transformPlaylist(playlist),
+      "Playlist cover updated",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in uploadPlaylistCover controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+export { uploadSongCover, uploadAlbumCover, uploadPlaylistCover };
@@ -0,0 +1,490 @@
+/**
+ * Download Controller
+ * Issues, renews, lists and revokes device-bound offline download licences
+ */
+
+import { successResponse } from "../../utils/apiResponse.js";
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  INTERACTION_TYPES,
+  DOWNLOAD_CONFIG,
+  SONG_STATUS,
+} from "../../utils/constants.js";
+import { getSupabaseClient } from "../../database/connections/supabase.js";
+import ApiError from "../../utils/apiError.js";
+import { logger } from "../../utils/logger.js";
+import config from "../../config/index.js";
+import fileUploadHelper from "../../services/audioUpload.js";
+import DownloadLicenseService from "../../services/downloadLicense.service.js";
+import { isStreamableQuality, resolveQuality } from "../../utils/audioQuality.js";
+import {
+  transformDownloadLicense,
+  transformArray,
+} from "../../utils/modelTransformers.js";
+
+/**
+ * @description Validate a client device identifier
+ * @param {string} deviceId - Device identifier from the request
+ * @returns {string} Trimmed device identifier
+ */
+const requireDeviceId = (deviceId) => {
+  if (typeof deviceId !== "string" || !deviceId.trim()) {
+    throw new ApiError(HTTP_STATUS.BAD_REQUEST, "device_id is required");
+  }
+  if (deviceId.trim().length > DOWNLOAD_CONFIG.DEVICE_ID_MAX) {
+    throw new ApiError(
+      HTTP_STATUS.BAD_REQUEST,
+      `device_id must be at most ${DOWNLOAD_CONFIG.DEVICE_ID_MAX} characters`,
+    );
+  }
+  return deviceId.trim();
+};
+
+/**
+ * @description Read the licence token a device presents
+ * @param {string} token - Token from the request
+ * @returns {string} Token
+ */
+const requireLicenseToken = (token) => {
+  if (typeof token !== "string" || !token.trim()) {
+    throw new ApiError(HTTP_STATUS.BAD_REQUEST, "token is required");
+  }
+  return token.trim();
+};
+
+/**
+ * @description Save a licence under the offline cap. The database function
+ * locks the user's licences while it counts and saves, so concurrent requests
+ * cannot both take the last slot; a new licence and an expired one brought
+ * back both need a free slot
+ * @param {object} supabase - Supabase client
+ * @param {object} params - userId, songId, deviceId, quality (null keeps the
+ * licence's own) and licenseId to renew a specific licence
+ * @returns {Promise<object|null>} Saved download_licenses row, or null if the
+ * licence to renew is no longer live
+ */
+const saveDownloadLicense = async (
+  supabase,
+  { userId, songId = null, deviceId, quality = null, licenseId = null },
+) => {
+  const { data, error } = await supabase
+    .rpc("save_download_license", {
+      p_user_id: userId,
+      p_song_id: songId,
+      p_device_id: deviceId,
+      p_quality: quality,
+      p_expires_at: DownloadLicenseService.getExpiryDate().toISOString(),
+      p_max_active: config.downloads.maxOfflineTracks,
+      p_license_id: licenseId,
+    })
+    .maybeSingle();
+
+  if (error?.code === DOWNLOAD_CONFIG.LIMIT_REACHED_CODE) {
+    throw new ApiError(
+      HTTP_STATUS.CONFLICT,
+      `Offline download limit reached (${config.downloads.maxOfflineTracks} tracks). Remove a download to continue.`,
+    );
+  }
+
+  if (error) {
+    logger.error("Failed to save download license:", error);
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.OPERATION_FAILED,
+      [error.message],
+    );
+  }
+
+  return data;
+};
+
+/**
+ * @description Issue (or re-issue) an offline download licence for a song,
+ * bound to the requesting device
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const issueDownloadLicense = async (req, res) => {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.OPERATION_FAILED,
+      ["Supabase client not initialized"],
+    );
+  }
+
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { id: songId } = req.params;
+  const { quality, network_type: networkType } = req.body;
+  const deviceId = requireDeviceId(req.body.device_id);
+
+  if (quality !== undefined && !isStreamableQuality(quality)) {
+    throw new ApiError(
+      HTTP_STATUS.BAD_REQUEST,
+      "Invalid quality. Allowed values: original, high, medium, low",
+    );
+  }
+
+  try {
+    const { data: song, error: songError } = await supabase
+      .from("songs")
+      .select("id, r2_key, title, artist, file_sizes")
+      .eq("id", songId)
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
+      .single();
+
+    if (songError || !song) {
+      throw new ApiError(HTTP_STATUS.NOT_FOUND, ERROR_MESSAGES.SONG_NOT_FOUND);
+    }
+
+    const { data: prefs, error: prefsError } = await supabase
+      .from("user_preferences")
+      .select("download_quality, download_over_wifi_only")
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (prefsError) {
+      logger.warn("Failed to load user preferences, using defaults:", prefsError);
+    }
+
+    if (prefs?.download_over_wifi_only && networkType && networkType !== "wifi") {
+      throw new ApiError(
+        HTTP_STATUS.FORBIDDEN,
+        "Downloads are restricted to Wi-Fi in your preferences",
+      );
+    }
+
+    const resolved = resolveQuality({
+      requested: quality || prefs?.download_quality,
+      fileSizes: song.file_sizes,
+    });
+
+    // Re-downloading a track already held on this device extends its licence
+    // and only needs a slot if that licence has expired
+    const license = await saveDownloadLicense(supabase, {
+      userId,
+      songId,
+      deviceId,
+      quality: resolved.served,
+    });
+
+    if (!license) {
+      throw new ApiError(
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        ERROR_MESSAGES.OPERATION_FAILED,
+      );
+    }
+
+    const fileKey = fileUploadHelper.getQualityFileKey(song.r2_key, resolved.served);
+    const downloadUrl = await fileUploadHelper.getSignedUrl(
+      fileKey,
+      DOWNLOAD_CONFIG.URL_EXPIRY,
+    );
+
+    const { error: interactionError } = await supabase
+      .from("user_interactions")
+      .insert({
+        user_id: userId,
+        song_id: songId,
+        action_type: INTERACTION_TYPES.DOWNLOAD,
+        quality_used: resolved.served,
+        network_type: networkType || null,
+        metadata: { license_id: license.id, device_id: deviceId },
+      });
+
+    if (interactionError) {
+      logger.warn("Failed to record download interaction:", interactionError);
+    }
+
+    return successResponse(
+      res,
+      {
+        license: transformDownloadLicense(license),
+        token: DownloadLicenseService.sign(license),
+        downloadUrl,
+        urlExpiresIn: DOWNLOAD_CONFIG.URL_EXPIRY,
+        quality: resolved.served,
+        song: {
+          id: song.id,
+          title: song.title,
+          artist: song.artist,
+        },
+      },
+      "Download license issued successfully",
+      license.renewed_at ? HTTP_STATUS.OK : HTTP_STATUS.CREATED,
+    );
+  } catch (error) {
+    logger.error("Error in issueDownloadLicense controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Extend the expiry of a licence held on the requesting device
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const renewDownloadLicense = async (req, res) => {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.OPERATION_FAILED,
+      ["Supabase client not initialized"],
+    );
+  }
+
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { licenseId } = req.params;
+  const deviceId = requireDeviceId(req.body.device_id);
+  const token = requireLicenseToken(req.body.token);
+
+  try {
+    // Expired licences may be renewed, but only with the token they were issued
+    DownloadLicenseService.verify(token, deviceId, {
+      licenseId,
+      userId,
+      ignoreExpiration: true,
+    });
+
+    const { data: license, error: fetchError } = await supabase
+      .from("download_licenses")
+      .select("*")
+      .eq("id", licenseId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (fetchError || !license) {
+      throw new ApiError(HTTP_STATUS.NOT_FOUND, ERROR_MESSAGES.LICENSE_NOT_FOUND);
+    }
+
+    if (license.revoked_at) {
+      throw new ApiError(HTTP_STATUS.FORBIDDEN, "Download license has been revoked");
+    }
+
+    if (license.device_id !== deviceId) {
+      throw new ApiError(
+        HTTP_STATUS.FORBIDDEN,
+        "Download license is bound to another device",
+      );
+    }
+
+    // Extending an active licence keeps its slot; an expired one needs a
+    // free slot again
+    const renewed = await saveDownloadLicense(supabase, {
+      userId,
+      deviceId,
+      licenseId,
+    });
+
+    if (!renewed) {
+      throw new ApiError(HTTP_STATUS.NOT_FOUND, ERROR_MESSAGES.LICENSE_NOT_FOUND);
+    }
+
+    return successResponse(
+      res,
+      {
+        license: transformDownloadLicense(renewed),
+        token: DownloadLicenseService.sign(renewed),
+      },
+      "Download license renewed successfully",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in renewDownloadLicense controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description List the user's offline download licences, optionally for one
+ * device
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const listDownloadLicenses = async (req, res) => {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.OPERATION_FAILED,
+      ["Supabase client not initialized"],
+    );
+  }
+
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { device_id: deviceId } = req.query;
+
+  try {
+    let query = supabase
+      .from("download_licenses")
+      .select("*, songs(id, title, artist, album, duration_ms)")
+      .eq("user_id", userId)
+      .is("revoked_at", null)
+      .order("created_at", { ascending: false });
+
+    if (deviceId) {
+      query = query.eq("device_id", deviceId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error("Error fetching download licenses:", error);
+      throw new ApiError(
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        ERROR_MESSAGES.OPERATION_FAILED,
+        [error.message],
+      );
+    }
+
+    const licenses = transformArray(data, transformDownloadLicense);
+
+    return successResponse(
+      res,
+      {
+        licenses,
+        total: licenses.length,
+        active: licenses.filter((license) => !license.expired).length,
+        limit: config.downloads.maxOfflineTracks,
+      },
+      "Download licenses retrieved successfully",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in listDownloadLicenses controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Revoke a licence, freeing its slot under the offline cap. The
+ * signed-in owner can revoke any of their licences (e.g. on a lost device);
+ * a device revoking its own copy presents the licence token and device_id,
+ * which must match
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const revokeDownloadLicense = async (req, res) => {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.OPERATION_FAILED,
+      ["Supabase client not initialized"],
+    );
+  }
+
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { licenseId } = req.params;
+  const deviceInitiated = req.body?.token !== undefined;
+  const deviceId = deviceInitiated ? requireDeviceId(req.body.device_id) : null;
+  const token = deviceInitiated ? requireLicenseToken(req.body.token) : null;
+
+  try {
+    if (deviceInitiated) {
+      DownloadLicenseService.verify(token, deviceId, {
+        licenseId,
+        userId,
+        ignoreExpiration: true,
+      });
+    }
+
+    let query = supabase
+      .from("download_licenses")
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("id", licenseId)
+      .eq("user_id", userId)
+      .is("revoked_at", null);
+
+    if (deviceInitiated) {
+      query = query.eq("device_id", deviceId);
+    }
+
+    const { data, error } = await query.select("id").maybeSingle();
+
+    if (error) {
+      throw new ApiError(
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        ERROR_MESSAGES.OPERATION_FAILED,
+        [error.message],
+      );
+    }
+
+    if (!data) {
+      throw new ApiError(HTTP_STATUS.NOT_FOUND, ERROR_MESSAGES.LICENSE_NOT_FOUND);
+    }
+
+    return successResponse(
+      res,
+      { id: data.id },
+      "Download license revoked successfully",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in revokeDownloadLicense controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+export {
+  issueDownloadLicense,
+  renewDownloadLicense,
+  listDownloadLicenses,
+  revokeDownloadLicense,
+};
@@ -0,0 +1,53 @@
+/**
+ * Duplicate Controller
+ * Admin report of songs uploaded more than once (same content hash)
+ */
+
+import { paginatedResponse } from "../../utils/apiResponse.js";
+import { HTTP_STATUS, ERROR_MESSAGES } from "../../utils/constants.js";
+import ApiError from "../../utils/apiError.js";
+import { logger } from "../../utils/logger.js";
+import DuplicateService from "../../services/duplicate.service.js";
+import { transformSong } from "../../utils/modelTransformers.js";
+
+/**
+ * @description List groups of ready songs sharing a content hash, largest first
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getDuplicateGroups = async (req, res) => {
+  const { page, limit } = req.query;
+
+  try {
+    const { groups, total } = await DuplicateService.listGroups({ page, limit });
+
+    const data = groups.map(group => ({
+      ...group,
+      songs: group.songs.map(song => ({
+        ...transformSong(song),
+        uploadedBy: song.metadata?.uploaded_by || null,
+        url: DuplicateService.getSongUrl(song.id),
+      })),
+    }));
+
+    return paginatedResponse(
+      res,
+      data,
+      page,
+      limit,
+      total,
+      "Duplicate songs fetched successfully",
+    );
+  } catch (error) {
+    logger.error("Error in getDuplicateGroups controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+export { getDuplicateGroups };
@@ -0,0 +1,125 @@
+/**
+ * Lyrics Controller
+ * Plain, LRC and enhanced LRC lyrics: upload (text field or .lrc/.txt file),
+ * time-coded retrieval and removal
+ */
+
+import { successResponse } from "../../utils/apiResponse.js";
+import { HTTP_STATUS, ERROR_MESSAGES } from "../../utils/constants.js";
+import ApiError from "../../utils/apiError.js";
+import { logger } from "../../utils/logger.js";
+import LyricsService from "../../services/lyrics.service.js";
+
+/**
+ * @description Get a song's lyrics as time-coded lines
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getLyrics = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  try {
+    const lyrics = await LyricsService.getLyrics(req.params.id);
+
+    return successResponse(
+      res,
+      lyrics,
+      "Lyrics fetched successfully",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in getLyrics controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Save a song's lyrics (uploader or admin). Send them as the
+ * "lyrics" field or as a multipart "file"; the format is detected unless given.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const uploadLyrics = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { lyrics, format, language } = req.body;
+
+  try {
+    const saved = await LyricsService.setLyrics(req.user, req.params.id, {
+      text: req.file ? req.file.buffer.toString("utf8") : lyrics,
+      format,
+      language,
+    });
+
+    return successResponse(
+      res,
+      saved,
+      "Lyrics saved",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in uploadLyrics controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Remove a song's lyrics (uploader or admin)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const deleteLyrics = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  try {
+    await LyricsService.removeLyrics(req.user, req.params.id);
+
+    return successResponse(
+      res,
+      { songId: req.params.id },
+      "Lyrics removed",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in deleteLyrics controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+export { getLyrics, uploadLyrics, deleteLyrics };
@@ -4,11 +4,23 @@
  */
 
 import { successResponse, errorResponse, paginatedResponse } from "../../utils/apiResponse.js";
-import { HTTP_STATUS, ERROR_MESSAGES, PAGINATION } from "../../utils/constants.js";
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  PAGINATION,
+  SONG_STATUS,
+  ARTWORK_CONFIG,
+} from "../../utils/constants.js";
 import { getSupabaseClient } from "../../database/connections/supabase.js";
 import ApiError from "../../utils/apiError.js";
 import { logger } from "../../utils/logger.js";
+import ArtworkService from "../../services/artwork.service.js";
 import { transformPlaylist, transformSong, transformArray } from "../../utils/modelTransformers.js";
+import {
+  assertAllowed,
+  canManagePlaylist,
+  canViewPlaylist,
+} from "../../utils/policy.js";
 
 /**
  * @description Get user's playlists
@@ -92,7 +104,6 @@ const getPlaylistById = async (req, res) => {
     );
   }
 
-  const userId = req.user?.id;
   const { id } = req.params;
 
   try {
@@ -109,18 +120,18 @@ const getPlaylistById = async (req, res) => {
       );
     }
 
-    if (data.user_id !== userId && !data.is_public) {
-      throw new ApiError(
-        HTTP_STATUS.FORBIDDEN,
-        "You don't have permission to access this playlist",
-      );
-    }
+    assertAllowed(
+      canViewPlaylist(req.user, data),
+      "You don't have permission to access this playlist",
+    );
 
     if (data.song_ids && data.song_ids.length > 0) {
       const { data: songs, error: songsError } = await supabase
         .from("songs")
         .select("*")
-        .in("id", data.song_ids);
+        .in("id", data.song_ids)
+        .eq("status", SONG_STATUS.READY)
+        .is("deleted_at", null);
 
       if (!songsError) {
         data.songs = transformArray(songs, transformSong);
@@ -260,12 +271,10 @@ const updatePlaylist = async (req, res) => {
       );
     }
 
-    if (existing.user_id !== userId) {
-      throw new ApiError(
-        HTTP_STATUS.FORBIDDEN,
-        "You don't have permission to update this playlist",
-      );
-    }
+    assertAllowed(
+      canManagePlaylist(req.user, existing),
+      "You don't have permission to update this playlist",
+    );
 
     const updates = {};
     if (name !== undefined) updates.name = name.trim();
@@ -345,12 +354,10 @@ const deletePlaylist = async (req, res) => {
       );
     }
 
-    if (existing.user_id !== userId) {
-      throw new ApiError(
-        HTTP_STATUS.FORBIDDEN,
-        "You don't have permission to delete this playlist",
-      );
-    }
+    assertAllowed(
+      canManagePlaylist(req.user, existing),
+      "You don't have permission to delete this playlist",
+    );
 
     const { error } = await supabase
       .from("playlists")
@@ -366,6 +373,10 @@ const deletePlaylist = async (req, res) => {
       );
     }
 
+    await ArtworkService.removeImages(
+      ArtworkService.getPrefix(ARTWORK_CONFIG.KINDS.PLAYLIST, id),
+    );
+
     return successResponse(
       res,
       null,
@@ -431,17 +442,17 @@ const addSongToPlaylist = async (req, res) => {
       );
     }
 
-    if (playlist.user_id !== userId) {
-      throw new ApiError(
-        HTTP_STATUS.FORBIDDEN,
-        "You don't have permission to modify this playlist",
-      );
-    }
+    assertAllowed(
+      canManagePlaylist(req.user, playlist),
+      "You don't have permission to modify this playlist",
+    );
 
     const { data: song, error: songError } = await supabase
       .from("songs")
       .select("id")
       .eq("id", song_id)
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
       .single();
 
     if (songError || !song) {
@@ -534,12 +545,10 @@ const removeSongFromPlaylist = async (req, res) => {
       );
     }
 
-    if (playlist.user_id !== userId) {
-      throw new ApiError(
-        HTTP_STATUS.FORBIDDEN,
-        "You don't have permission to modify this playlist",
-      );
-    }
+    assertAllowed(
+      canManagePlaylist(req.user, playlist),
+      "You don't have permission to modify this playlist",
+    );
 
     const currentSongIds = playlist.song_ids || [];
     if (!currentSongIds.includes(songId)) {
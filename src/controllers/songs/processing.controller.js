@@ -0,0 +1,49 @@
+/**
+ * Processing Controller
+ * Status of a song's background processing (quality tier transcoding)
+ */
+
+import { successResponse } from "../../utils/apiResponse.js";
+import { HTTP_STATUS, ERROR_MESSAGES } from "../../utils/constants.js";
+import ApiError from "../../utils/apiError.js";
+import { logger } from "../../utils/logger.js";
+import ProcessingQueueService from "../../services/processingQueue.service.js";
+import {
+  transformArray,
+  transformProcessingJob,
+} from "../../utils/modelTransformers.js";
+
+/**
+ * @description Get a song's processing jobs and the quality tiers produced so far
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getProcessingStatus = async (req, res) => {
+  try {
+    const { song, jobs } = await ProcessingQueueService.getSongStatus(req.params.id);
+
+    return successResponse(
+      res,
+      {
+        songId: song.id,
+        status: song.status,
+        availableQualities: song.available_qualities || [],
+        fileSizes: song.file_sizes || {},
+        jobs: transformArray(jobs, transformProcessingJob),
+      },
+      "Processing status fetched successfully",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in getProcessingStatus controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+export { getProcessingStatus };
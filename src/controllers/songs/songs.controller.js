@@ -1,9 +1,10 @@
 import { successResponse, errorResponse, paginatedResponse } from "../../utils/apiResponse.js";
-import { HTTP_STATUS, ERROR_MESSAGES, PAGINATION } from "../../utils/constants.js";
+import { HTTP_STATUS, ERROR_MESSAGES, PAGINATION, SONG_STATUS } from "../../utils/constants.js";
 import { getSupabaseClient } from "../../database/connections/supabase.js";
 import ApiError from "../../utils/apiError.js";
 import { logger } from "../../utils/logger.js";
 import { transformSong, transformArray } from "../../utils/modelTransformers.js";
+import LyricsService from "../../services/lyrics.service.js";
 
 /**
  * @description Get a list of songs
@@ -29,6 +30,8 @@ const getSongs = async (req, res) => {
     const { data, error, count } = await supabase
       .from("songs")
       .select("*", { count: "exact" })
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
       .order("created_at", { ascending: false })
       .range(startIndex, endIndex);
 
@@ -85,6 +88,8 @@ const getSongById = async (req, res) => {
       .from("songs")
       .select("*")
       .eq("id", id)
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
       .single();
 
     if (error) {
@@ -116,7 +121,8 @@ const getSongById = async (req, res) => {
 };
 
 /**
- * @description Search songs by title, artist, or album
+ * @description Search songs by title, artist, album or a line of their lyrics.
+ * Songs found by their lyrics carry the matching line as lyricsMatch.
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
@@ -145,10 +151,18 @@ const searchSongs = async (req, res) => {
   const endIndex = page * limit - 1;
 
   try {
+    const lyricsMatches = await LyricsService.findSongsByText(q);
+    const filters = [`title.ilike.%${q}%`, `artist.ilike.%${q}%`, `album.ilike.%${q}%`];
+    if (lyricsMatches.size > 0) {
+      filters.push(`id.in.(${[...lyricsMatches.keys()].join(",")})`);
+    }
+
     const { data, error, count } = await supabase
       .from("songs")
       .select("*", { count: "exact" })
-      .or(`title.ilike.%${q}%,artist.ilike.%${q}%,album.ilike.%${q}%`)
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
+      .or(filters.join(","))
       .range(startIndex, endIndex);
 
     if (error) {
@@ -160,7 +174,11 @@ const searchSongs = async (req, res) => {
       );
     }
 
-    const transformedData = transformArray(data, transformSong);
+    const transformedData = transformArray(data, transformSong).map(song =>
+      lyricsMatches.has(song.id)
+        ? { ...song, lyricsMatch: lyricsMatches.get(song.id) }
+        : song,
+    );
 
     return paginatedResponse(
       res,
@@ -210,9 +228,11 @@ const getRecentlyPlayed = async (req, res) => {
   try {
     const { data, error } = await supabase
       .from("user_interactions")
-      .select("song_id, created_at, songs(*)")
+      .select("song_id, created_at, songs!inner(*)")
       .eq("user_id", userId)
       .eq("action_type", "play")
+      .eq("songs.status", SONG_STATUS.READY)
+      .is("songs.deleted_at", null)
       .order("created_at", { ascending: false })
       .limit(limit);
 
@@ -279,9 +299,11 @@ const getFavorites = async (req, res) => {
   try {
     const { data, error, count } = await supabase
       .from("user_interactions")
-      .select("song_id, created_at, songs(*)", { count: "exact" })
+      .select("song_id, created_at, songs!inner(*)", { count: "exact" })
       .eq("user_id", userId)
       .eq("action_type", "like")
+      .eq("songs.status", SONG_STATUS.READY)
+      .is("songs.deleted_at", null)
       .order("created_at", { ascending: false })
       .range(startIndex, endIndex);
 
@@ -349,6 +371,8 @@ const toggleFavorite = async (req, res) => {
       .from("songs")
       .select("id")
       .eq("id", songId)
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
       .single();
 
     if (songError || !song) {
@@ -461,6 +485,8 @@ const trackPlay = async (req, res) => {
       .from("songs")
       .select("id, play_count")
       .eq("id", songId)
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
       .single();
 
     if (songError || !song) {
@@ -540,6 +566,8 @@ const getPopularSongs = async (req, res) => {
     const { data, error, count } = await supabase
       .from("songs")
       .select("*", { count: "exact" })
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
       .order("popularity_score", { ascending: false })
       .order("play_count", { ascending: false })
       .range(startIndex, endIndex);
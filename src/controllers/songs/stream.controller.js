@@ -1,17 +1,117 @@
 /**
  * Stream Controller
- * Handles audio streaming via Cloudflare R2 presigned URLs
+ * Handles audio streaming via Cloudflare R2 presigned URLs or a Range-aware proxy
  */
 
 import { successResponse, errorResponse } from "../../utils/apiResponse.js";
-import { HTTP_STATUS, ERROR_MESSAGES } from "../../utils/constants.js";
+import {
+  HTTP_STATUS,
+  ERROR_MESSAGES,
+  STREAM_MODES,
+  HLS_CONFIG,
+  R2_CONFIG,
+  AUDIO_QUALITIES,
+  PREVIEW_CONFIG,
+  CACHE_KEYS,
+  CACHE_TTL,
+  SONG_STATUS,
+  LOUDNESS_CONFIG,
+} from "../../utils/constants.js";
 import { getSupabaseClient } from "../../database/connections/supabase.js";
 import ApiError from "../../utils/apiError.js";
 import { logger } from "../../utils/logger.js";
+import config from "../../config/index.js";
 import fileUploadHelper from "../../services/audioUpload.js";
+import {
+  parseByteRange,
+  isIfRangeSatisfied,
+  formatContentRange,
+} from "../../utils/httpRange.js";
+import {
+  getHlsQualities,
+  getSegmentDurations,
+  buildMasterPlaylist,
+  buildMediaPlaylist,
+} from "../../utils/hlsPlaylist.js";
+import {
+  isStreamableQuality,
+  resolveTargetQuality,
+  resolveQuality,
+} from "../../utils/audioQuality.js";
+import cacheHelper from "../../utils/cacheHelper.js";
+import { transformLoudness } from "../../utils/modelTransformers.js";
 
 /**
- * @description Get presigned URL for streaming a song
+ * @description Pipe an R2 object to the response, honouring Range/If-Range
+ * and conditional GETs
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {string} fileKey - R2 key of the object to stream
+ * @param {object} options - Proxy options
+ * @param {string} options.cacheControl - Cache-Control header value
+ */
+const proxyObject = async (
+  req,
+  res,
+  fileKey,
+  { cacheControl = "private, max-age=0, no-transform" } = {},
+) => {
+  const file = await fileUploadHelper.getFileMetadata(fileKey);
+
+  const useRange = isIfRangeSatisfied(req.headers["if-range"], file);
+  const range = useRange ? parseByteRange(req.headers.range, file.size) : null;
+
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("Cache-Control", cacheControl);
+  if (file.etag) res.setHeader("ETag", file.etag);
+  if (file.lastModified) {
+    res.setHeader("Last-Modified", new Date(file.lastModified).toUTCString());
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  if (range?.unsatisfiable) {
+    res.setHeader("Content-Range", `bytes */${file.size}`);
+    throw new ApiError(
+      HTTP_STATUS.RANGE_NOT_SATISFIABLE,
+      "Requested range not satisfiable",
+    );
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : file.size - 1;
+
+  res.status(range ? HTTP_STATUS.PARTIAL_CONTENT : HTTP_STATUS.OK);
+  res.setHeader("Content-Type", file.contentType || "application/octet-stream");
+  res.setHeader("Content-Length", end - start + 1);
+  if (range) {
+    res.setHeader("Content-Range", formatContentRange(start, end, file.size));
+  }
+
+  if (req.method === "HEAD") {
+    return res.end();
+  }
+
+  const object = await fileUploadHelper.getFileStream(
+    fileKey,
+    range ? { start, end } : null,
+  );
+
+  object.body.on("error", (streamError) => {
+    logger.error(`Stream error while proxying ${fileKey}:`, streamError);
+    res.destroy(streamError);
+  });
+  req.on("close", () => object.body.destroy());
+
+  object.body.pipe(res);
+};
+
+/**
+ * @description Get presigned URL for streaming a song. Serves the requested
+ * quality, or the user's preferred quality (one tier lower in data saver mode),
+ * falling back high -> medium -> low -> original when a rendition is missing.
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
@@ -34,29 +134,59 @@ const getStreamUrl = async (req, res) => {
   }
 
   const { id } = req.params;
-  const { quality = "high" } = req.query;
+  const { quality } = req.query;
+
+  if (quality !== undefined && !isStreamableQuality(quality)) {
+    throw new ApiError(
+      HTTP_STATUS.BAD_REQUEST,
+      "Invalid quality. Allowed values: original, high, medium, low",
+    );
+  }
 
   try {
     const { data: song, error: songError } = await supabase
       .from("songs")
-      .select("id, r2_key, title, artist, file_sizes")
+      .select("id, r2_key, title, artist, file_sizes, loudness_lufs, track_gain_db, track_peak")
       .eq("id", id)
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
       .single();
 
     if (songError || !song) {
       throw new ApiError(HTTP_STATUS.NOT_FOUND, ERROR_MESSAGES.SONG_NOT_FOUND);
     }
 
-    const fileExists = await fileUploadHelper.fileExists(song.r2_key);
+    let preferences = null;
+    if (!quality) {
+      const { data: prefs, error: prefsError } = await supabase
+        .from("user_preferences")
+        .select("preferred_quality, data_saver_mode")
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (prefsError) {
+        logger.warn("Failed to load user preferences, using defaults:", prefsError);
+      }
+      preferences = prefs;
+    }
+
+    const resolved = resolveQuality({
+      requested: quality,
+      preferences,
+      fileSizes: song.file_sizes,
+    });
+    const fileKey = fileUploadHelper.getQualityFileKey(song.r2_key, resolved.served);
+
+    const fileExists = await fileUploadHelper.fileExists(fileKey);
     if (!fileExists) {
-      logger.error(`File not found in R2: ${song.r2_key}`);
+      logger.error(`File not found in R2: ${fileKey}`);
       throw new ApiError(
         HTTP_STATUS.NOT_FOUND,
         "Audio file not found in storage",
       );
     }
 
-    const signedUrl = await fileUploadHelper.getSignedUrl(song.r2_key, 3600);
+    const signedUrl = await fileUploadHelper.getSignedUrl(fileKey, 3600);
 
     return successResponse(
       res,
@@ -67,7 +197,11 @@ const getStreamUrl = async (req, res) => {
           title: song.title,
           artist: song.artist,
         },
-        quality,
+        quality: resolved.served,
+        requestedQuality: resolved.requested,
+        fallback: resolved.served !== resolved.target,
+        fileSize: song.file_sizes?.[resolved.served] ?? null,
+        loudness: transformLoudness(song, LOUDNESS_CONFIG.REFERENCE_LUFS),
         expiresIn: 3600,
       },
       "Stream URL generated successfully",
@@ -86,7 +220,158 @@ const getStreamUrl = async (req, res) => {
 };
 
 /**
- * @description Stream song directly (alternative to presigned URL)
+ * @description Resolve stream URLs for several songs at once (queue prefetch).
+ * Results are cached per song and target quality; presigned URLs outlive the
+ * cache entry, so a cached URL always has at least R2 expiry - cache TTL left.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getStreamUrls = async (req, res) => {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.OPERATION_FAILED,
+      ["Supabase client not initialized"],
+    );
+  }
+
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { quality } = req.body;
+  const songIds = [...new Set(req.body.song_ids)];
+
+  try {
+    let preferences = null;
+    if (!quality) {
+      const { data: prefs, error: prefsError } = await supabase
+        .from("user_preferences")
+        .select("preferred_quality, data_saver_mode")
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (prefsError) {
+        logger.warn("Failed to load user preferences, using defaults:", prefsError);
+      }
+      preferences = prefs;
+    }
+
+    const target = resolveTargetQuality({ requested: quality, preferences });
+    const cached = await cacheHelper.getMany(
+      songIds.map((songId) => CACHE_KEYS.CDN_URL(songId, target)),
+    );
+
+    const entries = new Map();
+    songIds.forEach((songId, index) => {
+      if (cached[index]) entries.set(songId, cached[index]);
+    });
+
+    const misses = songIds.filter((songId) => !entries.has(songId));
+    if (misses.length > 0) {
+      const { data: songs, error: songsError } = await supabase
+        .from("songs")
+        .select("id, r2_key, file_sizes, loudness_lufs, track_gain_db, track_peak")
+        .in("id", misses)
+        .eq("status", SONG_STATUS.READY)
+        .is("deleted_at", null);
+
+      if (songsError) {
+        throw new ApiError(
+          HTTP_STATUS.INTERNAL_SERVER_ERROR,
+          ERROR_MESSAGES.OPERATION_FAILED,
+          [songsError.message],
+        );
+      }
+
+      // file_sizes is the source of truth for which renditions exist, so no
+      // HeadObject per song here
+      const resolvedEntries = await Promise.all(
+        songs.map(async (song) => {
+          const resolved = resolveQuality({
+            requested: target,
+            fileSizes: song.file_sizes,
+          });
+          const fileKey = fileUploadHelper.getQualityFileKey(
+            song.r2_key,
+            resolved.served,
+          );
+          const streamUrl = await fileUploadHelper.getSignedUrl(
+            fileKey,
+            R2_CONFIG.SIGNED_URL_EXPIRY,
+          );
+
+          return {
+            songId: song.id,
+            streamUrl,
+            quality: resolved.served,
+            fallback: resolved.served !== target,
+            fileSize: song.file_sizes?.[resolved.served] ?? null,
+            loudness: transformLoudness(song, LOUDNESS_CONFIG.REFERENCE_LUFS),
+            expiresAt: new Date(
+              Date.now() + R2_CONFIG.SIGNED_URL_EXPIRY * 1000,
+            ).toISOString(),
+          };
+        }),
+      );
+
+      await Promise.all(
+        resolvedEntries.map((entry) => {
+          entries.set(entry.songId, entry);
+          return cacheHelper.set(
+            CACHE_KEYS.CDN_URL(entry.songId, target),
+            entry,
+            CACHE_TTL.CDN_URLS,
+          );
+        }),
+      );
+    }
+
+    const now = Date.now();
+    const urls = songIds
+      .filter((songId) => entries.has(songId))
+      .map((songId) => {
+        const entry = entries.get(songId);
+        return {
+          ...entry,
+          expiresIn: Math.max(
+            0,
+            Math.floor((new Date(entry.expiresAt).getTime() - now) / 1000),
+          ),
+        };
+      });
+
+    return successResponse(
+      res,
+      {
+        urls,
+        notFound: songIds.filter((songId) => !entries.has(songId)),
+        requestedQuality: quality || null,
+        targetQuality: target,
+      },
+      "Stream URLs generated successfully",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in getStreamUrls controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Stream song directly - redirects to a presigned URL or proxies
+ * the object with Range support, depending on config.streaming.mode
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
@@ -115,12 +400,18 @@ const streamSong = async (req, res) => {
       .from("songs")
       .select("id, r2_key")
       .eq("id", id)
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
       .single();
 
     if (songError || !song) {
       throw new ApiError(HTTP_STATUS.NOT_FOUND, ERROR_MESSAGES.SONG_NOT_FOUND);
     }
 
+    if (config.streaming.mode === STREAM_MODES.PROXY) {
+      return await proxyObject(req, res, song.r2_key);
+    }
+
     const signedUrl = await fileUploadHelper.getSignedUrl(song.r2_key, 3600);
 
     res.redirect(signedUrl);
@@ -136,6 +427,201 @@ const streamSong = async (req, res) => {
   }
 };
 
+/**
+ * @description Stream a song's preview clip. Public (no auth) for share pages
+ * and the signed-out web player, with long-lived public caching.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getPreview = async (req, res) => {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.OPERATION_FAILED,
+      ["Supabase client not initialized"],
+    );
+  }
+
+  const { id } = req.params;
+
+  try {
+    const { data: song, error: songError } = await supabase
+      .from("songs")
+      .select("id, r2_key, file_sizes")
+      .eq("id", id)
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
+      .single();
+
+    if (songError || !song) {
+      throw new ApiError(HTTP_STATUS.NOT_FOUND, ERROR_MESSAGES.SONG_NOT_FOUND);
+    }
+
+    if (!song.file_sizes?.[AUDIO_QUALITIES.PREVIEW]) {
+      throw new ApiError(
+        HTTP_STATUS.NOT_FOUND,
+        "Preview not available for this song",
+      );
+    }
+
+    const previewKey = fileUploadHelper.getQualityFileKey(
+      song.r2_key,
+      AUDIO_QUALITIES.PREVIEW,
+    );
+
+    return await proxyObject(req, res, previewKey, {
+      cacheControl: PREVIEW_CONFIG.CACHE_CONTROL,
+    });
+  } catch (error) {
+    logger.error("Error in getPreview controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Get HLS master playlist with one variant per available quality
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getMasterPlaylist = async (req, res) => {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.OPERATION_FAILED,
+      ["Supabase client not initialized"],
+    );
+  }
+
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { id } = req.params;
+
+  try {
+    const { data: song, error: songError } = await supabase
+      .from("songs")
+      .select("id, available_qualities")
+      .eq("id", id)
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
+      .single();
+
+    if (songError || !song) {
+      throw new ApiError(HTTP_STATUS.NOT_FOUND, ERROR_MESSAGES.SONG_NOT_FOUND);
+    }
+
+    const qualities = getHlsQualities(song.available_qualities);
+    if (qualities.length === 0) {
+      throw new ApiError(
+        HTTP_STATUS.NOT_FOUND,
+        "No adaptive streams available for this song",
+      );
+    }
+
+    // Variant URIs are relative to /songs/:id/master.m3u8
+    const playlist = buildMasterPlaylist(
+      qualities.map((quality) => ({ quality, uri: `hls/${quality}.m3u8` })),
+    );
+
+    res.setHeader("Content-Type", HLS_CONFIG.CONTENT_TYPE);
+    res.setHeader("Cache-Control", `private, max-age=${HLS_CONFIG.MASTER_MAX_AGE}`);
+    return res.status(HTTP_STATUS.OK).send(playlist);
+  } catch (error) {
+    logger.error("Error in getMasterPlaylist controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Get HLS media playlist for a single quality, with presigned segment URLs
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getMediaPlaylist = async (req, res) => {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.OPERATION_FAILED,
+      ["Supabase client not initialized"],
+    );
+  }
+
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { id, quality } = req.params;
+
+  try {
+    const { data: song, error: songError } = await supabase
+      .from("songs")
+      .select("id, duration_ms, available_qualities")
+      .eq("id", id)
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
+      .single();
+
+    if (songError || !song) {
+      throw new ApiError(HTTP_STATUS.NOT_FOUND, ERROR_MESSAGES.SONG_NOT_FOUND);
+    }
+
+    if (!getHlsQualities(song.available_qualities).includes(quality)) {
+      throw new ApiError(
+        HTTP_STATUS.NOT_FOUND,
+        `Quality '${quality}' is not available for this song`,
+      );
+    }
+
+    const durations = getSegmentDurations(song.duration_ms);
+    const segments = await Promise.all(
+      durations.map(async (duration, index) => ({
+        duration,
+        uri: await fileUploadHelper.getSignedUrl(
+          fileUploadHelper.generateHlsSegmentKey(song.id, quality, index),
+          R2_CONFIG.SIGNED_URL_EXPIRY,
+        ),
+      })),
+    );
+
+    res.setHeader("Content-Type", HLS_CONFIG.CONTENT_TYPE);
+    res.setHeader("Cache-Control", `private, max-age=${HLS_CONFIG.MEDIA_MAX_AGE}`);
+    return res.status(HTTP_STATUS.OK).send(buildMediaPlaylist(segments));
+  } catch (error) {
+    logger.error("Error in getMediaPlaylist controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
 /**
  * @description Track playback progress and completion
  * @param {object} req - Express request object
@@ -174,6 +660,8 @@ const trackPlayback = async (req, res) => {
       .from("songs")
       .select("id")
       .eq("id", songId)
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
       .single();
 
     if (songError || !song) {
@@ -258,6 +746,8 @@ const getFileMetadata = async (req, res) => {
       .from("songs")
       .select("id, r2_key, title, artist")
       .eq("id", id)
+      .eq("status", SONG_STATUS.READY)
+      .is("deleted_at", null)
       .single();
 
     if (songError || !song) {
@@ -291,4 +781,14 @@ const getFileMetadata = async (req, res) => {
   }
 };
 
-export { getStreamUrl, streamSong, trackPlayback, getFileMetadata };
+export {
+  proxyObject,
+  getStreamUrl,
+  getStreamUrls,
+  streamSong,
+  getPreview,
+  getMasterPlaylist,
+  getMediaPlaylist,
+  trackPlayback,
+  getFileMetadata,
+};
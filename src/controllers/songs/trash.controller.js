@@ -0,0 +1,94 @@
+/**
+ * Trash Controller
+ * Deleted songs awaiting purge: listing and restoring them
+ */
+
+import { paginatedResponse, successResponse } from "../../utils/apiResponse.js";
+import { HTTP_STATUS, ERROR_MESSAGES } from "../../utils/constants.js";
+import ApiError from "../../utils/apiError.js";
+import { logger } from "../../utils/logger.js";
+import SongTrashService from "../../services/songTrash.service.js";
+import { transformSong } from "../../utils/modelTransformers.js";
+
+/**
+ * @description List restorable songs in the trash (your uploads; admins see all)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getTrash = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { page, limit } = req.query;
+
+  try {
+    const { songs, total } = await SongTrashService.listTrash(req.user, { page, limit });
+
+    const data = songs.map(song => ({
+      ...transformSong(song),
+      deletedAt: song.deleted_at,
+      deletedBy: song.deleted_by || null,
+      purgeAt: SongTrashService.getPurgeAt(song.deleted_at),
+    }));
+
+    return paginatedResponse(
+      res,
+      data,
+      page,
+      limit,
+      total,
+      "Trashed songs fetched successfully",
+    );
+  } catch (error) {
+    logger.error("Error in getTrash controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Restore a song from the trash (uploader or admin)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const restoreSong = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  try {
+    const song = await SongTrashService.restore(req.user, req.params.id);
+
+    return successResponse(
+      res,
+      transformSong(song),
+      "Song restored",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in restoreSong controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+export { getTrash, restoreSong };
@@ -1,6 +1,6 @@
 /**
  * Upload Controller
- * Handles song upload, metadata updates, and deletion using Cloudflare R2
+ * Handles song upload, metadata updates, and deletion (to the trash)
  */
 
 import { successResponse, errorResponse } from "../../utils/apiResponse.js";
@@ -8,10 +8,20 @@ import { HTTP_STATUS, ERROR_MESSAGES } from "../../utils/constants.js";
 import { getSupabaseClient } from "../../database/connections/supabase.js";
 import ApiError from "../../utils/apiError.js";
 import { logger } from "../../utils/logger.js";
-import fileUploadHelper from "../../services/audioUpload.js";
+import SongIngestService from "../../services/songIngest.service.js";
+import DirectUploadService from "../../services/directUpload.service.js";
+import AlbumUploadService from "../../services/albumUpload.service.js";
+import SongTrashService from "../../services/songTrash.service.js";
+import ArtistService from "../../services/artist.service.js";
+import {
+  assertAllowed,
+  canManageSong,
+  getSongOwnerId,
+} from "../../utils/policy.js";
 
 /**
- * @description Upload song to Cloudflare R2 and save metadata to database
+ * @description Upload song to Cloudflare R2 and save metadata to database.
+ * Duration and tags are read from the file; form fields take precedence.
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
@@ -40,78 +50,157 @@ const uploadSong = async (req, res) => {
     );
   }
 
-  const { title, artist, album, duration_ms } = req.body;
+  try {
+    const { song, upload } = await SongIngestService.ingest({
+      userId,
+      buffer: req.file.buffer,
+      mimeType: req.file.mimetype,
+      originalName: req.file.originalname,
+      fields: req.body,
+    });
 
-  if (!title || !artist || !duration_ms) {
+    return successResponse(
+      res,
+      { song, upload },
+      "Song uploaded successfully",
+      HTTP_STATUS.CREATED,
+    );
+  } catch (error) {
+    logger.error("Error in uploadSong controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
     throw new ApiError(
-      HTTP_STATUS.BAD_REQUEST,
-      "Title, artist, and duration are required",
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
     );
   }
+};
 
-  try {
-    fileUploadHelper.validateFile(req.file.mimetype, req.file.size);
-
-    const fileKey = fileUploadHelper.generateFileKey(req.file.originalname);
-
-    const uploadResult = await fileUploadHelper.uploadFile(
-      req.file.buffer,
-      fileKey,
-      req.file.mimetype,
-      {
-        uploadedBy: userId,
-        title,
-        artist,
-        album: album || null,
-      }
+/**
+ * @description Upload several tracks (audio files or one zip) with shared
+ * album fields and per-track overrides. 201 if every track was created,
+ * 207 if only some were (non-atomic uploads).
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const uploadAlbum = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
     );
+  }
 
-    const { data, error } = await supabase
-      .from("songs")
-      .insert({
-        title: title.trim(),
-        artist: artist.trim(),
-        album: album?.trim() || null,
-        duration_ms: parseInt(duration_ms, 10),
-        r2_key: fileKey,
-        file_sizes: {
-          original: uploadResult.size,
-        },
-        play_count: 0,
-        popularity_score: 0,
-        metadata: {
-          uploaded_by: userId,
-          original_filename: req.file.originalname,
-        },
-      })
-      .select()
-      .single();
+  const { tracks = [], atomic, ...albumFields } = req.body;
 
-    if (error) {
-      logger.error("Error saving song metadata:", error);
-      await fileUploadHelper.deleteFile(fileKey);
+  try {
+    const result = await AlbumUploadService.upload(userId, {
+      files: req.files?.audio || [],
+      archive: req.files?.archive?.[0] || null,
+      albumFields,
+      tracks,
+      atomic,
+    });
+
+    if (result.created === 0) {
       throw new ApiError(
-        HTTP_STATUS.INTERNAL_SERVER_ERROR,
-        ERROR_MESSAGES.OPERATION_FAILED,
-        [error.message],
+        HTTP_STATUS.BAD_REQUEST,
+        "Album upload failed; no tracks were saved",
+        result.results,
       );
     }
 
     return successResponse(
       res,
-      {
-        song: data,
-        upload: {
-          size: uploadResult.size,
-          key: fileKey,
-          url: uploadResult.url,
-        },
-      },
-      "Song uploaded successfully",
+      result,
+      result.failed === 0
+        ? "Album uploaded successfully"
+        : `Album partially uploaded: ${result.failed} track(s) failed`,
+      result.failed === 0 ? HTTP_STATUS.CREATED : HTTP_STATUS.MULTI_STATUS,
+    );
+  } catch (error) {
+    logger.error("Error in uploadAlbum controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Issue a presigned PUT URL and create a pending song. The client
+ * uploads the file straight to storage, then calls finalize.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const createUploadUrl = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { filename, mime_type, file_size, ...fields } = req.body;
+
+  try {
+    const { song, upload } = await DirectUploadService.createUploadUrl(userId, {
+      filename,
+      mimeType: mime_type,
+      fileSize: file_size,
+      fields,
+    });
+
+    return successResponse(
+      res,
+      { song: { id: song.id, status: song.status }, upload },
+      "Upload URL created",
       HTTP_STATUS.CREATED,
     );
   } catch (error) {
-    logger.error("Error in uploadSong controller:", error);
+    logger.error("Error in createUploadUrl controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Check a directly uploaded file and queue the job that reads
+ * its tags and makes the pending song visible
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const finalizeUpload = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  try {
+    const song = await DirectUploadService.finalize(userId, req.params.id);
+
+    return successResponse(
+      res,
+      { song },
+      "Song upload is being processed",
+      HTTP_STATUS.ACCEPTED,
+    );
+  } catch (error) {
+    logger.error("Error in finalizeUpload controller:", error);
     if (error instanceof ApiError) {
       throw error;
     }
@@ -123,7 +212,7 @@ const uploadSong = async (req, res) => {
 };
 
 /**
- * @description Update song metadata
+ * @description Update song metadata (uploader or admin)
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
@@ -151,23 +240,34 @@ const updateSongMetadata = async (req, res) => {
   try {
     const { data: existing, error: checkError } = await supabase
       .from("songs")
-      .select("id, metadata")
+      .select("id, metadata, artist_id")
       .eq("id", id)
+      .is("deleted_at", null)
       .single();
 
     if (checkError || !existing) {
       throw new ApiError(HTTP_STATUS.NOT_FOUND, ERROR_MESSAGES.SONG_NOT_FOUND);
     }
 
+    assertAllowed(
+      canManageSong(req.user, existing),
+      "Only the uploader or an admin can edit this song",
+    );
+
     const updates = {};
     if (title !== undefined) updates.title = title.trim();
-    if (artist !== undefined) updates.artist = artist.trim();
+    if (artist !== undefined) {
+      updates.artist = artist.trim();
+      updates.artist_id = await ArtistService.resolveArtistId(updates.artist);
+    }
     if (album !== undefined) updates.album = album?.trim() || null;
     if (duration_ms !== undefined) updates.duration_ms = parseInt(duration_ms, 10);
     if (metadata !== undefined) {
       updates.metadata = {
         ...existing.metadata,
         ...metadata,
+        // Ownership is not editable
+        uploaded_by: getSongOwnerId(existing),
       };
     }
 
@@ -187,6 +287,8 @@ const updateSongMetadata = async (req, res) => {
       );
     }
 
+    await ArtistService.invalidatePages([existing.artist_id, data.artist_id]);
+
     return successResponse(
       res,
       data,
@@ -206,20 +308,12 @@ const updateSongMetadata = async (req, res) => {
 };
 
 /**
- * @description Delete song and its file from R2
+ * @description Move a song to the trash (uploader or admin). It can be
+ * restored until the purge job deletes it and its files.
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  */
 const deleteSong = async (req, res) => {
-  const supabase = getSupabaseClient();
-  if (!supabase) {
-    throw new ApiError(
-      HTTP_STATUS.INTERNAL_SERVER_ERROR,
-      ERROR_MESSAGES.OPERATION_FAILED,
-      ["Supabase client not initialized"],
-    );
-  }
-
   const userId = req.user?.id;
   if (!userId) {
     throw new ApiError(
@@ -231,39 +325,12 @@ const deleteSong = async (req, res) => {
   const { id } = req.params;
 
   try {
-    const { data: song, error: songError } = await supabase
-      .from("songs")
-      .select("id, r2_key, metadata")
-      .eq("id", id)
-      .single();
-
-    if (songError || !song) {
-      throw new ApiError(HTTP_STATUS.NOT_FOUND, ERROR_MESSAGES.SONG_NOT_FOUND);
-    }
-
-    const { error: deleteError } = await supabase
-      .from("songs")
-      .delete()
-      .eq("id", id);
-
-    if (deleteError) {
-      logger.error("Error deleting song from database:", deleteError);
-      throw new ApiError(
-        HTTP_STATUS.INTERNAL_SERVER_ERROR,
-        ERROR_MESSAGES.OPERATION_FAILED,
-        [deleteError.message],
-      );
-    }
-
-    const fileDeleted = await fileUploadHelper.deleteFile(song.r2_key);
-    if (!fileDeleted) {
-      logger.warn(`Failed to delete file from R2: ${song.r2_key}`);
-    }
+    const result = await SongTrashService.trash(req.user, id);
 
     return successResponse(
       res,
-      null,
-      "Song deleted successfully",
+      result,
+      "Song moved to the trash",
       HTTP_STATUS.OK,
     );
   } catch (error) {
@@ -278,4 +345,11 @@ const deleteSong = async (req, res) => {
   }
 };
 
-export { uploadSong, updateSongMetadata, deleteSong };
+export {
+  uploadSong,
+  uploadAlbum,
+  createUploadUrl,
+  finalizeUpload,
+  updateSongMetadata,
+  deleteSong,
+};
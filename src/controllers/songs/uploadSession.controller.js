@@ -0,0 +1,220 @@
+/**
+ * Upload Session Controller
+ * Resumable song uploads: start a session, send parts, check which parts
+ * arrived, then complete (creates the song) or abort
+ */
+
+import { successResponse } from "../../utils/apiResponse.js";
+import { HTTP_STATUS, ERROR_MESSAGES } from "../../utils/constants.js";
+import ApiError from "../../utils/apiError.js";
+import { logger } from "../../utils/logger.js";
+import UploadSessionService from "../../services/uploadSession.service.js";
+import { transformUploadSession } from "../../utils/modelTransformers.js";
+
+/**
+ * @description Start a resumable upload. Song fields are optional here and
+ * fall back to the file's tags when the upload completes.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const createUploadSession = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { filename, mime_type, file_size, part_size, ...fields } = req.body;
+
+  try {
+    const session = await UploadSessionService.create(userId, {
+      filename,
+      mimeType: mime_type,
+      fileSize: file_size,
+      partSize: part_size,
+      fields,
+    });
+
+    return successResponse(
+      res,
+      { session: transformUploadSession(session, []) },
+      "Upload session created",
+      HTTP_STATUS.CREATED,
+    );
+  } catch (error) {
+    logger.error("Error in createUploadSession controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Session status with received and missing parts (used to resume)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getUploadSession = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  try {
+    const { session, parts, missingParts, receivedBytes } =
+      await UploadSessionService.getStatus(userId, req.params.sessionId);
+
+    return successResponse(
+      res,
+      {
+        session: transformUploadSession(session, parts),
+        missingParts,
+        receivedBytes,
+      },
+      "Upload session retrieved",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in getUploadSession controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Upload one part (raw request body). Re-sending a part
+ * replaces it.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const uploadSessionPart = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  const { sessionId, partNumber } = req.params;
+
+  try {
+    const { session, part } = await UploadSessionService.uploadPart(
+      userId,
+      sessionId,
+      partNumber,
+      req.body,
+    );
+
+    return successResponse(
+      res,
+      { part, expiresAt: session.expires_at },
+      "Part uploaded",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in uploadSessionPart controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Assemble all parts and queue the job that creates the song
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const completeUploadSession = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  try {
+    const { session, song } = await UploadSessionService.complete(
+      userId,
+      req.params.sessionId,
+    );
+
+    return successResponse(
+      res,
+      { session: transformUploadSession(session), song },
+      "Song upload is being processed",
+      HTTP_STATUS.ACCEPTED,
+    );
+  } catch (error) {
+    logger.error("Error in completeUploadSession controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+/**
+ * @description Abort a session and discard the uploaded parts
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const abortUploadSession = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  try {
+    const session = await UploadSessionService.abort(userId, req.params.sessionId);
+
+    return successResponse(
+      res,
+      { session: transformUploadSession(session) },
+      "Upload session aborted",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in abortUploadSession controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+export {
+  createUploadSession,
+  getUploadSession,
+  uploadSessionPart,
+  completeUploadSession,
+  abortUploadSession,
+};
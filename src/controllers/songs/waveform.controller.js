@@ -0,0 +1,47 @@
+/**
+ * Waveform Controller
+ * Peaks for the player's seek bar, downsampled to the requested resolution
+ */
+
+import { successResponse } from "../../utils/apiResponse.js";
+import { HTTP_STATUS, ERROR_MESSAGES } from "../../utils/constants.js";
+import ApiError from "../../utils/apiError.js";
+import { logger } from "../../utils/logger.js";
+import WaveformService from "../../services/waveform.service.js";
+
+/**
+ * @description Get a song's waveform peaks ("resolution" query: points wanted)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getWaveform = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw new ApiError(
+      HTTP_STATUS.UNAUTHORIZED,
+      ERROR_MESSAGES.UNAUTHORIZED,
+    );
+  }
+
+  try {
+    const waveform = await WaveformService.getWaveform(req.params.id, req.query.resolution);
+
+    return successResponse(
+      res,
+      waveform,
+      "Waveform fetched successfully",
+      HTTP_STATUS.OK,
+    );
+  } catch (error) {
+    logger.error("Error in getWaveform controller:", error);
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      ERROR_MESSAGES.INTERNAL_ERROR,
+    );
+  }
+};
+
+export { getWaveform };
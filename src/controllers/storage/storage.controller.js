@@ -0,0 +1,85 @@
+/**
+ * Storage Controller
+ * Serves signed download and upload URLs issued by the local and memory
+ * storage drivers, and public artwork renditions
+ */
+
+import { ARTWORK_CONFIG, HTTP_STATUS, STORAGE_DRIVERS } from "../../utils/constants.js";
+import ApiError from "../../utils/apiError.js";
+import config from "../../config/index.js";
+import { verifySignedUrl } from "../../services/storage/signedUrl.js";
+import fileUploadHelper from "../../services/audioUpload.js";
+import { proxyObject } from "../songs/stream.controller.js";
+
+/**
+ * @description Stream a stored file after checking the URL's HMAC signature
+ * and expiry. Range requests are supported.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const serveSignedFile = async (req, res) => {
+  if (config.storage.driver === STORAGE_DRIVERS.R2) {
+    throw new ApiError(HTTP_STATUS.NOT_FOUND, "Not found");
+  }
+
+  const fileKey = req.params[0];
+  const { expires, signature } = req.query;
+
+  if (!fileKey || !verifySignedUrl(fileKey, expires, signature)) {
+    throw new ApiError(HTTP_STATUS.FORBIDDEN, "Invalid or expired signature");
+  }
+
+  const maxAge = Math.max(0, Number(expires) - Math.floor(Date.now() / 1000));
+  return proxyObject(req, res, fileKey, {
+    cacheControl: `private, max-age=${maxAge}`,
+  });
+};
+
+/**
+ * @description Store the raw request body under the signed key (stands in
+ * for a presigned R2 PUT when developing without R2)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const receiveSignedUpload = async (req, res) => {
+  if (config.storage.driver === STORAGE_DRIVERS.R2) {
+    throw new ApiError(HTTP_STATUS.NOT_FOUND, "Not found");
+  }
+
+  const fileKey = req.params[0];
+  const { expires, signature } = req.query;
+
+  if (!fileKey || !verifySignedUrl(fileKey, expires, signature, "PUT")) {
+    throw new ApiError(HTTP_STATUS.FORBIDDEN, "Invalid or expired signature");
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw new ApiError(HTTP_STATUS.BAD_REQUEST, "Request body is empty");
+  }
+
+  await fileUploadHelper.getDriver().put(fileKey, req.body, {
+    contentType: req.get("Content-Type"),
+    metadata: { uploadedAt: new Date().toISOString() },
+  });
+
+  return res.status(HTTP_STATUS.OK).end();
+};
+
+/**
+ * @description Serve an artwork rendition. Artwork is public and its keys
+ * change whenever the image does, so responses are cacheable indefinitely.
+ * Used when R2 has no public URL (and always by the local/memory drivers).
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const serveImage = async (req, res) => {
+  const imagePath = req.params[0];
+  if (!imagePath || imagePath.split("/").some((part) => part === "" || part === "..")) {
+    throw new ApiError(HTTP_STATUS.NOT_FOUND, "Not found");
+  }
+
+  return proxyObject(req, res, `${ARTWORK_CONFIG.FOLDER}${imagePath}`, {
+    cacheControl: `public, max-age=${ARTWORK_CONFIG.CACHE_MAX_AGE}, immutable`,
+  });
+};
+
+export { serveSignedFile, receiveSignedUpload, serveImage };
@@ -0,0 +1,39 @@
+-- FreeTune Database Schema v3 - Offline Download Licences
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- DOWNLOAD LICENSES - Device-bound, expiring rights to keep a track offline
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS download_licenses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    song_id UUID NOT NULL REFERENCES songs(id) ON DELETE CASCADE,
+
+    -- Binding
+    device_id VARCHAR(128) NOT NULL,
+    quality VARCHAR(16) NOT NULL CHECK (quality IN ('original', 'high', 'medium', 'low')),
+
+    -- Lifecycle
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    renewed_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+
+    -- System Fields
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One live licence per song per device
+CREATE UNIQUE INDEX IF NOT EXISTS idx_download_licenses_active
+    ON download_licenses(user_id, song_id, device_id) WHERE revoked_at IS NULL;
+
+-- Per-user cap checks and listings
+CREATE INDEX IF NOT EXISTS idx_download_licenses_user
+    ON download_licenses(user_id, expires_at DESC) WHERE revoked_at IS NULL;
+
+CREATE TRIGGER update_download_licenses_updated_at
+    BEFORE UPDATE ON download_licenses
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE download_licenses IS 'Signed, device-bound offline download licences with expiry';
+COMMENT ON COLUMN download_licenses.device_id IS 'Client-generated stable device identifier the licence is bound to';
@@ -0,0 +1,47 @@
+-- FreeTune Database Schema v4 - Server-side Playback Sessions
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- PLAYBACK SESSIONS - Server-owned listening sessions driven by heartbeats
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS playback_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'ended', 'expired')),
+
+    -- Context (fixed for the session)
+    source VARCHAR(20) NOT NULL,
+    device_type VARCHAR(50),
+    network_type VARCHAR(20),
+    quality VARCHAR(16),
+
+    -- Current track
+    current_song_id UUID REFERENCES songs(id) ON DELETE SET NULL,
+    current_duration_ms INTEGER,
+    track_position INTEGER NOT NULL DEFAULT 1 CHECK (track_position > 0), -- 1-based index within the session
+    track_started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    position_ms INTEGER NOT NULL DEFAULT 0 CHECK (position_ms >= 0),
+    listened_ms INTEGER NOT NULL DEFAULT 0 CHECK (listened_ms >= 0),
+
+    -- Lifecycle
+    last_heartbeat_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    ended_at TIMESTAMP WITH TIME ZONE,
+
+    -- System Fields
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Expiry sweep over abandoned sessions
+CREATE INDEX IF NOT EXISTS idx_playback_sessions_active
+    ON playback_sessions(last_heartbeat_at) WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_playback_sessions_user
+    ON playback_sessions(user_id, created_at DESC);
+
+CREATE TRIGGER update_playback_sessions_updated_at
+    BEFORE UPDATE ON playback_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE playback_sessions IS 'Server-owned playback sessions; each finished track is written to user_interactions and ListeningPattern';
+COMMENT ON COLUMN playback_sessions.listened_ms IS 'Time actually listened on the current track, bounded by wall-clock time between heartbeats';
@@ -0,0 +1,17 @@
+-- FreeTune Database Schema v5 - Tags Read From Uploaded Audio
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- SONGS - Track/disc position (title, artist, album, year, genre and
+-- cover_art_url already exist); raw tags live in metadata->'tags'
+-- ============================================================================
+ALTER TABLE songs
+    ADD COLUMN IF NOT EXISTS track_number SMALLINT CHECK (track_number > 0),
+    ADD COLUMN IF NOT EXISTS disc_number SMALLINT CHECK (disc_number > 0);
+
+CREATE INDEX IF NOT EXISTS idx_songs_album_position
+    ON songs(album, disc_number, track_number)
+    WHERE album IS NOT NULL AND deleted_at IS NULL;
+
+COMMENT ON COLUMN songs.track_number IS 'Track number within its disc, from the upload form or the file tags';
+COMMENT ON COLUMN songs.disc_number IS 'Disc number within the album, from the upload form or the file tags';
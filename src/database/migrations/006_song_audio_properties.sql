@@ -0,0 +1,19 @@
+-- FreeTune Database Schema v6 - Audio Properties Detected From Uploads
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- SONGS - Stream properties read from the uploaded file's headers
+-- (container and bit depth live in metadata->'audio')
+-- ============================================================================
+ALTER TABLE songs
+    ADD COLUMN IF NOT EXISTS codec VARCHAR(16),
+    ADD COLUMN IF NOT EXISTS sample_rate INTEGER CHECK (sample_rate > 0),
+    ADD COLUMN IF NOT EXISTS channels SMALLINT CHECK (channels > 0),
+    ADD COLUMN IF NOT EXISTS bitrate_kbps INTEGER CHECK (bitrate_kbps > 0);
+
+CREATE INDEX IF NOT EXISTS idx_songs_codec ON songs(codec) WHERE codec IS NOT NULL;
+
+COMMENT ON COLUMN songs.codec IS 'Codec detected from the uploaded file (mp3, aac, flac, pcm, vorbis, opus, alac, ...)';
+COMMENT ON COLUMN songs.sample_rate IS 'Sample rate of the original upload in Hz';
+COMMENT ON COLUMN songs.channels IS 'Channel count of the original upload';
+COMMENT ON COLUMN songs.bitrate_kbps IS 'Bitrate of the original upload in kbps (stated by the stream, or averaged over the file)';
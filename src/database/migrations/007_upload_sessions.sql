@@ -0,0 +1,58 @@
+-- FreeTune Database Schema v7 - Resumable Upload Sessions
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- UPLOAD SESSIONS - Chunked uploads on top of storage multipart uploads
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'completing', 'completed', 'failed', 'aborted', 'expired')),
+
+    -- Target object
+    file_key VARCHAR(500) NOT NULL UNIQUE,
+    storage_upload_id TEXT NOT NULL, -- multipart upload ID from the storage driver
+    filename VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    file_size BIGINT NOT NULL CHECK (file_size > 0),
+    part_size INTEGER NOT NULL CHECK (part_size > 0),
+    total_parts INTEGER NOT NULL CHECK (total_parts > 0),
+
+    -- Song fields sent at creation (title, artist, ...); tags fill the rest
+    song_fields JSONB DEFAULT '{}',
+    song_id UUID REFERENCES songs(id) ON DELETE SET NULL,
+    error TEXT,
+
+    -- Lifecycle
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL, -- pushed back by every part upload
+    completed_at TIMESTAMP WITH TIME ZONE,
+
+    -- System Fields
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS upload_session_parts (
+    session_id UUID NOT NULL REFERENCES upload_sessions(id) ON DELETE CASCADE,
+    part_number INTEGER NOT NULL CHECK (part_number > 0),
+    etag TEXT NOT NULL,
+    size INTEGER NOT NULL CHECK (size > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (session_id, part_number)
+);
+
+-- Cleanup sweep over abandoned sessions
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expiry
+    ON upload_sessions(expires_at) WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user
+    ON upload_sessions(user_id, created_at DESC);
+
+CREATE TRIGGER update_upload_sessions_updated_at
+    BEFORE UPDATE ON upload_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE upload_sessions IS 'Resumable song uploads; parts go straight to a storage multipart upload and completion creates the song';
+COMMENT ON TABLE upload_session_parts IS 'Parts received per upload session; re-uploading a part replaces its row';
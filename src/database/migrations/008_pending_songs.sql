@@ -0,0 +1,29 @@
+-- FreeTune Database Schema v8 - Direct-to-Storage Uploads
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- SONGS - Pending rows for presigned uploads
+-- A pending song is created with its upload URL before the file exists, so
+-- title/artist/duration may still be unknown (they come from the tags at
+-- finalize). Only 'ready' songs are visible.
+-- ============================================================================
+ALTER TABLE songs
+    ADD COLUMN IF NOT EXISTS status VARCHAR(16) NOT NULL DEFAULT 'ready'
+        CHECK (status IN ('pending', 'finalizing', 'ready'));
+
+ALTER TABLE songs
+    ALTER COLUMN title DROP NOT NULL,
+    ALTER COLUMN artist DROP NOT NULL,
+    ALTER COLUMN duration_ms DROP NOT NULL;
+
+ALTER TABLE songs DROP CONSTRAINT IF EXISTS songs_ready_fields_check;
+ALTER TABLE songs ADD CONSTRAINT songs_ready_fields_check CHECK (
+    status <> 'ready' OR (title IS NOT NULL AND artist IS NOT NULL AND duration_ms IS NOT NULL)
+);
+
+-- Cleanup job: pending/finalizing rows by age
+CREATE INDEX IF NOT EXISTS idx_songs_unfinished
+    ON songs(created_at)
+    WHERE status <> 'ready';
+
+COMMENT ON COLUMN songs.status IS 'pending (upload URL issued), finalizing (file being verified) or ready (visible)';
@@ -0,0 +1,17 @@
+-- FreeTune Database Schema v9 - Artwork Renditions
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- SONGS / PLAYLISTS - Size-specific cover URLs
+-- Uploaded artwork is stored as square JPEGs in several sizes; the *_url
+-- columns keep the largest one for existing clients. Covers extracted from
+-- audio files are not resized, so those rows leave the sizes NULL.
+-- ============================================================================
+ALTER TABLE songs
+    ADD COLUMN IF NOT EXISTS cover_art_sizes JSONB;
+
+ALTER TABLE playlists
+    ADD COLUMN IF NOT EXISTS cover_image_sizes JSONB;
+
+COMMENT ON COLUMN songs.cover_art_sizes IS 'Cover art URL per size name, e.g. {"small": ..., "medium": ..., "large": ...}';
+COMMENT ON COLUMN playlists.cover_image_sizes IS 'Cover image URL per size name, e.g. {"small": ..., "medium": ..., "large": ...}';
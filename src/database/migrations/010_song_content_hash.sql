@@ -0,0 +1,38 @@
+-- FreeTune Database Schema v10 - Duplicate Upload Detection
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- SONGS - SHA-256 of the original file
+-- Set on every upload; an upload whose bytes match a ready song is refused.
+-- Not unique: songs uploaded before this migration are hashed by a backfill
+-- job and may turn out to be duplicates, which the admin report lists.
+-- ============================================================================
+ALTER TABLE songs
+    ADD COLUMN IF NOT EXISTS content_hash CHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_songs_content_hash
+    ON songs(content_hash)
+    WHERE content_hash IS NOT NULL;
+
+-- Backfill job: ready songs not hashed yet
+CREATE INDEX IF NOT EXISTS idx_songs_unhashed
+    ON songs(created_at)
+    WHERE content_hash IS NULL AND status = 'ready';
+
+COMMENT ON COLUMN songs.content_hash IS 'Hex SHA-256 of the original audio file';
+
+-- ============================================================================
+-- Duplicate groups: hashes shared by more than one ready song
+-- ============================================================================
+CREATE OR REPLACE VIEW v_duplicate_song_groups AS
+SELECT
+    content_hash,
+    COUNT(*) AS song_count,
+    MIN(created_at) AS first_uploaded_at,
+    MAX(created_at) AS last_uploaded_at
+FROM songs
+WHERE content_hash IS NOT NULL
+    AND status = 'ready'
+    AND deleted_at IS NULL
+GROUP BY content_hash
+HAVING COUNT(*) > 1;
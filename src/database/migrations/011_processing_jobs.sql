@@ -0,0 +1,67 @@
+-- FreeTune Database Schema v11 - Media Processing Queue
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- PROCESSING JOBS - Background work queued per song (transcoding, ...)
+-- One row per song and job type; queueing it again resets the row. Failed
+-- attempts are retried after run_after until max_attempts is reached.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS processing_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    song_id UUID NOT NULL REFERENCES songs(id) ON DELETE CASCADE,
+    type VARCHAR(32) NOT NULL,
+    status VARCHAR(16) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+
+    -- Retries
+    attempts INTEGER NOT NULL DEFAULT 0 CHECK (attempts >= 0),
+    max_attempts INTEGER NOT NULL DEFAULT 3 CHECK (max_attempts > 0),
+    run_after TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    error TEXT, -- last failure
+
+    -- Lifecycle
+    started_at TIMESTAMP WITH TIME ZONE, -- current or last attempt
+    completed_at TIMESTAMP WITH TIME ZONE,
+    result JSONB,
+
+    -- System Fields
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE (song_id, type)
+);
+
+-- Worker: due jobs, and jobs left running by a crashed worker
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_due
+    ON processing_jobs(run_after) WHERE status = 'queued';
+
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_running
+    ON processing_jobs(started_at) WHERE status = 'processing';
+
+CREATE TRIGGER update_processing_jobs_updated_at
+    BEFORE UPDATE ON processing_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE processing_jobs IS 'Background processing per song (e.g. transcode); retried with backoff until max_attempts';
+
+-- ============================================================================
+-- SONGS - available_qualities lists only tiers that have been produced
+-- It defaulted to every tier although nothing produced them; the transcode
+-- job now fills it in (tiers with a rendition and HLS segments).
+-- ============================================================================
+ALTER TABLE songs
+    ALTER COLUMN available_qualities SET DEFAULT '{}';
+
+UPDATE songs
+SET available_qualities = ARRAY(
+    SELECT quality FROM unnest(available_qualities) AS quality
+    WHERE file_sizes ? quality
+)
+WHERE available_qualities IS NOT NULL;
+
+-- Transcode every existing song
+INSERT INTO processing_jobs (song_id, type)
+SELECT id, 'transcode'
+FROM songs
+WHERE status = 'ready' AND deleted_at IS NULL
+ON CONFLICT (song_id, type) DO NOTHING;
@@ -0,0 +1,38 @@
+-- FreeTune Database Schema v12 - Song Trash
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- SONGS - Soft delete
+-- Deleting a song sets deleted_at (and who did it); catalogue queries skip
+-- such songs. They can be restored until the purge job removes the row and
+-- its files after the retention period (SONG_TRASH_RETENTION_DAYS).
+-- ============================================================================
+ALTER TABLE songs
+    ADD COLUMN IF NOT EXISTS deleted_by UUID;
+
+COMMENT ON COLUMN songs.deleted_at IS 'Moved to the trash at; purged after the retention period';
+COMMENT ON COLUMN songs.deleted_by IS 'User who moved the song to the trash (uploader or admin)';
+
+-- Trash listing per uploader (idx_songs_deleted serves the purge job)
+CREATE INDEX IF NOT EXISTS idx_songs_trash_uploader
+    ON songs((metadata->>'uploaded_by'), deleted_at DESC)
+    WHERE deleted_at IS NOT NULL;
+
+-- ============================================================================
+-- PLAYLISTS - Drop purged songs
+-- song_ids is an array without a foreign key; remove a song from every
+-- playlist when its row is deleted (song_count follows via its trigger).
+-- ============================================================================
+CREATE OR REPLACE FUNCTION remove_song_from_playlists()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE playlists
+    SET song_ids = array_remove(song_ids, OLD.id)
+    WHERE OLD.id = ANY(song_ids);
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER remove_deleted_song_from_playlists
+    AFTER DELETE ON songs
+    FOR EACH ROW EXECUTE FUNCTION remove_song_from_playlists();
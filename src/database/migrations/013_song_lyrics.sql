@@ -0,0 +1,33 @@
+-- FreeTune Database Schema v13 - Song Lyrics
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- SONG LYRICS - One set of lyrics per song (plain, LRC or enhanced LRC)
+-- The uploaded text is kept as is and parsed into time-coded lines when
+-- served; plain_text (no timestamps or tags) is what search matches.
+-- songs.lyrics_available is set when lyrics are saved and cleared when
+-- they are removed.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS song_lyrics (
+    song_id UUID PRIMARY KEY REFERENCES songs(id) ON DELETE CASCADE,
+    format VARCHAR(16) NOT NULL CHECK (format IN ('plain', 'lrc', 'enhanced_lrc')),
+    source TEXT NOT NULL, -- as uploaded
+    plain_text TEXT NOT NULL,
+    language VARCHAR(16), -- BCP 47, e.g. en or pt-BR
+    line_count INTEGER NOT NULL DEFAULT 0 CHECK (line_count >= 0),
+    uploaded_by UUID,
+
+    -- System Fields
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Search by a remembered line (ILIKE '%...%')
+CREATE INDEX IF NOT EXISTS idx_song_lyrics_text_trgm
+    ON song_lyrics USING gin(plain_text gin_trgm_ops);
+
+CREATE TRIGGER update_song_lyrics_updated_at
+    BEFORE UPDATE ON song_lyrics
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE song_lyrics IS 'Lyrics per song: uploaded text (plain/LRC/enhanced LRC) and its searchable plain text';
@@ -0,0 +1,25 @@
+-- FreeTune Database Schema v14 - Song Loudness
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- SONGS - Loudness for volume normalisation
+-- Measured by the loudness processing job on the decoded original
+-- (ITU-R BS.1770 / EBU R128). Players apply track_gain_db to play every
+-- song at the -18 LUFS reference, limiting it so track_peak stays below 1.
+-- NULL until measured, and for silent tracks.
+-- ============================================================================
+ALTER TABLE songs
+    ADD COLUMN IF NOT EXISTS loudness_lufs REAL,
+    ADD COLUMN IF NOT EXISTS track_gain_db REAL,
+    ADD COLUMN IF NOT EXISTS track_peak REAL CHECK (track_peak >= 0);
+
+COMMENT ON COLUMN songs.loudness_lufs IS 'Integrated loudness of the original in LUFS (EBU R128)';
+COMMENT ON COLUMN songs.track_gain_db IS 'ReplayGain-style track gain in dB to reach -18 LUFS';
+COMMENT ON COLUMN songs.track_peak IS 'Sample peak of the original, linear (1.0 = full scale)';
+
+-- Measure loudness for every existing song
+INSERT INTO processing_jobs (song_id, type)
+SELECT id, 'loudness'
+FROM songs
+WHERE status = 'ready' AND deleted_at IS NULL
+ON CONFLICT (song_id, type) DO NOTHING;
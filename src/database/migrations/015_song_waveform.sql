@@ -0,0 +1,20 @@
+-- FreeTune Database Schema v15 - Song Waveforms
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- SONGS - Waveform peaks for seek bars
+-- The waveform processing job decodes the original and stores its peaks as
+-- JSON under waveforms/ (named after the original). This column records the
+-- stored object: { key, size, points, generated_at }. NULL until generated.
+-- ============================================================================
+ALTER TABLE songs
+    ADD COLUMN IF NOT EXISTS waveform JSONB;
+
+COMMENT ON COLUMN songs.waveform IS 'Stored waveform peaks object { key, size, points, generated_at }';
+
+-- Generate waveforms for every existing song
+INSERT INTO processing_jobs (song_id, type)
+SELECT id, 'waveform'
+FROM songs
+WHERE status = 'ready' AND deleted_at IS NULL
+ON CONFLICT (song_id, type) DO NOTHING;
@@ -0,0 +1,15 @@
+-- FreeTune Database Schema v16 - Audio Feature Analysis
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- PROCESSING JOBS - Audio features for recommendations
+-- The features job analyses the decoded original (tempo, key and mode,
+-- energy, spectral features, danceability, valence) and upserts the song's
+-- SongFeature document in MongoDB. Nothing changes in this schema; existing
+-- songs are queued so recommendations cover them too.
+-- ============================================================================
+INSERT INTO processing_jobs (song_id, type)
+SELECT id, 'features'
+FROM songs
+WHERE status = 'ready' AND deleted_at IS NULL
+ON CONFLICT (song_id, type) DO NOTHING;
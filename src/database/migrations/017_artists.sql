@@ -0,0 +1,89 @@
+-- FreeTune Database Schema v17 - Artists
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- ARTIST NAMES - Normalised for matching
+-- NFKC, whitespace collapsed and trimmed, lower case: "Drake" and "drake "
+-- are the same artist. Must match normalizeArtistName (src/utils/artistName.js).
+-- ============================================================================
+CREATE OR REPLACE FUNCTION normalize_artist_name(name TEXT)
+RETURNS TEXT AS $$
+    SELECT NULLIF(lower(btrim(regexp_replace(normalize(name, NFKC), '\s+', ' ', 'g'))), '');
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION normalize_artist_names(names TEXT[])
+RETURNS TEXT[] AS $$
+    SELECT COALESCE(array_agg(DISTINCT normalize_artist_name(name)) FILTER (WHERE normalize_artist_name(name) IS NOT NULL), '{}')
+    FROM unnest(names) AS name;
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- ============================================================================
+-- ARTISTS - One row per artist songs are credited to
+-- Songs link through songs.artist_id (songs.artist keeps the credit as
+-- written). Aliases are other names the artist is credited under; uploads
+-- crediting a name or alias link to the artist, anything else creates one.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS artists (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    normalized_name TEXT GENERATED ALWAYS AS (normalize_artist_name(name)) STORED NOT NULL UNIQUE,
+    slug VARCHAR(255) NOT NULL UNIQUE,
+    bio TEXT,
+    image_url TEXT,
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    alias_keys TEXT[] GENERATED ALWAYS AS (normalize_artist_names(aliases)) STORED,
+
+    -- System Fields
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_artists_alias_keys ON artists USING gin(alias_keys);
+
+CREATE TRIGGER update_artists_updated_at
+    BEFORE UPDATE ON artists
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE artists IS 'Artists songs are credited to; songs link by normalised name or alias';
+COMMENT ON COLUMN artists.aliases IS 'Other names the artist is credited under, matched after normalisation';
+
+-- ============================================================================
+-- SONGS - Link to the artist
+-- ============================================================================
+ALTER TABLE songs
+    ADD COLUMN IF NOT EXISTS artist_id UUID REFERENCES artists(id) ON DELETE SET NULL;
+
+-- Artist pages: top tracks and albums
+CREATE INDEX IF NOT EXISTS idx_songs_artist_id
+    ON songs(artist_id, play_count DESC)
+    WHERE deleted_at IS NULL;
+
+COMMENT ON COLUMN songs.artist_id IS 'Artist of songs.artist, matched by normalised name';
+
+-- Create an artist for every distinct normalised name, named after its most
+-- used spelling; slugs that collide get a suffix from the name's hash
+INSERT INTO artists (name, slug)
+SELECT name, CASE WHEN slug_rank = 1 THEN base_slug ELSE base_slug || '-' || left(md5(key), 6) END
+FROM (
+    SELECT name, key, base_slug, row_number() OVER (PARTITION BY base_slug ORDER BY key) AS slug_rank
+    FROM (
+        SELECT DISTINCT ON (key)
+            regexp_replace(btrim(artist), '\s+', ' ', 'g') AS name,
+            key,
+            COALESCE(NULLIF(btrim(regexp_replace(key, '[^[:alnum:]]+', '-', 'g'), '-'), ''), 'artist') AS base_slug
+        FROM (
+            SELECT artist, normalize_artist_name(artist) AS key, count(*) AS uses, min(created_at) AS first_used
+            FROM songs
+            GROUP BY artist
+        ) spellings
+        WHERE key IS NOT NULL
+        ORDER BY key, uses DESC, first_used
+    ) names
+) ranked
+ON CONFLICT (normalized_name) DO NOTHING;
+
+UPDATE songs
+SET artist_id = artists.id
+FROM artists
+WHERE artists.normalized_name = normalize_artist_name(songs.artist)
+  AND songs.artist_id IS NULL;
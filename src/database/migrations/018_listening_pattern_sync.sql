@@ -0,0 +1,17 @@
+-- FreeTune Database Schema v18 - Listening Pattern Sync
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- USER INTERACTIONS - ListeningPattern sync state
+-- Playback writes each finished track here first, then to ListeningPattern
+-- (MongoDB). Rows stay pending until the pattern is written; the
+-- retryListeningPatterns job re-sends those whose write failed.
+-- ============================================================================
+ALTER TABLE user_interactions
+    ADD COLUMN IF NOT EXISTS listening_pattern_pending BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN user_interactions.listening_pattern_pending IS 'Finished track not yet written to ListeningPattern; retried by a background job';
+
+CREATE INDEX IF NOT EXISTS idx_interactions_listening_pattern_pending
+    ON user_interactions(created_at)
+    WHERE listening_pattern_pending;
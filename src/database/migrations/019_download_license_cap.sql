@@ -0,0 +1,75 @@
+-- FreeTune Database Schema v19 - Download Licence Cap
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- DOWNLOAD LICENSES - Atomic offline cap
+-- Issuing and renewing go through save_download_license, which holds a
+-- per-user lock while it counts unexpired licences and saves the row, so two
+-- concurrent requests cannot both take the last slot. A new licence and an
+-- expired one being brought back both need a free slot; extending a licence
+-- that is still active does not.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION save_download_license(
+    p_user_id UUID,
+    p_song_id UUID,
+    p_device_id VARCHAR,
+    p_quality VARCHAR,
+    p_expires_at TIMESTAMP WITH TIME ZONE,
+    p_max_active INTEGER,
+    p_license_id UUID DEFAULT NULL
+)
+RETURNS SETOF download_licenses AS $$
+DECLARE
+    existing download_licenses;
+    active_count INTEGER;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('download_licenses:' || p_user_id::TEXT));
+
+    -- Renewal names the licence; issuing looks up the live one for the device
+    IF p_license_id IS NOT NULL THEN
+        SELECT * INTO existing FROM download_licenses
+        WHERE id = p_license_id
+          AND user_id = p_user_id
+          AND device_id = p_device_id
+          AND revoked_at IS NULL;
+
+        IF NOT FOUND THEN
+            RETURN;
+        END IF;
+    ELSE
+        SELECT * INTO existing FROM download_licenses
+        WHERE user_id = p_user_id
+          AND song_id = p_song_id
+          AND device_id = p_device_id
+          AND revoked_at IS NULL;
+    END IF;
+
+    IF existing.id IS NULL OR existing.expires_at <= NOW() THEN
+        SELECT COUNT(*) INTO active_count FROM download_licenses
+        WHERE user_id = p_user_id
+          AND revoked_at IS NULL
+          AND expires_at > NOW();
+
+        IF active_count >= p_max_active THEN
+            RAISE EXCEPTION 'Offline download limit reached' USING ERRCODE = 'FT001';
+        END IF;
+    END IF;
+
+    IF existing.id IS NOT NULL THEN
+        UPDATE download_licenses
+        SET quality = COALESCE(p_quality, quality),
+            expires_at = p_expires_at,
+            renewed_at = NOW()
+        WHERE id = existing.id
+        RETURNING * INTO existing;
+    ELSE
+        INSERT INTO download_licenses (user_id, song_id, device_id, quality, expires_at)
+        VALUES (p_user_id, p_song_id, p_device_id, p_quality, p_expires_at)
+        RETURNING * INTO existing;
+    END IF;
+
+    RETURN NEXT existing;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION save_download_license IS 'Issue or renew a download licence under the per-user offline cap (raises FT001 when full)';
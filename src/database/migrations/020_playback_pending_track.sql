@@ -0,0 +1,18 @@
+-- FreeTune Database Schema v20 - Playback Pending Track
+-- PostgreSQL (Supabase)
+
+-- ============================================================================
+-- PLAYBACK SESSIONS - Finished track awaiting its user_interactions row
+-- The update that finishes a track stores the interaction here (with its
+-- final id) before the row is inserted. The session's next update inserts it
+-- again if that failed, and the recordPendingTracks job does the same for
+-- sessions that stopped changing; an id that already exists counts as done.
+-- ============================================================================
+ALTER TABLE playback_sessions
+    ADD COLUMN IF NOT EXISTS pending_track JSONB;
+
+COMMENT ON COLUMN playback_sessions.pending_track IS 'user_interactions row of the last finished track until it is known to be written';
+
+CREATE INDEX IF NOT EXISTS idx_playback_sessions_pending_track
+    ON playback_sessions(updated_at)
+    WHERE pending_track IS NOT NULL;
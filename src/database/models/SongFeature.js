@@ -66,6 +66,20 @@ const songFeatureSchema = new mongoose.Schema(
       min: 3,
       max: 7,
     },
+    // Spectral Features (in-house analysis)
+    spectralCentroid: {
+      type: Number, // Hz, brightness
+      min: 0,
+    },
+    spectralRolloff: {
+      type: Number, // Hz below which 85% of the spectrum lies
+      min: 0,
+    },
+    spectralFlatness: {
+      type: Number, // 0 tonal .. 1 noise-like
+      min: 0,
+      max: 1,
+    },
     // Genre Classification
     genres: {
       type: [String],
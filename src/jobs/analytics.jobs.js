@@ -1,5 +1,12 @@
 import AnalyticsService from '../services/analytics.service.js';
 import RecommendationService from '../services/recommendation.service.js';
+import PlaybackSessionService from '../services/playbackSession.service.js';
+import UploadSessionService from '../services/uploadSession.service.js';
+import DirectUploadService from '../services/directUpload.service.js';
+import DuplicateService from '../services/duplicate.service.js';
+import ProcessingQueueService from '../services/processingQueue.service.js';
+import SongTrashService from '../services/songTrash.service.js';
+import ReconciliationService from '../services/reconciliation.service.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -104,6 +111,177 @@ export const calculateTrendingSongs = async () => {
   }
 };
 
+/**
+ * Expire playback sessions that stopped sending heartbeats,
+ * recording the time that was actually listened
+ * Run: Every 5 minutes
+ */
+export const expirePlaybackSessions = async () => {
+  try {
+    logger.info('Starting playback session expiry...');
+    const result = await PlaybackSessionService.expireStaleSessions();
+    logger.info(
+      `Playback sessions expired: ${result.expired} (${result.failed} failed)`,
+    );
+    return result;
+  } catch (error) {
+    logger.error('Error expiring playback sessions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Write the user_interactions rows of finished tracks whose insert failed,
+ * for sessions that have not changed since (the track stays on the session
+ * as pending_track until it is written)
+ * Run: Every 5 minutes
+ */
+export const recordPendingPlaybackTracks = async () => {
+  try {
+    logger.info('Starting pending playback track recording...');
+    const result = await PlaybackSessionService.recordPendingTracks();
+    logger.info(
+      `Pending playback tracks recorded: ${result.recorded} (${result.failed} failed)`,
+    );
+    return result;
+  } catch (error) {
+    logger.error('Error recording pending playback tracks:', error);
+    throw error;
+  }
+};
+
+/**
+ * Write ListeningPattern records that failed when their track finished
+ * (MongoDB unavailable), so analytics match user_interactions
+ * Run: Every 5 minutes
+ */
+export const retryListeningPatterns = async () => {
+  try {
+    logger.info('Starting listening pattern retry...');
+    const result = await PlaybackSessionService.retryListeningPatterns();
+    logger.info(
+      `Listening patterns retried: ${result.synced} synced (${result.failed} failed)`,
+    );
+    return result;
+  } catch (error) {
+    logger.error('Error retrying listening patterns:', error);
+    throw error;
+  }
+};
+
+/**
+ * Abort resumable upload sessions that have seen no parts for the session
+ * TTL and discard their stored parts
+ * Run: Every hour
+ */
+export const expireUploadSessions = async () => {
+  try {
+    logger.info('Starting upload session cleanup...');
+    const result = await UploadSessionService.expireAbandonedSessions();
+    logger.info(
+      `Upload sessions expired: ${result.expired} (${result.failed} failed)`,
+    );
+    return result;
+  } catch (error) {
+    logger.error('Error expiring upload sessions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove songs created for presigned uploads that were never finalized,
+ * along with any file uploaded for them
+ * Run: Every hour
+ */
+export const expirePendingUploads = async () => {
+  try {
+    logger.info('Starting pending upload cleanup...');
+    const result = await DirectUploadService.expirePendingUploads();
+    logger.info(
+      `Pending uploads removed: ${result.removed} (${result.failed} failed)`,
+    );
+    return result;
+  } catch (error) {
+    logger.error('Error removing pending uploads:', error);
+    throw error;
+  }
+};
+
+/**
+ * Hash songs uploaded before content hashing so duplicate detection and the
+ * duplicates report cover them (downloads each file)
+ * Run: Every hour until every song is hashed
+ */
+export const backfillContentHashes = async () => {
+  try {
+    logger.info('Starting content hash backfill...');
+    const result = await DuplicateService.backfillHashes();
+    logger.info(
+      `Content hashes backfilled: ${result.hashed} (${result.failed} failed)`,
+    );
+    return result;
+  } catch (error) {
+    logger.error('Error backfilling content hashes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Run due media processing jobs (transcoding), retrying failed ones with
+ * backoff and recovering jobs abandoned by a crashed worker
+ * Run: Every minute
+ */
+export const processMediaJobs = async () => {
+  try {
+    logger.info('Starting media processing...');
+    const result = await ProcessingQueueService.runDueJobs();
+    logger.info(
+      `Media processing: ${result.completed} completed, ${result.retried} retried, ${result.failed} failed (${result.recovered} recovered)`,
+    );
+    return result;
+  } catch (error) {
+    logger.error('Error processing media jobs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Permanently delete songs (rows and stored files) that have been in the
+ * trash longer than the retention period
+ * Run: Every hour
+ */
+export const purgeTrashedSongs = async () => {
+  try {
+    logger.info('Starting trash purge...');
+    const result = await SongTrashService.purgeExpired();
+    logger.info(`Trashed songs purged: ${result.purged} (${result.failed} failed)`);
+    return result;
+  } catch (error) {
+    logger.error('Error purging trashed songs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Compare the storage bucket with the songs table and report orphaned,
+ * missing and mis-sized objects; cleans up when STORAGE_RECONCILE_CLEANUP
+ * is set, otherwise a dry run
+ * Run: Daily at 4 AM
+ */
+export const reconcileStorage = async () => {
+  try {
+    logger.info('Starting storage reconciliation...');
+    const result = await ReconciliationService.run();
+    logger.info(
+      `Storage reconciliation${result.cleanup ? '' : ' (dry run)'}: ${result.orphanObjects.length} orphaned, ${result.missingObjects.length} missing, ${result.sizeMismatches.length} size mismatches`,
+    );
+    return result;
+  } catch (error) {
+    logger.error('Error reconciling storage:', error);
+    throw error;
+  }
+};
+
 /**
  * Job registry for easy scheduling
  */
@@ -128,6 +306,51 @@ export const jobs = {
     schedule: '0 * * * *', // Every hour
     handler: calculateTrendingSongs,
   },
+  expirePlaybackSessions: {
+    name: 'Expire Playback Sessions',
+    schedule: '*/5 * * * *', // Every 5 minutes
+    handler: expirePlaybackSessions,
+  },
+  recordPendingPlaybackTracks: {
+    name: 'Record Pending Playback Tracks',
+    schedule: '1-59/5 * * * *', // Every 5 minutes, after session expiry
+    handler: recordPendingPlaybackTracks,
+  },
+  retryListeningPatterns: {
+    name: 'Retry Listening Patterns',
+    schedule: '2-59/5 * * * *', // Every 5 minutes, offset from session expiry
+    handler: retryListeningPatterns,
+  },
+  expireUploadSessions: {
+    name: 'Expire Upload Sessions',
+    schedule: '30 * * * *', // Every hour at :30
+    handler: expireUploadSessions,
+  },
+  expirePendingUploads: {
+    name: 'Expire Pending Uploads',
+    schedule: '45 * * * *', // Every hour at :45
+    handler: expirePendingUploads,
+  },
+  backfillContentHashes: {
+    name: 'Backfill Content Hashes',
+    schedule: '15 * * * *', // Every hour at :15
+    handler: backfillContentHashes,
+  },
+  processMediaJobs: {
+    name: 'Process Media Jobs',
+    schedule: '* * * * *', // Every minute
+    handler: processMediaJobs,
+  },
+  purgeTrashedSongs: {
+    name: 'Purge Trashed Songs',
+    schedule: '20 * * * *', // Every hour at :20
+    handler: purgeTrashedSongs,
+  },
+  reconcileStorage: {
+    name: 'Reconcile Storage',
+    schedule: '0 4 * * *', // Daily at 4 AM
+    handler: reconcileStorage,
+  },
 };
 
 export default jobs;
@@ -3,6 +3,21 @@ import config from '../config/index.js';
 import { getSupabaseClient } from '../database/connections/supabase.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import ApiError from '../utils/apiError.js';
+import { ERROR_MESSAGES, ROLES } from '../utils/constants.js';
+
+/**
+ * Build req.user from a Supabase user
+ * The role comes from app_metadata (set by admins only), after the spread so
+ * user-editable user_metadata cannot override it.
+ * @param {Object} user - Supabase auth user
+ * @returns {Object} Request user
+ */
+const toRequestUser = user => ({
+  id: user.id,
+  email: user.email,
+  ...user.user_metadata,
+  role: user.app_metadata?.role || ROLES.USER,
+});
 
 /**
  * Authentication Middleware
@@ -30,11 +45,7 @@ const authMiddleware = asyncHandler(async (req, res, next) => {
   }
 
   // Attach user info to request
-  req.user = {
-    id: user.id,
-    email: user.email,
-    ...user.user_metadata,
-  };
+  req.user = toRequestUser(user);
 
   next();
 });
@@ -55,11 +66,7 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
         const { data: { user } } = await supabase.auth.getUser(token);
 
         if (user) {
-          req.user = {
-            id: user.id,
-            email: user.email,
-            ...user.user_metadata,
-          };
+          req.user = toRequestUser(user);
         }
       }
     } catch (error) {
@@ -70,4 +77,19 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
   next();
 });
 
-export { authMiddleware, optionalAuth };
+/**
+ * Role Middleware
+ * Use after authMiddleware; rejects users without one of the given roles
+ * @param {...string} roles - Allowed roles (ROLES values)
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(ApiError.unauthorized(ERROR_MESSAGES.UNAUTHORIZED));
+  }
+  if (!roles.includes(req.user.role)) {
+    return next(ApiError.forbidden(ERROR_MESSAGES.FORBIDDEN));
+  }
+  return next();
+};
+
+export { authMiddleware, optionalAuth, requireRole };
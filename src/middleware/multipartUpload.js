@@ -0,0 +1,62 @@
+import fs from 'fs/promises';
+import ApiError from '../utils/apiError.js';
+import { HTTP_STATUS } from '../utils/constants.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Request Size Limit Middleware
+ * Caps the whole request body, which multer's per-file fileSize cannot.
+ * A declared Content-Length over the cap is refused before anything is
+ * read; chunked bodies are counted as they arrive and the upload is aborted
+ * once they pass it (multer removes the files it already stored). Must run
+ * directly before the multer middleware.
+ * @param {number} maxBytes - Largest request body
+ * @returns {Function} Express middleware
+ */
+const limitRequestSize = maxBytes => (req, res, next) => {
+  const tooLarge = () =>
+    new ApiError(
+      HTTP_STATUS.PAYLOAD_TOO_LARGE,
+      `Request too large. Maximum size: ${maxBytes / (1024 * 1024)}MB`,
+    );
+
+  if (Number(req.headers['content-length']) > maxBytes) {
+    return next(tooLarge());
+  }
+
+  let received = 0;
+  let exceeded = false;
+  req.on('data', chunk => {
+    received += chunk.length;
+    if (received > maxBytes && !exceeded) {
+      exceeded = true;
+      // multer stops on request errors, removes what it stored and passes the error on
+      if (req.listenerCount('error') > 0) req.emit('error', tooLarge());
+    }
+  });
+
+  return next();
+};
+
+/**
+ * Delete multer's temporary files once the response is done
+ * For routes using disk storage; must run before the multer middleware.
+ */
+const removeUploadedFiles = (req, res, next) => {
+  res.on('close', () => {
+    const files = [
+      req.file,
+      ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat()),
+    ].filter(file => file?.path);
+
+    for (const file of files) {
+      fs.rm(file.path, { force: true }).catch(error =>
+        logger.warn(`Failed to remove upload ${file.path}:`, error),
+      );
+    }
+  });
+
+  next();
+};
+
+export { limitRequestSize, removeUploadedFiles };
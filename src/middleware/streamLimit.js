@@ -0,0 +1,55 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import ApiError from '../utils/apiError.js';
+import StreamLimitService from '../services/streamLimit.service.js';
+import { ERROR_CODES, STREAM_LIMIT_CONFIG } from '../utils/constants.js';
+
+/**
+ * Read the streaming device from request headers
+ * Clients send a stable X-Device-Id (and optionally X-Device-Name).
+ * @param {Object} req - Express request
+ * @returns {Object} { deviceId, deviceName }; deviceId is null without the header
+ */
+const getStreamDevice = req => {
+  const deviceId = req.get(STREAM_LIMIT_CONFIG.DEVICE_HEADER)?.trim() || null;
+  const deviceName =
+    req.get(STREAM_LIMIT_CONFIG.DEVICE_NAME_HEADER)?.trim() || null;
+
+  if (deviceId && deviceId.length > STREAM_LIMIT_CONFIG.DEVICE_ID_MAX) {
+    throw ApiError.badRequest(
+      `X-Device-Id must be at most ${STREAM_LIMIT_CONFIG.DEVICE_ID_MAX} characters`,
+    );
+  }
+
+  return {
+    deviceId,
+    deviceName: deviceName?.slice(0, STREAM_LIMIT_CONFIG.DEVICE_NAME_MAX) || null,
+  };
+};
+
+/**
+ * Concurrent Stream Limit Middleware
+ * Claims (or refreshes) the device's streaming slot; responds 409 when the
+ * account is already streaming on the maximum number of other devices.
+ * Requests without X-Device-Id get 400: devices without an ID could not be
+ * told apart and would all share one slot. Must run after authMiddleware.
+ */
+const enforceStreamLimit = asyncHandler(async (req, res, next) => {
+  const { deviceId, deviceName } = getStreamDevice(req);
+  if (!deviceId) {
+    throw ApiError.badRequest('X-Device-Id header is required to stream', [
+      { code: ERROR_CODES.DEVICE_ID_REQUIRED },
+    ]);
+  }
+
+  req.streamDevice = await StreamLimitService.claim(req.user.id, {
+    deviceId,
+    deviceName,
+    songId: req.params.id || req.body?.song_id,
+  });
+  req.deviceId = deviceId;
+
+  next();
+});
+
+export { enforceStreamLimit, getStreamDevice };
+export default enforceStreamLimit;
@@ -0,0 +1,24 @@
+/**
+ * Artist Routes
+ * Artist pages
+ */
+
+import { Router } from "express";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { authMiddleware } from "../../middleware/auth.js";
+import { validate } from "../../middleware/validator.js";
+import { artistPageSchema } from "../../validators/artists.validators.js";
+
+import { getArtist } from "../../controllers/artists/artists.controller.js";
+
+const router = Router();
+
+// GET /api/v1/artists/:id - Artist page (ID or slug): top tracks, albums, related artists
+router.get(
+  "/:id",
+  authMiddleware,
+  validate(artistPageSchema),
+  asyncHandler(getArtist)
+);
+
+export default router;
@@ -0,0 +1,31 @@
+/**
+ * Downloads Routes
+ * Offline download licence management (list, renew, revoke)
+ */
+
+import { Router } from "express";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { authMiddleware } from "../../middleware/auth.js";
+
+import {
+  listDownloadLicenses,
+  renewDownloadLicense,
+  revokeDownloadLicense,
+} from "../../controllers/songs/download.controller.js";
+
+const router = Router();
+
+// GET /api/v1/downloads - List the user's offline licences
+router.get("/", authMiddleware, asyncHandler(listDownloadLicenses));
+
+// POST /api/v1/downloads/:licenseId/renew - Extend a licence's expiry
+router.post(
+  "/:licenseId/renew",
+  authMiddleware,
+  asyncHandler(renewDownloadLicense)
+);
+
+// DELETE /api/v1/downloads/:licenseId - Revoke a licence
+router.delete("/:licenseId", authMiddleware, asyncHandler(revokeDownloadLicense));
+
+export default router;
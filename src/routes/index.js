@@ -2,9 +2,13 @@ import { Router } from 'express';
 import healthCheckRouter from './healthcheck/index.js';
 import authRouter from './user/auth.routes.js';
 import songsRouter from './songs/index.js';
+import artistsRouter from './artists/index.js';
 import playlistsRouter from './playlists/index.js';
 import recommendationsRouter from './recommendations/index.js';
 import analyticsRouter from './analytics/index.js';
+import downloadsRouter from './downloads/index.js';
+import playbackRouter from './playback/index.js';
+import storageRouter from './storage/index.js';
 
 const router = Router();
 
@@ -17,6 +21,9 @@ router.use('/auth', authRouter);
 // Mount songs routes (includes upload & streaming)
 router.use('/songs', songsRouter);
 
+// Mount artist routes
+router.use('/artists', artistsRouter);
+
 // Mount playlists routes
 router.use('/playlists', playlistsRouter);
 
@@ -26,4 +33,13 @@ router.use('/recommendations', recommendationsRouter);
 // Mount analytics routes
 router.use('/analytics', analyticsRouter);
 
+// Mount offline download licence routes
+router.use('/downloads', downloadsRouter);
+
+// Mount playback session routes
+router.use('/playback', playbackRouter);
+
+// Mount signed file routes (local/memory storage drivers)
+router.use('/storage', storageRouter);
+
 export default router;
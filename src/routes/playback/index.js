@@ -0,0 +1,62 @@
+/**
+ * Playback Routes
+ * Server-owned playback sessions (start, heartbeat, end) and concurrent
+ * stream management
+ */
+
+import { Router } from "express";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { authMiddleware } from "../../middleware/auth.js";
+import { validate } from "../../middleware/validator.js";
+import { streamLimiter } from "../../middleware/rateLimiter.js";
+import { enforceStreamLimit } from "../../middleware/streamLimit.js";
+import {
+  startSessionSchema,
+  heartbeatSchema,
+  endSessionSchema,
+} from "../../validators/playback.validators.js";
+
+import {
+  startSession,
+  sendHeartbeat,
+  endSession,
+  listActiveStreams,
+  kickStream,
+} from "../../controllers/playback/playback.controller.js";
+
+const router = Router();
+
+// POST /api/v1/playback/sessions - Start a session
+router.post(
+  "/sessions",
+  authMiddleware,
+  streamLimiter,
+  validate(startSessionSchema),
+  enforceStreamLimit,
+  asyncHandler(startSession)
+);
+
+// POST /api/v1/playback/sessions/:sessionId/heartbeat - Report position
+router.post(
+  "/sessions/:sessionId/heartbeat",
+  authMiddleware,
+  validate(heartbeatSchema),
+  enforceStreamLimit,
+  asyncHandler(sendHeartbeat)
+);
+
+// POST /api/v1/playback/sessions/:sessionId/end - Finalise the session
+router.post(
+  "/sessions/:sessionId/end",
+  authMiddleware,
+  validate(endSessionSchema),
+  asyncHandler(endSession)
+);
+
+// GET /api/v1/playback/streams - Devices currently streaming on the account
+router.get("/streams", authMiddleware, asyncHandler(listActiveStreams));
+
+// DELETE /api/v1/playback/streams/:deviceId - Stop playback on another device
+router.delete("/streams/:deviceId", authMiddleware, asyncHandler(kickStream));
+
+export default router;
@@ -4,8 +4,12 @@
  */
 
 import { Router } from "express";
+import multer from "multer";
 import { asyncHandler } from "../../utils/asyncHandler.js";
 import { authMiddleware } from "../../middleware/auth.js";
+import { validate } from "../../middleware/validator.js";
+import { FILE_UPLOAD_CONFIG } from "../../utils/constants.js";
+import { coverUploadSchema } from "../../validators/songs.validators.js";
 
 // Import controllers
 import {
@@ -17,9 +21,19 @@ import {
   addSongToPlaylist,
   removeSongFromPlaylist,
 } from "../../controllers/songs/playlist.controller.js";
+import { uploadPlaylistCover } from "../../controllers/songs/artwork.controller.js";
 
 const router = Router();
 
+// Cover images: one image, decoded and resized in memory
+const artworkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: FILE_UPLOAD_CONFIG.IMAGE_MAX_SIZE,
+    files: 1,
+  },
+});
+
 /**
  * Playlist CRUD Routes
  */
@@ -36,6 +50,15 @@ router.get("/:id", authMiddleware, asyncHandler(getPlaylistById));
 // PATCH /api/v1/playlists/:id - Update playlist details
 router.patch("/:id", authMiddleware, asyncHandler(updatePlaylist));
 
+// PUT /api/v1/playlists/:id/cover - Replace the playlist's cover image
+router.put(
+  "/:id/cover",
+  authMiddleware,
+  artworkUpload.single("image"),
+  validate(coverUploadSchema),
+  asyncHandler(uploadPlaylistCover)
+);
+
 // DELETE /api/v1/playlists/:id - Delete playlist
 router.delete("/:id", authMiddleware, asyncHandler(deletePlaylist));
 
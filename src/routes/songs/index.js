@@ -3,10 +3,39 @@
  * All song-related endpoints (CRUD, search, favorites, streaming, upload)
  */
 
-import { Router } from "express";
+import express, { Router } from "express";
 import multer from "multer";
+import os from "os";
 import { asyncHandler } from "../../utils/asyncHandler.js";
-import { authMiddleware } from "../../middleware/auth.js";
+import { authMiddleware, requireRole } from "../../middleware/auth.js";
+import { validate } from "../../middleware/validator.js";
+import { streamLimiter } from "../../middleware/rateLimiter.js";
+import { enforceStreamLimit } from "../../middleware/streamLimit.js";
+import { limitRequestSize, removeUploadedFiles } from "../../middleware/multipartUpload.js";
+import {
+  ALBUM_UPLOAD_CONFIG,
+  FILE_UPLOAD_CONFIG,
+  LYRICS_CONFIG,
+  ROLES,
+  UPLOAD_SESSION_CONFIG,
+} from "../../utils/constants.js";
+import {
+  streamUrlsSchema,
+  createUploadSessionSchema,
+  uploadSessionSchema,
+  uploadPartSchema,
+  uploadUrlSchema,
+  finalizeUploadSchema,
+  albumUploadSchema,
+  coverUploadSchema,
+  albumCoverSchema,
+  duplicateGroupsSchema,
+  processingStatusSchema,
+  trashListSchema,
+  songIdSchema,
+  lyricsUploadSchema,
+  waveformSchema,
+} from "../../validators/songs.validators.js";
 
 // Import controllers
 import {
@@ -22,17 +51,53 @@ import {
 
 import {
   uploadSong,
+  uploadAlbum,
+  createUploadUrl,
+  finalizeUpload,
   updateSongMetadata,
   deleteSong,
 } from "../../controllers/songs/upload.controller.js";
 
 import {
   getStreamUrl,
+  getStreamUrls,
   streamSong,
+  getPreview,
+  getMasterPlaylist,
+  getMediaPlaylist,
   trackPlayback,
   getFileMetadata,
 } from "../../controllers/songs/stream.controller.js";
 
+import {
+  createUploadSession,
+  getUploadSession,
+  uploadSessionPart,
+  completeUploadSession,
+  abortUploadSession,
+} from "../../controllers/songs/uploadSession.controller.js";
+
+import {
+  uploadSongCover,
+  uploadAlbumCover,
+} from "../../controllers/songs/artwork.controller.js";
+
+import { getDuplicateGroups } from "../../controllers/songs/duplicate.controller.js";
+
+import { getProcessingStatus } from "../../controllers/songs/processing.controller.js";
+
+import { getTrash, restoreSong } from "../../controllers/songs/trash.controller.js";
+
+import {
+  getLyrics,
+  uploadLyrics,
+  deleteLyrics,
+} from "../../controllers/songs/lyrics.controller.js";
+
+import { getWaveform } from "../../controllers/songs/waveform.controller.js";
+
+import { issueDownloadLicense } from "../../controllers/songs/download.controller.js";
+
 const router = Router();
 
 // Configure multer for file uploads (memory storage for R2)
@@ -43,6 +108,35 @@ const upload = multer({
   },
 });
 
+// Album uploads: many audio files or one zip, spooled to disk so a request
+// never sits in memory whole (per-track size is checked on ingest; the whole
+// request is capped by limitRequestSize)
+const albumUpload = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: {
+    fileSize: ALBUM_UPLOAD_CONFIG.MAX_ARCHIVE_SIZE,
+    files: ALBUM_UPLOAD_CONFIG.MAX_TRACKS,
+  },
+});
+
+// Cover art: one image, decoded and resized in memory
+const artworkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: FILE_UPLOAD_CONFIG.IMAGE_MAX_SIZE,
+    files: 1,
+  },
+});
+
+// Lyrics: one .lrc/.txt file (or the "lyrics" text field)
+const lyricsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: LYRICS_CONFIG.MAX_FILE_SIZE,
+    files: 1,
+  },
+});
+
 /**
  * Public/Authenticated Song Routes
  */
@@ -62,6 +156,58 @@ router.get("/recently-played", authMiddleware, asyncHandler(getRecentlyPlayed));
 // GET /api/v1/songs/favorites - Get user's favorite songs
 router.get("/favorites", authMiddleware, asyncHandler(getFavorites));
 
+// GET /api/v1/songs/duplicates - Songs uploaded more than once (admin)
+router.get(
+  "/duplicates",
+  authMiddleware,
+  requireRole(ROLES.ADMIN),
+  validate(duplicateGroupsSchema),
+  asyncHandler(getDuplicateGroups)
+);
+
+// GET /api/v1/songs/trash - Deleted songs that can still be restored
+router.get(
+  "/trash",
+  authMiddleware,
+  validate(trashListSchema),
+  asyncHandler(getTrash)
+);
+
+// GET /api/v1/songs/upload-sessions/:sessionId - Session status and missing parts
+router.get(
+  "/upload-sessions/:sessionId",
+  authMiddleware,
+  validate(uploadSessionSchema),
+  asyncHandler(getUploadSession)
+);
+
+// GET /api/v1/songs/:id/preview - 30s preview clip (public, cacheable)
+router.get("/:id/preview", asyncHandler(getPreview));
+
+// GET /api/v1/songs/:id/processing - Transcoding jobs and produced quality tiers
+router.get(
+  "/:id/processing",
+  authMiddleware,
+  validate(processingStatusSchema),
+  asyncHandler(getProcessingStatus)
+);
+
+// GET /api/v1/songs/:id/lyrics - Lyrics as time-coded lines
+router.get(
+  "/:id/lyrics",
+  authMiddleware,
+  validate(songIdSchema),
+  asyncHandler(getLyrics)
+);
+
+// GET /api/v1/songs/:id/waveform - Peaks for the seek bar (?resolution=points)
+router.get(
+  "/:id/waveform",
+  authMiddleware,
+  validate(waveformSchema),
+  asyncHandler(getWaveform)
+);
+
 // GET /api/v1/songs/:id - Get single song by ID
 router.get("/:id", authMiddleware, asyncHandler(getSongById));
 
@@ -77,21 +223,174 @@ router.post(
   asyncHandler(uploadSong)
 );
 
+// POST /api/v1/songs/upload/album - Upload an album (audio files or a zip)
+router.post(
+  "/upload/album",
+  authMiddleware,
+  removeUploadedFiles,
+  limitRequestSize(ALBUM_UPLOAD_CONFIG.MAX_REQUEST_SIZE),
+  albumUpload.fields([
+    { name: "audio", maxCount: ALBUM_UPLOAD_CONFIG.MAX_TRACKS },
+    { name: "archive", maxCount: 1 },
+  ]),
+  validate(albumUploadSchema),
+  asyncHandler(uploadAlbum)
+);
+
+// POST /api/v1/songs/upload-url - Presigned PUT URL + pending song
+router.post(
+  "/upload-url",
+  authMiddleware,
+  validate(uploadUrlSchema),
+  asyncHandler(createUploadUrl)
+);
+
+// POST /api/v1/songs/:id/finalize - Queue the uploaded file for verification and publishing
+router.post(
+  "/:id/finalize",
+  authMiddleware,
+  validate(finalizeUploadSchema),
+  asyncHandler(finalizeUpload)
+);
+
+// POST /api/v1/songs/upload-sessions - Start a resumable upload
+router.post(
+  "/upload-sessions",
+  authMiddleware,
+  validate(createUploadSessionSchema),
+  asyncHandler(createUploadSession)
+);
+
+// PUT /api/v1/songs/upload-sessions/:sessionId/parts/:partNumber - Upload one part (raw body)
+router.put(
+  "/upload-sessions/:sessionId/parts/:partNumber",
+  authMiddleware,
+  express.raw({ type: () => true, limit: UPLOAD_SESSION_CONFIG.MAX_PART_SIZE }),
+  validate(uploadPartSchema),
+  asyncHandler(uploadSessionPart)
+);
+
+// POST /api/v1/songs/upload-sessions/:sessionId/complete - Assemble parts and queue the song for ingest
+router.post(
+  "/upload-sessions/:sessionId/complete",
+  authMiddleware,
+  validate(uploadSessionSchema),
+  asyncHandler(completeUploadSession)
+);
+
+// DELETE /api/v1/songs/upload-sessions/:sessionId - Abort and discard parts
+router.delete(
+  "/upload-sessions/:sessionId",
+  authMiddleware,
+  validate(uploadSessionSchema),
+  asyncHandler(abortUploadSession)
+);
+
+// PUT /api/v1/songs/albums/cover - Cover for every track of one of the user's albums
+router.put(
+  "/albums/cover",
+  authMiddleware,
+  artworkUpload.single("image"),
+  validate(albumCoverSchema),
+  asyncHandler(uploadAlbumCover)
+);
+
+// PUT /api/v1/songs/:id/cover - Replace a song's cover art
+router.put(
+  "/:id/cover",
+  authMiddleware,
+  artworkUpload.single("image"),
+  validate(coverUploadSchema),
+  asyncHandler(uploadSongCover)
+);
+
+// PUT /api/v1/songs/:id/lyrics - Save plain, LRC or enhanced LRC lyrics
+router.put(
+  "/:id/lyrics",
+  authMiddleware,
+  lyricsUpload.single("file"),
+  validate(lyricsUploadSchema),
+  asyncHandler(uploadLyrics)
+);
+
+// DELETE /api/v1/songs/:id/lyrics - Remove lyrics
+router.delete(
+  "/:id/lyrics",
+  authMiddleware,
+  validate(songIdSchema),
+  asyncHandler(deleteLyrics)
+);
+
 // PATCH /api/v1/songs/:id/metadata - Update song metadata
 router.patch("/:id/metadata", authMiddleware, asyncHandler(updateSongMetadata));
 
-// DELETE /api/v1/songs/:id - Delete song
-router.delete("/:id", authMiddleware, asyncHandler(deleteSong));
+// DELETE /api/v1/songs/:id - Move song to the trash
+router.delete(
+  "/:id",
+  authMiddleware,
+  validate(songIdSchema),
+  asyncHandler(deleteSong)
+);
+
+// POST /api/v1/songs/:id/restore - Restore song from the trash
+router.post(
+  "/:id/restore",
+  authMiddleware,
+  validate(songIdSchema),
+  asyncHandler(restoreSong)
+);
 
 /**
  * Streaming Routes
  */
 
+// POST /api/v1/songs/stream-urls - Presigned URLs for several songs (prefetch)
+router.post(
+  "/stream-urls",
+  streamLimiter,
+  authMiddleware,
+  validate(streamUrlsSchema),
+  enforceStreamLimit,
+  asyncHandler(getStreamUrls)
+);
+
 // GET /api/v1/songs/:id/stream-url - Get presigned streaming URL
-router.get("/:id/stream-url", authMiddleware, asyncHandler(getStreamUrl));
+router.get(
+  "/:id/stream-url",
+  streamLimiter,
+  authMiddleware,
+  enforceStreamLimit,
+  asyncHandler(getStreamUrl)
+);
+
+// GET /api/v1/songs/:id/stream - Stream song (redirect or Range-aware proxy)
+router.get(
+  "/:id/stream",
+  streamLimiter,
+  authMiddleware,
+  enforceStreamLimit,
+  asyncHandler(streamSong)
+);
+
+// GET /api/v1/songs/:id/master.m3u8 - HLS master playlist (adaptive bitrate)
+router.get(
+  "/:id/master.m3u8",
+  streamLimiter,
+  authMiddleware,
+  enforceStreamLimit,
+  asyncHandler(getMasterPlaylist)
+);
+
+// GET /api/v1/songs/:id/hls/:quality.m3u8 - HLS media playlist for one quality
+router.get(
+  "/:id/hls/:quality.m3u8",
+  streamLimiter,
+  authMiddleware,
+  asyncHandler(getMediaPlaylist)
+);
 
-// GET /api/v1/songs/:id/stream - Stream song directly (redirect)
-router.get("/:id/stream", authMiddleware, asyncHandler(streamSong));
+// POST /api/v1/songs/:id/download - Issue a device-bound offline licence
+router.post("/:id/download", authMiddleware, asyncHandler(issueDownloadLicense));
 
 // GET /api/v1/songs/:id/file-info - Get R2 file metadata
 router.get("/:id/file-info", authMiddleware, asyncHandler(getFileMetadata));
@@ -0,0 +1,31 @@
+/**
+ * Storage Routes
+ * Signed file access for the local and memory storage drivers, and public
+ * artwork
+ */
+
+import express, { Router } from "express";
+import config from "../../config/index.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import {
+  serveSignedFile,
+  receiveSignedUpload,
+  serveImage,
+} from "../../controllers/storage/storage.controller.js";
+
+const router = Router();
+
+// GET /api/v1/storage/files/:key?expires=&signature= - Signed file download
+router.get("/files/*", asyncHandler(serveSignedFile));
+
+// PUT /api/v1/storage/files/:key?expires=&signature= - Signed direct upload
+router.put(
+  "/files/*",
+  express.raw({ type: () => true, limit: config.uploads.maxSessionFileSize }),
+  asyncHandler(receiveSignedUpload)
+);
+
+// GET /api/v1/storage/images/:path - Artwork rendition (public, immutable)
+router.get("/images/*", asyncHandler(serveImage));
+
+export default router;
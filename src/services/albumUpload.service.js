@@ -0,0 +1,252 @@
+/**
+ * Album Upload Service
+ * Uploads many tracks in one request, either as separate files or as a zip.
+ * Album-level fields apply to every track and per-track overrides (matched
+ * by file name) win over them; tags in each file fill whatever is left.
+ * Tracks are created in disc/track order. Atomic uploads stop at the first
+ * failure and remove the tracks already created; otherwise every track is
+ * attempted and the result is reported per file. Files are read from disk
+ * one at a time, so an album never sits in memory whole.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import { sniffContainer } from '../utils/audioProbe.js';
+import { extractZipEntries } from '../utils/zipArchive.js';
+import {
+  ALBUM_TRACK_STATUS,
+  ALBUM_UPLOAD_CONFIG,
+  AUDIO_CONTAINER_TYPES,
+  HTTP_STATUS,
+} from '../utils/constants.js';
+import SongIngestService from './songIngest.service.js';
+
+class AlbumUploadService {
+  /**
+   * Extract the audio files from a zip
+   * Entries are identified by content, so cover images, cue sheets, logs
+   * and macOS metadata are returned as ignored rather than failing. Entries
+   * are streamed into workDir and the non-audio ones removed again.
+   * @param {string} archivePath - Zip file
+   * @param {string} workDir - Directory for the extracted files
+   * @returns {Promise<Object>} { files: [{ name, path, mimeType }], ignored: [name] }
+   * @throws {ApiError} 400 if the archive cannot be read or exceeds a limit
+   */
+  static async extractArchive(archivePath, workDir) {
+    let entries;
+    try {
+      entries = await extractZipEntries(archivePath, workDir, {
+        maxEntries: ALBUM_UPLOAD_CONFIG.MAX_TRACKS * 4, // room for non-audio entries
+        maxTotalSize: ALBUM_UPLOAD_CONFIG.MAX_EXTRACTED_SIZE,
+        filter: name => !name.startsWith('__MACOSX/') && !path.posix.basename(name).startsWith('.'),
+      });
+    } catch (error) {
+      throw ApiError.badRequest(`Invalid archive: ${error.message}`);
+    }
+
+    const files = [];
+    const ignored = [];
+    for (const entry of entries) {
+      const container = sniffContainer(await fs.readFile(entry.path));
+      if (container) {
+        files.push({
+          name: path.posix.basename(entry.name),
+          path: entry.path,
+          mimeType: AUDIO_CONTAINER_TYPES[container][0],
+        });
+      } else {
+        ignored.push(entry.name);
+        await fs.rm(entry.path, { force: true });
+      }
+    }
+
+    return { files, ignored };
+  }
+
+  /**
+   * Pair each file with its fields and sort by disc and track number
+   * Files without a track number go last, by name.
+   * @param {Object[]} files - [{ name, path, mimeType }]
+   * @param {Object} albumFields - Fields shared by every track
+   * @param {Object[]} overrides - Per-track fields with a `file` name
+   * @returns {Promise<Object[]>} [{ name, path, mimeType, fields }] in album order
+   */
+  static async planTracks(files, albumFields = {}, overrides = []) {
+    const byName = new Map(overrides.map(({ file, ...fields }) => [file, fields]));
+
+    const tracks = [];
+    for (const file of files) {
+      const fields = { ...albumFields, ...byName.get(file.name) };
+      const tags = SongIngestService.extractTags(await fs.readFile(file.path), file.name);
+      tracks.push({
+        ...file,
+        fields,
+        disc: SongIngestService.parsePositiveInt(fields.disc_number) ?? tags?.discNumber ?? 1,
+        track: SongIngestService.parsePositiveInt(fields.track_number) ?? tags?.trackNumber ?? null,
+      });
+    }
+
+    tracks.sort(
+      (a, b) =>
+        a.disc - b.disc ||
+        (a.track ?? Infinity) - (b.track ?? Infinity) ||
+        a.name.localeCompare(b.name, undefined, { numeric: true }),
+    );
+
+    return tracks.map(({ name, path: filePath, mimeType, fields }) => ({
+      name,
+      path: filePath,
+      mimeType,
+      fields,
+    }));
+  }
+
+  /**
+   * Upload an album
+   * Extracted archive entries are removed afterwards; the uploaded files
+   * themselves are removed by the route (removeUploadedFiles).
+   * @param {string} userId - Uploader
+   * @param {Object} params - Upload parameters
+   * @param {Object[]} params.files - Multer files (audio, on disk)
+   * @param {Object} [params.archive] - Multer file (zip, on disk), instead of files
+   * @param {Object} params.albumFields - Fields shared by every track
+   * @param {Object[]} params.tracks - Per-track overrides ({ file, ...fields })
+   * @param {boolean} params.atomic - Roll back every track if one fails
+   * @returns {Promise<Object>} { batchId, atomic, results, ignored, created, failed }
+   * @throws {ApiError} 400 for bad input; for a failed atomic upload the
+   *   failing track's status, with the per-file results as errors
+   */
+  static async upload(userId, { files = [], archive = null, ...options }) {
+    if (archive && files.length > 0) {
+      throw ApiError.badRequest('Send either audio files or one archive, not both');
+    }
+
+    if (!archive) {
+      const inputs = files.map(file => ({
+        name: file.originalname,
+        path: file.path,
+        mimeType: file.mimetype,
+      }));
+      return this.uploadTracks(userId, inputs, [], options);
+    }
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'freetune-album-'));
+    try {
+      const { files: inputs, ignored } = await this.extractArchive(archive.path, workDir);
+      return await this.uploadTracks(userId, inputs, ignored, options);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Create the songs of an album upload
+   * @param {string} userId - Uploader
+   * @param {Object[]} inputs - [{ name, path, mimeType }]
+   * @param {string[]} ignored - Archive entries that were not audio
+   * @param {Object} options - { albumFields, tracks, atomic } (see upload)
+   * @returns {Promise<Object>} { batchId, atomic, results, ignored, created, failed }
+   */
+  static async uploadTracks(userId, inputs, ignored, { albumFields = {}, tracks = [], atomic = true }) {
+    if (inputs.length === 0) {
+      throw ApiError.badRequest('No audio files found in the upload');
+    }
+    if (inputs.length > ALBUM_UPLOAD_CONFIG.MAX_TRACKS) {
+      throw ApiError.badRequest(`An album can have at most ${ALBUM_UPLOAD_CONFIG.MAX_TRACKS} tracks`);
+    }
+
+    const names = new Set(inputs.map(file => file.name));
+    if (names.size !== inputs.length) {
+      throw ApiError.badRequest('File names must be unique within an album upload');
+    }
+    const unknown = tracks.map(track => track.file).filter(file => !names.has(file));
+    if (unknown.length > 0) {
+      throw ApiError.badRequest('Track overrides refer to files that were not uploaded', unknown);
+    }
+
+    const batchId = crypto.randomUUID();
+    const results = [];
+    let failure = null;
+
+    for (const track of await this.planTracks(inputs, albumFields, tracks)) {
+      if (failure && atomic) {
+        results.push({ file: track.name, status: ALBUM_TRACK_STATUS.SKIPPED });
+        continue;
+      }
+
+      try {
+        const { song } = await SongIngestService.ingest({
+          userId,
+          buffer: await fs.readFile(track.path),
+          mimeType: track.mimeType,
+          originalName: track.name,
+          fields: track.fields,
+          metadata: { album_upload_id: batchId },
+        });
+        results.push({ file: track.name, status: ALBUM_TRACK_STATUS.CREATED, song });
+      } catch (error) {
+        failure = failure || error;
+        logger.warn(`Album upload ${batchId}: ${track.name} failed:`, error);
+        results.push({
+          file: track.name,
+          status: ALBUM_TRACK_STATUS.FAILED,
+          error: error.message,
+          details: error instanceof ApiError ? error.errors : [],
+        });
+      }
+    }
+
+    if (failure && atomic) {
+      const remaining = await this.rollback(batchId, results);
+      throw new ApiError(
+        failure.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        remaining === 0
+          ? 'Album upload failed; no tracks were saved'
+          : `Album upload failed; ${remaining} track(s) could not be rolled back`,
+        results,
+      );
+    }
+
+    const created = results.filter(result => result.status === ALBUM_TRACK_STATUS.CREATED).length;
+    logger.info(`Album upload ${batchId}: ${created}/${results.length} tracks created`);
+
+    return {
+      batchId,
+      atomic,
+      results,
+      ignored,
+      created,
+      failed: results.length - created,
+    };
+  }
+
+  /**
+   * Remove the tracks created so far by a failed atomic upload
+   * Tracks that cannot be removed keep status created (and the batch ID in
+   * their metadata) so the partial state is visible.
+   * @param {string} batchId - Album upload ID
+   * @param {Object[]} results - Per-file results (updated in place)
+   * @returns {Promise<number>} Tracks that could not be removed
+   */
+  static async rollback(batchId, results) {
+    let remaining = 0;
+    for (const result of results) {
+      if (result.status !== ALBUM_TRACK_STATUS.CREATED) continue;
+
+      if (await SongIngestService.discard(result.song)) {
+        result.status = ALBUM_TRACK_STATUS.ROLLED_BACK;
+        delete result.song;
+      } else {
+        remaining++;
+        logger.error(`Album upload ${batchId}: could not roll back ${result.file}`);
+      }
+    }
+    return remaining;
+  }
+}
+
+export default AlbumUploadService;
@@ -27,13 +27,15 @@ class AnalyticsService {
         replayed,
         sessionId,
         sessionPosition,
+        timestamp,
       } = data;
 
       // Calculate completion rate
-      const completionRate = Math.min(playDuration / songDuration, 1);
+      const completionRate =
+        songDuration > 0 ? Math.min(playDuration / songDuration, 1) : 0;
 
       // Get time context
-      const now = new Date();
+      const now = timestamp ? new Date(timestamp) : new Date();
       const dayOfWeek = now.getDay();
       const hourOfDay = now.getHours();
 
@@ -56,6 +58,7 @@ class AnalyticsService {
         replayed: replayed || false,
         sessionId,
         sessionPosition,
+        timestamp: now,
       });
 
       logger.info(`Listening pattern tracked: ${userId} -> ${songId}`);
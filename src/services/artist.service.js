@@ -0,0 +1,330 @@
+/**
+ * Artist Service
+ * Artists songs are credited to. Uploads and metadata edits link a song to
+ * the artist whose normalised name or alias matches its credit, creating
+ * the artist when none does. Artist pages list top tracks (play_count),
+ * albums and related artists: those whose songs the artist's listeners
+ * also play (ListeningPattern).
+ */
+
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import { ListeningPattern } from '../database/models/index.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import cacheHelper from '../utils/cacheHelper.js';
+import { cleanArtistName, normalizeArtistName, slugifyArtistName } from '../utils/artistName.js';
+import { transformArtist, transformSong } from '../utils/modelTransformers.js';
+import {
+  ARTIST_CONFIG,
+  CACHE_KEYS,
+  CACHE_TTL,
+  ERROR_MESSAGES,
+  LIMITS,
+  REGEX,
+  SONG_STATUS,
+} from '../utils/constants.js';
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+const CREATE_ATTEMPTS = 3;
+
+class ArtistService {
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Find the artist a credit refers to, by name first, then by alias
+   * @param {string} name - Artist credit
+   * @returns {Promise<Object|null>} artists row
+   */
+  static async findByName(name) {
+    const key = normalizeArtistName(name);
+    if (!key) return null;
+
+    const { data: artist, error } = await this.getClient()
+      .from('artists')
+      .select('*')
+      .eq('normalized_name', key)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up artist "${key}": ${error.message}`);
+    }
+    if (artist) return artist;
+
+    const { data: aliased, error: aliasError } = await this.getClient()
+      .from('artists')
+      .select('*')
+      .contains('alias_keys', [key])
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (aliasError) {
+      throw new Error(`Failed to look up artist alias "${key}": ${aliasError.message}`);
+    }
+    return aliased[0] || null;
+  }
+
+  /**
+   * Create an artist for a credit
+   * A slug that is taken gets a random suffix; a concurrent upload creating
+   * the same artist wins and its row is returned.
+   * @param {string} name - Artist credit
+   * @returns {Promise<Object>} artists row
+   */
+  static async create(name) {
+    const displayName = cleanArtistName(name).slice(0, LIMITS.ARTIST_NAME_MAX);
+    const baseSlug = slugifyArtistName(displayName);
+
+    for (let attempt = 0; attempt < CREATE_ATTEMPTS; attempt++) {
+      const slug = attempt === 0 ? baseSlug : `${baseSlug}-${crypto.randomBytes(3).toString('hex')}`;
+      const { data: artist, error } = await this.getClient()
+        .from('artists')
+        .insert({ name: displayName, slug })
+        .select()
+        .single();
+
+      if (!error) return artist;
+      if (error.code !== UNIQUE_VIOLATION) {
+        throw new Error(`Failed to create artist "${displayName}": ${error.message}`);
+      }
+
+      const existing = await this.findByName(displayName);
+      if (existing) return existing;
+    }
+
+    throw new Error(`Failed to create artist "${displayName}": no free slug`);
+  }
+
+  /**
+   * Get the artist ID for a song's credit, creating the artist if needed
+   * Best effort: a failure is logged and leaves the song unlinked.
+   * @param {string|null} name - songs.artist
+   * @returns {Promise<string|null>} Artist ID
+   */
+  static async resolveArtistId(name) {
+    if (!normalizeArtistName(name)) return null;
+
+    try {
+      const artist = (await this.findByName(name)) || (await this.create(name));
+      return artist.id;
+    } catch (error) {
+      logger.warn(`Failed to link artist "${name}":`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get an artist by ID or slug
+   * @param {string} idOrSlug - Artist ID or slug
+   * @returns {Promise<Object>} artists row
+   * @throws {ApiError} 404 if there is no such artist
+   */
+  static async getArtist(idOrSlug) {
+    const column = REGEX.UUID.test(idOrSlug) ? 'id' : 'slug';
+    const { data: artist, error } = await this.getClient()
+      .from('artists')
+      .select('*')
+      .eq(column, column === 'slug' ? idOrSlug.toLowerCase() : idOrSlug)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error fetching artist:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    if (!artist) {
+      throw ApiError.notFound(ERROR_MESSAGES.ARTIST_NOT_FOUND);
+    }
+    return artist;
+  }
+
+  /**
+   * Group an artist's songs into albums
+   * @param {Object[]} songs - songs rows (album, year, cover_art_url, play_count)
+   * @returns {Object[]} { name, year, coverArtUrl, trackCount, playCount }, newest first
+   */
+  static buildAlbums(songs) {
+    const albums = new Map();
+    for (const song of songs) {
+      const name = song.album?.trim();
+      if (!name) continue;
+
+      const key = name.toLowerCase();
+      const album = albums.get(key) || { name, year: null, coverArtUrl: null, trackCount: 0, playCount: 0 };
+      album.year = album.year ?? song.year ?? null;
+      album.coverArtUrl = album.coverArtUrl || song.cover_art_url || null;
+      album.trackCount++;
+      album.playCount += song.play_count || 0;
+      albums.set(key, album);
+    }
+
+    return [...albums.values()]
+      .sort((a, b) => (b.year ?? -Infinity) - (a.year ?? -Infinity) || a.name.localeCompare(b.name))
+      .slice(0, ARTIST_CONFIG.ALBUMS_LIMIT);
+  }
+
+  /**
+   * Rank other artists by the listeners they share with an artist
+   * @param {Object[]} sharedSongs - { _id: songId, listeners: userId[] } for
+   *   songs not by the artist, played by its listeners
+   * @param {Map<string, string>} songArtists - Song ID -> artist ID
+   * @param {string} artistId - The artist
+   * @returns {Object[]} { artistId, sharedListeners }, most shared first
+   */
+  static rankRelatedArtists(sharedSongs, songArtists, artistId) {
+    const listenersByArtist = new Map();
+    for (const { _id: songId, listeners } of sharedSongs) {
+      const otherId = songArtists.get(songId);
+      if (!otherId || otherId === artistId) continue;
+
+      if (!listenersByArtist.has(otherId)) listenersByArtist.set(otherId, new Set());
+      listeners.forEach(userId => listenersByArtist.get(otherId).add(userId));
+    }
+
+    return [...listenersByArtist]
+      .map(([id, listeners]) => ({ artistId: id, sharedListeners: listeners.size }))
+      .sort((a, b) => b.sharedListeners - a.sharedListeners || a.artistId.localeCompare(b.artistId))
+      .slice(0, ARTIST_CONFIG.RELATED_LIMIT);
+  }
+
+  /**
+   * Artists whose songs this artist's listeners also play (co-listening)
+   * Best effort: empty without MongoDB or on failure.
+   * @param {string} artistId - Artist ID
+   * @param {string[]} songIds - The artist's song IDs
+   * @returns {Promise<Object[]>} { id, name, slug, imageUrl, sharedListeners }
+   */
+  static async getRelatedArtists(artistId, songIds) {
+    if (!config.mongodb.uri || songIds.length === 0) return [];
+
+    try {
+      const listeners = await ListeningPattern.aggregate([
+        { $match: { songId: { $in: songIds } } },
+        { $group: { _id: '$userId', lastPlayed: { $max: '$timestamp' } } },
+        { $sort: { lastPlayed: -1 } },
+        { $limit: ARTIST_CONFIG.RELATED_LISTENER_SAMPLE },
+      ]);
+      if (listeners.length === 0) return [];
+
+      const sharedSongs = await ListeningPattern.aggregate([
+        { $match: { userId: { $in: listeners.map(listener => listener._id) }, songId: { $nin: songIds } } },
+        { $group: { _id: '$songId', listeners: { $addToSet: '$userId' } } },
+        { $addFields: { listenerCount: { $size: '$listeners' } } },
+        { $sort: { listenerCount: -1 } },
+        { $limit: ARTIST_CONFIG.RELATED_SONG_SAMPLE },
+      ]);
+      if (sharedSongs.length === 0) return [];
+
+      const { data: songs, error } = await this.getClient()
+        .from('songs')
+        .select('id, artist_id')
+        .in('id', sharedSongs.map(song => song._id))
+        .not('artist_id', 'is', null)
+        .is('deleted_at', null);
+
+      if (error) throw new Error(error.message);
+
+      const ranked = this.rankRelatedArtists(
+        sharedSongs,
+        new Map(songs.map(song => [song.id, song.artist_id])),
+        artistId,
+      );
+      if (ranked.length === 0) return [];
+
+      const { data: artists, error: artistsError } = await this.getClient()
+        .from('artists')
+        .select('id, name, slug, image_url')
+        .in('id', ranked.map(related => related.artistId));
+
+      if (artistsError) throw new Error(artistsError.message);
+
+      const byId = new Map(artists.map(artist => [artist.id, artist]));
+      return ranked
+        .filter(related => byId.has(related.artistId))
+        .map(({ artistId: id, sharedListeners }) => ({
+          id,
+          name: byId.get(id).name,
+          slug: byId.get(id).slug,
+          imageUrl: byId.get(id).image_url || null,
+          sharedListeners,
+        }));
+    } catch (error) {
+      logger.warn(`Failed to find artists related to ${artistId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Drop cached artist pages, e.g. after a song moves between artists
+   * @param {Array<string|null>} artistIds - Artist IDs (nulls are ignored)
+   * @returns {Promise<void>}
+   */
+  static async invalidatePages(artistIds) {
+    const ids = [...new Set(artistIds.filter(Boolean))];
+    await cacheHelper.delMany(ids.map(id => CACHE_KEYS.ARTIST(id)));
+  }
+
+  /**
+   * Get an artist page
+   * @param {string} idOrSlug - Artist ID or slug
+   * @returns {Promise<Object>} Artist with topTracks, albums and relatedArtists
+   * @throws {ApiError} 404 if there is no such artist
+   */
+  static async getArtistPage(idOrSlug) {
+    const artist = await this.getArtist(idOrSlug);
+
+    return cacheHelper.getOrSet(
+      CACHE_KEYS.ARTIST(artist.id),
+      async () => {
+        const supabase = this.getClient();
+        const [topTracks, catalogue] = await Promise.all([
+          supabase
+            .from('songs')
+            .select('*')
+            .eq('artist_id', artist.id)
+            .eq('status', SONG_STATUS.READY)
+            .is('deleted_at', null)
+            .order('play_count', { ascending: false })
+            .limit(ARTIST_CONFIG.TOP_TRACKS_LIMIT),
+          supabase
+            .from('songs')
+            .select('id, album, year, cover_art_url, play_count')
+            .eq('artist_id', artist.id)
+            .eq('status', SONG_STATUS.READY)
+            .is('deleted_at', null),
+        ]);
+
+        const failed = topTracks.error || catalogue.error;
+        if (failed) {
+          logger.error('Error fetching artist songs:', failed);
+          throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+        }
+
+        return {
+          ...transformArtist(artist),
+          songCount: catalogue.data.length,
+          topTracks: topTracks.data.map(transformSong),
+          albums: this.buildAlbums(catalogue.data),
+          relatedArtists: await this.getRelatedArtists(
+            artist.id,
+            catalogue.data.map(song => song.id),
+          ),
+        };
+      },
+      CACHE_TTL.ARTIST,
+    );
+  }
+}
+
+export default ArtistService;
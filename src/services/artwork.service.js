@@ -0,0 +1,408 @@
+/**
+ * Artwork Service
+ * Cover art for songs, albums and playlists. Uploaded images are checked by
+ * signature, centre-cropped to a square and stored as JPEG renditions
+ * (ARTWORK_CONFIG.SIZES) under images/{kind}/{id}/. Keys carry a hash of the
+ * source image, so a new cover gets new URLs (safe to cache forever) and the
+ * previous renditions are removed once the row points at the new ones.
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import config from '../config/index.js';
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import { assertAllowed, canManagePlaylist, canManageSong } from '../utils/policy.js';
+import { sniffImage } from '../utils/imageProcessing.js';
+import {
+  ARTWORK_CONFIG,
+  ERROR_CODES,
+  ERROR_MESSAGES,
+  FILE_UPLOAD_CONFIG,
+  IMAGE_CONTAINER_TYPES,
+  SONG_STATUS,
+  STORAGE_DRIVERS,
+  SUPPORTED_IMAGE_FORMATS,
+} from '../utils/constants.js';
+import fileUploadHelper from './audioUpload.js';
+
+class ArtworkService {
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Storage prefix holding one item's renditions
+   * @param {string} kind - ARTWORK_CONFIG.KINDS value
+   * @param {string} id - Song, album or playlist ID
+   * @returns {string} e.g. images/songs/{id}/
+   */
+  static getPrefix(kind, id) {
+    return `${ARTWORK_CONFIG.FOLDER}${kind}/${id}/`;
+  }
+
+  /**
+   * Public URL of a rendition: the R2 public bucket when configured,
+   * otherwise the API's image route
+   * @param {string} key - Storage key under ARTWORK_CONFIG.FOLDER
+   * @returns {string} Absolute URL
+   */
+  static getImageUrl(key) {
+    if (config.storage.driver === STORAGE_DRIVERS.R2 && config.r2.publicUrl) {
+      return `${config.r2.publicUrl}/${key}`;
+    }
+    const path = key
+      .slice(ARTWORK_CONFIG.FOLDER.length)
+      .split('/')
+      .map(encodeURIComponent)
+      .join('/');
+    return `${config.storage.publicBaseUrl}/api/${config.apiVersion}${ARTWORK_CONFIG.ROUTE_PATH}/${path}`;
+  }
+
+  /**
+   * ID for an album's shared artwork (albums are per uploader)
+   * @param {string} userId - Uploader
+   * @param {string} album - Album title
+   * @param {string|null} albumArtist - Album artist, if given
+   * @returns {string} Stable hex ID
+   */
+  static getAlbumId(userId, album, albumArtist) {
+    return crypto
+      .createHash('sha256')
+      .update(`${userId}\n${album}\n${albumArtist || ''}`)
+      .digest('hex')
+      .slice(0, 24);
+  }
+
+  /**
+   * Validate an uploaded image and render every size
+   * Decoding and resizing run in sharp's thread pool, off the event loop.
+   * @param {Object} file - Multer file ({ buffer, mimetype, size })
+   * @returns {Promise<Object>} { version, renditions: { [sizeName]: Buffer } }
+   * @throws {ApiError} 400 if the image is missing, mislabelled, too large
+   *   or cannot be decoded
+   */
+  static async createRenditions(file) {
+    if (!file?.buffer?.length) {
+      throw ApiError.badRequest('No image file provided');
+    }
+    if (!SUPPORTED_IMAGE_FORMATS.includes(file.mimetype)) {
+      throw ApiError.badRequest(
+        `Unsupported image type: ${file.mimetype}. Supported formats: JPEG, PNG`,
+      );
+    }
+    if (file.buffer.length > FILE_UPLOAD_CONFIG.IMAGE_MAX_SIZE) {
+      const maxSizeMB = FILE_UPLOAD_CONFIG.IMAGE_MAX_SIZE / (1024 * 1024);
+      throw ApiError.badRequest(`Image too large. Maximum size: ${maxSizeMB}MB`);
+    }
+
+    const format = sniffImage(file.buffer);
+    if (!format || !IMAGE_CONTAINER_TYPES[format]) {
+      throw ApiError.badRequest('File contents are not a recognised image format', [
+        { code: ERROR_CODES.UNRECOGNIZED_IMAGE_FORMAT, declaredType: file.mimetype },
+      ]);
+    }
+
+    const expectedTypes = IMAGE_CONTAINER_TYPES[format];
+    if (!expectedTypes.includes(file.mimetype)) {
+      throw ApiError.badRequest(
+        `File contents are ${format.toUpperCase()} but the file was declared as ${file.mimetype}`,
+        [
+          {
+            code: ERROR_CODES.IMAGE_TYPE_MISMATCH,
+            declaredType: file.mimetype,
+            detectedFormat: format,
+            expectedTypes,
+          },
+        ],
+      );
+    }
+    if (!ARTWORK_CONFIG.DECODABLE_FORMATS.includes(format)) {
+      throw ApiError.badRequest(
+        `${format.toUpperCase()} artwork cannot be resized yet. Upload a JPEG or PNG`,
+      );
+    }
+
+    const input = { limitInputPixels: ARTWORK_CONFIG.MAX_PIXELS, failOn: 'error' };
+    let dimensions;
+    try {
+      dimensions = await sharp(file.buffer, input).metadata();
+    } catch (error) {
+      throw ApiError.badRequest(`Image could not be read: ${error.message}`);
+    }
+    if (dimensions.width * dimensions.height > ARTWORK_CONFIG.MAX_PIXELS) {
+      throw ApiError.badRequest(
+        `Image is ${dimensions.width}x${dimensions.height}; at most ${ARTWORK_CONFIG.MAX_PIXELS} pixels are allowed`,
+      );
+    }
+
+    // Turned upright per EXIF, transparency on white, centre-cropped square
+    const image = sharp(file.buffer, input).rotate().flatten({ background: '#ffffff' });
+    const renditions = {};
+    try {
+      for (const [name, size] of Object.entries(ARTWORK_CONFIG.SIZES)) {
+        renditions[name] = await image
+          .clone()
+          .resize(size, size, { fit: 'cover', position: 'centre' })
+          .jpeg({ quality: ARTWORK_CONFIG.QUALITY })
+          .toBuffer();
+      }
+    } catch (error) {
+      throw ApiError.badRequest(`Image could not be read: ${error.message}`);
+    }
+
+    const version = crypto.createHash('sha256').update(file.buffer).digest('hex').slice(0, 16);
+    return { version, renditions };
+  }
+
+  /**
+   * Upload renditions under a prefix
+   * @param {string} prefix - From getPrefix
+   * @param {Object} rendered - createRenditions result
+   * @returns {Promise<Object>} { keys, urls: { [sizeName]: url } }
+   */
+  static async store(prefix, { version, renditions }) {
+    const keys = [];
+    const urls = {};
+    try {
+      for (const [name, buffer] of Object.entries(renditions)) {
+        const key = `${prefix}${version}-${ARTWORK_CONFIG.SIZES[name]}${ARTWORK_CONFIG.EXTENSION}`;
+        await fileUploadHelper.uploadFile(buffer, key, ARTWORK_CONFIG.MIME_TYPE, {
+          artworkVersion: version,
+        });
+        keys.push(key);
+        urls[name] = this.getImageUrl(key);
+      }
+    } catch (error) {
+      await fileUploadHelper.deleteFiles(keys);
+      throw error;
+    }
+    return { keys, urls };
+  }
+
+  /**
+   * Delete the renditions under a prefix, except the ones to keep
+   * Best effort: failures are logged and left for a later replacement.
+   * @param {string} prefix - From getPrefix
+   * @param {string[]} [keep] - Keys to leave in place
+   * @returns {Promise<number>} Files deleted
+   */
+  static async removeImages(prefix, keep = []) {
+    try {
+      const stale = [];
+      let cursor;
+      do {
+        const page = await fileUploadHelper.listFiles(prefix, { cursor });
+        stale.push(...page.files.map(file => file.key).filter(key => !keep.includes(key)));
+        cursor = page.cursor;
+      } while (cursor);
+
+      if (stale.length === 0) return 0;
+      const { success } = await fileUploadHelper.deleteFiles(stale);
+      return success.length;
+    } catch (error) {
+      logger.warn(`Failed to clean up artwork under ${prefix}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Files a song's artwork no longer needs once it points elsewhere
+   * (its own renditions and the cover extracted from the audio file)
+   * @param {Object} song - songs row before the change (id, metadata)
+   * @param {string[]} [keep] - Keys now in use
+   */
+  static async removeSongImages(song, keep = []) {
+    await this.removeImages(this.getPrefix(ARTWORK_CONFIG.KINDS.SONG, song.id), keep);
+
+    const embedded = song.metadata?.cover_art;
+    if (embedded?.source === 'embedded' && embedded.key) {
+      await fileUploadHelper.deleteFile(embedded.key);
+    }
+  }
+
+  /**
+   * Replace a song's cover art
+   * @param {Object} user - req.user; must be the song's uploader or an admin
+   * @param {string} songId - Song ID
+   * @param {Object} file - Multer file
+   * @returns {Promise<Object>} Updated songs row
+   */
+  static async setSongCover(user, songId, file) {
+    const { data: song, error } = await this.getClient()
+      .from('songs')
+      .select('id, metadata')
+      .eq('id', songId)
+      .eq('status', SONG_STATUS.READY)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error || !song) {
+      throw ApiError.notFound(ERROR_MESSAGES.SONG_NOT_FOUND);
+    }
+    assertAllowed(
+      canManageSong(user, song),
+      'Only the uploader or an admin can change the artwork of this song',
+    );
+
+    const rendered = await this.createRenditions(file);
+    const { keys, urls } = await this.store(
+      this.getPrefix(ARTWORK_CONFIG.KINDS.SONG, song.id),
+      rendered,
+    );
+
+    const { data: updated, error: updateError } = await this.getClient()
+      .from('songs')
+      .update({
+        cover_art_url: urls[ARTWORK_CONFIG.PRIMARY_SIZE],
+        cover_art_sizes: urls,
+        metadata: {
+          ...song.metadata,
+          cover_art: { source: 'upload', version: rendered.version, keys },
+        },
+      })
+      .eq('id', song.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      logger.error(`Failed to save cover art for song ${song.id}:`, updateError);
+      await fileUploadHelper.deleteFiles(keys);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+
+    await this.removeSongImages(song, keys);
+    logger.info(`Cover art updated for song ${song.id} (${rendered.version})`);
+    return updated;
+  }
+
+  /**
+   * Set one cover for every track of an album uploaded by the user
+   * Tracks keep no artwork of their own afterwards.
+   * @param {string} userId - Uploader
+   * @param {Object} album - { album, albumArtist }; albumArtist narrows the
+   *   match when the user has albums with the same title
+   * @param {Object} file - Multer file
+   * @returns {Promise<Object>} { albumId, coverArt, songIds, failed }
+   */
+  static async setAlbumCover(userId, { album, albumArtist = null }, file) {
+    let query = this.getClient()
+      .from('songs')
+      .select('id, metadata')
+      .eq('metadata->>uploaded_by', userId)
+      .eq('album', album)
+      .eq('status', SONG_STATUS.READY)
+      .is('deleted_at', null);
+    if (albumArtist) {
+      query = query.eq('album_artist', albumArtist);
+    }
+
+    const { data: songs, error } = await query;
+    if (error) {
+      logger.error('Failed to load album tracks:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    if (songs.length === 0) {
+      throw ApiError.notFound('No songs of yours found on this album');
+    }
+
+    const rendered = await this.createRenditions(file);
+    const albumId = this.getAlbumId(userId, album, albumArtist);
+    const prefix = this.getPrefix(ARTWORK_CONFIG.KINDS.ALBUM, albumId);
+    const { keys, urls } = await this.store(prefix, rendered);
+
+    const songIds = [];
+    const failed = [];
+    for (const song of songs) {
+      const { error: updateError } = await this.getClient()
+        .from('songs')
+        .update({
+          cover_art_url: urls[ARTWORK_CONFIG.PRIMARY_SIZE],
+          cover_art_sizes: urls,
+          metadata: {
+            ...song.metadata,
+            cover_art: { source: 'album', version: rendered.version, album_id: albumId },
+          },
+        })
+        .eq('id', song.id);
+
+      if (updateError) {
+        logger.error(`Failed to save album cover for song ${song.id}:`, updateError);
+        failed.push(song.id);
+        continue;
+      }
+      songIds.push(song.id);
+      await this.removeSongImages(song);
+    }
+
+    if (songIds.length === 0) {
+      await fileUploadHelper.deleteFiles(keys);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    // Tracks that failed may still show the previous album cover
+    if (failed.length === 0) {
+      await this.removeImages(prefix, keys);
+    }
+
+    logger.info(`Album cover ${albumId} set on ${songIds.length}/${songs.length} songs`);
+    return { albumId, coverArt: urls, songIds, failed };
+  }
+
+  /**
+   * Replace a playlist's cover image
+   * @param {Object} user - req.user; must own the playlist or be an admin
+   * @param {string} playlistId - Playlist ID
+   * @param {Object} file - Multer file
+   * @returns {Promise<Object>} Updated playlists row
+   */
+  static async setPlaylistCover(user, playlistId, file) {
+    const { data: playlist, error } = await this.getClient()
+      .from('playlists')
+      .select('id, user_id')
+      .eq('id', playlistId)
+      .maybeSingle();
+
+    if (error || !playlist) {
+      throw ApiError.notFound(ERROR_MESSAGES.PLAYLIST_NOT_FOUND);
+    }
+    assertAllowed(
+      canManagePlaylist(user, playlist),
+      'Only the owner or an admin can change the cover of this playlist',
+    );
+
+    const rendered = await this.createRenditions(file);
+    const prefix = this.getPrefix(ARTWORK_CONFIG.KINDS.PLAYLIST, playlist.id);
+    const { keys, urls } = await this.store(prefix, rendered);
+
+    const { data: updated, error: updateError } = await this.getClient()
+      .from('playlists')
+      .update({
+        cover_image_url: urls[ARTWORK_CONFIG.PRIMARY_SIZE],
+        cover_image_sizes: urls,
+      })
+      .eq('id', playlist.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      logger.error(`Failed to save cover image for playlist ${playlist.id}:`, updateError);
+      await fileUploadHelper.deleteFiles(keys);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+
+    await this.removeImages(prefix, keys);
+    logger.info(`Cover image updated for playlist ${playlist.id} (${rendered.version})`);
+    return updated;
+  }
+}
+
+export default ArtworkService;
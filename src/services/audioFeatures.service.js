@@ -0,0 +1,136 @@
+/**
+ * Audio Features Service
+ * Analyses a song's audio in-house (tempo, key and mode, RMS energy,
+ * spectral features, danceability and valence estimates) and stores the
+ * result in SongFeature, which content-based recommendations read. Run by
+ * the processing queue for every upload.
+ */
+
+import path from 'path';
+import config from '../config/index.js';
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import { SongFeature } from '../database/models/index.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import { createFeatureAnalyser } from '../utils/audioFeatures.js';
+import { decodePcm } from '../utils/ffmpeg.js';
+import { FEATURE_CONFIG, SONG_STATUS } from '../utils/constants.js';
+import fileUploadHelper from './audioUpload.js';
+
+class AudioFeaturesService {
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Analyse decoded audio
+   * @param {Buffer} audio - Source audio (any format ffmpeg reads)
+   * @param {string} [extension] - Source file extension (a hint for ffmpeg)
+   * @returns {Promise<Object>} Features from createFeatureAnalyser
+   */
+  static async extract(audio, extension = '') {
+    const analyser = createFeatureAnalyser({ sampleRate: FEATURE_CONFIG.SAMPLE_RATE });
+
+    await decodePcm(audio, {
+      ffmpegPath: config.audio.ffmpegPath,
+      timeoutMs: config.audio.transcodeTimeoutSeconds * 1000,
+      extension,
+      sampleRate: FEATURE_CONFIG.SAMPLE_RATE,
+      channels: 1,
+      chunkFrames: FEATURE_CONFIG.READ_CHUNK_FRAMES,
+      onChunk: samples => analyser.write(samples),
+    });
+
+    return analyser.finish();
+  }
+
+  /**
+   * Build the SongFeature update for analysed features
+   * The song's genre becomes the primary genre, which content-based
+   * recommendations match on.
+   * @param {Object} features - From extract
+   * @param {string|null} [genre] - songs.genre
+   * @param {Date} [now] - Analysis time
+   * @returns {Object} Update document
+   */
+  static toFeatureUpdate(features, genre = null, now = new Date()) {
+    const { tempo, key, mode, energy, danceability, valence, spectralCentroid, spectralRolloff, spectralFlatness } =
+      features;
+    const primaryGenre = genre?.trim();
+
+    return {
+      $set: {
+        tempo,
+        key,
+        mode,
+        energy,
+        danceability,
+        valence,
+        spectralCentroid,
+        spectralRolloff,
+        spectralFlatness,
+        ...(primaryGenre && { primaryGenre }),
+        analysisSource: 'custom',
+        lastAnalyzed: now,
+        needsReanalysis: false,
+      },
+    };
+  }
+
+  /**
+   * Analyse a song (processing job handler)
+   * Skipped when MongoDB (optional analytics) is not configured.
+   * @param {string} songId - Song ID
+   * @returns {Promise<Object>} { tempo, key, mode, energy, danceability, valence }
+   *   for the job result, or { skipped }
+   * @throws {Error} If the song is missing, decoding fails or the features cannot be saved
+   */
+  static async analyseSong(songId) {
+    if (!config.mongodb.uri) {
+      return { skipped: 'MongoDB not configured' };
+    }
+
+    const { data: song, error } = await this.getClient()
+      .from('songs')
+      .select('id, r2_key, genre')
+      .eq('id', songId)
+      .eq('status', SONG_STATUS.READY)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load song ${songId}: ${error.message}`);
+    }
+    if (!song) {
+      throw new Error(`Song ${songId} not found or not ready`);
+    }
+
+    const original = await fileUploadHelper.downloadFile(song.r2_key);
+    const features = await this.extract(original, path.posix.extname(song.r2_key));
+
+    try {
+      await SongFeature.updateOne({ songId: song.id }, this.toFeatureUpdate(features, song.genre), {
+        upsert: true,
+        runValidators: true,
+      });
+    } catch (saveError) {
+      throw new Error(`Failed to save features of song ${song.id}: ${saveError.message}`);
+    }
+
+    logger.info(
+      `Features of song ${song.id}: ${features.tempo ?? '-'} BPM, key ${features.key}/${features.mode ?? '-'}, energy ${features.energy}`,
+    );
+    const { tempo, key, mode, energy, danceability, valence } = features;
+    return { tempo, key, mode, energy, danceability, valence };
+  }
+}
+
+export default AudioFeaturesService;
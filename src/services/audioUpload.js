@@ -1,74 +1,54 @@
 /**
- * File Upload Utility for Cloudflare R2
- * Handles audio file uploads with multiple quality support
+ * File Upload Utility
+ * Handles audio file uploads with multiple quality support on top of a
+ * pluggable storage driver (R2, local disk or memory; see ./storage)
  */
 
-import {
-  S3Client,
-  PutObjectCommand,
-  DeleteObjectCommand,
-  HeadObjectCommand,
-  GetObjectCommand
-} from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import config from '../config/index.js';
 import { logger } from '../utils/logger.js';
 import ApiError from '../utils/apiError.js';
 import {
+  AUDIO_BITRATES,
+  AUDIO_CONTAINER_TYPES,
   AUDIO_QUALITIES,
+  COVER_ART_CONFIG,
+  ERROR_CODES,
+  HLS_CONFIG,
   QUALITY_FOLDERS,
   R2_CONFIG,
+  STORAGE_DRIVERS,
   SUPPORTED_AUDIO_FORMATS,
+  TRANSCODE_CONFIG,
+  WAVEFORM_CONFIG,
 } from '../utils/constants.js';
+import { probeAudio } from '../utils/audioProbe.js';
+import { createStorageDriver } from './storage/index.js';
 import crypto from 'crypto';
 import path from 'path';
 
 class FileUploadHelper {
   constructor() {
-    this.s3Client = null;
-    this.initialized = false;
+    this.driver = null;
   }
 
   /**
-   * Initialize S3 client for Cloudflare R2
+   * Get the storage driver, creating it from config on first use
+   * @returns {Object} Storage driver
    */
-  initializeClient() {
-    if (this.initialized) return;
-
-    try {
-      if (
-        !config.r2.accountId ||
-        !config.r2.accessKeyId ||
-        !config.r2.secretAccessKey
-      ) {
-        throw new Error('R2 configuration missing');
-      }
-
-      this.s3Client = new S3Client({
-        region: 'auto',
-        endpoint: `https://${config.r2.accountId}.r2.cloudflarestorage.com`,
-        credentials: {
-          accessKeyId: config.r2.accessKeyId,
-          secretAccessKey: config.r2.secretAccessKey,
-        },
-      });
-
-      this.initialized = true;
-      logger.info('R2 S3 client initialized successfully');
-    } catch (error) {
-      logger.error('Failed to initialize R2 client:', error);
-      throw new ApiError(500, 'Storage service initialization failed');
+  getDriver() {
+    if (!this.driver) {
+      this.driver = createStorageDriver();
+      logger.info(`Storage driver: ${this.driver.name}`);
     }
+    return this.driver;
   }
 
   /**
-   * Get S3 client instance
+   * Replace the storage driver (tests, scripts)
+   * @param {Object} driver - Storage driver
    */
-  getClient() {
-    if (!this.initialized) {
-      this.initializeClient();
-    }
-    return this.s3Client;
+  setDriver(driver) {
+    this.driver = driver;
   }
 
   /**
@@ -87,23 +67,95 @@ class FileUploadHelper {
     return `${QUALITY_FOLDERS[quality]}${timestamp}-${randomString}-${sanitizedName}${ext}`;
   }
 
+  /**
+   * Get the R2 key of a quality rendition from the original's key
+   * Renditions share the original's file name under their quality folder.
+   * Transcoded tiers are AAC whatever the original format, so they take the
+   * AAC extension; previews are cut from the original and keep its own.
+   * @param {string} originalKey - R2 key of the original upload
+   * @param {string} quality - Audio quality
+   * @returns {string} R2 key, e.g. original/abc.flac -> medium/abc.aac,
+   *   previews/abc.flac
+   */
+  getQualityFileKey(originalKey, quality) {
+    if (quality === AUDIO_QUALITIES.ORIGINAL) return originalKey;
+
+    const originalFolder = QUALITY_FOLDERS[AUDIO_QUALITIES.ORIGINAL];
+    let fileName = originalKey.startsWith(originalFolder)
+      ? originalKey.slice(originalFolder.length)
+      : path.posix.basename(originalKey);
+
+    if (AUDIO_BITRATES[quality]) {
+      const ext = path.posix.extname(fileName);
+      fileName = `${fileName.slice(0, fileName.length - ext.length)}${TRANSCODE_CONFIG.EXTENSION}`;
+    }
+
+    return `${QUALITY_FOLDERS[quality]}${fileName}`;
+  }
+
+  /**
+   * Get the key of a song's cover art from the original's key
+   * @param {string} originalKey - Key of the original upload
+   * @param {string} mimeType - Image MIME type
+   * @returns {string} Key, e.g. original/abc.flac -> covers/abc.jpg
+   */
+  getCoverFileKey(originalKey, mimeType) {
+    const baseName = path.posix.basename(originalKey, path.posix.extname(originalKey));
+    const ext = COVER_ART_CONFIG.EXTENSIONS[mimeType] || '.jpg';
+
+    return `${COVER_ART_CONFIG.FOLDER}${baseName}${ext}`;
+  }
+
+  /**
+   * Get the key of a song's waveform peaks from the original's key
+   * @param {string} originalKey - Key of the original upload
+   * @returns {string} Key, e.g. original/abc.flac -> waveforms/abc.json
+   */
+  getWaveformFileKey(originalKey) {
+    const baseName = path.posix.basename(originalKey, path.posix.extname(originalKey));
+
+    return `${WAVEFORM_CONFIG.FOLDER}${baseName}${WAVEFORM_CONFIG.EXTENSION}`;
+  }
+
+  /**
+   * Generate R2 key for an HLS segment
+   * @param {string} songId - Song ID
+   * @param {string} quality - Audio quality
+   * @param {number} index - Zero-based segment index
+   * @returns {string} R2 key, e.g. hls/{songId}/high/segment_00000.aac
+   */
+  generateHlsSegmentKey(songId, quality, index) {
+    const sequence = String(index).padStart(5, '0');
+    return `${HLS_CONFIG.FOLDER}${songId}/${quality}/${HLS_CONFIG.SEGMENT_PREFIX}${sequence}${HLS_CONFIG.SEGMENT_EXTENSION}`;
+  }
+
   /**
    * Validate file type and size
+   * When the file contents are given, the container is detected from its
+   * signature and must match the declared MIME type.
    * @param {string} mimeType - File MIME type
    * @param {number} fileSize - File size in bytes
+   * @param {Buffer} [fileBuffer] - File contents (or their first bytes)
+   * @param {Object} [options] - { maxSize } in bytes (defaults to the direct upload limit)
+   * @returns {Object|null} probeAudio result when fileBuffer is given
    * @throws {ApiError} If validation fails
    */
-  validateFile(mimeType, fileSize) {
+  validateFile(
+    mimeType,
+    fileSize,
+    fileBuffer = null,
+    { maxSize = R2_CONFIG.MAX_UPLOAD_SIZE } = {},
+  ) {
     // Check file type
     if (!SUPPORTED_AUDIO_FORMATS.includes(mimeType)) {
       throw ApiError.badRequest(
-        `Unsupported file type: ${mimeType}. Supported formats: MP3, FLAC, WAV, AAC, OGG`,
+        `Unsupported file type: ${mimeType}. Supported formats: MP3, FLAC, WAV, AAC, M4A, OGG`,
       );
     }
 
     // Check file size
-    if (fileSize > R2_CONFIG.MAX_UPLOAD_SIZE) {
-      const maxSizeMB = R2_CONFIG.MAX_UPLOAD_SIZE / (1024 * 1024);
+    if (fileSize > maxSize) {
+      const maxSizeMB = maxSize / (1024 * 1024);
       throw ApiError.badRequest(`File too large. Maximum size: ${maxSizeMB}MB`);
     }
 
@@ -111,41 +163,62 @@ class FileUploadHelper {
     if (fileSize < 1024) {
       throw ApiError.badRequest('File too small. Minimum size: 1KB');
     }
+
+    if (!fileBuffer) return null;
+
+    const detected = probeAudio(fileBuffer);
+    if (!detected) {
+      throw ApiError.badRequest('File contents are not a recognised audio format', [
+        { code: ERROR_CODES.UNRECOGNIZED_AUDIO_FORMAT, declaredType: mimeType },
+      ]);
+    }
+
+    const expectedTypes = AUDIO_CONTAINER_TYPES[detected.container];
+    if (!expectedTypes.includes(mimeType)) {
+      throw ApiError.badRequest(
+        `File contents are ${detected.container.toUpperCase()} but the file was declared as ${mimeType}`,
+        [
+          {
+            code: ERROR_CODES.AUDIO_TYPE_MISMATCH,
+            declaredType: mimeType,
+            detectedContainer: detected.container,
+            expectedTypes,
+          },
+        ],
+      );
+    }
+
+    return detected;
   }
 
   /**
-   * Upload file to R2
+   * Upload file to storage
    * @param {Buffer} fileBuffer - File buffer
-   * @param {string} fileKey - R2 key
+   * @param {string} fileKey - Storage key
    * @param {string} mimeType - File MIME type
    * @param {Object} metadata - Additional metadata
    * @returns {Promise<Object>} Upload result
    */
   async uploadFile(fileBuffer, fileKey, mimeType, metadata = {}) {
     try {
-      const client = this.getClient();
-
-      const command = new PutObjectCommand({
-        Bucket: config.r2.bucketName,
-        Key: fileKey,
-        Body: fileBuffer,
-        ContentType: mimeType,
-        Metadata: {
+      const driver = this.getDriver();
+
+      const { size } = await driver.put(fileKey, fileBuffer, {
+        contentType: mimeType,
+        metadata: {
           uploadedAt: new Date().toISOString(),
           ...metadata,
         },
       });
 
-      await client.send(command);
-
       logger.info(`File uploaded successfully: ${fileKey}`);
 
       return {
         success: true,
         key: fileKey,
-        size: fileBuffer.length,
-        bucket: config.r2.bucketName,
-        url: config.r2.publicUrl ? `${config.r2.publicUrl}/${fileKey}` : null,
+        size,
+        bucket: driver.bucket,
+        url: this.getPublicUrl(fileKey),
       };
     } catch (error) {
       logger.error(`File upload failed for ${fileKey}:`, error);
@@ -155,22 +228,13 @@ class FileUploadHelper {
 
   /**
    * Generate signed URL for streaming
-   * @param {string} fileKey - R2 key
+   * @param {string} fileKey - Storage key
    * @param {number} expiresIn - URL expiry in seconds
    * @returns {Promise<string>} Signed URL
    */
   async getSignedUrl(fileKey, expiresIn = R2_CONFIG.SIGNED_URL_EXPIRY) {
     try {
-      const client = this.getClient();
-
-      const command = new GetObjectCommand({
-        Bucket: config.r2.bucketName,
-        Key: fileKey,
-      });
-
-      const signedUrl = await getSignedUrl(client, command, {
-        expiresIn,
-      });
+      const signedUrl = await this.getDriver().getSignedUrl(fileKey, expiresIn);
 
       logger.debug(`Generated signed URL for: ${fileKey}`);
       return signedUrl;
@@ -181,20 +245,38 @@ class FileUploadHelper {
   }
 
   /**
-   * Delete file from R2
-   * @param {string} fileKey - R2 key
-   * @returns {Promise<boolean>} Success status
+   * Generate a presigned URL the client can PUT the file to directly
+   * The client must send the same Content-Type (and, on R2, Content-Length).
+   * @param {string} fileKey - Target storage key
+   * @param {string} mimeType - File MIME type
+   * @param {number} fileSize - File size in bytes
+   * @param {number} expiresIn - URL expiry in seconds
+   * @returns {Promise<string>} Presigned PUT URL
    */
-  async deleteFile(fileKey) {
+  async getUploadUrl(fileKey, mimeType, fileSize, expiresIn = config.uploads.uploadUrlExpiry) {
     try {
-      const client = this.getClient();
-
-      const command = new DeleteObjectCommand({
-        Bucket: config.r2.bucketName,
-        Key: fileKey,
+      const uploadUrl = await this.getDriver().getUploadUrl(fileKey, {
+        contentType: mimeType,
+        contentLength: fileSize,
+        expiresIn,
       });
 
-      await client.send(command);
+      logger.debug(`Generated upload URL for: ${fileKey}`);
+      return uploadUrl;
+    } catch (error) {
+      logger.error(`Failed to generate upload URL for ${fileKey}:`, error);
+      throw new ApiError(500, 'Failed to generate upload URL');
+    }
+  }
+
+  /**
+   * Delete file from storage
+   * @param {string} fileKey - Storage key
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteFile(fileKey) {
+    try {
+      await this.getDriver().delete(fileKey);
       logger.info(`File deleted successfully: ${fileKey}`);
       return true;
     } catch (error) {
@@ -205,7 +287,7 @@ class FileUploadHelper {
 
   /**
    * Delete multiple files
-   * @param {string[]} fileKeys - Array of R2 keys
+   * @param {string[]} fileKeys - Array of storage keys
    * @returns {Promise<Object>} Deletion results
    */
   async deleteFiles(fileKeys) {
@@ -234,28 +316,14 @@ class FileUploadHelper {
   }
 
   /**
-   * Check if file exists in R2
-   * @param {string} fileKey - R2 key
+   * Check if file exists in storage
+   * @param {string} fileKey - Storage key
    * @returns {Promise<boolean>} File exists status
    */
   async fileExists(fileKey) {
     try {
-      const client = this.getClient();
-
-      const command = new HeadObjectCommand({
-        Bucket: config.r2.bucketName,
-        Key: fileKey,
-      });
-
-      await client.send(command);
-      return true;
+      return (await this.getDriver().head(fileKey)) !== null;
     } catch (error) {
-      if (
-        error.name === 'NotFound' ||
-        error.$metadata?.httpStatusCode === 404
-      ) {
-        return false;
-      }
       logger.error(`Error checking file existence for ${fileKey}:`, error);
       throw error;
     }
@@ -263,46 +331,173 @@ class FileUploadHelper {
 
   /**
    * Get file metadata
-   * @param {string} fileKey - R2 key
+   * @param {string} fileKey - Storage key
    * @returns {Promise<Object>} File metadata
    */
   async getFileMetadata(fileKey) {
+    let file;
+    try {
+      file = await this.getDriver().head(fileKey);
+    } catch (error) {
+      logger.error(`Failed to get metadata for ${fileKey}:`, error);
+      throw new ApiError(500, 'Failed to read file from storage');
+    }
+
+    if (!file) {
+      throw new ApiError(404, 'File not found');
+    }
+    return file;
+  }
+
+  /**
+   * Get a readable stream of a file, optionally limited to a byte range
+   * @param {string} fileKey - Storage key
+   * @param {Object} range - Optional byte range
+   * @param {number} range.start - First byte (inclusive)
+   * @param {number} range.end - Last byte (inclusive)
+   * @returns {Promise<Object>} Stream body and response headers
+   */
+  async getFileStream(fileKey, range = null) {
+    try {
+      return await this.getDriver().getStream(fileKey, range);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error(`Failed to get file stream for ${fileKey}:`, error);
+      throw new ApiError(500, 'Failed to read file from storage');
+    }
+  }
+
+  /**
+   * Read a whole stored file into memory
+   * @param {string} fileKey - Storage key
+   * @returns {Promise<Buffer>} File contents
+   * @throws {ApiError} 404 if missing, 500 on storage errors
+   */
+  async downloadFile(fileKey) {
+    const { body } = await this.getFileStream(fileKey);
+
     try {
-      const client = this.getClient();
+      const chunks = [];
+      for await (const chunk of body) {
+        chunks.push(Buffer.from(chunk));
+      }
+      return Buffer.concat(chunks);
+    } catch (error) {
+      logger.error(`Failed to read ${fileKey} from storage:`, error);
+      throw new ApiError(500, 'Failed to read file from storage');
+    }
+  }
 
-      const command = new HeadObjectCommand({
-        Bucket: config.r2.bucketName,
-        Key: fileKey,
+  /**
+   * Start a multipart upload
+   * @param {string} fileKey - Target storage key
+   * @param {string} mimeType - File MIME type
+   * @param {Object} metadata - Additional metadata
+   * @returns {Promise<string>} Storage upload ID
+   */
+  async createMultipartUpload(fileKey, mimeType, metadata = {}) {
+    try {
+      const uploadId = await this.getDriver().createMultipartUpload(fileKey, {
+        contentType: mimeType,
+        metadata: {
+          uploadedAt: new Date().toISOString(),
+          ...metadata,
+        },
       });
 
-      const response = await client.send(command);
+      logger.info(`Multipart upload started: ${fileKey}`);
+      return uploadId;
+    } catch (error) {
+      logger.error(`Failed to start multipart upload for ${fileKey}:`, error);
+      throw new ApiError(500, 'Failed to start upload', [error.message]);
+    }
+  }
 
-      return {
-        size: response.ContentLength,
-        contentType: response.ContentType,
-        lastModified: response.LastModified,
-        metadata: response.Metadata,
-      };
+  /**
+   * Upload one part of a multipart upload (re-uploading a part replaces it)
+   * @param {string} fileKey - Target storage key
+   * @param {string} uploadId - Storage upload ID
+   * @param {number} partNumber - 1-based part number
+   * @param {Buffer} body - Part contents
+   * @returns {Promise<Object>} { etag, size }
+   */
+  async uploadPart(fileKey, uploadId, partNumber, body) {
+    try {
+      return await this.getDriver().uploadPart(fileKey, uploadId, partNumber, body);
     } catch (error) {
-      logger.error(`Failed to get metadata for ${fileKey}:`, error);
-      throw new ApiError(404, 'File not found');
+      if (error instanceof ApiError) throw error;
+      logger.error(`Failed to upload part ${partNumber} of ${fileKey}:`, error);
+      throw new ApiError(500, 'Part upload failed', [error.message]);
+    }
+  }
+
+  /**
+   * Assemble a multipart upload into the target object
+   * @param {string} fileKey - Target storage key
+   * @param {string} uploadId - Storage upload ID
+   * @param {Object[]} parts - [{ partNumber, etag }] in order
+   * @returns {Promise<Object>} { size }
+   */
+  async completeMultipartUpload(fileKey, uploadId, parts) {
+    try {
+      const result = await this.getDriver().completeMultipartUpload(fileKey, uploadId, parts);
+      logger.info(`Multipart upload completed: ${fileKey} (${parts.length} parts)`);
+      return result;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error(`Failed to complete multipart upload for ${fileKey}:`, error);
+      throw new ApiError(500, 'Failed to complete upload', [error.message]);
+    }
+  }
+
+  /**
+   * Abort a multipart upload, discarding its parts
+   * @param {string} fileKey - Target storage key
+   * @param {string} uploadId - Storage upload ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async abortMultipartUpload(fileKey, uploadId) {
+    try {
+      await this.getDriver().abortMultipartUpload(fileKey, uploadId);
+      logger.info(`Multipart upload aborted: ${fileKey}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to abort multipart upload for ${fileKey}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * List stored files under a prefix, one page at a time
+   * @param {string} prefix - Key prefix, e.g. 'original/'
+   * @param {Object} options - { cursor, limit }
+   * @returns {Promise<Object>} { files: [{ key, size, lastModified }], cursor }
+   */
+  async listFiles(prefix = '', options = {}) {
+    try {
+      return await this.getDriver().list(prefix, options);
+    } catch (error) {
+      logger.error(`Failed to list files under ${prefix || '(root)'}:`, error);
+      throw new ApiError(500, 'Failed to list files in storage');
     }
   }
 
   /**
    * Upload multiple quality versions
+   * Each goes to getQualityFileKey(originalKey, quality), where streaming
+   * looks for it.
    * @param {Object} files - Object with quality keys and file buffers
-   * @param {string} baseName - Base file name
+   * @param {string} originalKey - R2 key of the original upload
    * @param {string} mimeType - File MIME type
    * @returns {Promise<Object>} Upload results
    */
-  async uploadMultipleQualities(files, baseName, mimeType) {
+  async uploadMultipleQualities(files, originalKey, mimeType) {
     const results = {};
     const errors = [];
 
     for (const [quality, buffer] of Object.entries(files)) {
       try {
-        const fileKey = this.generateFileKey(baseName, quality);
+        const fileKey = this.getQualityFileKey(originalKey, quality);
         const result = await this.uploadFile(buffer, fileKey, mimeType, {
           quality,
         });
@@ -334,6 +529,9 @@ class FileUploadHelper {
    * @returns {string} Public URL
    */
   getPublicUrl(fileKey) {
+    if (this.getDriver().name !== STORAGE_DRIVERS.R2) {
+      return null;
+    }
     if (!config.r2.publicUrl) {
       logger.warn('R2 public URL not configured');
       return null;
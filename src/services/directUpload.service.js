@@ -0,0 +1,227 @@
+/**
+ * Direct Upload Service
+ * Presigned uploads that bypass the API: the client gets a PUT URL and a
+ * pending song, uploads straight to storage, then finalizes. Finalize checks
+ * the stored object's size and queues an ingest job, which runs the same
+ * validation and tag extraction as the other upload paths in the worker and
+ * only then marks the song ready (visible). Pending songs that are never
+ * finalized are removed by the cleanup job.
+ */
+
+import config from '../config/index.js';
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import {
+  ERROR_MESSAGES,
+  HTTP_STATUS,
+  LIMITS,
+  PROCESSING_JOB_TYPES,
+  SONG_STATUS,
+  UPLOAD_URL_CONFIG,
+} from '../utils/constants.js';
+import fileUploadHelper from './audioUpload.js';
+import ProcessingQueueService from './processingQueue.service.js';
+
+class DirectUploadService {
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Create a pending song and a presigned PUT URL for its file
+   * @param {string} userId - User ID
+   * @param {Object} params - { filename, mimeType, fileSize, fields }
+   * @returns {Promise<Object>} { song, upload: { url, method, headers, key, expiresAt } }
+   */
+  static async createUploadUrl(userId, { filename, mimeType, fileSize, fields = {} }) {
+    // Size and type only; the contents are checked at finalize
+    fileUploadHelper.validateFile(mimeType, fileSize, null, {
+      maxSize: config.uploads.maxSessionFileSize,
+    });
+
+    const fileKey = fileUploadHelper.generateFileKey(filename);
+    const expiresIn = config.uploads.uploadUrlExpiry;
+    const url = await fileUploadHelper.getUploadUrl(fileKey, mimeType, fileSize, expiresIn);
+
+    const { data: song, error } = await this.getClient()
+      .from('songs')
+      .insert({
+        status: SONG_STATUS.PENDING,
+        title: fields.title?.slice(0, LIMITS.SONG_TITLE_MAX) || null,
+        artist: fields.artist?.slice(0, LIMITS.ARTIST_NAME_MAX) || null,
+        album: fields.album?.slice(0, LIMITS.ALBUM_NAME_MAX) || null,
+        duration_ms: fields.duration_ms || null,
+        r2_key: fileKey,
+        metadata: {
+          uploaded_by: userId,
+          original_filename: filename,
+          pending_upload: {
+            mime_type: mimeType,
+            file_size: fileSize,
+            song_fields: fields,
+          },
+        },
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Failed to create pending song:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+
+    return {
+      song,
+      upload: {
+        url,
+        method: 'PUT',
+        headers: { 'Content-Type': mimeType },
+        key: fileKey,
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Load a not-yet-ready song uploaded by the user
+   * @param {string} userId - User ID
+   * @param {string} songId - Song ID
+   * @returns {Promise<Object>} songs row with status pending
+   * @throws {ApiError} 404 if missing, 409 if already finalized or in progress
+   */
+  static async getPendingSong(userId, songId) {
+    const { data: song, error } = await this.getClient()
+      .from('songs')
+      .select('*')
+      .eq('id', songId)
+      .eq('metadata->>uploaded_by', userId)
+      .maybeSingle();
+
+    if (error || !song || !song.metadata?.pending_upload) {
+      throw ApiError.notFound(ERROR_MESSAGES.PENDING_UPLOAD_NOT_FOUND);
+    }
+    if (song.status !== SONG_STATUS.PENDING) {
+      throw new ApiError(
+        HTTP_STATUS.CONFLICT,
+        song.status === SONG_STATUS.READY
+          ? 'Song has already been finalized'
+          : 'Song is already being finalized',
+      );
+    }
+    return song;
+  }
+
+  /**
+   * Check the uploaded object and queue the song's ingest job
+   * The file is never read here: the job validates it and makes the song
+   * ready, or returns it to pending if it is rejected so the client can
+   * upload the file again (while the URL is valid) and retry.
+   * @param {string} userId - User ID
+   * @param {string} songId - Song ID
+   * @returns {Promise<Object>} songs row, now finalizing
+   */
+  static async finalize(userId, songId) {
+    const pendingSong = await this.getPendingSong(userId, songId);
+    const pending = pendingSong.metadata.pending_upload;
+    const fileKey = pendingSong.r2_key;
+
+    let file;
+    try {
+      file = await fileUploadHelper.getFileMetadata(fileKey);
+    } catch (error) {
+      if (error.statusCode === HTTP_STATUS.NOT_FOUND) {
+        throw ApiError.badRequest('The file has not been uploaded yet');
+      }
+      throw error;
+    }
+
+    if (file.size !== pending.file_size) {
+      throw ApiError.badRequest('Uploaded file size does not match the declared size', [
+        { declaredSize: pending.file_size, uploadedSize: file.size },
+      ]);
+    }
+
+    // Claim the song so concurrent finalize calls cannot both queue it
+    const { data: claimed, error: claimError } = await this.getClient()
+      .from('songs')
+      .update({ status: SONG_STATUS.FINALIZING })
+      .eq('id', pendingSong.id)
+      .eq('status', SONG_STATUS.PENDING)
+      .select()
+      .maybeSingle();
+
+    if (claimError || !claimed) {
+      throw new ApiError(HTTP_STATUS.CONFLICT, 'Song is already being finalized');
+    }
+
+    if (!(await ProcessingQueueService.enqueue(pendingSong.id, [PROCESSING_JOB_TYPES.INGEST]))) {
+      await this.getClient()
+        .from('songs')
+        .update({ status: SONG_STATUS.PENDING })
+        .eq('id', pendingSong.id)
+        .eq('status', SONG_STATUS.FINALIZING);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+
+    logger.info(`Direct upload queued for ingest: song ${pendingSong.id}`);
+    return claimed;
+  }
+
+  /**
+   * Remove pending songs (and any uploaded file) that were never finalized
+   * (cleanup job)
+   * @returns {Promise<Object>} { removed, failed }
+   */
+  static async expirePendingUploads() {
+    const cutoff = new Date(
+      Date.now() - UPLOAD_URL_CONFIG.PENDING_TTL_HOURS * 3600 * 1000,
+    ).toISOString();
+
+    const { data: songs, error } = await this.getClient()
+      .from('songs')
+      .select('id, r2_key')
+      .in('status', [SONG_STATUS.PENDING, SONG_STATUS.FINALIZING])
+      .lt('created_at', cutoff)
+      .limit(500);
+
+    if (error) {
+      throw new Error(`Failed to load pending songs: ${error.message}`);
+    }
+
+    let removed = 0;
+    let failed = 0;
+    for (const song of songs) {
+      // deleteFile logs its own failures; keep the row so the next run retries
+      if (!(await fileUploadHelper.deleteFile(song.r2_key))) {
+        failed++;
+        continue;
+      }
+
+      const { error: deleteError } = await this.getClient()
+        .from('songs')
+        .delete()
+        .eq('id', song.id)
+        .neq('status', SONG_STATUS.READY);
+
+      if (deleteError) {
+        failed++;
+        logger.error(`Failed to remove pending song ${song.id}:`, deleteError);
+      } else {
+        removed++;
+      }
+    }
+
+    return { removed, failed };
+  }
+}
+
+export default DirectUploadService;
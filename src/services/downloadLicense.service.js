@@ -0,0 +1,89 @@
+/**
+ * Download License Service
+ * Signs and verifies device-bound offline download licences
+ */
+
+import jwt from 'jsonwebtoken';
+import config from '../config/index.js';
+import ApiError from '../utils/apiError.js';
+import { DOWNLOAD_CONFIG } from '../utils/constants.js';
+
+class DownloadLicenseService {
+  /**
+   * Get the licence signing secret
+   * @returns {string} Secret
+   * @throws {ApiError} If no secret is configured
+   */
+  static getSecret() {
+    if (!config.downloads.licenseSecret) {
+      throw ApiError.internal('Download license secret is not configured');
+    }
+    return config.downloads.licenseSecret;
+  }
+
+  /**
+   * Compute a new expiry date from now
+   * @returns {Date} Expiry
+   */
+  static getExpiryDate() {
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + config.downloads.licenseTtlDays);
+    return expiresAt;
+  }
+
+  /**
+   * Sign a licence token for a download_licenses row
+   * @param {Object} license - download_licenses row
+   * @returns {string} Signed licence token
+   */
+  static sign(license) {
+    return jwt.sign(
+      {
+        typ: DOWNLOAD_CONFIG.TOKEN_TYPE,
+        sub: license.user_id,
+        sid: license.song_id,
+        did: license.device_id,
+        q: license.quality,
+        exp: Math.floor(new Date(license.expires_at).getTime() / 1000),
+      },
+      this.getSecret(),
+      { jwtid: license.id },
+    );
+  }
+
+  /**
+   * Verify a licence token for a device
+   * @param {string} token - Licence token
+   * @param {string} deviceId - Device presenting the token
+   * @param {Object} [options] - { licenseId, userId } the token must be for;
+   *   ignoreExpiration to accept expired licences (renewal, revocation)
+   * @returns {Object} Decoded claims
+   * @throws {ApiError} If the token is invalid, expired, for another licence
+   *   or bound to another device
+   */
+  static verify(token, deviceId, { licenseId, userId, ignoreExpiration = false } = {}) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.getSecret(), { ignoreExpiration });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw ApiError.forbidden('Download license has expired');
+      }
+      throw ApiError.forbidden('Invalid download license');
+    }
+
+    if (claims.typ !== DOWNLOAD_CONFIG.TOKEN_TYPE) {
+      throw ApiError.forbidden('Invalid download license');
+    }
+    if ((licenseId && claims.jti !== licenseId) || (userId && claims.sub !== userId)) {
+      throw ApiError.forbidden('Download license token is for another licence');
+    }
+    if (claims.did !== deviceId) {
+      throw ApiError.forbidden('Download license is bound to another device');
+    }
+
+    return claims;
+  }
+}
+
+export default DownloadLicenseService;
@@ -0,0 +1,190 @@
+/**
+ * Duplicate Service
+ * Content hashing for uploads: every original is hashed (SHA-256) and an
+ * upload whose bytes match a ready song is refused with a link to it.
+ * Songs uploaded before hashing existed are hashed by a backfill job, and
+ * admins can list hashes shared by several songs (legacy duplicates, or two
+ * identical uploads that raced past the check).
+ */
+
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import {
+  DUPLICATE_CONFIG,
+  ERROR_CODES,
+  ERROR_MESSAGES,
+  HTTP_STATUS,
+  SONG_STATUS,
+} from '../utils/constants.js';
+import fileUploadHelper from './audioUpload.js';
+
+class DuplicateService {
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Hash file contents
+   * @param {Buffer} buffer - File contents
+   * @returns {string} Hex SHA-256
+   */
+  static hashContent(buffer) {
+    return crypto.createHash(DUPLICATE_CONFIG.HASH_ALGORITHM).update(buffer).digest('hex');
+  }
+
+  /**
+   * API URL of a song
+   * @param {string} songId - Song ID
+   * @returns {string} Absolute URL
+   */
+  static getSongUrl(songId) {
+    return `${config.storage.publicBaseUrl}/api/${config.apiVersion}/songs/${songId}`;
+  }
+
+  /**
+   * Find a ready song with the given content hash
+   * @param {string} hash - Hex SHA-256
+   * @returns {Promise<Object|null>} { id, title, artist } or null
+   */
+  static async findByHash(hash) {
+    const { data, error } = await this.getClient()
+      .from('songs')
+      .select('id, title, artist')
+      .eq('content_hash', hash)
+      .eq('status', SONG_STATUS.READY)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error looking up song by content hash:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    return data;
+  }
+
+  /**
+   * Refuse an upload whose contents match an existing song
+   * @param {string} hash - Hex SHA-256 of the upload
+   * @throws {ApiError} 409 with the existing song's ID and URL
+   */
+  static async assertNotDuplicate(hash) {
+    const existing = await this.findByHash(hash);
+    if (!existing) return;
+
+    throw new ApiError(HTTP_STATUS.CONFLICT, ERROR_MESSAGES.DUPLICATE_UPLOAD, [
+      {
+        code: ERROR_CODES.DUPLICATE_UPLOAD,
+        songId: existing.id,
+        title: existing.title,
+        artist: existing.artist,
+        url: this.getSongUrl(existing.id),
+      },
+    ]);
+  }
+
+  /**
+   * List hashes shared by more than one ready song, largest groups first
+   * @param {Object} [options] - Pagination
+   * @param {number} [options.page] - Page number (1-based)
+   * @param {number} [options.limit] - Groups per page
+   * @returns {Promise<Object>} { groups: [{ contentHash, songCount,
+   *   firstUploadedAt, lastUploadedAt, songs }], total }
+   */
+  static async listGroups({ page = 1, limit = 20 } = {}) {
+    const supabase = this.getClient();
+    const { data: groups, error, count } = await supabase
+      .from('v_duplicate_song_groups')
+      .select('*', { count: 'exact' })
+      .order('song_count', { ascending: false })
+      .order('last_uploaded_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) {
+      logger.error('Error fetching duplicate groups:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    if (groups.length === 0) {
+      return { groups: [], total: count || 0 };
+    }
+
+    const { data: songs, error: songsError } = await supabase
+      .from('songs')
+      .select('*')
+      .in('content_hash', groups.map(group => group.content_hash))
+      .eq('status', SONG_STATUS.READY)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true });
+
+    if (songsError) {
+      logger.error('Error fetching duplicate songs:', songsError);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+
+    return {
+      groups: groups.map(group => ({
+        contentHash: group.content_hash,
+        songCount: group.song_count,
+        firstUploadedAt: group.first_uploaded_at,
+        lastUploadedAt: group.last_uploaded_at,
+        songs: songs.filter(song => song.content_hash === group.content_hash),
+      })),
+      total: count || 0,
+    };
+  }
+
+  /**
+   * Hash ready songs uploaded before content hashing (backfill job)
+   * Songs whose file cannot be read are skipped and retried on the next run.
+   * @param {number} [limit] - Songs to hash in this run
+   * @returns {Promise<Object>} { hashed, failed }
+   */
+  static async backfillHashes(limit = DUPLICATE_CONFIG.BACKFILL_BATCH_SIZE) {
+    const { data: songs, error } = await this.getClient()
+      .from('songs')
+      .select('id, r2_key')
+      .is('content_hash', null)
+      .eq('status', SONG_STATUS.READY)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load unhashed songs: ${error.message}`);
+    }
+
+    let hashed = 0;
+    let failed = 0;
+    for (const song of songs) {
+      try {
+        const buffer = await fileUploadHelper.downloadFile(song.r2_key);
+        const { error: updateError } = await this.getClient()
+          .from('songs')
+          .update({ content_hash: this.hashContent(buffer) })
+          .eq('id', song.id);
+
+        if (updateError) throw new Error(updateError.message);
+        hashed++;
+      } catch (hashError) {
+        failed++;
+        logger.warn(`Failed to hash song ${song.id}:`, hashError);
+      }
+    }
+
+    return { hashed, failed };
+  }
+}
+
+export default DuplicateService;
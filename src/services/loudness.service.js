@@ -0,0 +1,143 @@
+/**
+ * Loudness Service
+ * Measures a song's integrated loudness (EBU R128) and sample peak on the
+ * original decoded to PCM, and derives the ReplayGain-style track gain
+ * players use to normalise volume. Run by the processing queue; the values
+ * go on the song and into SongFeature.loudness.
+ */
+
+import path from 'path';
+import config from '../config/index.js';
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import { SongFeature } from '../database/models/index.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import cacheHelper from '../utils/cacheHelper.js';
+import { decodePcm } from '../utils/ffmpeg.js';
+import { createLoudnessMeter, getTrackGain } from '../utils/loudness.js';
+import {
+  CACHE_KEYS,
+  LOUDNESS_CONFIG,
+  QUALITY_TIERS,
+  SONG_STATUS,
+} from '../utils/constants.js';
+import fileUploadHelper from './audioUpload.js';
+
+/**
+ * Round to hundredths (a hundredth of a dB is far below audibility)
+ * @param {number|null} value - Value
+ * @returns {number|null} Rounded value
+ */
+const round = value => (value === null ? null : Math.round(value * 100) / 100);
+
+class LoudnessService {
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Measure decoded audio
+   * @param {Buffer} audio - Source audio (any format ffmpeg reads)
+   * @param {string} [extension] - Source file extension (a hint for ffmpeg)
+   * @returns {Promise<Object>} { loudness_lufs, track_gain_db, track_peak } (songs columns)
+   */
+  static async measure(audio, extension = '') {
+    const meter = createLoudnessMeter({
+      sampleRate: LOUDNESS_CONFIG.SAMPLE_RATE,
+      channels: LOUDNESS_CONFIG.CHANNELS,
+    });
+
+    await decodePcm(audio, {
+      ffmpegPath: config.audio.ffmpegPath,
+      timeoutMs: config.audio.transcodeTimeoutSeconds * 1000,
+      extension,
+      sampleRate: LOUDNESS_CONFIG.SAMPLE_RATE,
+      channels: LOUDNESS_CONFIG.CHANNELS,
+      chunkFrames: LOUDNESS_CONFIG.READ_CHUNK_FRAMES,
+      onChunk: samples => meter.write(samples),
+    });
+
+    const { integratedLufs, peak } = meter.finish();
+    return {
+      loudness_lufs: round(integratedLufs),
+      track_gain_db: round(getTrackGain(integratedLufs)),
+      track_peak: Math.round(peak * 1e6) / 1e6,
+    };
+  }
+
+  /**
+   * Measure a song's loudness (processing job handler)
+   * @param {string} songId - Song ID
+   * @returns {Promise<Object>} { loudnessLufs, trackGainDb, trackPeak } for the job result
+   * @throws {Error} If the song is missing, decoding fails or the result cannot be saved
+   */
+  static async analyseSong(songId) {
+    const { data: song, error } = await this.getClient()
+      .from('songs')
+      .select('id, r2_key')
+      .eq('id', songId)
+      .eq('status', SONG_STATUS.READY)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load song ${songId}: ${error.message}`);
+    }
+    if (!song) {
+      throw new Error(`Song ${songId} not found or not ready`);
+    }
+
+    const original = await fileUploadHelper.downloadFile(song.r2_key);
+    const measured = await this.measure(original, path.posix.extname(song.r2_key));
+
+    const { error: updateError } = await this.getClient()
+      .from('songs')
+      .update(measured)
+      .eq('id', song.id);
+
+    if (updateError) {
+      throw new Error(`Failed to save loudness for song ${song.id}: ${updateError.message}`);
+    }
+
+    // Cached batch stream URLs carry the previous values
+    await cacheHelper.delMany(QUALITY_TIERS.map(quality => CACHE_KEYS.CDN_URL(song.id, quality)));
+    await this.saveFeature(song.id, measured.loudness_lufs);
+
+    logger.info(
+      `Loudness of song ${song.id}: ${measured.loudness_lufs ?? 'silent'} LUFS, gain ${measured.track_gain_db ?? '-'} dB, peak ${measured.track_peak}`,
+    );
+    return {
+      loudnessLufs: measured.loudness_lufs,
+      trackGainDb: measured.track_gain_db,
+      trackPeak: measured.track_peak,
+    };
+  }
+
+  /**
+   * Record the loudness in the song's analytics features (best effort:
+   * MongoDB is optional)
+   * @param {string} songId - Song ID
+   * @param {number|null} loudnessLufs - Integrated loudness
+   */
+  static async saveFeature(songId, loudnessLufs) {
+    try {
+      await SongFeature.updateOne(
+        { songId },
+        { $set: { loudness: loudnessLufs } },
+        { upsert: true },
+      );
+    } catch (error) {
+      logger.warn(`Failed to save loudness feature for song ${songId}:`, error);
+    }
+  }
+}
+
+export default LoudnessService;
@@ -0,0 +1,262 @@
+/**
+ * Lyrics Service
+ * Lyrics per song (song_lyrics): the uploader or an admin saves plain, LRC
+ * or enhanced LRC text, listeners fetch it parsed into time-coded lines.
+ * Saving or removing lyrics keeps songs.lyrics_available in step, and the
+ * plain text is what searchSongs matches a remembered line against.
+ */
+
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import { assertAllowed, canManageSong } from '../utils/policy.js';
+import {
+  detectLyricsFormat,
+  escapeLikePattern,
+  findLyricsLine,
+  getLyricsText,
+  parseLyrics,
+} from '../utils/lyrics.js';
+import {
+  ERROR_MESSAGES,
+  LYRICS_CONFIG,
+  LYRICS_FORMATS,
+  SONG_STATUS,
+} from '../utils/constants.js';
+
+class LyricsService {
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Get a playable song
+   * @param {string} songId - Song ID
+   * @param {string} columns - Select list
+   * @returns {Promise<Object>} songs row
+   * @throws {ApiError} 404 if the song does not exist, is pending or trashed
+   */
+  static async getSong(songId, columns) {
+    const { data: song, error } = await this.getClient()
+      .from('songs')
+      .select(columns)
+      .eq('id', songId)
+      .eq('status', SONG_STATUS.READY)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error fetching song:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    if (!song) {
+      throw ApiError.notFound(ERROR_MESSAGES.SONG_NOT_FOUND);
+    }
+    return song;
+  }
+
+  /**
+   * Check and parse uploaded lyrics into a song_lyrics row
+   * @param {string} text - Lyrics as uploaded
+   * @param {Object} [options] - Options
+   * @param {string} [options.format] - LYRICS_FORMATS value (default: detected)
+   * @param {string} [options.language] - Language tag
+   * @returns {Object} { format, source, plain_text, language, line_count }
+   * @throws {ApiError} 400 if the lyrics are empty, too long, or declared
+   *   synced without any timed line
+   */
+  static prepare(text, { format, language = null } = {}) {
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw ApiError.badRequest('Lyrics are required');
+    }
+    if (text.length > LYRICS_CONFIG.MAX_LENGTH) {
+      throw ApiError.badRequest(`Lyrics must be at most ${LYRICS_CONFIG.MAX_LENGTH} characters`);
+    }
+
+    const detected = detectLyricsFormat(text);
+    const resolved = format || detected;
+    if (resolved !== LYRICS_FORMATS.PLAIN && detected === LYRICS_FORMATS.PLAIN) {
+      throw ApiError.badRequest('Synced lyrics need [mm:ss.xx] timestamps');
+    }
+
+    const parsed = parseLyrics(text, { format: resolved });
+    if (parsed.lines.length === 0) {
+      throw ApiError.badRequest('Lyrics contain no lines');
+    }
+
+    return {
+      format: resolved,
+      source: text,
+      plain_text: getLyricsText(parsed),
+      language,
+      line_count: parsed.lines.length,
+    };
+  }
+
+  /**
+   * Shape lyrics for the API
+   * @param {Object} row - song_lyrics row
+   * @param {Object} song - songs row (duration_ms)
+   * @returns {Object} Parsed lyrics with their time-coded lines
+   */
+  static toResponse(row, song) {
+    const parsed = parseLyrics(row.source, {
+      format: row.format,
+      durationMs: song.duration_ms ?? null,
+    });
+
+    return {
+      songId: row.song_id,
+      format: row.format,
+      synced: parsed.synced,
+      language: row.language || null,
+      offsetMs: parsed.offsetMs,
+      tags: parsed.tags,
+      lines: parsed.lines,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  /**
+   * Save a song's lyrics, replacing any it had (uploader or admin)
+   * @param {Object} user - req.user
+   * @param {string} songId - Song ID
+   * @param {Object} input - { text, format, language }
+   * @returns {Promise<Object>} Lyrics (see toResponse)
+   * @throws {ApiError} 404 if the song is not playable, 403 if not allowed, 400 on bad lyrics
+   */
+  static async setLyrics(user, songId, { text, format, language }) {
+    const song = await this.getSong(songId, 'id, duration_ms, metadata');
+    assertAllowed(
+      canManageSong(user, song),
+      'Only the uploader or an admin can change the lyrics of this song',
+    );
+
+    const supabase = this.getClient();
+    const { data: row, error } = await supabase
+      .from('song_lyrics')
+      .upsert(
+        { song_id: song.id, uploaded_by: user.id, ...this.prepare(text, { format, language }) },
+        { onConflict: 'song_id' },
+      )
+      .select()
+      .single();
+
+    if (error) {
+      logger.error(`Failed to save lyrics for song ${song.id}:`, error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+
+    const { error: flagError } = await supabase
+      .from('songs')
+      .update({ lyrics_available: true })
+      .eq('id', song.id);
+
+    if (flagError) {
+      logger.error(`Failed to flag lyrics on song ${song.id}:`, flagError);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+
+    logger.info(`Lyrics saved for song ${song.id} (${row.format}, ${row.line_count} lines)`);
+    return this.toResponse(row, song);
+  }
+
+  /**
+   * Get a song's lyrics as time-coded lines
+   * @param {string} songId - Song ID
+   * @returns {Promise<Object>} Lyrics (see toResponse)
+   * @throws {ApiError} 404 if the song is not playable or has no lyrics
+   */
+  static async getLyrics(songId) {
+    const song = await this.getSong(songId, 'id, duration_ms');
+
+    const { data: row, error } = await this.getClient()
+      .from('song_lyrics')
+      .select('*')
+      .eq('song_id', song.id)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error fetching lyrics:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    if (!row) {
+      throw ApiError.notFound(ERROR_MESSAGES.LYRICS_NOT_FOUND);
+    }
+    return this.toResponse(row, song);
+  }
+
+  /**
+   * Remove a song's lyrics (uploader or admin)
+   * @param {Object} user - req.user
+   * @param {string} songId - Song ID
+   * @throws {ApiError} 404 if the song is not playable or has no lyrics, 403 if not allowed
+   */
+  static async removeLyrics(user, songId) {
+    const song = await this.getSong(songId, 'id, metadata');
+    assertAllowed(
+      canManageSong(user, song),
+      'Only the uploader or an admin can change the lyrics of this song',
+    );
+
+    const supabase = this.getClient();
+    const { data: removed, error } = await supabase
+      .from('song_lyrics')
+      .delete()
+      .eq('song_id', song.id)
+      .select('song_id');
+
+    if (error) {
+      logger.error(`Failed to remove lyrics of song ${song.id}:`, error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    if (removed.length === 0) {
+      throw ApiError.notFound(ERROR_MESSAGES.LYRICS_NOT_FOUND);
+    }
+
+    const { error: flagError } = await supabase
+      .from('songs')
+      .update({ lyrics_available: false })
+      .eq('id', song.id);
+
+    if (flagError) {
+      logger.error(`Failed to clear the lyrics flag of song ${song.id}:`, flagError);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+  }
+
+  /**
+   * Find songs whose lyrics contain a phrase
+   * Best effort: a failure is logged and matches nothing, so song search
+   * still falls back to titles, artists and albums.
+   * @param {string} query - Search query
+   * @param {number} [limit] - Songs to match at most
+   * @returns {Promise<Map<string, string>>} Song ID -> first matching line
+   */
+  static async findSongsByText(query, limit = LYRICS_CONFIG.SEARCH_MATCH_LIMIT) {
+    try {
+      const { data, error } = await this.getClient()
+        .from('song_lyrics')
+        .select('song_id, plain_text')
+        .ilike('plain_text', `%${escapeLikePattern(query.trim())}%`)
+        .limit(limit);
+
+      if (error) throw new Error(error.message);
+
+      return new Map(data.map(row => [row.song_id, findLyricsLine(row.plain_text, query)]));
+    } catch (error) {
+      logger.warn('Lyrics search failed, matching titles, artists and albums only:', error);
+      return new Map();
+    }
+  }
+}
+
+export default LyricsService;
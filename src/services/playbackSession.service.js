@@ -0,0 +1,546 @@
+/**
+ * Playback Session Service
+ * Owns listening sessions on the server: clients report position through
+ * heartbeats and the server derives listened time, completion and the track's
+ * position within the session, then writes one record per finished track to
+ * user_interactions and ListeningPattern. The update that finishes a track
+ * also stores its interaction on the session (pending_track), so an insert
+ * that fails is redone by the session's next update or a background job.
+ * Interactions whose ListeningPattern write fails stay pending and are
+ * retried by a background job.
+ */
+
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import { ListeningPattern } from '../database/models/index.js';
+import AnalyticsService from './analytics.service.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import {
+  ERROR_MESSAGES,
+  HTTP_STATUS,
+  INTERACTION_TYPES,
+  PLAYBACK_CONFIG,
+  PLAYBACK_SESSION_STATUS,
+  SONG_STATUS,
+} from '../utils/constants.js';
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+class PlaybackSessionService {
+  /**
+   * Listened time between two heartbeats
+   * Backward seeks add nothing and forward seeks are capped at the wall-clock
+   * time that passed, so scrubbing cannot inflate listened duration.
+   * @param {number} lastPositionMs - Position at the previous heartbeat
+   * @param {number} positionMs - Reported position
+   * @param {number} elapsedMs - Wall-clock time since the previous heartbeat
+   * @returns {number} Listened milliseconds to add
+   */
+  static computeListenedDelta(lastPositionMs, positionMs, elapsedMs) {
+    const advanced = positionMs - lastPositionMs;
+    if (advanced <= 0) return 0;
+    return Math.min(advanced, Math.max(elapsedMs, 0) + PLAYBACK_CONFIG.POSITION_SLACK_MS);
+  }
+
+  /**
+   * Summarise the current track of a session
+   * @param {Object} session - playback_sessions row
+   * @param {Object} options - { skipped }
+   * @returns {Object} { listenedMs, completionRate, completed, skipped, skipPosition }
+   */
+  static summarizeTrack(session, { skipped = false } = {}) {
+    const durationMs = session.current_duration_ms || 0;
+    const listenedMs = durationMs
+      ? Math.min(session.listened_ms, durationMs)
+      : session.listened_ms;
+    const completionRate = durationMs ? listenedMs / durationMs : 0;
+    const completed = completionRate >= PLAYBACK_CONFIG.COMPLETION_THRESHOLD;
+    const wasSkipped = skipped && !completed;
+
+    return {
+      listenedMs,
+      completionRate,
+      completed,
+      skipped: wasSkipped,
+      skipPosition: wasSkipped ? session.position_ms : undefined,
+    };
+  }
+
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Look up a song's duration
+   * @param {string} songId - Song ID
+   * @returns {Promise<number>} Duration in ms
+   */
+  static async getSongDuration(songId) {
+    const { data: song, error } = await this.getClient()
+      .from('songs')
+      .select('id, duration_ms')
+      .eq('id', songId)
+      .eq('status', SONG_STATUS.READY)
+      .is('deleted_at', null)
+      .single();
+
+    if (error || !song) {
+      throw ApiError.notFound(ERROR_MESSAGES.SONG_NOT_FOUND);
+    }
+    return song.duration_ms;
+  }
+
+  /**
+   * Load an active session owned by the user
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} playback_sessions row
+   */
+  static async getActiveSession(userId, sessionId) {
+    const { data: session, error } = await this.getClient()
+      .from('playback_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error || !session) {
+      throw ApiError.notFound(ERROR_MESSAGES.PLAYBACK_SESSION_NOT_FOUND);
+    }
+    if (session.status !== PLAYBACK_SESSION_STATUS.ACTIVE) {
+      throw ApiError.conflict(ERROR_MESSAGES.PLAYBACK_SESSION_CLOSED);
+    }
+    return session;
+  }
+
+  /**
+   * Persist session changes unless another request changed the session since
+   * it was read (updated_at moves on every write), so concurrent heartbeats
+   * cannot both finalise the same track
+   * @param {Object} session - playback_sessions row as read
+   * @param {Object} changes - Columns to update
+   * @returns {Promise<Object>} Updated row
+   * @throws {ApiError} 409 if the session changed or closed meanwhile
+   */
+  static async updateSessionIfUnchanged(session, changes) {
+    const { data, error } = await this.getClient()
+      .from('playback_sessions')
+      .update(changes)
+      .eq('id', session.id)
+      .eq('status', PLAYBACK_SESSION_STATUS.ACTIVE)
+      .eq('updated_at', session.updated_at)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Failed to update playback session:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    if (!data) {
+      throw ApiError.conflict(ERROR_MESSAGES.PLAYBACK_SESSION_CHANGED);
+    }
+    return data;
+  }
+
+  /**
+   * Start a session on its first track
+   * @param {string} userId - User ID
+   * @param {Object} params - { songId, source, deviceType, networkType, quality, positionMs }
+   * @returns {Promise<Object>} playback_sessions row
+   */
+  static async start(userId, { songId, source, deviceType, networkType, quality, positionMs = 0 }) {
+    const durationMs = await this.getSongDuration(songId);
+    const now = new Date().toISOString();
+
+    const { data: session, error } = await this.getClient()
+      .from('playback_sessions')
+      .insert({
+        user_id: userId,
+        source,
+        device_type: deviceType,
+        network_type: networkType,
+        quality,
+        current_song_id: songId,
+        current_duration_ms: durationMs,
+        track_position: 1,
+        track_started_at: now,
+        position_ms: positionMs,
+        listened_ms: 0,
+        last_heartbeat_at: now,
+      })
+      .select()
+      .single();
+
+    if (error || !session) {
+      logger.error('Failed to start playback session:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+
+    logger.info(`Playback session started: ${session.id} (${userId} -> ${songId})`);
+    return session;
+  }
+
+  /**
+   * Apply a heartbeat. A heartbeat for a different song finalises the current
+   * track (as a skip if it was cut short) and moves the session on.
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {Object} params - { songId, positionMs, quality, networkType }
+   * @returns {Promise<Object>} { session, finishedTrack }
+   * @throws {ApiError} 409 if a concurrent heartbeat updated the session first
+   */
+  static async heartbeat(userId, sessionId, { songId, positionMs, quality, networkType }) {
+    const session = await this.getActiveSession(userId, sessionId);
+    await this.flushPendingTrack(session);
+    const now = new Date();
+    const elapsedMs = now - new Date(session.last_heartbeat_at);
+    const context = {
+      quality: quality || session.quality,
+      network_type: networkType || session.network_type,
+    };
+
+    if (songId && songId !== session.current_song_id) {
+      const durationMs = await this.getSongDuration(songId);
+      const track = this.buildTrack(session, { skipped: true });
+
+      const updated = await this.updateSessionIfUnchanged(session, {
+        ...context,
+        current_song_id: songId,
+        current_duration_ms: durationMs,
+        track_position: session.track_position + 1,
+        track_started_at: now.toISOString(),
+        position_ms: positionMs,
+        listened_ms: this.computeListenedDelta(0, positionMs, elapsedMs),
+        last_heartbeat_at: now.toISOString(),
+        pending_track: track.interaction,
+      });
+
+      // Only the heartbeat whose update won records the finished track
+      await this.recordTrack(track.interaction);
+      return { session: updated, finishedTrack: track.summary };
+    }
+
+    const updated = await this.updateSessionIfUnchanged(session, {
+      ...context,
+      position_ms: positionMs,
+      listened_ms:
+        session.listened_ms +
+        this.computeListenedDelta(session.position_ms, positionMs, elapsedMs),
+      last_heartbeat_at: now.toISOString(),
+      pending_track: null,
+    });
+
+    return { session: updated, finishedTrack: null };
+  }
+
+  /**
+   * End a session, finalising its current track
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {Object} params - { positionMs, skipped }
+   * @returns {Promise<Object>} { session, finishedTrack }
+   */
+  static async end(userId, sessionId, { positionMs, skipped = false } = {}) {
+    let session = await this.getActiveSession(userId, sessionId);
+
+    if (positionMs !== undefined) {
+      const elapsedMs = new Date() - new Date(session.last_heartbeat_at);
+      session = {
+        ...session,
+        listened_ms:
+          session.listened_ms +
+          this.computeListenedDelta(session.position_ms, positionMs, elapsedMs),
+        position_ms: positionMs,
+      };
+    }
+
+    return this.close(session, PLAYBACK_SESSION_STATUS.ENDED, { skipped });
+  }
+
+  /**
+   * Mark the session closed and record its current track
+   * @param {Object} session - playback_sessions row (with final position applied)
+   * @param {string} status - Closing status
+   * @param {Object} options - { skipped }
+   * @returns {Promise<Object>} { session, finishedTrack }
+   * @throws {ApiError} 409 if a concurrent request updated the session first
+   */
+  static async close(session, status, { skipped = false } = {}) {
+    await this.flushPendingTrack(session);
+    const track = session.current_song_id ? this.buildTrack(session, { skipped }) : null;
+
+    const updated = await this.updateSessionIfUnchanged(session, {
+      status,
+      position_ms: session.position_ms,
+      listened_ms: session.listened_ms,
+      ended_at: new Date().toISOString(),
+      pending_track: track?.interaction ?? null,
+    });
+
+    if (track) {
+      await this.recordTrack(track.interaction);
+    }
+
+    logger.info(`Playback session ${status}: ${session.id}`);
+    return { session: updated, finishedTrack: track?.summary ?? null };
+  }
+
+  /**
+   * Build the record of the session's current track. The interaction gets
+   * its id here, so writing it again after a lost response is detectable.
+   * Both stores get the same computed values and timestamp.
+   * @param {Object} session - playback_sessions row
+   * @param {Object} options - { skipped }
+   * @returns {Object} { interaction: user_interactions row, summary }
+   */
+  static buildTrack(session, { skipped = false } = {}) {
+    const summary = this.summarizeTrack(session, { skipped });
+
+    return {
+      interaction: {
+        id: crypto.randomUUID(),
+        user_id: session.user_id,
+        song_id: session.current_song_id,
+        action_type: summary.skipped ? INTERACTION_TYPES.SKIP : INTERACTION_TYPES.PLAY,
+        session_id: session.id,
+        listened_duration_ms: summary.listenedMs,
+        quality_used: session.quality,
+        device_type: session.device_type,
+        network_type: session.network_type,
+        metadata: {
+          source: session.source,
+          session_position: session.track_position,
+          completion_rate: summary.completionRate,
+          completed: summary.completed,
+          skip_position: summary.skipPosition,
+          duration_ms: session.current_duration_ms,
+        },
+        listening_pattern_pending: Boolean(config.mongodb.uri),
+        created_at: new Date().toISOString(),
+      },
+      summary: {
+        songId: session.current_song_id,
+        sessionPosition: session.track_position,
+        ...summary,
+      },
+    };
+  }
+
+  /**
+   * Write a finished track to user_interactions and ListeningPattern
+   * Failures are logged and leave the track on its session's pending_track;
+   * an interaction that already exists counts as written.
+   * @param {Object} interaction - user_interactions row from buildTrack
+   * @returns {Promise<boolean>} Whether the interaction is written
+   */
+  static async recordTrack(interaction) {
+    const { error } = await this.getClient().from('user_interactions').insert(interaction);
+
+    if (error?.code === UNIQUE_VIOLATION) return true;
+    if (error) {
+      logger.error(`Failed to record playback interaction ${interaction.id}, will retry:`, error);
+      return false;
+    }
+
+    if (interaction.listening_pattern_pending) {
+      await this.syncListeningPattern(interaction);
+    }
+    return true;
+  }
+
+  /**
+   * Write the session's pending track before the session changes again, so
+   * an update cannot replace a track whose insert failed
+   * @param {Object} session - playback_sessions row
+   * @throws {ApiError} 500 if it still cannot be written (the session is unchanged)
+   */
+  static async flushPendingTrack(session) {
+    if (session.pending_track && !(await this.recordTrack(session.pending_track))) {
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+  }
+
+  /**
+   * Write the pending tracks of sessions that stopped changing (closed, or
+   * idle since the insert failed); active sessions write theirs on their
+   * next heartbeat
+   * @returns {Promise<Object>} { recorded, failed }
+   */
+  static async recordPendingTracks() {
+    const cutoff = new Date(Date.now() - PLAYBACK_CONFIG.PENDING_TRACK_RETRY_DELAY_MS);
+    const { data: sessions, error } = await this.getClient()
+      .from('playback_sessions')
+      .select('*')
+      .not('pending_track', 'is', null)
+      .lt('updated_at', cutoff.toISOString())
+      .limit(500);
+
+    if (error) {
+      throw new Error(`Failed to load pending playback tracks: ${error.message}`);
+    }
+
+    let recorded = 0;
+    let failed = 0;
+    for (const session of sessions) {
+      if (!(await this.recordTrack(session.pending_track))) {
+        failed++;
+        continue;
+      }
+      recorded++;
+
+      // A session that changed meanwhile cleared or replaced the marker itself
+      const { error: clearError } = await this.getClient()
+        .from('playback_sessions')
+        .update({ pending_track: null })
+        .eq('id', session.id)
+        .eq('updated_at', session.updated_at);
+
+      if (clearError) {
+        logger.warn(`Failed to clear pending track of playback session ${session.id}:`, clearError);
+      }
+    }
+
+    return { recorded, failed };
+  }
+
+  /**
+   * ListeningPattern fields for a recorded playback interaction
+   * @param {Object} interaction - user_interactions row from buildTrack
+   * @returns {Object} AnalyticsService.trackListening data
+   */
+  static toListeningPattern(interaction) {
+    const metadata = interaction.metadata || {};
+    return {
+      userId: interaction.user_id,
+      songId: interaction.song_id,
+      playDuration: interaction.listened_duration_ms,
+      songDuration: metadata.duration_ms,
+      skipped: interaction.action_type === INTERACTION_TYPES.SKIP,
+      skipPosition: metadata.skip_position,
+      source: metadata.source,
+      deviceType: interaction.device_type,
+      networkType: interaction.network_type,
+      quality: interaction.quality_used,
+      sessionId: interaction.session_id,
+      sessionPosition: metadata.session_position,
+      timestamp: new Date(interaction.created_at),
+    };
+  }
+
+  /**
+   * Write an interaction's ListeningPattern and clear its pending flag
+   * Failures are logged and leave the interaction pending for
+   * retryListeningPatterns; a pattern that already exists is not written again.
+   * @param {Object} interaction - user_interactions row written by recordTrack
+   * @returns {Promise<boolean>} Whether the interaction is now in sync
+   */
+  static async syncListeningPattern(interaction) {
+    const pattern = this.toListeningPattern(interaction);
+
+    try {
+      const exists = await ListeningPattern.exists({
+        sessionId: pattern.sessionId,
+        sessionPosition: pattern.sessionPosition,
+        songId: pattern.songId,
+      });
+      if (!exists) {
+        await AnalyticsService.trackListening(pattern);
+      }
+    } catch (err) {
+      logger.warn(`Listening pattern not recorded for interaction ${interaction.id}, will retry:`, err);
+      return false;
+    }
+
+    const { error } = await this.getClient()
+      .from('user_interactions')
+      .update({ listening_pattern_pending: false })
+      .eq('id', interaction.id);
+
+    if (error) {
+      logger.warn(`Failed to clear listening pattern flag for interaction ${interaction.id}:`, error);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Re-send ListeningPattern writes that failed when the track was recorded
+   * @returns {Promise<Object>} { synced, failed }
+   */
+  static async retryListeningPatterns() {
+    if (!config.mongodb.uri) return { synced: 0, failed: 0 };
+
+    const cutoff = new Date(Date.now() - PLAYBACK_CONFIG.LISTENING_PATTERN_RETRY_DELAY_MS);
+    const { data: interactions, error } = await this.getClient()
+      .from('user_interactions')
+      .select('*')
+      .eq('listening_pattern_pending', true)
+      .lt('created_at', cutoff.toISOString())
+      .order('created_at', { ascending: true })
+      .limit(500);
+
+    if (error) {
+      throw new Error(`Failed to load pending listening patterns: ${error.message}`);
+    }
+
+    let synced = 0;
+    let failed = 0;
+    for (const interaction of interactions) {
+      if (await this.syncListeningPattern(interaction)) {
+        synced++;
+      } else {
+        failed++;
+      }
+    }
+
+    return { synced, failed };
+  }
+
+  /**
+   * Close sessions that stopped sending heartbeats, recording what was heard
+   * @returns {Promise<Object>} { expired, failed }
+   */
+  static async expireStaleSessions() {
+    const cutoff = new Date(Date.now() - PLAYBACK_CONFIG.SESSION_TIMEOUT_MS);
+
+    const { data: sessions, error } = await this.getClient()
+      .from('playback_sessions')
+      .select('*')
+      .eq('status', PLAYBACK_SESSION_STATUS.ACTIVE)
+      .lt('last_heartbeat_at', cutoff.toISOString())
+      .limit(500);
+
+    if (error) {
+      throw new Error(`Failed to load stale playback sessions: ${error.message}`);
+    }
+
+    let expired = 0;
+    let failed = 0;
+    for (const session of sessions) {
+      try {
+        await this.close(session, PLAYBACK_SESSION_STATUS.EXPIRED);
+        expired++;
+      } catch (err) {
+        // A heartbeat or end arrived meanwhile: the session is no longer stale
+        if (err.statusCode === HTTP_STATUS.CONFLICT) continue;
+        failed++;
+        logger.error(`Failed to expire playback session ${session.id}:`, err);
+      }
+    }
+
+    return { expired, failed };
+  }
+}
+
+export default PlaybackSessionService;
@@ -0,0 +1,152 @@
+/**
+ * Preview Clip Service
+ * Cuts short preview clips from uploaded audio without re-encoding,
+ * by copying whole frames (MP3, ADTS AAC) or PCM blocks (WAV)
+ */
+
+import config from '../config/index.js';
+import { logger } from '../utils/logger.js';
+import {
+  skipId3v2,
+  parseMpegFrameHeader,
+  parseAdtsHeader,
+  iterateFrames,
+  parseWav,
+} from '../utils/audioFrames.js';
+
+const MP3_TYPES = ['audio/mpeg', 'audio/mp3'];
+const AAC_TYPES = ['audio/aac'];
+const WAV_TYPES = ['audio/wav', 'audio/x-wav'];
+
+class PreviewService {
+  /**
+   * Check whether a preview can be cut from this audio type
+   * @param {string} mimeType - File MIME type
+   * @returns {boolean} Supported
+   */
+  static isSupported(mimeType) {
+    return [...MP3_TYPES, ...AAC_TYPES, ...WAV_TYPES].includes(mimeType);
+  }
+
+  /**
+   * Compute the clip window for a track
+   * Starts at the configured offset, pulled back so the clip never runs past
+   * the end of short tracks.
+   * @param {number} durationMs - Track duration
+   * @returns {Object} { startMs, durationMs }
+   */
+  static getClipWindow(durationMs) {
+    const { startMs, durationMs: clipMs } = config.preview;
+    const length = Math.min(clipMs, durationMs);
+    const start = Math.max(0, Math.min(startMs, durationMs - length));
+
+    return { startMs: start, durationMs: length };
+  }
+
+  /**
+   * Cut a preview clip from an audio buffer
+   * @param {Buffer} buffer - Source audio
+   * @param {string} mimeType - Source MIME type
+   * @param {number} durationMs - Source duration
+   * @returns {Object|null} { buffer, startMs, durationMs } or null if unsupported
+   */
+  static createClip(buffer, mimeType, durationMs) {
+    if (!this.isSupported(mimeType) || !durationMs) {
+      return null;
+    }
+
+    const window = this.getClipWindow(durationMs);
+
+    let clip = null;
+    if (MP3_TYPES.includes(mimeType)) {
+      clip = this.cutFrames(buffer, skipId3v2(buffer), parseMpegFrameHeader, window);
+    } else if (AAC_TYPES.includes(mimeType)) {
+      clip = this.cutFrames(buffer, skipId3v2(buffer), parseAdtsHeader, window);
+    } else if (WAV_TYPES.includes(mimeType)) {
+      clip = this.cutWav(buffer, window);
+    }
+
+    if (!clip || clip.buffer.length === 0) {
+      logger.warn(`Could not cut preview clip from ${mimeType} audio`);
+      return null;
+    }
+
+    return clip;
+  }
+
+  /**
+   * Copy the frames that fall inside the clip window
+   * @param {Buffer} buffer - Source audio
+   * @param {number} start - Offset of the first frame
+   * @param {Function} parseHeader - Frame header parser
+   * @param {Object} window - { startMs, durationMs }
+   * @returns {Object} { buffer, startMs, durationMs }
+   */
+  static cutFrames(buffer, start, parseHeader, window) {
+    const endMs = window.startMs + window.durationMs;
+    const frames = [];
+    let elapsedMs = 0;
+    let clipStartMs = null;
+
+    for (const { offset, header } of iterateFrames(buffer, start, parseHeader)) {
+      const frameMs = (header.samplesPerFrame / header.sampleRate) * 1000;
+
+      if (elapsedMs >= window.startMs) {
+        if (clipStartMs === null) clipStartMs = elapsedMs;
+        frames.push(buffer.subarray(offset, offset + header.frameLength));
+      }
+
+      elapsedMs += frameMs;
+      if (elapsedMs >= endMs) break;
+    }
+
+    return {
+      buffer: Buffer.concat(frames),
+      startMs: Math.round(clipStartMs ?? 0),
+      durationMs: Math.round(elapsedMs - (clipStartMs ?? elapsedMs)),
+    };
+  }
+
+  /**
+   * Copy the PCM blocks inside the clip window and write a fresh WAVE header
+   * @param {Buffer} buffer - Source audio
+   * @param {Object} window - { startMs, durationMs }
+   * @returns {Object|null} { buffer, startMs, durationMs }
+   */
+  static cutWav(buffer, window) {
+    const wav = parseWav(buffer);
+    if (!wav || !wav.format.byteRate || !wav.format.blockAlign) return null;
+
+    const { byteRate, blockAlign } = wav.format;
+    const toBytes = ms =>
+      Math.floor((ms / 1000) * byteRate / blockAlign) * blockAlign;
+
+    const from = Math.min(toBytes(window.startMs), wav.dataChunk.size);
+    const to = Math.min(from + toBytes(window.durationMs), wav.dataChunk.size);
+    const pcm = buffer.subarray(
+      wav.dataChunk.offset + from,
+      wav.dataChunk.offset + to,
+    );
+
+    const fmt = buffer.subarray(
+      wav.fmtChunk.offset,
+      wav.fmtChunk.offset + 8 + wav.fmtChunk.size,
+    );
+    const riff = Buffer.alloc(12);
+    riff.write('RIFF', 0, 'latin1');
+    riff.writeUInt32LE(4 + fmt.length + 8 + pcm.length, 4);
+    riff.write('WAVE', 8, 'latin1');
+
+    const dataHeader = Buffer.alloc(8);
+    dataHeader.write('data', 0, 'latin1');
+    dataHeader.writeUInt32LE(pcm.length, 4);
+
+    return {
+      buffer: Buffer.concat([riff, fmt, dataHeader, pcm]),
+      startMs: Math.round((from / byteRate) * 1000),
+      durationMs: Math.round((pcm.length / byteRate) * 1000),
+    };
+  }
+}
+
+export default PreviewService;
@@ -0,0 +1,297 @@
+/**
+ * Processing Queue Service
+ * Background work per song, kept in the processing_jobs table. Ready songs
+ * get a job of every media type; uploads finalized from storage first get an
+ * ingest job that creates the song. The worker (processMediaJobs job) claims
+ * due jobs, runs their handler and retries failures with exponential backoff
+ * until max_attempts, after which the job is marked failed. Rejected input
+ * (a 4xx ApiError) fails the job at once, since retrying cannot fix it.
+ */
+
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import {
+  ERROR_MESSAGES,
+  HTTP_STATUS,
+  PROCESSING_CONFIG,
+  PROCESSING_JOB_STATUS,
+  PROCESSING_JOB_TYPES,
+} from '../utils/constants.js';
+import AudioFeaturesService from './audioFeatures.service.js';
+import LoudnessService from './loudness.service.js';
+import SongIngestService from './songIngest.service.js';
+import TranscodeService from './transcode.service.js';
+import WaveformService from './waveform.service.js';
+
+// Job type -> handler(job); the resolved value is stored as the job result
+const JOB_HANDLERS = {
+  [PROCESSING_JOB_TYPES.INGEST]: job => SongIngestService.ingestStoredSong(job),
+  [PROCESSING_JOB_TYPES.TRANSCODE]: job => TranscodeService.transcodeSong(job.song_id),
+  [PROCESSING_JOB_TYPES.LOUDNESS]: job => LoudnessService.analyseSong(job.song_id),
+  [PROCESSING_JOB_TYPES.WAVEFORM]: job => WaveformService.generateForSong(job.song_id),
+  [PROCESSING_JOB_TYPES.FEATURES]: job => AudioFeaturesService.analyseSong(job.song_id),
+};
+
+// Queued for every song once it is ready
+const MEDIA_JOB_TYPES = Object.values(PROCESSING_JOB_TYPES).filter(
+  type => type !== PROCESSING_JOB_TYPES.INGEST,
+);
+
+class ProcessingQueueService {
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Queue jobs for a song, resetting any earlier run of the same type
+   * Best effort: failures are logged so they never fail an upload.
+   * @param {string} songId - Song ID
+   * @param {string[]} [types] - Job types (default: all media jobs)
+   * @returns {Promise<boolean>} True if the jobs were queued
+   */
+  static async enqueue(songId, types = MEDIA_JOB_TYPES) {
+    try {
+      const { error } = await this.getClient()
+        .from('processing_jobs')
+        .upsert(
+          types.map(type => ({
+            song_id: songId,
+            type,
+            status: PROCESSING_JOB_STATUS.QUEUED,
+            attempts: 0,
+            max_attempts: PROCESSING_CONFIG.DEFAULT_MAX_ATTEMPTS,
+            run_after: new Date().toISOString(),
+            error: null,
+            started_at: null,
+            completed_at: null,
+            result: null,
+          })),
+          { onConflict: 'song_id,type' },
+        );
+
+      if (error) throw new Error(error.message);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to queue processing for song ${songId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a song's jobs
+   * @param {string} songId - Song ID
+   * @returns {Promise<Object[]>} processing_jobs rows, oldest first
+   */
+  static async getSongJobs(songId) {
+    const { data, error } = await this.getClient()
+      .from('processing_jobs')
+      .select('*')
+      .eq('song_id', songId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('Error fetching processing jobs:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    return data;
+  }
+
+  /**
+   * Get a song's produced tiers and its jobs
+   * @param {string} songId - Song ID
+   * @returns {Promise<Object>} { song, jobs }
+   * @throws {ApiError} 404 if the song does not exist
+   */
+  static async getSongStatus(songId) {
+    const { data: song, error } = await this.getClient()
+      .from('songs')
+      .select('id, status, available_qualities, file_sizes')
+      .eq('id', songId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error fetching song:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    if (!song) {
+      throw ApiError.notFound(ERROR_MESSAGES.SONG_NOT_FOUND);
+    }
+
+    return { song, jobs: await this.getSongJobs(songId) };
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attempts - Attempts made so far (at least 1)
+   * @returns {number} Seconds
+   */
+  static getRetryDelaySeconds(attempts) {
+    return PROCESSING_CONFIG.RETRY_BASE_SECONDS * 2 ** Math.max(0, attempts - 1);
+  }
+
+  /**
+   * Whether a failed attempt is the job's last
+   * @param {Object} job - Claimed processing_jobs row
+   * @param {Error} error - Failure
+   * @returns {boolean} True if the job will not be retried
+   */
+  static isFinalAttempt(job, error) {
+    const rejected =
+      error instanceof ApiError && error.statusCode < HTTP_STATUS.INTERNAL_SERVER_ERROR;
+    return rejected || job.attempts >= job.max_attempts;
+  }
+
+  /**
+   * Claim a queued job for this worker
+   * @param {Object} job - processing_jobs row as read
+   * @returns {Promise<Object|null>} Claimed row, or null if another worker took it
+   */
+  static async claim(job) {
+    const { data, error } = await this.getClient()
+      .from('processing_jobs')
+      .update({
+        status: PROCESSING_JOB_STATUS.PROCESSING,
+        attempts: job.attempts + 1,
+        started_at: new Date().toISOString(),
+      })
+      .eq('id', job.id)
+      .eq('status', PROCESSING_JOB_STATUS.QUEUED)
+      .eq('attempts', job.attempts)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error(`Failed to claim processing job ${job.id}:`, error);
+      return null;
+    }
+    return data;
+  }
+
+  /**
+   * Record a finished attempt
+   * @param {Object} job - Claimed processing_jobs row
+   * @param {Object} [outcome] - { result } on success or { error } on failure
+   * @returns {Promise<string>} Resulting status
+   */
+  static async finish(job, { result = null, error = null } = {}) {
+    const now = new Date();
+    let update;
+
+    if (!error) {
+      update = {
+        status: PROCESSING_JOB_STATUS.COMPLETED,
+        completed_at: now.toISOString(),
+        result,
+        error: null,
+      };
+    } else if (this.isFinalAttempt(job, error)) {
+      update = {
+        status: PROCESSING_JOB_STATUS.FAILED,
+        completed_at: now.toISOString(),
+        error: error.message.slice(0, PROCESSING_CONFIG.ERROR_MAX_LENGTH),
+      };
+    } else {
+      const delay = this.getRetryDelaySeconds(job.attempts);
+      update = {
+        status: PROCESSING_JOB_STATUS.QUEUED,
+        run_after: new Date(now.getTime() + delay * 1000).toISOString(),
+        error: error.message.slice(0, PROCESSING_CONFIG.ERROR_MAX_LENGTH),
+      };
+    }
+
+    const { error: updateError } = await this.getClient()
+      .from('processing_jobs')
+      .update(update)
+      .eq('id', job.id)
+      .eq('status', PROCESSING_JOB_STATUS.PROCESSING);
+
+    if (updateError) {
+      // Left processing; recoverStale picks it up as an abandoned attempt
+      logger.error(`Failed to update processing job ${job.id}:`, updateError);
+    }
+    return update.status;
+  }
+
+  /**
+   * Count jobs left processing by a worker that died as failed attempts
+   * @returns {Promise<number>} Jobs recovered
+   */
+  static async recoverStale() {
+    const cutoff = new Date(
+      Date.now() - PROCESSING_CONFIG.STALE_AFTER_MINUTES * 60 * 1000,
+    ).toISOString();
+
+    const { data: jobs, error } = await this.getClient()
+      .from('processing_jobs')
+      .select('*')
+      .eq('status', PROCESSING_JOB_STATUS.PROCESSING)
+      .lt('started_at', cutoff)
+      .limit(100);
+
+    if (error) {
+      throw new Error(`Failed to load stale processing jobs: ${error.message}`);
+    }
+
+    for (const job of jobs) {
+      logger.warn(`Processing job ${job.id} (${job.type}) was abandoned; retrying`);
+      await this.finish(job, { error: new Error('The worker stopped before the job finished') });
+    }
+    return jobs.length;
+  }
+
+  /**
+   * Run due jobs one after another (worker)
+   * @param {number} [limit] - Jobs to run in this pass
+   * @returns {Promise<Object>} { recovered, completed, retried, failed }
+   */
+  static async runDueJobs(limit = PROCESSING_CONFIG.BATCH_SIZE) {
+    const recovered = await this.recoverStale();
+
+    const { data: due, error } = await this.getClient()
+      .from('processing_jobs')
+      .select('*')
+      .eq('status', PROCESSING_JOB_STATUS.QUEUED)
+      .lte('run_after', new Date().toISOString())
+      .order('run_after', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load due processing jobs: ${error.message}`);
+    }
+
+    const counts = { recovered, completed: 0, retried: 0, failed: 0 };
+    for (const queued of due) {
+      const job = await this.claim(queued);
+      if (!job) continue;
+
+      const handler = JOB_HANDLERS[job.type];
+      let outcome;
+      try {
+        if (!handler) throw new Error(`Unknown processing job type: ${job.type}`);
+        outcome = { result: (await handler(job)) ?? null };
+      } catch (handlerError) {
+        logger.error(`Processing job ${job.id} (${job.type}) failed:`, handlerError);
+        outcome = { error: handlerError };
+      }
+
+      const status = await this.finish(job, outcome);
+      if (status === PROCESSING_JOB_STATUS.COMPLETED) counts.completed++;
+      else if (status === PROCESSING_JOB_STATUS.QUEUED) counts.retried++;
+      else counts.failed++;
+    }
+
+    return counts;
+  }
+}
+
+export default ProcessingQueueService;
@@ -0,0 +1,358 @@
+/**
+ * Reconciliation Service
+ * Compares the storage bucket with the database. Deletes that failed half
+ * way, aborted transcodes and replaced artwork leave objects no row points
+ * at; lost objects leave rows pointing at nothing. The report lists:
+ * - orphanObjects: objects under a managed folder that nothing references
+ * - missingObjects: files referenced by a ready song or playlist that are gone
+ * - sizeMismatches: objects whose size differs from songs.file_sizes
+ * Cleanup deletes orphans and repairs derived files (previews, quality
+ * tiers, waveforms); missing or altered originals and artwork are left for
+ * a person.
+ */
+
+import config from '../config/index.js';
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import {
+  ARTWORK_CONFIG,
+  AUDIO_BITRATES,
+  AUDIO_QUALITIES,
+  COVER_ART_CONFIG,
+  HLS_CONFIG,
+  PROCESSING_JOB_TYPES,
+  QUALITY_FOLDERS,
+  RECONCILE_CONFIG,
+  SONG_STATUS,
+  UPLOAD_SESSION_STATUS,
+  WAVEFORM_CONFIG,
+} from '../utils/constants.js';
+import fileUploadHelper from './audioUpload.js';
+import ProcessingQueueService from './processingQueue.service.js';
+
+const { KINDS } = RECONCILE_CONFIG;
+
+// images/{kind}/{id}/{file} at the end of an artwork URL (R2 public or API route)
+const ARTWORK_KEY_PATTERN = new RegExp(
+  `${ARTWORK_CONFIG.FOLDER}(?:${Object.values(ARTWORK_CONFIG.KINDS).join('|')})/[^/?#]+/[^/?#]+$`,
+);
+
+class ReconciliationService {
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Folders whose contents belong to songs and playlists
+   * @returns {string[]} Key prefixes
+   */
+  static getManagedPrefixes() {
+    return [
+      ...new Set([
+        ...Object.values(QUALITY_FOLDERS),
+        COVER_ART_CONFIG.FOLDER,
+        ARTWORK_CONFIG.FOLDER,
+        HLS_CONFIG.FOLDER,
+        WAVEFORM_CONFIG.FOLDER,
+      ]),
+    ];
+  }
+
+  /**
+   * Get the storage key of an artwork URL
+   * @param {string|null} url - cover_art_url / cover_image_url or a sizes entry
+   * @returns {string|null} Key under images/, or null for other URLs
+   */
+  static getArtworkKey(url) {
+    if (typeof url !== 'string') return null;
+    const match = url.match(ARTWORK_KEY_PATTERN);
+    if (!match) return null;
+    try {
+      return match[0].split('/').map(decodeURIComponent).join('/');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Collect the artwork keys a row's URLs point at
+   * @param {string|null} url - Primary URL column
+   * @param {Object|null} sizes - Sizes column
+   * @returns {string[]} Keys
+   */
+  static getArtworkKeys(url, sizes) {
+    return [...new Set([url, ...Object.values(sizes || {})].map(value => this.getArtworkKey(value)))]
+      .filter(Boolean);
+  }
+
+  /**
+   * Work out every object the database refers to
+   * @param {Object} rows - Database rows
+   * @param {Object[]} rows.songs - songs (id, status, r2_key, file_sizes,
+   *   available_qualities, cover_art_url, cover_art_sizes, cover_art, waveform)
+   * @param {Object[]} [rows.playlists] - playlists (id, cover_image_url, cover_image_sizes)
+   * @param {string[]} [rows.uploadKeys] - Keys of upload sessions in progress
+   * @returns {Object} { expected, referenced, hlsPrefixes }: expected maps a key
+   *   to { kind, quality, size, songId | playlistId, checkMissing }
+   */
+  static buildInventory({ songs, playlists = [], uploadKeys = [] }) {
+    const expected = new Map();
+    const referenced = new Set(uploadKeys);
+    const hlsPrefixes = new Set();
+
+    const expect = (key, entry) => {
+      if (!key) return;
+      referenced.add(key);
+      if (!expected.has(key)) expected.set(key, entry);
+    };
+
+    for (const song of songs) {
+      const ready = song.status === SONG_STATUS.READY;
+      const fileSizes = song.file_sizes || {};
+      const owner = { songId: song.id, checkMissing: ready };
+
+      expect(song.r2_key, {
+        ...owner,
+        kind: KINDS.ORIGINAL,
+        quality: AUDIO_QUALITIES.ORIGINAL,
+        size: fileSizes.original ?? null,
+      });
+
+      for (const quality of [AUDIO_QUALITIES.PREVIEW, ...Object.keys(AUDIO_BITRATES)]) {
+        if (fileSizes[quality] === undefined || !song.r2_key) continue;
+        expect(fileUploadHelper.getQualityFileKey(song.r2_key, quality), {
+          ...owner,
+          kind: quality === AUDIO_QUALITIES.PREVIEW ? KINDS.PREVIEW : KINDS.TIER,
+          quality,
+          size: fileSizes[quality],
+        });
+      }
+
+      const cover = song.cover_art;
+      if (cover?.source === 'embedded' && cover.key) {
+        expect(cover.key, { ...owner, kind: KINDS.COVER, size: cover.size ?? null });
+      }
+
+      if (song.waveform?.key) {
+        expect(song.waveform.key, { ...owner, kind: KINDS.WAVEFORM, size: song.waveform.size ?? null });
+      }
+
+      const artwork = [...this.getArtworkKeys(song.cover_art_url, song.cover_art_sizes), ...(cover?.keys || [])];
+      for (const key of artwork) {
+        expect(key, { ...owner, kind: KINDS.ARTWORK, size: null });
+      }
+
+      for (const quality of song.available_qualities || []) {
+        hlsPrefixes.add(`${HLS_CONFIG.FOLDER}${song.id}/${quality}/`);
+      }
+    }
+
+    for (const playlist of playlists) {
+      for (const key of this.getArtworkKeys(playlist.cover_image_url, playlist.cover_image_sizes)) {
+        expect(key, { playlistId: playlist.id, kind: KINDS.ARTWORK, size: null, checkMissing: true });
+      }
+    }
+
+    return { expected, referenced, hlsPrefixes };
+  }
+
+  /**
+   * Compare bucket objects with the inventory
+   * @param {Object[]} objects - { key, size, lastModified } under the managed prefixes
+   * @param {Object} inventory - From buildInventory
+   * @param {Object} [options] - Options
+   * @param {Date} [options.now] - Current time
+   * @param {number} [options.graceMs] - Ignore orphans modified more recently than this
+   * @returns {Object} { orphanObjects, missingObjects, sizeMismatches, skippedRecent }
+   */
+  static compare(objects, { expected, referenced, hlsPrefixes }, { now = new Date(), graceMs = 0 } = {}) {
+    const report = { orphanObjects: [], missingObjects: [], sizeMismatches: [], skippedRecent: 0 };
+    const stored = new Map(objects.map(object => [object.key, object]));
+
+    for (const object of objects) {
+      const hlsFolder = object.key.startsWith(HLS_CONFIG.FOLDER)
+        ? object.key.slice(0, object.key.lastIndexOf('/') + 1)
+        : null;
+      if (referenced.has(object.key) || (hlsFolder && hlsPrefixes.has(hlsFolder))) continue;
+
+      const modifiedAt = object.lastModified ? new Date(object.lastModified).getTime() : 0;
+      if (now.getTime() - modifiedAt < graceMs) {
+        report.skippedRecent++;
+        continue;
+      }
+      report.orphanObjects.push({ key: object.key, size: object.size });
+    }
+
+    for (const [key, entry] of expected) {
+      const { checkMissing, size, ...owner } = entry;
+      const object = stored.get(key);
+
+      if (!object) {
+        if (checkMissing) report.missingObjects.push({ key, ...owner });
+      } else if (typeof size === 'number' && object.size !== size) {
+        report.sizeMismatches.push({ key, ...owner, expected: size, actual: object.size });
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * List every object under the managed prefixes
+   * @returns {Promise<Object[]>} { key, size, lastModified }
+   */
+  static async listObjects() {
+    const objects = [];
+    for (const prefix of this.getManagedPrefixes()) {
+      let cursor;
+      do {
+        const page = await fileUploadHelper.listFiles(prefix, { cursor });
+        objects.push(...page.files);
+        cursor = page.cursor;
+      } while (cursor);
+    }
+    return objects;
+  }
+
+  /**
+   * Read every row of a table in pages
+   * @param {string} table - Table name
+   * @param {string} columns - Select list
+   * @param {Function} [filter] - query => query, to narrow the rows
+   * @returns {Promise<Object[]>} Rows
+   */
+  static async fetchAll(table, columns, filter = query => query) {
+    const rows = [];
+    for (let from = 0; ; from += RECONCILE_CONFIG.PAGE_SIZE) {
+      const { data, error } = await filter(this.getClient().from(table).select(columns))
+        .order('id', { ascending: true })
+        .range(from, from + RECONCILE_CONFIG.PAGE_SIZE - 1);
+
+      if (error) {
+        throw new Error(`Failed to read ${table}: ${error.message}`);
+      }
+      rows.push(...data);
+      if (data.length < RECONCILE_CONFIG.PAGE_SIZE) return rows;
+    }
+  }
+
+  /**
+   * Load the rows that reference storage
+   * Trashed songs count: their files stay until the purge job runs.
+   * @returns {Promise<Object>} { songs, playlists, uploadKeys }
+   */
+  static async loadRows() {
+    const songs = await this.fetchAll(
+      'songs',
+      'id, status, r2_key, file_sizes, available_qualities, cover_art_url, cover_art_sizes, cover_art:metadata->cover_art, waveform',
+    );
+    const playlists = await this.fetchAll('playlists', 'id, cover_image_url, cover_image_sizes');
+    const sessions = await this.fetchAll('upload_sessions', 'id, file_key', query =>
+      query.in('status', [UPLOAD_SESSION_STATUS.ACTIVE, UPLOAD_SESSION_STATUS.COMPLETING]),
+    );
+
+    return { songs, playlists, uploadKeys: sessions.map(session => session.file_key) };
+  }
+
+  /**
+   * Repair songs whose previews, quality tiers or waveforms are missing or resized
+   * The record is brought in line with storage; songs that lost a tier are
+   * queued for transcoding again, and bad waveforms are generated again.
+   * @param {Object[]} songs - Loaded songs rows
+   * @param {Object} report - From compare
+   * @returns {Promise<number>} Songs updated
+   */
+  static async repairSongs(songs, report) {
+    const derived = [KINDS.PREVIEW, KINDS.TIER];
+    const fixes = new Map();
+    const fixFor = songId => {
+      if (!fixes.has(songId)) fixes.set(songId, { removed: [], resized: {}, waveform: false });
+      return fixes.get(songId);
+    };
+
+    for (const item of report.missingObjects) {
+      if (derived.includes(item.kind)) fixFor(item.songId).removed.push(item.quality);
+    }
+    for (const item of report.sizeMismatches) {
+      if (derived.includes(item.kind)) fixFor(item.songId).resized[item.quality] = item.actual;
+    }
+    for (const item of [...report.missingObjects, ...report.sizeMismatches]) {
+      if (item.kind === KINDS.WAVEFORM) fixFor(item.songId).waveform = true;
+    }
+
+    const byId = new Map(songs.map(song => [song.id, song]));
+    let updated = 0;
+    for (const [songId, { removed, resized, waveform }] of fixes) {
+      const song = byId.get(songId);
+      const fileSizes = { ...song.file_sizes, ...resized };
+      removed.forEach(quality => delete fileSizes[quality]);
+
+      const { error } = await this.getClient()
+        .from('songs')
+        .update({
+          file_sizes: fileSizes,
+          available_qualities: (song.available_qualities || []).filter(quality => !removed.includes(quality)),
+          ...(waveform && { waveform: null }),
+        })
+        .eq('id', songId);
+
+      if (error) {
+        logger.error(`Failed to repair storage records of song ${songId}:`, error);
+        continue;
+      }
+      updated++;
+
+      if (removed.some(quality => AUDIO_BITRATES[quality])) {
+        await ProcessingQueueService.enqueue(songId, [PROCESSING_JOB_TYPES.TRANSCODE]);
+      }
+      if (waveform) {
+        await ProcessingQueueService.enqueue(songId, [PROCESSING_JOB_TYPES.WAVEFORM]);
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Reconcile storage with the database
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.cleanup] - Delete orphans and repair derived files (default: dry run)
+   * @param {number} [options.graceHours] - Leave objects this recent alone
+   * @returns {Promise<Object>} Report, plus { cleanup, deleted, failedDeletes, repairedSongs } when cleaning up
+   */
+  static async run({
+    cleanup = config.storage.reconcileCleanup,
+    graceHours = config.storage.reconcileGraceHours,
+  } = {}) {
+    // Rows first: an object uploaded after the listing can't look orphaned
+    const rows = await this.loadRows();
+    const objects = await this.listObjects();
+
+    const report = this.compare(objects, this.buildInventory(rows), {
+      graceMs: graceHours * 60 * 60 * 1000,
+    });
+    const result = { cleanup, objectsScanned: objects.length, songsScanned: rows.songs.length, ...report };
+
+    if (!cleanup) return result;
+
+    const { success, failed } = await fileUploadHelper.deleteFiles(
+      report.orphanObjects.map(object => object.key),
+    );
+    return {
+      ...result,
+      deleted: success.length,
+      failedDeletes: failed,
+      repairedSongs: await this.repairSongs(rows.songs, report),
+    };
+  }
+}
+
+export default ReconciliationService;
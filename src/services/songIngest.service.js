@@ -0,0 +1,420 @@
+/**
+ * Song Ingest Service
+ * Turns uploaded audio into a song: checks the contents against the declared
+ * type, refuses files already uploaded (by content hash), reads tags (client
+ * fields win), stores the original, preview clip and embedded cover art,
+ * inserts the songs row and queues its background processing (quality
+ * tiers). Shared by every upload path; uploads already in storage are
+ * ingested by a processing job so requests never hold the file in memory.
+ */
+
+import config from '../config/index.js';
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import { readAudioTags } from '../utils/audioTags.js';
+import {
+  AUDIO_QUALITIES,
+  ERROR_MESSAGES,
+  HTTP_STATUS,
+  LIMITS,
+  R2_CONFIG,
+  SONG_STATUS,
+} from '../utils/constants.js';
+import fileUploadHelper from './audioUpload.js';
+import ArtistService from './artist.service.js';
+import DuplicateService from './duplicate.service.js';
+import PreviewService from './preview.service.js';
+import ProcessingQueueService from './processingQueue.service.js';
+import UploadSessionService from './uploadSession.service.js';
+
+class SongIngestService {
+  /**
+   * Parse a positive integer form field
+   * @param {*} value - Form value
+   * @returns {number|undefined} Integer, or undefined when absent/invalid
+   */
+  static parsePositiveInt(value) {
+    const parsed = parseInt(value, 10);
+    return parsed > 0 ? parsed : undefined;
+  }
+
+  /**
+   * Read duration, tags and cover art from the file.
+   * Failures are logged and never fail the upload.
+   * @param {Buffer} buffer - File contents
+   * @param {string} name - File name (for logs)
+   * @returns {Object|null} readAudioTags result or null
+   */
+  static extractTags(buffer, name) {
+    try {
+      return readAudioTags(buffer);
+    } catch (error) {
+      logger.warn(`Tag extraction failed for ${name}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Combine client fields with tags read from the file; client fields win
+   * @param {Object} fields - Client fields (form strings or JSON values)
+   * @param {Object|null} tags - readAudioTags result
+   * @param {Object} audio - probeAudio result
+   * @returns {Object} Song fields
+   * @throws {ApiError} 400 if title, artist or duration is in neither
+   */
+  static resolveFields(fields, tags, audio) {
+    const text = value => (typeof value === 'string' ? value.trim() : value) || undefined;
+
+    const resolved = {
+      title: text(fields.title) || tags?.title,
+      artist: text(fields.artist) || tags?.artist,
+      album: text(fields.album) || tags?.album || null,
+      albumArtist: text(fields.album_artist) || tags?.albumArtist || null,
+      durationMs:
+        this.parsePositiveInt(fields.duration_ms) ?? tags?.durationMs ?? audio.durationMs,
+      year: this.parsePositiveInt(fields.year) ?? tags?.year ?? null,
+      genre: text(fields.genre) || tags?.genre || null,
+      trackNumber: this.parsePositiveInt(fields.track_number) ?? tags?.trackNumber ?? null,
+      discNumber: this.parsePositiveInt(fields.disc_number) ?? tags?.discNumber ?? null,
+    };
+
+    const missing = [
+      !resolved.title && 'title',
+      !resolved.artist && 'artist',
+      !resolved.durationMs && 'duration_ms',
+    ].filter(Boolean);
+
+    if (missing.length > 0) {
+      throw ApiError.badRequest(
+        'Title, artist, and duration are required (as form fields or in the file tags)',
+        missing.map(field => `${field} is missing`),
+      );
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Cut and upload a preview clip next to the original.
+   * Failures are logged and never fail the upload.
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimeType - File MIME type
+   * @param {string} fileKey - Key of the original
+   * @param {number} durationMs - Track duration
+   * @returns {Promise<Object|null>} { key, size, startMs, durationMs } or null
+   */
+  static async uploadPreviewClip(buffer, mimeType, fileKey, durationMs) {
+    try {
+      const clip = PreviewService.createClip(buffer, mimeType, durationMs);
+      if (!clip) return null;
+
+      const previewKey = fileUploadHelper.getQualityFileKey(fileKey, AUDIO_QUALITIES.PREVIEW);
+      const result = await fileUploadHelper.uploadFile(clip.buffer, previewKey, mimeType, {
+        quality: AUDIO_QUALITIES.PREVIEW,
+      });
+
+      return {
+        key: previewKey,
+        size: result.size,
+        startMs: clip.startMs,
+        durationMs: clip.durationMs,
+      };
+    } catch (error) {
+      logger.warn(`Preview clip generation failed for ${fileKey}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Upload cover art embedded in the audio file.
+   * Failures are logged and never fail the upload.
+   * @param {Object} picture - { mimeType, data } from readAudioTags
+   * @param {string} fileKey - Key of the original
+   * @returns {Promise<Object|null>} { key, size, mimeType, url } or null
+   */
+  static async uploadEmbeddedCover(picture, fileKey) {
+    if (!picture) return null;
+
+    try {
+      const coverKey = fileUploadHelper.getCoverFileKey(fileKey, picture.mimeType);
+      const result = await fileUploadHelper.uploadFile(picture.data, coverKey, picture.mimeType, {
+        source: 'embedded',
+      });
+
+      return { key: coverKey, size: result.size, mimeType: picture.mimeType, url: result.url };
+    } catch (error) {
+      logger.warn(`Cover art upload failed for ${fileKey}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a song from uploaded audio
+   * When fileKey is given the original is already in storage (resumable and
+   * direct uploads) and is left in place if ingest fails; otherwise it is
+   * uploaded here and removed again on failure. When songId is given the
+   * song's finalizing row is filled in and made visible instead of inserting
+   * a new one.
+   * @param {Object} upload - Upload details
+   * @param {string} upload.userId - Uploader
+   * @param {Buffer} upload.buffer - File contents
+   * @param {string} upload.mimeType - Declared MIME type
+   * @param {string} upload.originalName - Original file name
+   * @param {Object} upload.fields - Client-supplied song fields
+   * @param {string} [upload.fileKey] - Key of an already stored original
+   * @param {number} [upload.maxSize] - Size limit for the file
+   * @param {Object} [upload.metadata] - Extra songs.metadata entries
+   * @param {string} [upload.songId] - Finalizing song row to complete
+   * @returns {Promise<Object>} { song, upload }
+   * @throws {ApiError} 400 for invalid files or missing fields, 409 if the same
+   *   file was already uploaded, 500 on storage/DB errors
+   */
+  static async ingest({
+    userId,
+    buffer,
+    mimeType,
+    originalName,
+    fields = {},
+    fileKey: storedKey = null,
+    maxSize = R2_CONFIG.MAX_UPLOAD_SIZE,
+    metadata = {},
+    songId = null,
+  }) {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw new ApiError(
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        ERROR_MESSAGES.OPERATION_FAILED,
+        ['Supabase client not initialized'],
+      );
+    }
+
+    const audio = fileUploadHelper.validateFile(mimeType, buffer.length, buffer, { maxSize });
+    const contentHash = DuplicateService.hashContent(buffer);
+    await DuplicateService.assertNotDuplicate(contentHash);
+
+    const tags = this.extractTags(buffer, originalName);
+    const song = this.resolveFields(fields, tags, audio);
+
+    const fileKey = storedKey || fileUploadHelper.generateFileKey(originalName);
+    let uploadResult = { size: buffer.length, url: fileUploadHelper.getPublicUrl(fileKey) };
+    if (!storedKey) {
+      uploadResult = await fileUploadHelper.uploadFile(buffer, fileKey, mimeType, {
+        uploadedBy: userId,
+        title: song.title,
+        artist: song.artist,
+        album: song.album,
+      });
+    }
+
+    const preview = await this.uploadPreviewClip(buffer, mimeType, fileKey, song.durationMs);
+    const cover = await this.uploadEmbeddedCover(tags?.picture, fileKey);
+
+    const row = {
+      title: song.title.slice(0, LIMITS.SONG_TITLE_MAX),
+      artist: song.artist.slice(0, LIMITS.ARTIST_NAME_MAX),
+      artist_id: await ArtistService.resolveArtistId(song.artist),
+      album: song.album?.slice(0, LIMITS.ALBUM_NAME_MAX) || null,
+      album_artist: song.albumArtist?.slice(0, LIMITS.ARTIST_NAME_MAX) || null,
+      duration_ms: song.durationMs,
+      year: song.year,
+      genre: song.genre?.slice(0, LIMITS.GENRE_MAX) || null,
+      track_number: song.trackNumber,
+      disc_number: song.discNumber,
+      cover_art_url: cover?.url || null,
+      codec: audio.codec,
+      sample_rate: audio.sampleRate,
+      channels: audio.channels,
+      bitrate_kbps: audio.bitrate,
+      r2_key: fileKey,
+      content_hash: contentHash,
+      file_sizes: {
+        original: uploadResult.size,
+        ...(preview && { preview: preview.size }),
+      },
+      play_count: 0,
+      popularity_score: 0,
+      metadata: {
+        uploaded_by: userId,
+        original_filename: originalName,
+        ...metadata,
+        audio: {
+          container: audio.container,
+          bits_per_sample: audio.bitsPerSample,
+        },
+        ...(tags?.format && {
+          tags: {
+            format: tags.format,
+            duration_ms: tags.durationMs,
+            ...tags.raw,
+          },
+        }),
+        ...(cover && {
+          cover_art: {
+            key: cover.key,
+            mime_type: cover.mimeType,
+            size: cover.size,
+            source: 'embedded',
+          },
+        }),
+        ...(preview && {
+          preview: {
+            start_ms: preview.startMs,
+            duration_ms: preview.durationMs,
+          },
+        }),
+      },
+    };
+
+    const query = songId
+      ? supabase
+        .from('songs')
+        .update({ ...row, status: SONG_STATUS.READY })
+        .eq('id', songId)
+        .eq('status', SONG_STATUS.FINALIZING)
+      : supabase.from('songs').insert(row);
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      logger.error('Error saving song metadata:', error);
+      await fileUploadHelper.deleteFiles(
+        [!storedKey && fileKey, preview?.key, cover?.key].filter(Boolean),
+      );
+      throw new ApiError(
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        ERROR_MESSAGES.OPERATION_FAILED,
+        [error.message],
+      );
+    }
+
+    await ProcessingQueueService.enqueue(data.id);
+
+    return {
+      song: data,
+      upload: {
+        size: uploadResult.size,
+        key: fileKey,
+        url: uploadResult.url,
+        contentHash,
+        preview: preview ? { key: preview.key, size: preview.size } : null,
+        cover: cover ? { key: cover.key, size: cover.size } : null,
+        audio: {
+          container: audio.container,
+          codec: audio.codec,
+          sampleRate: audio.sampleRate,
+          channels: audio.channels,
+          bitrate: audio.bitrate,
+          bitsPerSample: audio.bitsPerSample,
+        },
+      },
+    };
+  }
+
+  /**
+   * Ingest job: create a finalizing song from its original in storage
+   * When the file is rejected or the last attempt fails, the upload is
+   * released (see release) and the error is rethrown for the job record.
+   * @param {Object} job - Claimed processing_jobs row
+   * @returns {Promise<Object>} Upload summary (stored as the job result)
+   * @throws {ApiError} 400/409 for rejected files (not retried)
+   */
+  static async ingestStoredSong(job) {
+    const { data: pendingSong, error } = await getSupabaseClient()
+      .from('songs')
+      .select('*')
+      .eq('id', job.song_id)
+      .eq('status', SONG_STATUS.FINALIZING)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load song ${job.song_id}: ${error.message}`);
+    }
+    if (!pendingSong?.metadata?.pending_upload) {
+      throw ApiError.notFound(ERROR_MESSAGES.PENDING_UPLOAD_NOT_FOUND);
+    }
+
+    const pending = pendingSong.metadata.pending_upload;
+    try {
+      const buffer = await fileUploadHelper.downloadFile(pendingSong.r2_key);
+      const { upload } = await this.ingest({
+        userId: pendingSong.metadata.uploaded_by,
+        buffer,
+        mimeType: pending.mime_type,
+        originalName: pendingSong.metadata.original_filename,
+        fields: pending.song_fields || {},
+        fileKey: pendingSong.r2_key,
+        maxSize: config.uploads.maxSessionFileSize,
+        metadata: pending.upload_session_id ? { upload_session_id: pending.upload_session_id } : {},
+        songId: pendingSong.id,
+      });
+
+      if (pending.upload_session_id) {
+        await UploadSessionService.finishIngest(pendingSong);
+      }
+      logger.info(`Stored upload ingested: song ${pendingSong.id}`);
+      return upload;
+    } catch (ingestError) {
+      if (ProcessingQueueService.isFinalAttempt(job, ingestError)) {
+        await this.release(pendingSong, ingestError);
+      }
+      throw ingestError;
+    }
+  }
+
+  /**
+   * Give a stored upload that could not be ingested back to its uploader
+   * A direct upload's song returns to pending, so the file can be uploaded
+   * again (while the URL is valid) and finalized again; a resumable upload's
+   * session fails and its file and song are removed.
+   * @param {Object} pendingSong - songs row being finalized
+   * @param {Error} error - Why ingest failed
+   * @returns {Promise<void>}
+   */
+  static async release(pendingSong, error) {
+    logger.warn(`Stored upload for song ${pendingSong.id} was not ingested: ${error.message}`);
+
+    if (pendingSong.metadata.pending_upload.upload_session_id) {
+      await UploadSessionService.finishIngest(pendingSong, error);
+      return;
+    }
+
+    const { error: releaseError } = await getSupabaseClient()
+      .from('songs')
+      .update({ status: SONG_STATUS.PENDING })
+      .eq('id', pendingSong.id)
+      .eq('status', SONG_STATUS.FINALIZING);
+
+    if (releaseError) {
+      logger.error(`Failed to release song ${pendingSong.id}:`, releaseError);
+    }
+  }
+
+  /**
+   * Remove a song created by ingest: the row, then the original, preview and
+   * embedded cover (used to roll back bulk uploads)
+   * @param {Object} song - songs row returned by ingest
+   * @returns {Promise<boolean>} True if the row was deleted (file deletion
+   *   failures are logged only)
+   */
+  static async discard(song) {
+    const { error } = await getSupabaseClient().from('songs').delete().eq('id', song.id);
+
+    if (error) {
+      logger.error(`Failed to remove song ${song.id}:`, error);
+      return false;
+    }
+
+    await fileUploadHelper.deleteFiles(
+      [
+        song.r2_key,
+        song.file_sizes?.preview &&
+          fileUploadHelper.getQualityFileKey(song.r2_key, AUDIO_QUALITIES.PREVIEW),
+        song.metadata?.cover_art?.key,
+      ].filter(Boolean),
+    );
+    return true;
+  }
+}
+
+export default SongIngestService;
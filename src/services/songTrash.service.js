@@ -0,0 +1,277 @@
+/**
+ * Song Trash Service
+ * Deleting a song moves it to the trash (songs.deleted_at), where every
+ * catalogue query stops seeing it. The uploader or an admin can restore it
+ * within config.trash.retentionDays; after that the purge job deletes the
+ * row and every stored file for good.
+ */
+
+import config from '../config/index.js';
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import cacheHelper from '../utils/cacheHelper.js';
+import { assertAllowed, canManageSong, isAdmin } from '../utils/policy.js';
+import {
+  ARTWORK_CONFIG,
+  AUDIO_QUALITIES,
+  CACHE_KEYS,
+  ERROR_MESSAGES,
+  QUALITY_TIERS,
+  TRASH_CONFIG,
+} from '../utils/constants.js';
+import fileUploadHelper from './audioUpload.js';
+import ArtworkService from './artwork.service.js';
+import DuplicateService from './duplicate.service.js';
+import ProcessingQueueService from './processingQueue.service.js';
+import TranscodeService from './transcode.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SongTrashService {
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Songs trashed before this time are past the retention window
+   * @param {Date} [now] - Current time
+   * @returns {string} ISO timestamp
+   */
+  static getRetentionCutoff(now = new Date()) {
+    return new Date(now.getTime() - config.trash.retentionDays * DAY_MS).toISOString();
+  }
+
+  /**
+   * When a trashed song will be purged
+   * @param {string} deletedAt - songs.deleted_at
+   * @returns {string} ISO timestamp
+   */
+  static getPurgeAt(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + config.trash.retentionDays * DAY_MS).toISOString();
+  }
+
+  /**
+   * Forget cached stream URLs of a song
+   * @param {string} songId - Song ID
+   */
+  static async invalidateStreamUrls(songId) {
+    await cacheHelper.delMany(QUALITY_TIERS.map(quality => CACHE_KEYS.CDN_URL(songId, quality)));
+  }
+
+  /**
+   * Move a song to the trash (uploader or admin)
+   * @param {Object} user - req.user
+   * @param {string} songId - Song ID
+   * @returns {Promise<Object>} { id, deletedAt, purgeAt }
+   * @throws {ApiError} 404 if the song does not exist or is already trashed, 403 if not allowed
+   */
+  static async trash(user, songId) {
+    const supabase = this.getClient();
+    const { data: song, error } = await supabase
+      .from('songs')
+      .select('id, metadata')
+      .eq('id', songId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error fetching song:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    if (!song) {
+      throw ApiError.notFound(ERROR_MESSAGES.SONG_NOT_FOUND);
+    }
+    assertAllowed(
+      canManageSong(user, song),
+      'Only the uploader or an admin can delete this song',
+    );
+
+    const deletedAt = new Date().toISOString();
+    const { error: updateError } = await supabase
+      .from('songs')
+      .update({ deleted_at: deletedAt, deleted_by: user.id })
+      .eq('id', song.id)
+      .is('deleted_at', null);
+
+    if (updateError) {
+      logger.error('Error moving song to the trash:', updateError);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+
+    await this.invalidateStreamUrls(song.id);
+    return { id: song.id, deletedAt, purgeAt: this.getPurgeAt(deletedAt) };
+  }
+
+  /**
+   * List trashed songs that can still be restored, newest first
+   * Admins see every trashed song, other users the songs they uploaded.
+   * @param {Object} user - req.user
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { songs, total }
+   */
+  static async listTrash(user, { page, limit }) {
+    let query = this.getClient()
+      .from('songs')
+      .select('*', { count: 'exact' })
+      .not('deleted_at', 'is', null)
+      .gte('deleted_at', this.getRetentionCutoff());
+
+    if (!isAdmin(user)) {
+      query = query.eq('metadata->>uploaded_by', user.id);
+    }
+
+    const { data, error, count } = await query
+      .order('deleted_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) {
+      logger.error('Error fetching trashed songs:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    return { songs: data, total: count || 0 };
+  }
+
+  /**
+   * Take a song out of the trash (uploader or admin)
+   * @param {Object} user - req.user
+   * @param {string} songId - Song ID
+   * @returns {Promise<Object>} Restored songs row
+   * @throws {ApiError} 404 if the song is not in the trash (or past retention),
+   *   403 if not allowed, 409 if the same file was uploaded again meanwhile
+   */
+  static async restore(user, songId) {
+    const supabase = this.getClient();
+    const { data: song, error } = await supabase
+      .from('songs')
+      .select('id, content_hash, metadata')
+      .eq('id', songId)
+      .not('deleted_at', 'is', null)
+      .gte('deleted_at', this.getRetentionCutoff())
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error fetching trashed song:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    if (!song) {
+      throw ApiError.notFound(ERROR_MESSAGES.TRASHED_SONG_NOT_FOUND);
+    }
+    assertAllowed(
+      canManageSong(user, song),
+      'Only the uploader or an admin can restore this song',
+    );
+
+    // Trashed songs do not block uploads, so the file may be live again
+    if (song.content_hash) {
+      await DuplicateService.assertNotDuplicate(song.content_hash);
+    }
+
+    const { data: restored, error: updateError } = await supabase
+      .from('songs')
+      .update({ deleted_at: null, deleted_by: null })
+      .eq('id', song.id)
+      .not('deleted_at', 'is', null)
+      .select()
+      .maybeSingle();
+
+    if (updateError) {
+      logger.error('Error restoring song:', updateError);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    if (!restored) {
+      throw ApiError.notFound(ERROR_MESSAGES.TRASHED_SONG_NOT_FOUND);
+    }
+
+    // Transcoding gives up on trashed songs; try again if it never finished
+    if (!restored.available_qualities?.length) {
+      await ProcessingQueueService.enqueue(restored.id);
+    }
+    return restored;
+  }
+
+  /**
+   * Delete every stored file of a song (best effort)
+   * @param {Object} song - songs row (id, r2_key, file_sizes, metadata, waveform)
+   */
+  static async removeFiles(song) {
+    const keys = [song.r2_key];
+    if (song.file_sizes?.preview) {
+      keys.push(fileUploadHelper.getQualityFileKey(song.r2_key, AUDIO_QUALITIES.PREVIEW));
+    }
+    if (song.metadata?.cover_art?.key) {
+      keys.push(song.metadata.cover_art.key);
+    }
+    if (song.waveform?.key) {
+      keys.push(song.waveform.key);
+    }
+
+    const { failed } = await fileUploadHelper.deleteFiles(keys);
+    if (failed.length > 0) {
+      logger.warn(`Failed to delete ${failed.join(', ')} of song ${song.id}`);
+    }
+
+    // Quality tiers, HLS segments and uploaded cover renditions (album covers are shared and stay)
+    await TranscodeService.removeRenditions(song);
+    await ArtworkService.removeImages(ArtworkService.getPrefix(ARTWORK_CONFIG.KINDS.SONG, song.id));
+    await this.invalidateStreamUrls(song.id);
+  }
+
+  /**
+   * Permanently delete songs trashed longer than the retention period
+   * The row goes first so a failure never leaves a restorable song without
+   * its files; files that cannot be removed are logged.
+   * @param {number} [limit] - Songs to purge in this run
+   * @returns {Promise<Object>} { purged, failed }
+   */
+  static async purgeExpired(limit = TRASH_CONFIG.PURGE_BATCH_SIZE) {
+    const supabase = this.getClient();
+    const cutoff = this.getRetentionCutoff();
+
+    const { data: songs, error } = await supabase
+      .from('songs')
+      .select('id, r2_key, file_sizes, metadata, waveform')
+      .lt('deleted_at', cutoff)
+      .order('deleted_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load expired trashed songs: ${error.message}`);
+    }
+
+    let purged = 0;
+    let failed = 0;
+    for (const song of songs) {
+      const { error: deleteError } = await supabase
+        .from('songs')
+        .delete()
+        .eq('id', song.id)
+        .lt('deleted_at', cutoff);
+
+      if (deleteError) {
+        logger.error(`Failed to purge song ${song.id}:`, deleteError);
+        failed++;
+        continue;
+      }
+
+      try {
+        await this.removeFiles(song);
+      } catch (removeError) {
+        logger.warn(`Failed to remove files of purged song ${song.id}:`, removeError);
+      }
+      purged++;
+    }
+
+    return { purged, failed };
+  }
+}
+
+export default SongTrashService;
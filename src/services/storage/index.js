@@ -0,0 +1,55 @@
+/**
+ * Storage Drivers
+ * Picks the object storage backend from config.storage.driver.
+ *
+ * Every driver implements:
+ * - put(key, body, { contentType, metadata }) -> { size }
+ * - getStream(key, range?) -> { body, contentLength, contentRange, contentType, lastModified, etag }
+ *   (throws a 404 ApiError for missing keys)
+ * - head(key) -> { size, contentType, lastModified, etag, metadata } or null if missing
+ * - delete(key) -> void (missing keys are not an error)
+ * - list(prefix, { cursor, limit }) -> { files: [{ key, size, lastModified }], cursor }
+ * - getSignedUrl(key, expiresIn) -> string
+ * - getUploadUrl(key, { contentType, contentLength, expiresIn }) -> string
+ *   (presigned PUT; the client must send the same Content-Type)
+ * - createMultipartUpload(key, { contentType, metadata }) -> uploadId
+ * - uploadPart(key, uploadId, partNumber, body) -> { etag, size }
+ * - completeMultipartUpload(key, uploadId, [{ partNumber, etag }]) -> { size }
+ *   (parts in order; throws a 400 ApiError for missing or changed parts)
+ * - abortMultipartUpload(key, uploadId) -> void (unknown uploads are not an error)
+ */
+
+import config from '../../config/index.js';
+import { STORAGE_DRIVERS } from '../../utils/constants.js';
+import R2StorageDriver from './r2.driver.js';
+import LocalStorageDriver from './local.driver.js';
+import MemoryStorageDriver from './memory.driver.js';
+
+const drivers = {
+  [STORAGE_DRIVERS.R2]: R2StorageDriver,
+  [STORAGE_DRIVERS.LOCAL]: LocalStorageDriver,
+  [STORAGE_DRIVERS.MEMORY]: MemoryStorageDriver,
+};
+
+/**
+ * Create a storage driver
+ * @param {string} name - Driver name (defaults to config.storage.driver)
+ * @returns {Object} Driver instance
+ * @throws {Error} If the driver name is unknown
+ */
+const createStorageDriver = (name = config.storage.driver) => {
+  const Driver = drivers[name];
+  if (!Driver) {
+    throw new Error(
+      `Unknown storage driver "${name}". Use one of: ${Object.keys(drivers).join(', ')}`,
+    );
+  }
+  return new Driver();
+};
+
+export {
+  createStorageDriver,
+  R2StorageDriver,
+  LocalStorageDriver,
+  MemoryStorageDriver,
+};
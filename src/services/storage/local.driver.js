@@ -0,0 +1,278 @@
+/**
+ * Local Filesystem Storage Driver
+ * Stores objects under config.storage.localRoot, one file per key with a JSON
+ * sidecar for content type, etag and metadata. Signed URLs are served by the
+ * API's storage route.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import config from '../../config/index.js';
+import ApiError from '../../utils/apiError.js';
+import { LOCAL_STORAGE_CONFIG } from '../../utils/constants.js';
+import { createSignedUrl } from './signedUrl.js';
+
+const isMissing = error => error.code === 'ENOENT';
+
+const UPLOAD_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+class LocalStorageDriver {
+  constructor(root = config.storage.localRoot) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+    this.bucket = this.root;
+  }
+
+  /**
+   * Map a key to a path inside the storage root
+   * @param {string} fileKey - Storage key
+   * @returns {string} Absolute path
+   * @throws {ApiError} If the key escapes the root or names a sidecar
+   */
+  resolvePath(fileKey) {
+    const filePath = path.resolve(this.root, fileKey);
+    if (
+      !filePath.startsWith(this.root + path.sep) ||
+      filePath.startsWith(this.getMultipartRoot() + path.sep) ||
+      fileKey.endsWith(LOCAL_STORAGE_CONFIG.META_SUFFIX)
+    ) {
+      throw ApiError.badRequest('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  getMultipartRoot() {
+    return path.join(this.root, LOCAL_STORAGE_CONFIG.MULTIPART_DIR);
+  }
+
+  /**
+   * Load an in-progress multipart upload
+   * Parts live in {root}/.multipart/{uploadId}/ next to an upload.json manifest.
+   * @param {string} fileKey - Target storage key
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<Object>} { dir, manifest }
+   * @throws {ApiError} 404 if the upload does not exist
+   */
+  async getUpload(fileKey, uploadId) {
+    if (!UPLOAD_ID_PATTERN.test(uploadId)) {
+      throw ApiError.notFound('Multipart upload not found');
+    }
+
+    const dir = path.join(this.getMultipartRoot(), uploadId);
+    try {
+      const manifest = JSON.parse(await fs.promises.readFile(path.join(dir, 'upload.json'), 'utf8'));
+      if (manifest.key !== fileKey) throw ApiError.notFound('Multipart upload not found');
+      return { dir, manifest };
+    } catch (error) {
+      if (isMissing(error)) throw ApiError.notFound('Multipart upload not found');
+      throw error;
+    }
+  }
+
+  async readMeta(filePath) {
+    try {
+      return JSON.parse(
+        await fs.promises.readFile(filePath + LOCAL_STORAGE_CONFIG.META_SUFFIX, 'utf8'),
+      );
+    } catch (error) {
+      if (isMissing(error)) return {};
+      throw error;
+    }
+  }
+
+  async put(fileKey, body, { contentType, metadata = {} } = {}) {
+    const filePath = this.resolvePath(fileKey);
+    const buffer = Buffer.from(body);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    await fs.promises.writeFile(
+      filePath + LOCAL_STORAGE_CONFIG.META_SUFFIX,
+      JSON.stringify({
+        contentType,
+        etag: `"${crypto.createHash('md5').update(buffer).digest('hex')}"`,
+        metadata,
+      }),
+    );
+
+    return { size: buffer.length };
+  }
+
+  async getStream(fileKey, range = null) {
+    const file = await this.head(fileKey);
+    if (!file) {
+      throw ApiError.notFound('File not found');
+    }
+
+    const start = range ? range.start : 0;
+    const end = range ? Math.min(range.end, file.size - 1) : file.size - 1;
+
+    return {
+      body: fs.createReadStream(this.resolvePath(fileKey), { start, end }),
+      contentLength: end - start + 1,
+      contentRange: range ? `bytes ${start}-${end}/${file.size}` : undefined,
+      contentType: file.contentType,
+      lastModified: file.lastModified,
+      etag: file.etag,
+    };
+  }
+
+  async head(fileKey) {
+    const filePath = this.resolvePath(fileKey);
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (isMissing(error)) return null;
+      throw error;
+    }
+    if (!stats.isFile()) return null;
+
+    const meta = await this.readMeta(filePath);
+    return {
+      size: stats.size,
+      contentType: meta.contentType,
+      lastModified: stats.mtime,
+      etag: meta.etag || `W/"${stats.size}-${stats.mtimeMs}"`,
+      metadata: meta.metadata || {},
+    };
+  }
+
+  async delete(fileKey) {
+    const filePath = this.resolvePath(fileKey);
+    await fs.promises.rm(filePath, { force: true });
+    await fs.promises.rm(filePath + LOCAL_STORAGE_CONFIG.META_SUFFIX, { force: true });
+  }
+
+  async list(prefix = '', { cursor, limit = LOCAL_STORAGE_CONFIG.LIST_LIMIT } = {}) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.root, { recursive: true });
+    } catch (error) {
+      if (isMissing(error)) return { files: [], cursor: null };
+      throw error;
+    }
+
+    const keys = entries
+      .map(entry => entry.split(path.sep).join('/'))
+      .filter(
+        key =>
+          key.startsWith(prefix) &&
+          !key.startsWith(`${LOCAL_STORAGE_CONFIG.MULTIPART_DIR}/`) &&
+          !key.endsWith(LOCAL_STORAGE_CONFIG.META_SUFFIX) &&
+          (!cursor || key > cursor),
+      )
+      .sort();
+
+    const files = [];
+    for (const key of keys) {
+      if (files.length > limit) break;
+      const stats = await fs.promises.stat(path.join(this.root, key));
+      if (stats.isFile()) {
+        files.push({ key, size: stats.size, lastModified: stats.mtime });
+      }
+    }
+
+    const page = files.slice(0, limit);
+    return {
+      files: page,
+      cursor: files.length > limit ? page[page.length - 1].key : null,
+    };
+  }
+
+  async createMultipartUpload(fileKey, { contentType, metadata = {} } = {}) {
+    this.resolvePath(fileKey);
+
+    const uploadId = crypto.randomUUID();
+    const dir = path.join(this.getMultipartRoot(), uploadId);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, 'upload.json'),
+      JSON.stringify({ key: fileKey, contentType, metadata }),
+    );
+
+    return uploadId;
+  }
+
+  async uploadPart(fileKey, uploadId, partNumber, body) {
+    const { dir } = await this.getUpload(fileKey, uploadId);
+    const buffer = Buffer.from(body);
+
+    await fs.promises.writeFile(path.join(dir, `${partNumber}.part`), buffer);
+    return {
+      etag: `"${crypto.createHash('md5').update(buffer).digest('hex')}"`,
+      size: buffer.length,
+    };
+  }
+
+  async completeMultipartUpload(fileKey, uploadId, parts) {
+    const { dir, manifest } = await this.getUpload(fileKey, uploadId);
+    const filePath = this.resolvePath(fileKey);
+    const hash = crypto.createHash('md5');
+    let size = 0;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const handle = await fs.promises.open(filePath, 'w');
+    try {
+      // One part in memory at a time
+      for (const part of parts) {
+        let buffer;
+        try {
+          buffer = await fs.promises.readFile(path.join(dir, `${part.partNumber}.part`));
+        } catch (error) {
+          if (!isMissing(error)) throw error;
+        }
+
+        const etag = buffer && `"${crypto.createHash('md5').update(buffer).digest('hex')}"`;
+        if (!buffer || etag !== part.etag) {
+          throw ApiError.badRequest('Multipart upload parts are missing or have changed', [
+            `Part ${part.partNumber}`,
+          ]);
+        }
+
+        await handle.write(buffer);
+        hash.update(buffer);
+        size += buffer.length;
+      }
+    } catch (error) {
+      await handle.close();
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+    await handle.close();
+
+    await fs.promises.writeFile(
+      filePath + LOCAL_STORAGE_CONFIG.META_SUFFIX,
+      JSON.stringify({
+        contentType: manifest.contentType,
+        etag: `"${hash.digest('hex')}-${parts.length}"`,
+        metadata: manifest.metadata || {},
+      }),
+    );
+    await fs.promises.rm(dir, { recursive: true, force: true });
+
+    return { size };
+  }
+
+  async abortMultipartUpload(fileKey, uploadId) {
+    if (!UPLOAD_ID_PATTERN.test(uploadId)) return;
+    await fs.promises.rm(path.join(this.getMultipartRoot(), uploadId), {
+      recursive: true,
+      force: true,
+    });
+  }
+
+  async getSignedUrl(fileKey, expiresIn) {
+    this.resolvePath(fileKey);
+    return createSignedUrl(fileKey, expiresIn);
+  }
+
+  async getUploadUrl(fileKey, { expiresIn }) {
+    this.resolvePath(fileKey);
+    return createSignedUrl(fileKey, expiresIn, { method: 'PUT' });
+  }
+}
+
+export default LocalStorageDriver;
@@ -0,0 +1,142 @@
+/**
+ * Memory Storage Driver
+ * Keeps objects in process memory. Intended for tests; contents are lost on
+ * restart and are not shared between processes.
+ */
+
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import ApiError from '../../utils/apiError.js';
+import { LOCAL_STORAGE_CONFIG } from '../../utils/constants.js';
+import { createSignedUrl } from './signedUrl.js';
+
+class MemoryStorageDriver {
+  constructor() {
+    this.name = 'memory';
+    this.bucket = 'memory';
+    this.objects = new Map();
+    this.uploads = new Map();
+  }
+
+  getUpload(fileKey, uploadId) {
+    const upload = this.uploads.get(uploadId);
+    if (!upload || upload.key !== fileKey) {
+      throw ApiError.notFound('Multipart upload not found');
+    }
+    return upload;
+  }
+
+  async put(fileKey, body, { contentType, metadata = {} } = {}) {
+    const buffer = Buffer.from(body);
+    this.objects.set(fileKey, {
+      body: buffer,
+      contentType,
+      metadata,
+      lastModified: new Date(),
+      etag: `"${crypto.createHash('md5').update(buffer).digest('hex')}"`,
+    });
+
+    return { size: buffer.length };
+  }
+
+  async getStream(fileKey, range = null) {
+    const object = this.objects.get(fileKey);
+    if (!object) {
+      throw ApiError.notFound('File not found');
+    }
+
+    const size = object.body.length;
+    const start = range ? range.start : 0;
+    const end = range ? Math.min(range.end, size - 1) : size - 1;
+
+    return {
+      body: Readable.from([object.body.subarray(start, end + 1)]),
+      contentLength: end - start + 1,
+      contentRange: range ? `bytes ${start}-${end}/${size}` : undefined,
+      contentType: object.contentType,
+      lastModified: object.lastModified,
+      etag: object.etag,
+    };
+  }
+
+  async head(fileKey) {
+    const object = this.objects.get(fileKey);
+    if (!object) return null;
+
+    return {
+      size: object.body.length,
+      contentType: object.contentType,
+      lastModified: object.lastModified,
+      etag: object.etag,
+      metadata: object.metadata,
+    };
+  }
+
+  async delete(fileKey) {
+    this.objects.delete(fileKey);
+  }
+
+  async list(prefix = '', { cursor, limit = LOCAL_STORAGE_CONFIG.LIST_LIMIT } = {}) {
+    const keys = [...this.objects.keys()]
+      .filter(key => key.startsWith(prefix) && (!cursor || key > cursor))
+      .sort();
+    const page = keys.slice(0, limit);
+
+    return {
+      files: page.map(key => ({
+        key,
+        size: this.objects.get(key).body.length,
+        lastModified: this.objects.get(key).lastModified,
+      })),
+      cursor: keys.length > limit ? page[page.length - 1] : null,
+    };
+  }
+
+  async createMultipartUpload(fileKey, { contentType, metadata = {} } = {}) {
+    const uploadId = crypto.randomUUID();
+    this.uploads.set(uploadId, { key: fileKey, contentType, metadata, parts: new Map() });
+    return uploadId;
+  }
+
+  async uploadPart(fileKey, uploadId, partNumber, body) {
+    const upload = this.getUpload(fileKey, uploadId);
+    const buffer = Buffer.from(body);
+    const etag = `"${crypto.createHash('md5').update(buffer).digest('hex')}"`;
+
+    upload.parts.set(partNumber, { body: buffer, etag });
+    return { etag, size: buffer.length };
+  }
+
+  async completeMultipartUpload(fileKey, uploadId, parts) {
+    const upload = this.getUpload(fileKey, uploadId);
+    const buffers = parts.map(part => {
+      const stored = upload.parts.get(part.partNumber);
+      if (!stored || stored.etag !== part.etag) {
+        throw ApiError.badRequest('Multipart upload parts are missing or have changed', [
+          `Part ${part.partNumber}`,
+        ]);
+      }
+      return stored.body;
+    });
+
+    this.uploads.delete(uploadId);
+    return this.put(fileKey, Buffer.concat(buffers), {
+      contentType: upload.contentType,
+      metadata: upload.metadata,
+    });
+  }
+
+  async abortMultipartUpload(fileKey, uploadId) {
+    this.uploads.delete(uploadId);
+  }
+
+  async getSignedUrl(fileKey, expiresIn) {
+    return createSignedUrl(fileKey, expiresIn);
+  }
+
+  async getUploadUrl(fileKey, { expiresIn }) {
+    return createSignedUrl(fileKey, expiresIn, { method: 'PUT' });
+  }
+}
+
+export default MemoryStorageDriver;
@@ -0,0 +1,81 @@
+/**
+ * Signed URLs for drivers without native presigning (local, memory)
+ * URLs point at the API's storage route and carry an HMAC of method, key and
+ * expiry, so a download URL cannot be replayed as an upload.
+ */
+
+import crypto from 'crypto';
+import config from '../../config/index.js';
+import ApiError from '../../utils/apiError.js';
+import { LOCAL_STORAGE_CONFIG } from '../../utils/constants.js';
+
+/**
+ * Get the signing secret
+ * @returns {string} Secret
+ * @throws {ApiError} If no secret is configured
+ */
+const getSecret = () => {
+  if (!config.storage.signingSecret) {
+    throw ApiError.internal('Storage signing secret is not configured');
+  }
+  return config.storage.signingSecret;
+};
+
+/**
+ * Compute the signature for a method, key and expiry
+ * @param {string} method - HTTP method the URL is for (GET or PUT)
+ * @param {string} fileKey - Storage key
+ * @param {number} expires - Expiry as a Unix timestamp (seconds)
+ * @returns {string} Hex HMAC-SHA256
+ */
+const computeSignature = (method, fileKey, expires) =>
+  crypto
+    .createHmac('sha256', getSecret())
+    .update(`${method}\n${fileKey}\n${expires}`)
+    .digest('hex');
+
+/**
+ * Build a signed URL served by the storage route
+ * @param {string} fileKey - Storage key
+ * @param {number} expiresIn - Lifetime in seconds
+ * @param {Object} [options] - { method: 'GET' (download) or 'PUT' (upload) }
+ * @returns {string} Absolute URL
+ */
+const createSignedUrl = (fileKey, expiresIn, { method = 'GET' } = {}) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const encodedKey = fileKey.split('/').map(encodeURIComponent).join('/');
+  const query = new URLSearchParams({
+    expires: String(expires),
+    signature: computeSignature(method, fileKey, expires),
+  });
+
+  return `${config.storage.publicBaseUrl}/api/${config.apiVersion}${LOCAL_STORAGE_CONFIG.ROUTE_PATH}/${encodedKey}?${query}`;
+};
+
+/**
+ * Check a signature and expiry from a signed URL
+ * @param {string} fileKey - Storage key (decoded)
+ * @param {string} expires - Expiry from the query string
+ * @param {string} signature - Signature from the query string
+ * @param {string} [method] - HTTP method of the request
+ * @returns {boolean} Valid and not expired
+ */
+const verifySignedUrl = (fileKey, expires, signature, method = 'GET') => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || typeof signature !== 'string') {
+    return false;
+  }
+  if (expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(method, fileKey, expiresAt), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+
+  return (
+    expected.length === provided.length &&
+    crypto.timingSafeEqual(expected, provided)
+  );
+};
+
+export { createSignedUrl, verifySignedUrl };
@@ -0,0 +1,251 @@
+/**
+ * Stream Limit Service
+ * Caps simultaneous streaming devices per account. Each device holds a slot in
+ * a Redis hash that it keeps alive with heartbeats (stream requests and
+ * playback session heartbeats); slots lapse after STREAM_LIMIT_CONFIG.TIMEOUT_SECONDS.
+ * Without Redis the limit is not enforced.
+ */
+
+import config from '../config/index.js';
+import { getRedisClient } from '../database/connections/redis.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import {
+  CACHE_KEYS,
+  ERROR_CODES,
+  HTTP_STATUS,
+  STREAM_LIMIT_CONFIG,
+} from '../utils/constants.js';
+
+const parseEntry = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Claims a slot atomically: kicked check, lapsed-slot eviction, capacity check
+// and insert in one step, so devices starting together cannot both take the
+// last slot. lastSeenAt values are ISO strings, which sort chronologically.
+// KEYS: active streams hash, kicked flag
+// ARGV: deviceId, stream entry (JSON), lapse cutoff (ISO), maxStreams, ttl seconds
+// Returns { 'kicked' }, { 'conflict', ...active entries } or { 'ok', entry }
+const CLAIM_SCRIPT = `
+if redis.call('GET', KEYS[2]) then
+  redis.call('DEL', KEYS[2])
+  return { 'kicked' }
+end
+
+local active = {}
+local existing = nil
+local entries = redis.call('HGETALL', KEYS[1])
+for i = 1, #entries, 2 do
+  local entry = cjson.decode(entries[i + 1])
+  if entry.lastSeenAt < ARGV[3] then
+    redis.call('HDEL', KEYS[1], entries[i])
+  else
+    table.insert(active, entries[i + 1])
+    if entries[i] == ARGV[1] then existing = entry end
+  end
+end
+
+if not existing and #active >= tonumber(ARGV[4]) then
+  return { 'conflict', unpack(active) }
+end
+
+local stream = cjson.decode(ARGV[2])
+if existing then
+  stream.startedAt = existing.startedAt
+  if stream.deviceName == cjson.null then stream.deviceName = existing.deviceName end
+  if stream.songId == cjson.null then stream.songId = existing.songId end
+end
+
+local encoded = cjson.encode(stream)
+redis.call('HSET', KEYS[1], ARGV[1], encoded)
+redis.call('EXPIRE', KEYS[1], tonumber(ARGV[5]))
+return { 'ok', encoded }
+`;
+
+class StreamLimitService {
+  /**
+   * Split stream entries into live and lapsed ones
+   * @param {Object[]} streams - Stream entries ({ deviceId, lastSeenAt, ... })
+   * @param {number} now - Current time in ms
+   * @returns {Object} { active, stale } with active sorted oldest heartbeat first
+   */
+  static splitStale(streams, now = Date.now()) {
+    const timeoutMs = STREAM_LIMIT_CONFIG.TIMEOUT_SECONDS * 1000;
+    const active = [];
+    const stale = [];
+
+    for (const stream of streams) {
+      if (now - new Date(stream.lastSeenAt).getTime() > timeoutMs) {
+        stale.push(stream);
+      } else {
+        active.push(stream);
+      }
+    }
+
+    active.sort((a, b) => new Date(a.lastSeenAt) - new Date(b.lastSeenAt));
+    return { active, stale };
+  }
+
+  /**
+   * Check whether a device may start streaming
+   * @param {Object[]} active - Live streams for the account
+   * @param {string} deviceId - Device asking to stream
+   * @param {number} maxStreams - Cap (0 = unlimited)
+   * @returns {Object|null} The conflicting stream, or null if allowed
+   */
+  static findConflict(active, deviceId, maxStreams) {
+    if (maxStreams <= 0) return null;
+    if (active.some(stream => stream.deviceId === deviceId)) return null;
+    if (active.length < maxStreams) return null;
+
+    // Suggest the device that has been quiet the longest
+    return active[0];
+  }
+
+  /**
+   * Turn the claim script's reply into the claimed stream or a 409
+   * @param {Array} reply - [status, ...entries] from CLAIM_SCRIPT
+   * @param {string} deviceId - Device asking to stream
+   * @param {number} maxStreams - Cap
+   * @param {number} now - Current time in ms
+   * @returns {Object} Claimed stream entry
+   * @throws {ApiError} 409 when the cap is reached or the device was kicked
+   */
+  static parseClaimReply([status, ...entries], deviceId, maxStreams, now = Date.now()) {
+    if (status === 'kicked') {
+      throw new ApiError(
+        HTTP_STATUS.CONFLICT,
+        'Playback on this device was stopped from another device',
+        [{ code: ERROR_CODES.STREAM_KICKED, deviceId }],
+      );
+    }
+
+    if (status === 'conflict') {
+      const { active } = this.splitStale(entries.map(parseEntry), now);
+      throw new ApiError(
+        HTTP_STATUS.CONFLICT,
+        `Streaming limit reached (${maxStreams} device${maxStreams === 1 ? '' : 's'}). Stop playback on another device to continue.`,
+        [
+          {
+            code: ERROR_CODES.STREAM_LIMIT_REACHED,
+            maxStreams,
+            conflictingDevice: this.findConflict(active, deviceId, maxStreams),
+            activeDevices: active,
+          },
+        ],
+      );
+    }
+
+    if (status !== 'ok') {
+      throw new Error(`Unexpected claim reply: ${status}`);
+    }
+    return parseEntry(entries[0]);
+  }
+
+  /**
+   * Load live streams for a user, dropping lapsed slots
+   * @param {string} userId - User ID
+   * @returns {Promise<Object[]>} Live streams, oldest heartbeat first
+   */
+  static async getActiveStreams(userId) {
+    const client = getRedisClient();
+    if (!client) return [];
+
+    const key = CACHE_KEYS.ACTIVE_STREAMS(userId);
+    const entries = (await client.hgetall(key)) || {};
+    const { active, stale } = this.splitStale(Object.values(entries).map(parseEntry));
+
+    if (stale.length > 0) {
+      await client.hdel(key, ...stale.map(stream => stream.deviceId));
+    }
+
+    return active;
+  }
+
+  /**
+   * Claim or refresh a device's streaming slot
+   * @param {string} userId - User ID
+   * @param {Object} device - { deviceId, deviceName, songId }
+   * @returns {Promise<Object|null>} Stream entry, or null when not enforced
+   * @throws {ApiError} 409 when the cap is reached or the device was kicked
+   */
+  static async claim(userId, { deviceId, deviceName, songId }) {
+    const client = getRedisClient();
+    const maxStreams = config.streaming.maxConcurrentStreams;
+    if (!client || maxStreams <= 0) return null;
+
+    // Tracking problems must not stop playback: fail open
+    try {
+      const now = Date.now();
+      const stream = {
+        deviceId,
+        deviceName: deviceName || null,
+        songId: songId || null,
+        startedAt: new Date(now).toISOString(),
+        lastSeenAt: new Date(now).toISOString(),
+      };
+      const cutoff = new Date(now - STREAM_LIMIT_CONFIG.TIMEOUT_SECONDS * 1000).toISOString();
+
+      const reply = await client.eval(
+        CLAIM_SCRIPT,
+        [CACHE_KEYS.ACTIVE_STREAMS(userId), CACHE_KEYS.STREAM_KICKED(userId, deviceId)],
+        [
+          deviceId,
+          JSON.stringify(stream),
+          cutoff,
+          String(maxStreams),
+          String(STREAM_LIMIT_CONFIG.TIMEOUT_SECONDS),
+        ],
+      );
+
+      return this.parseClaimReply(reply, deviceId, maxStreams, now);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      logger.error(`Stream limit check failed for ${userId}, allowing:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Free a device's slot (playback ended)
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   */
+  static async release(userId, deviceId) {
+    const client = getRedisClient();
+    if (!client) return;
+
+    try {
+      await client.hdel(CACHE_KEYS.ACTIVE_STREAMS(userId), deviceId);
+    } catch (error) {
+      logger.warn(`Failed to release stream slot for ${userId}/${deviceId}:`, error);
+    }
+  }
+
+  /**
+   * Stop another device's stream. Its next heartbeat gets a STREAM_KICKED 409.
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device to stop
+   * @returns {Promise<boolean>} Whether the device had an active stream
+   */
+  static async kick(userId, deviceId) {
+    const client = getRedisClient();
+    if (!client) {
+      throw ApiError.internal('Stream tracking is unavailable');
+    }
+
+    const active = await this.getActiveStreams(userId);
+    if (!active.some(stream => stream.deviceId === deviceId)) {
+      return false;
+    }
+
+    await client.hdel(CACHE_KEYS.ACTIVE_STREAMS(userId), deviceId);
+    await client.set(CACHE_KEYS.STREAM_KICKED(userId, deviceId), '1', {
+      ex: STREAM_LIMIT_CONFIG.TIMEOUT_SECONDS,
+    });
+
+    logger.info(`Stream kicked: ${userId}/${deviceId}`);
+    return true;
+  }
+}
+
+export default StreamLimitService;
@@ -0,0 +1,204 @@
+/**
+ * Transcode Service
+ * Produces a song's quality tiers (config.audio.bitrates) as AAC with
+ * ffmpeg, stores each next to the original and cuts it into the HLS
+ * segments the media playlists point at. Run by the processing queue.
+ */
+
+import path from 'path';
+import config from '../config/index.js';
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import cacheHelper from '../utils/cacheHelper.js';
+import { encodeAacTiers } from '../utils/ffmpeg.js';
+import { getSegmentDurations } from '../utils/hlsPlaylist.js';
+import { splitAdtsSegments } from '../utils/hlsSegmenter.js';
+import {
+  AUDIO_BITRATES,
+  CACHE_KEYS,
+  HLS_CONFIG,
+  QUALITY_TIERS,
+  SONG_STATUS,
+  TRANSCODE_CONFIG,
+} from '../utils/constants.js';
+import fileUploadHelper from './audioUpload.js';
+
+class TranscodeService {
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Pick the tiers worth producing from a source
+   * Tiers above the source bitrate are skipped: re-encoding a 128 kbps file
+   * at 320 kbps costs storage and sounds no better. Unknown bitrates get
+   * every tier.
+   * @param {number|null} sourceBitrate - Source bitrate in kbps
+   * @param {Object} [bitrates] - { [quality]: kbps } to choose from
+   * @returns {Object} { [quality]: kbps }
+   */
+  static planTiers(sourceBitrate, bitrates = config.audio.bitrates) {
+    return Object.fromEntries(
+      Object.entries(bitrates).filter(
+        ([, bitrate]) => !sourceBitrate || bitrate <= sourceBitrate,
+      ),
+    );
+  }
+
+  /**
+   * Upload one tier as HLS segments
+   * @param {string} songId - Song ID
+   * @param {string} quality - Tier
+   * @param {Buffer} audio - ADTS AAC rendition
+   * @param {number} durationMs - Song duration (the playlist is built from it)
+   * @returns {Promise<number>} Segments uploaded
+   */
+  static async uploadHlsSegments(songId, quality, audio, durationMs) {
+    const segments = splitAdtsSegments(audio, getSegmentDurations(durationMs));
+
+    for (const [index, segment] of segments.entries()) {
+      await fileUploadHelper.uploadFile(
+        segment,
+        fileUploadHelper.generateHlsSegmentKey(songId, quality, index),
+        TRANSCODE_CONFIG.MIME_TYPE,
+        { quality },
+      );
+    }
+    return segments.length;
+  }
+
+  /**
+   * Transcode a song into its quality tiers (processing job handler)
+   * Tiers are written to fixed keys, so a retry overwrites a partial run.
+   * file_sizes gains each uploaded tier; available_qualities lists the tiers
+   * that also have HLS segments (the HLS master playlist offers those).
+   * @param {string} songId - Song ID
+   * @returns {Promise<Object>} { qualities, hls, skipped? } for the job result
+   * @throws {Error} If the song is missing, ffmpeg fails or no tier could be stored
+   */
+  static async transcodeSong(songId) {
+    const { data: song, error } = await this.getClient()
+      .from('songs')
+      .select('id, r2_key, duration_ms, bitrate_kbps, sample_rate, channels, file_sizes')
+      .eq('id', songId)
+      .eq('status', SONG_STATUS.READY)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load song ${songId}: ${error.message}`);
+    }
+    if (!song) {
+      throw new Error(`Song ${songId} not found or not ready`);
+    }
+
+    const tiers = this.planTiers(song.bitrate_kbps);
+    if (Object.keys(tiers).length === 0) {
+      await this.saveTiers(song, {}, []);
+      return { qualities: [], hls: [], skipped: 'Source bitrate is below every tier' };
+    }
+
+    const original = await fileUploadHelper.downloadFile(song.r2_key);
+    const encoded = await encodeAacTiers(original, tiers, {
+      ffmpegPath: config.audio.ffmpegPath,
+      timeoutMs: config.audio.transcodeTimeoutSeconds * 1000,
+      extension: path.posix.extname(song.r2_key),
+      sampleRate: song.sample_rate,
+      channels: song.channels,
+    });
+
+    const upload = await fileUploadHelper.uploadMultipleQualities(
+      encoded,
+      song.r2_key,
+      TRANSCODE_CONFIG.MIME_TYPE,
+    );
+
+    const hls = [];
+    for (const quality of Object.keys(upload.results)) {
+      try {
+        await this.uploadHlsSegments(song.id, quality, encoded[quality], song.duration_ms);
+        hls.push(quality);
+      } catch (segmentError) {
+        logger.warn(`HLS segmenting failed for song ${song.id} (${quality}):`, segmentError);
+      }
+    }
+
+    await this.saveTiers(song, upload.results, hls);
+
+    if (upload.errors) {
+      // Keep what was stored; the retry redoes every tier
+      throw new Error(
+        `Failed to store ${upload.errors.map(failure => failure.quality).join(', ')}`,
+      );
+    }
+
+    logger.info(`Transcoded song ${song.id}: ${Object.keys(upload.results).join(', ')}`);
+    return { qualities: Object.keys(upload.results), hls };
+  }
+
+  /**
+   * Record the produced tiers on the song
+   * @param {Object} song - songs row (id, file_sizes)
+   * @param {Object} results - uploadMultipleQualities results
+   * @param {string[]} hls - Tiers with HLS segments
+   */
+  static async saveTiers(song, results, hls) {
+    const fileSizes = { ...(song.file_sizes || {}) };
+    for (const quality of Object.keys(AUDIO_BITRATES)) {
+      if (results[quality]) {
+        fileSizes[quality] = results[quality].size;
+      }
+    }
+
+    const { error } = await this.getClient()
+      .from('songs')
+      .update({ file_sizes: fileSizes, available_qualities: hls })
+      .eq('id', song.id);
+
+    if (error) {
+      throw new Error(`Failed to save quality tiers for song ${song.id}: ${error.message}`);
+    }
+
+    // Cached stream URLs may point at the original as a fallback
+    await cacheHelper.delMany(QUALITY_TIERS.map(quality => CACHE_KEYS.CDN_URL(song.id, quality)));
+  }
+
+  /**
+   * Delete a song's tiers and HLS segments (best effort)
+   * @param {Object} song - songs row (id, r2_key, file_sizes)
+   */
+  static async removeRenditions(song) {
+    const keys = Object.keys(AUDIO_BITRATES)
+      .filter(quality => song.file_sizes?.[quality])
+      .map(quality => fileUploadHelper.getQualityFileKey(song.r2_key, quality));
+
+    try {
+      const prefix = `${HLS_CONFIG.FOLDER}${song.id}/`;
+      let cursor;
+      do {
+        const page = await fileUploadHelper.listFiles(prefix, { cursor });
+        keys.push(...page.files.map(file => file.key));
+        cursor = page.cursor;
+      } while (cursor);
+    } catch (error) {
+      logger.warn(`Failed to list HLS segments of song ${song.id}:`, error);
+    }
+
+    if (keys.length === 0) return;
+    const { failed } = await fileUploadHelper.deleteFiles(keys);
+    if (failed.length > 0) {
+      logger.warn(`Failed to delete ${failed.length} renditions of song ${song.id}`);
+    }
+  }
+}
+
+export default TranscodeService;
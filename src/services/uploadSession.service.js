@@ -0,0 +1,462 @@
+/**
+ * Upload Session Service
+ * Resumable song uploads. A session wraps a storage multipart upload: clients
+ * send fixed-size parts in any order (and may resend them), query which parts
+ * arrived, then complete the session to assemble the file. Completing creates
+ * a hidden finalizing song and queues its ingest job, which validates the
+ * file and makes the song ready in the worker rather than in the request.
+ * Session and part state lives in upload_sessions / upload_session_parts;
+ * sessions without activity for config.uploads.sessionTtlHours are aborted
+ * by the cleanup job.
+ */
+
+import config from '../config/index.js';
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import {
+  ERROR_MESSAGES,
+  HTTP_STATUS,
+  PROCESSING_JOB_TYPES,
+  SONG_STATUS,
+  SUPPORTED_AUDIO_FORMATS,
+  UPLOAD_SESSION_CONFIG,
+  UPLOAD_SESSION_STATUS,
+} from '../utils/constants.js';
+import fileUploadHelper from './audioUpload.js';
+import ProcessingQueueService from './processingQueue.service.js';
+
+class UploadSessionService {
+  /**
+   * Split a file into parts
+   * The part size is raised when the file would otherwise need more than
+   * UPLOAD_SESSION_CONFIG.MAX_PARTS parts.
+   * @param {number} fileSize - File size in bytes
+   * @param {number} requestedPartSize - Preferred part size
+   * @returns {Object} { partSize, totalParts }
+   */
+  static planParts(fileSize, requestedPartSize = UPLOAD_SESSION_CONFIG.DEFAULT_PART_SIZE) {
+    const { MIN_PART_SIZE, MAX_PART_SIZE, MAX_PARTS } = UPLOAD_SESSION_CONFIG;
+    const partSize = Math.min(
+      Math.max(requestedPartSize, MIN_PART_SIZE, Math.ceil(fileSize / MAX_PARTS)),
+      MAX_PART_SIZE,
+    );
+
+    return { partSize, totalParts: Math.max(1, Math.ceil(fileSize / partSize)) };
+  }
+
+  /**
+   * Exact byte length a part must have
+   * @param {Object} session - upload_sessions row
+   * @param {number} partNumber - 1-based part number
+   * @returns {number|null} Size, or null if the part number is out of range
+   */
+  static expectedPartSize(session, partNumber) {
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.total_parts) {
+      return null;
+    }
+    if (partNumber < session.total_parts) return session.part_size;
+    return session.file_size - session.part_size * (session.total_parts - 1);
+  }
+
+  /**
+   * Part numbers not yet received
+   * @param {number} totalParts - Number of parts in the session
+   * @param {Object[]} parts - Received parts ({ part_number })
+   * @returns {number[]} Missing part numbers, ascending
+   */
+  static findMissingParts(totalParts, parts) {
+    const received = new Set(parts.map(part => part.part_number));
+    const missing = [];
+    for (let number = 1; number <= totalParts; number++) {
+      if (!received.has(number)) missing.push(number);
+    }
+    return missing;
+  }
+
+  /**
+   * Expiry timestamp for a session touched now
+   * @returns {string} ISO timestamp
+   */
+  static getExpiry() {
+    return new Date(Date.now() + config.uploads.sessionTtlHours * 3600 * 1000).toISOString();
+  }
+
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Load a session owned by the user
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - { active: require status 'active' }
+   * @returns {Promise<Object>} upload_sessions row
+   */
+  static async getSession(userId, sessionId, { active = false } = {}) {
+    const { data: session, error } = await this.getClient()
+      .from('upload_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error || !session) {
+      throw ApiError.notFound(ERROR_MESSAGES.UPLOAD_SESSION_NOT_FOUND);
+    }
+    if (active && session.status !== UPLOAD_SESSION_STATUS.ACTIVE) {
+      throw new ApiError(HTTP_STATUS.CONFLICT, ERROR_MESSAGES.UPLOAD_SESSION_CLOSED, [
+        { status: session.status },
+      ]);
+    }
+    return session;
+  }
+
+  /**
+   * Load the parts received for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object[]>} upload_session_parts rows, by part number
+   */
+  static async getParts(sessionId) {
+    const { data, error } = await this.getClient()
+      .from('upload_session_parts')
+      .select('part_number, etag, size, created_at')
+      .eq('session_id', sessionId)
+      .order('part_number', { ascending: true });
+
+    if (error) {
+      logger.error('Failed to load upload session parts:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    return data || [];
+  }
+
+  /**
+   * Persist session changes
+   * @param {string} sessionId - Session ID
+   * @param {Object} changes - Columns to update
+   * @returns {Promise<Object>} Updated row
+   */
+  static async updateSession(sessionId, changes) {
+    const { data, error } = await this.getClient()
+      .from('upload_sessions')
+      .update(changes)
+      .eq('id', sessionId)
+      .select()
+      .single();
+
+    if (error || !data) {
+      logger.error('Failed to update upload session:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    return data;
+  }
+
+  /**
+   * Start a session
+   * @param {string} userId - User ID
+   * @param {Object} params - { filename, mimeType, fileSize, partSize, fields }
+   * @returns {Promise<Object>} upload_sessions row
+   */
+  static async create(userId, { filename, mimeType, fileSize, partSize, fields = {} }) {
+    if (!SUPPORTED_AUDIO_FORMATS.includes(mimeType)) {
+      throw ApiError.badRequest(`Unsupported file type: ${mimeType}`);
+    }
+    if (fileSize > config.uploads.maxSessionFileSize) {
+      const maxSizeMB = config.uploads.maxSessionFileSize / (1024 * 1024);
+      throw ApiError.badRequest(`File too large. Maximum size: ${maxSizeMB}MB`);
+    }
+
+    const plan = this.planParts(fileSize, partSize);
+    const fileKey = fileUploadHelper.generateFileKey(filename);
+    const storageUploadId = await fileUploadHelper.createMultipartUpload(fileKey, mimeType, {
+      uploadedBy: userId,
+    });
+
+    const { data: session, error } = await this.getClient()
+      .from('upload_sessions')
+      .insert({
+        user_id: userId,
+        status: UPLOAD_SESSION_STATUS.ACTIVE,
+        file_key: fileKey,
+        storage_upload_id: storageUploadId,
+        filename,
+        mime_type: mimeType,
+        file_size: fileSize,
+        part_size: plan.partSize,
+        total_parts: plan.totalParts,
+        song_fields: fields,
+        expires_at: this.getExpiry(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Failed to create upload session:', error);
+      await fileUploadHelper.abortMultipartUpload(fileKey, storageUploadId);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+
+    logger.info(`Upload session started: ${session.id} (${plan.totalParts} parts)`);
+    return session;
+  }
+
+  /**
+   * Store one part; sending a part again replaces it
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {number} partNumber - 1-based part number
+   * @param {Buffer} body - Part contents
+   * @returns {Promise<Object>} { session, part }
+   */
+  static async uploadPart(userId, sessionId, partNumber, body) {
+    const session = await this.getSession(userId, sessionId, { active: true });
+
+    const expectedSize = this.expectedPartSize(session, partNumber);
+    if (expectedSize === null) {
+      throw ApiError.badRequest(`Part number must be between 1 and ${session.total_parts}`);
+    }
+    if (!Buffer.isBuffer(body) || body.length !== expectedSize) {
+      throw ApiError.badRequest(
+        `Part ${partNumber} must be exactly ${expectedSize} bytes`,
+        [{ partNumber, expectedSize, receivedSize: Buffer.isBuffer(body) ? body.length : 0 }],
+      );
+    }
+
+    const { etag, size } = await fileUploadHelper.uploadPart(
+      session.file_key,
+      session.storage_upload_id,
+      partNumber,
+      body,
+    );
+
+    const { error } = await this.getClient()
+      .from('upload_session_parts')
+      .upsert(
+        { session_id: session.id, part_number: partNumber, etag, size },
+        { onConflict: 'session_id,part_number' },
+      );
+
+    if (error) {
+      logger.error('Failed to record upload part:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+
+    const updated = await this.updateSession(session.id, { expires_at: this.getExpiry() });
+    return { session: updated, part: { partNumber, etag, size } };
+  }
+
+  /**
+   * Session state with received and missing parts
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} { session, parts, missingParts, receivedBytes }
+   */
+  static async getStatus(userId, sessionId) {
+    const session = await this.getSession(userId, sessionId);
+    const parts = await this.getParts(session.id);
+
+    return {
+      session,
+      parts,
+      missingParts: this.findMissingParts(session.total_parts, parts),
+      receivedBytes: parts.reduce((sum, part) => sum + part.size, 0),
+    };
+  }
+
+  /**
+   * Assemble the parts and queue the song's ingest job
+   * The session is claimed with a conditional status update so concurrent
+   * completions cannot both assemble it. The file is not read here: the
+   * session stays completing until the job finishes (see finishIngest). If
+   * the job cannot be queued the stored file is removed and the session is
+   * marked failed.
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} { session, song } with the song finalizing
+   */
+  static async complete(userId, sessionId) {
+    const session = await this.getSession(userId, sessionId, { active: true });
+    const parts = await this.getParts(session.id);
+
+    const missingParts = this.findMissingParts(session.total_parts, parts);
+    if (missingParts.length > 0) {
+      throw ApiError.badRequest('Upload is missing parts', [{ missingParts }]);
+    }
+
+    const { data: claimed, error: claimError } = await this.getClient()
+      .from('upload_sessions')
+      .update({ status: UPLOAD_SESSION_STATUS.COMPLETING })
+      .eq('id', session.id)
+      .eq('status', UPLOAD_SESSION_STATUS.ACTIVE)
+      .select()
+      .maybeSingle();
+
+    if (claimError || !claimed) {
+      throw new ApiError(HTTP_STATUS.CONFLICT, ERROR_MESSAGES.UPLOAD_SESSION_CLOSED);
+    }
+
+    let assembled = false;
+    let song = null;
+    try {
+      await fileUploadHelper.completeMultipartUpload(
+        session.file_key,
+        session.storage_upload_id,
+        parts.map(part => ({ partNumber: part.part_number, etag: part.etag })),
+      );
+      assembled = true;
+
+      const { data, error } = await this.getClient()
+        .from('songs')
+        .insert({
+          status: SONG_STATUS.FINALIZING,
+          r2_key: session.file_key,
+          metadata: {
+            uploaded_by: userId,
+            original_filename: session.filename,
+            pending_upload: {
+              mime_type: session.mime_type,
+              file_size: session.file_size,
+              song_fields: session.song_fields || {},
+              upload_session_id: session.id,
+            },
+          },
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create the song: ${error.message}`);
+      }
+      song = data;
+
+      const updated = await this.updateSession(session.id, { song_id: song.id });
+      if (!(await ProcessingQueueService.enqueue(song.id, [PROCESSING_JOB_TYPES.INGEST]))) {
+        throw new Error('Failed to queue the upload for processing');
+      }
+
+      logger.info(`Upload session assembled: ${session.id} -> song ${song.id} queued for ingest`);
+      return { session: updated, song };
+    } catch (error) {
+      logger.error(`Upload session ${session.id} failed to complete:`, error);
+
+      if (song) {
+        await this.getClient().from('songs').delete().eq('id', song.id);
+      }
+      if (assembled) {
+        await fileUploadHelper.deleteFile(session.file_key);
+      } else {
+        await fileUploadHelper.abortMultipartUpload(session.file_key, session.storage_upload_id);
+      }
+      await this.updateSession(session.id, {
+        status: UPLOAD_SESSION_STATUS.FAILED,
+        error: error.message,
+      }).catch(() => {});
+
+      throw error instanceof ApiError ? error : ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+  }
+
+  /**
+   * Close a completing session once its ingest job has finished
+   * On failure the assembled file and the finalizing song are removed.
+   * Never throws: the song (or its removal) is already settled.
+   * @param {Object} song - songs row created by complete
+   * @param {Error} [error] - Why ingest failed; omitted on success
+   * @returns {Promise<void>}
+   */
+  static async finishIngest(song, error = null) {
+    const sessionId = song.metadata.pending_upload.upload_session_id;
+
+    try {
+      if (!error) {
+        await this.updateSession(sessionId, {
+          status: UPLOAD_SESSION_STATUS.COMPLETED,
+          completed_at: new Date().toISOString(),
+        });
+        logger.info(`Upload session completed: ${sessionId} -> song ${song.id}`);
+        return;
+      }
+
+      await this.getClient().from('songs').delete().eq('id', song.id);
+      await fileUploadHelper.deleteFile(song.r2_key);
+      await this.updateSession(sessionId, {
+        status: UPLOAD_SESSION_STATUS.FAILED,
+        error: error.message,
+      });
+    } catch (updateError) {
+      logger.error(`Failed to close upload session ${sessionId}:`, updateError);
+    }
+  }
+
+  /**
+   * Abort a session and discard its parts
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Updated upload_sessions row
+   */
+  static async abort(userId, sessionId) {
+    const session = await this.getSession(userId, sessionId, { active: true });
+    return this.close(session, UPLOAD_SESSION_STATUS.ABORTED);
+  }
+
+  /**
+   * Abort the storage upload and close the session
+   * @param {Object} session - upload_sessions row
+   * @param {string} status - aborted or expired
+   * @returns {Promise<Object>} Updated row
+   */
+  static async close(session, status) {
+    const aborted = await fileUploadHelper.abortMultipartUpload(
+      session.file_key,
+      session.storage_upload_id,
+    );
+    if (!aborted) {
+      throw new Error(`Storage upload for session ${session.id} could not be aborted`);
+    }
+
+    await this.getClient().from('upload_session_parts').delete().eq('session_id', session.id);
+    return this.updateSession(session.id, { status });
+  }
+
+  /**
+   * Abort sessions whose expiry has passed (cleanup job)
+   * @returns {Promise<Object>} { expired, failed }
+   */
+  static async expireAbandonedSessions() {
+    const { data: sessions, error } = await this.getClient()
+      .from('upload_sessions')
+      .select('*')
+      .eq('status', UPLOAD_SESSION_STATUS.ACTIVE)
+      .lt('expires_at', new Date().toISOString())
+      .limit(500);
+
+    if (error) {
+      throw new Error(`Failed to load abandoned upload sessions: ${error.message}`);
+    }
+
+    let expired = 0;
+    let failed = 0;
+    for (const session of sessions) {
+      try {
+        await this.close(session, UPLOAD_SESSION_STATUS.EXPIRED);
+        expired++;
+      } catch (err) {
+        failed++;
+        logger.error(`Failed to expire upload session ${session.id}:`, err);
+      }
+    }
+
+    return { expired, failed };
+  }
+}
+
+export default UploadSessionService;
@@ -0,0 +1,177 @@
+/**
+ * Waveform Service
+ * Produces the peaks players draw as a seek bar: the original is decoded to
+ * mono PCM, its peaks merged into WAVEFORM_CONFIG.POINTS points and stored
+ * as JSON next to the audio (waveforms/). Run by the processing queue, so
+ * it is regenerated whenever the audio is processed again; requests
+ * downsample the stored points to the resolution they ask for.
+ */
+
+import path from 'path';
+import config from '../config/index.js';
+import { getSupabaseClient } from '../database/connections/supabase.js';
+import ApiError from '../utils/apiError.js';
+import { logger } from '../utils/logger.js';
+import cacheHelper from '../utils/cacheHelper.js';
+import { decodePcm } from '../utils/ffmpeg.js';
+import { createPeakCollector, downsamplePeaks, quantisePeaks } from '../utils/waveform.js';
+import {
+  CACHE_KEYS,
+  CACHE_TTL,
+  ERROR_MESSAGES,
+  SONG_STATUS,
+  WAVEFORM_CONFIG,
+} from '../utils/constants.js';
+import fileUploadHelper from './audioUpload.js';
+
+class WaveformService {
+  /**
+   * Get the Supabase client or fail
+   * @returns {Object} Supabase client
+   */
+  static getClient() {
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+      throw ApiError.internal('Supabase client not initialized');
+    }
+    return supabase;
+  }
+
+  /**
+   * Compute the waveform of decoded audio
+   * @param {Buffer} audio - Source audio (any format ffmpeg reads)
+   * @param {string} [extension] - Source file extension (a hint for ffmpeg)
+   * @returns {Promise<Object>} Stored waveform { version, scale, durationMs, peaks }
+   */
+  static async compute(audio, extension = '') {
+    const collector = createPeakCollector({ channels: 1 });
+
+    const frames = await decodePcm(audio, {
+      ffmpegPath: config.audio.ffmpegPath,
+      timeoutMs: config.audio.transcodeTimeoutSeconds * 1000,
+      extension,
+      sampleRate: WAVEFORM_CONFIG.SAMPLE_RATE,
+      channels: 1,
+      chunkFrames: WAVEFORM_CONFIG.READ_CHUNK_FRAMES,
+      onChunk: samples => collector.write(samples),
+    });
+
+    return {
+      version: WAVEFORM_CONFIG.VERSION,
+      scale: WAVEFORM_CONFIG.SCALE,
+      durationMs: Math.round((frames / WAVEFORM_CONFIG.SAMPLE_RATE) * 1000),
+      peaks: quantisePeaks(downsamplePeaks(collector.finish(), WAVEFORM_CONFIG.POINTS)),
+    };
+  }
+
+  /**
+   * Generate and store a song's waveform (processing job handler)
+   * @param {string} songId - Song ID
+   * @returns {Promise<Object>} { key, points } for the job result
+   * @throws {Error} If the song is missing, decoding fails or the result cannot be saved
+   */
+  static async generateForSong(songId) {
+    const { data: song, error } = await this.getClient()
+      .from('songs')
+      .select('id, r2_key, waveform')
+      .eq('id', songId)
+      .eq('status', SONG_STATUS.READY)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load song ${songId}: ${error.message}`);
+    }
+    if (!song) {
+      throw new Error(`Song ${songId} not found or not ready`);
+    }
+
+    const original = await fileUploadHelper.downloadFile(song.r2_key);
+    const waveform = await this.compute(original, path.posix.extname(song.r2_key));
+
+    const key = fileUploadHelper.getWaveformFileKey(song.r2_key);
+    const { size } = await fileUploadHelper.uploadFile(
+      Buffer.from(JSON.stringify(waveform)),
+      key,
+      'application/json',
+      { songId: song.id },
+    );
+
+    const { error: updateError } = await this.getClient()
+      .from('songs')
+      .update({
+        waveform: { key, size, points: waveform.peaks.length, generated_at: new Date().toISOString() },
+      })
+      .eq('id', song.id);
+
+    if (updateError) {
+      throw new Error(`Failed to save waveform of song ${song.id}: ${updateError.message}`);
+    }
+
+    // Audio stored under a new key leaves the old waveform behind
+    if (song.waveform?.key && song.waveform.key !== key) {
+      await fileUploadHelper.deleteFiles([song.waveform.key]);
+    }
+    await cacheHelper.del(CACHE_KEYS.WAVEFORM(song.id));
+
+    logger.info(`Waveform of song ${song.id}: ${waveform.peaks.length} points`);
+    return { key, points: waveform.peaks.length };
+  }
+
+  /**
+   * Get a song's waveform at a resolution
+   * @param {string} songId - Song ID
+   * @param {number} [resolution] - Points wanted (default: as stored)
+   * @returns {Promise<Object>} { songId, resolution, scale, durationMs, peaks }
+   * @throws {ApiError} 404 if the song is missing or its waveform not generated yet
+   */
+  static async getWaveform(songId, resolution) {
+    const { data: song, error } = await this.getClient()
+      .from('songs')
+      .select('id, waveform')
+      .eq('id', songId)
+      .eq('status', SONG_STATUS.READY)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error fetching song:', error);
+      throw ApiError.internal(ERROR_MESSAGES.OPERATION_FAILED);
+    }
+    if (!song) {
+      throw ApiError.notFound(ERROR_MESSAGES.SONG_NOT_FOUND);
+    }
+    if (!song.waveform?.key) {
+      throw ApiError.notFound(ERROR_MESSAGES.WAVEFORM_NOT_FOUND);
+    }
+
+    const stored = await cacheHelper.getOrSet(
+      CACHE_KEYS.WAVEFORM(song.id),
+      async () => JSON.parse((await fileUploadHelper.downloadFile(song.waveform.key)).toString('utf8')),
+      CACHE_TTL.WAVEFORM,
+    );
+
+    return this.toResponse(song.id, stored, resolution);
+  }
+
+  /**
+   * Shape a stored waveform for the API
+   * @param {string} songId - Song ID
+   * @param {Object} stored - Stored waveform { scale, durationMs, peaks }
+   * @param {number} [resolution] - Points wanted (default: as stored)
+   * @returns {Object} { songId, resolution, scale, durationMs, peaks }
+   */
+  static toResponse(songId, stored, resolution = stored.peaks.length) {
+    const peaks = downsamplePeaks(stored.peaks, resolution);
+
+    return {
+      songId,
+      resolution: peaks.length,
+      scale: stored.scale,
+      durationMs: stored.durationMs,
+      peaks,
+    };
+  }
+}
+
+export default WaveformService;
@@ -0,0 +1,40 @@
+/**
+ * Artist Names
+ * Matching keys and URL slugs for artist credits. normalizeArtistName must
+ * agree with the normalize_artist_name SQL function (migration 017), which
+ * computes artists.normalized_name.
+ */
+
+/**
+ * Get the key an artist credit is matched by
+ * @param {string|null} name - Artist credit
+ * @returns {string|null} NFKC, whitespace collapsed and trimmed, lower case
+ *   (null when nothing is left)
+ */
+const normalizeArtistName = name => {
+  if (typeof name !== 'string') return null;
+  const key = name.normalize('NFKC').replace(/\s+/g, ' ').trim().toLowerCase();
+  return key || null;
+};
+
+/**
+ * Get the display form of an artist credit
+ * @param {string} name - Artist credit
+ * @returns {string} Whitespace collapsed and trimmed
+ */
+const cleanArtistName = name => name.replace(/\s+/g, ' ').trim();
+
+/**
+ * Get the URL slug of an artist name
+ * Letters and digits of any script are kept; everything else becomes a dash.
+ * @param {string} name - Artist name
+ * @returns {string} Slug, e.g. "Florence + The Machine" -> florence-the-machine
+ */
+const slugifyArtistName = name => {
+  const slug = (normalizeArtistName(name) || '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'artist';
+};
+
+export { normalizeArtistName, cleanArtistName, slugifyArtistName };
@@ -0,0 +1,326 @@
+/**
+ * Audio Feature Extraction
+ * Content features for recommendations, computed on mono float PCM fed in
+ * chunks: RMS energy, spectral centroid/rolloff/flatness, tempo from the
+ * autocorrelation of spectral flux, key and mode from a chromagram
+ * (Krumhansl-Schmuckler), and danceability/valence estimates derived from
+ * those. The estimates are heuristics on a 0-1 scale, not trained models.
+ */
+
+import { FEATURE_CONFIG } from './constants.js';
+
+// Krumhansl-Kessler key profiles, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// A beat whose onset autocorrelation reaches this counts as a fully steady pulse
+const FULL_PULSE = 0.5;
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+const round = (value, digits) => {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Create an in-place radix-2 FFT for one size
+ * @param {number} size - Power of two
+ * @returns {Function} transform(re: Float64Array, im: Float64Array)
+ */
+const createFft = size => {
+  const bits = Math.log2(size);
+  if (!Number.isInteger(bits)) {
+    throw new Error(`FFT size must be a power of two, got ${size}`);
+  }
+
+  const reversed = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let j = 0;
+    for (let bit = 0; bit < bits; bit++) j = (j << 1) | ((i >> bit) & 1);
+    reversed[i] = j;
+  }
+  const cos = new Float64Array(size / 2);
+  const sin = new Float64Array(size / 2);
+  for (let i = 0; i < size / 2; i++) {
+    cos[i] = Math.cos((2 * Math.PI * i) / size);
+    sin[i] = -Math.sin((2 * Math.PI * i) / size);
+  }
+
+  return (re, im) => {
+    for (let i = 0; i < size; i++) {
+      const j = reversed[i];
+      if (j > i) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+
+    for (let half = 1; half < size; half *= 2) {
+      const step = size / (half * 2);
+      for (let start = 0; start < size; start += half * 2) {
+        for (let k = 0; k < half; k++) {
+          const wr = cos[k * step];
+          const wi = sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  };
+};
+
+/**
+ * Estimate the tempo from an onset strength envelope
+ * The envelope's autocorrelation is searched over MIN_BPM..MAX_BPM, weighted
+ * by a log-normal prior around PRIOR_BPM (one octave wide) so half and
+ * double tempo lose to the more common one.
+ * @param {number[]} envelope - Onset strength per frame
+ * @param {number} frameRate - Envelope frames per second
+ * @returns {Object} { bpm, pulse } (pulse: normalised autocorrelation at the
+ *   beat period, 0-1); bpm is null without a detectable beat (pulse below MIN_PULSE)
+ */
+const estimateTempo = (envelope, frameRate) => {
+  const minLag = Math.floor((60 * frameRate) / FEATURE_CONFIG.MAX_BPM);
+  const maxLag = Math.ceil((60 * frameRate) / FEATURE_CONFIG.MIN_BPM);
+  if (envelope.length < maxLag * 2) return { bpm: null, pulse: 0 };
+
+  const mean = envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+  const centred = envelope.map(value => value - mean);
+  const autocorrelation = lag => {
+    let sum = 0;
+    for (let i = lag; i < centred.length; i++) sum += centred[i] * centred[i - lag];
+    return sum / (centred.length - lag);
+  };
+
+  const zero = autocorrelation(0);
+  if (zero <= 0) return { bpm: null, pulse: 0 };
+
+  const values = new Map();
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) values.set(lag, autocorrelation(lag) / zero);
+
+  let bestLag = null;
+  let bestScore = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = (60 * frameRate) / lag;
+    const prior = Math.exp(-0.5 * Math.log2(bpm / FEATURE_CONFIG.PRIOR_BPM) ** 2);
+    const score = values.get(lag) * prior;
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  if (bestLag === null || values.get(bestLag) < FEATURE_CONFIG.MIN_PULSE) {
+    return { bpm: null, pulse: clamp01(values.get(bestLag ?? minLag)) };
+  }
+
+  // Parabolic interpolation between neighbouring lags
+  const [before, at, after] = [values.get(bestLag - 1), values.get(bestLag), values.get(bestLag + 1)];
+  const curvature = before - 2 * at + after;
+  const offset = curvature < 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (before - after)) / curvature)) : 0;
+
+  return { bpm: (60 * frameRate) / (bestLag + offset), pulse: clamp01(at) };
+};
+
+/**
+ * Pearson correlation of two equally long arrays
+ * @param {number[]} a - Values
+ * @param {number[]} b - Values
+ * @returns {number} -1..1 (0 if either is constant)
+ */
+const correlate = (a, b) => {
+  const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+  let products = 0;
+  let squaresA = 0;
+  let squaresB = 0;
+  for (let i = 0; i < a.length; i++) {
+    products += (a[i] - meanA) * (b[i] - meanB);
+    squaresA += (a[i] - meanA) ** 2;
+    squaresB += (b[i] - meanB) ** 2;
+  }
+  return squaresA && squaresB ? products / Math.sqrt(squaresA * squaresB) : 0;
+};
+
+/**
+ * Estimate key and mode from a chromagram
+ * @param {number[]} chroma - Energy per pitch class, C first
+ * @returns {Object} { key, mode, strength }: key is the tonic's pitch class
+ *   (0 = C, -1 if none), mode 1 for major and 0 for minor (null without a key)
+ */
+const estimateKey = chroma => {
+  if (!chroma.some(value => value > 0)) return { key: -1, mode: null, strength: 0 };
+
+  let best = { key: -1, mode: null, strength: 0 };
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = chroma.map((_, i) => chroma[(i + tonic) % 12]);
+    for (const [mode, profile] of [
+      [1, MAJOR_PROFILE],
+      [0, MINOR_PROFILE],
+    ]) {
+      const strength = correlate(rotated, profile);
+      if (strength > best.strength) best = { key: tonic, mode, strength };
+    }
+  }
+  return best;
+};
+
+/**
+ * Derive the 0-1 descriptors from the measured features
+ * @param {Object} measured - { rmsDb, centroidHz, bpm, pulse, mode }
+ * @returns {Object} { energy, danceability, valence }
+ */
+const deriveDescriptors = ({ rmsDb, centroidHz, bpm, pulse, mode }) => {
+  const { ENERGY_FLOOR_DB, ENERGY_CEILING_DB, PRIOR_BPM } = FEATURE_CONFIG;
+  const loudness = Number.isFinite(rmsDb)
+    ? clamp01((rmsDb - ENERGY_FLOOR_DB) / (ENERGY_CEILING_DB - ENERGY_FLOOR_DB))
+    : 0;
+  const brightness = clamp01((centroidHz || 0) / 3000);
+  const energy = clamp01(0.8 * loudness + 0.2 * brightness);
+
+  // Danceable music has a steady pulse near PRIOR_BPM (within about half an octave)
+  const tempoFit = bpm ? Math.exp(-0.5 * (Math.log2(bpm / PRIOR_BPM) / 0.5) ** 2) : 0;
+  const danceability = clamp01(0.5 * clamp01(pulse / FULL_PULSE) + 0.3 * tempoFit + 0.2 * energy);
+
+  // Major, fast, bright and energetic music tends to sound positive
+  const modeScore = mode === 1 ? 1 : mode === 0 ? 0 : 0.5;
+  const pace = bpm ? clamp01((bpm - 60) / 120) : 0.5;
+  const valence = clamp01(0.35 * modeScore + 0.25 * pace + 0.2 * brightness + 0.2 * energy);
+
+  return { energy, danceability, valence };
+};
+
+/**
+ * Create an analyser for one track
+ * @param {Object} [format] - PCM format
+ * @param {number} [format.sampleRate] - Sample rate (Hz) of the mono samples
+ * @returns {Object} { write(samples: Float32Array), finish(): features } where
+ *   features are { tempo, key, mode, energy, danceability, valence,
+ *   spectralCentroid, spectralRolloff, spectralFlatness, rmsDb, durationMs }
+ */
+const createFeatureAnalyser = ({ sampleRate = FEATURE_CONFIG.SAMPLE_RATE } = {}) => {
+  const { FRAME_SIZE, HOP_SIZE, CHROMA_MIN_HZ, CHROMA_MAX_HZ, ROLLOFF_PERCENT, SILENCE_DB } = FEATURE_CONFIG;
+  const bins = FRAME_SIZE / 2 + 1;
+  const binHz = sampleRate / FRAME_SIZE;
+  const maxFrames = FEATURE_CONFIG.MAX_SECONDS * sampleRate;
+  const transform = createFft(FRAME_SIZE);
+
+  const window = Float64Array.from({ length: FRAME_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FRAME_SIZE));
+  // Pitch class of every bin in the chroma range (-1 outside it)
+  const pitchClass = Int8Array.from({ length: bins }, (_, k) => {
+    const hz = k * binHz;
+    if (hz < CHROMA_MIN_HZ || hz > CHROMA_MAX_HZ) return -1;
+    return (((Math.round(12 * Math.log2(hz / 440)) + 9) % 12) + 12) % 12;
+  });
+  const silencePower = 10 ** (SILENCE_DB / 10);
+
+  const frame = new Float32Array(FRAME_SIZE);
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+  const magnitude = new Float64Array(bins);
+  const previous = new Float64Array(bins);
+  const chroma = new Array(12).fill(0);
+  const envelope = [];
+  let fill = 0;
+  let frames = 0;
+  let sumSquares = 0;
+  const spectral = { frames: 0, centroid: 0, rolloff: 0, flatness: 0 };
+
+  const analyseFrame = () => {
+    let framePower = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      re[i] = frame[i] * window[i];
+      im[i] = 0;
+      framePower += frame[i] * frame[i];
+    }
+    transform(re, im);
+
+    let total = 0;
+    let flux = 0;
+    for (let k = 0; k < bins; k++) {
+      const value = Math.hypot(re[k], im[k]);
+      magnitude[k] = value;
+      total += value;
+      // Log-compressed rise in magnitude: the onset strength
+      const rise = Math.log1p(value) - Math.log1p(previous[k]);
+      if (rise > 0) flux += rise;
+      previous[k] = value;
+      if (pitchClass[k] >= 0) chroma[pitchClass[k]] += value * value;
+    }
+    envelope.push(flux);
+
+    if (framePower / FRAME_SIZE < silencePower || total === 0) return;
+
+    let weighted = 0;
+    let logPower = 0;
+    let power = 0;
+    for (let k = 0; k < bins; k++) {
+      weighted += k * binHz * magnitude[k];
+      const binPower = magnitude[k] * magnitude[k] + 1e-12;
+      logPower += Math.log(binPower);
+      power += binPower;
+    }
+
+    let cumulative = 0;
+    let rolloffBin = bins - 1;
+    for (let k = 0; k < bins; k++) {
+      cumulative += magnitude[k];
+      if (cumulative >= ROLLOFF_PERCENT * total) {
+        rolloffBin = k;
+        break;
+      }
+    }
+
+    spectral.frames++;
+    spectral.centroid += weighted / total;
+    spectral.rolloff += rolloffBin * binHz;
+    spectral.flatness += Math.exp(logPower / bins) / (power / bins);
+  };
+
+  const write = samples => {
+    for (let i = 0; i < samples.length && frames < maxFrames; i++, frames++) {
+      const x = samples[i];
+      sumSquares += x * x;
+      frame[fill++] = x;
+
+      if (fill === FRAME_SIZE) {
+        analyseFrame();
+        frame.copyWithin(0, HOP_SIZE);
+        fill = FRAME_SIZE - HOP_SIZE;
+      }
+    }
+  };
+
+  const finish = () => {
+    const rmsDb = frames > 0 ? 10 * Math.log10(sumSquares / frames) : -Infinity;
+    const centroidHz = spectral.frames ? spectral.centroid / spectral.frames : null;
+    const { bpm, pulse } = estimateTempo(envelope, sampleRate / HOP_SIZE);
+    const { key, mode } = estimateKey(chroma);
+    const { energy, danceability, valence } = deriveDescriptors({ rmsDb, centroidHz, bpm, pulse, mode });
+
+    return {
+      tempo: round(bpm, 1),
+      key,
+      mode,
+      energy: round(energy, 3),
+      danceability: round(danceability, 3),
+      valence: round(valence, 3),
+      spectralCentroid: round(centroidHz, 0),
+      spectralRolloff: spectral.frames ? round(spectral.rolloff / spectral.frames, 0) : null,
+      spectralFlatness: spectral.frames ? round(spectral.flatness / spectral.frames, 4) : null,
+      rmsDb: round(rmsDb, 2),
+      durationMs: Math.round((frames / sampleRate) * 1000),
+    };
+  };
+
+  return { write, finish };
+};
+
+export { createFft, estimateTempo, estimateKey, deriveDescriptors, createFeatureAnalyser };
@@ -0,0 +1,210 @@
+/**
+ * Audio Frame Parsers
+ * Low-level readers for MPEG audio (MP3), ADTS AAC and RIFF/WAVE buffers
+ */
+
+// MPEG audio bitrate tables (kbps), indexed by bitrate index 1-14
+const MPEG_BITRATES = {
+  V1L1: [32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  V1L2: [32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  V1L3: [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  V2L1: [32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  V2L23: [8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+
+const ADTS_SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025,
+  8000, 7350,
+];
+
+/**
+ * Get the offset of the first byte after an ID3v2 tag
+ * @param {Buffer} buffer - Audio buffer
+ * @returns {number} Offset (0 when there is no tag)
+ */
+const skipId3v2 = buffer => {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+
+  // Tag size is a 28-bit syncsafe integer
+  const size =
+    ((buffer[6] & 0x7f) << 21) |
+    ((buffer[7] & 0x7f) << 14) |
+    ((buffer[8] & 0x7f) << 7) |
+    (buffer[9] & 0x7f);
+  const hasFooter = (buffer[5] & 0x10) !== 0;
+
+  return Math.min(10 + size + (hasFooter ? 10 : 0), buffer.length);
+};
+
+/**
+ * Parse an MPEG audio frame header
+ * @param {Buffer} buffer - Audio buffer
+ * @param {number} offset - Header offset
+ * @returns {Object|null} Frame header or null if not a valid frame
+ */
+const parseMpegFrameHeader = (buffer, offset) => {
+  if (offset + 4 > buffer.length) return null;
+
+  const [b0, b1, b2, b3] = buffer.subarray(offset, offset + 4);
+  if (b0 !== 0xff || (b1 & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (b1 >> 3) & 0x03;
+  const layerBits = (b1 >> 1) & 0x03;
+  const bitrateIndex = b2 >> 4;
+  const sampleRateIndex = (b2 >> 2) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0) return null;
+  if (bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+
+  let table;
+  if (version === 1) {
+    table = MPEG_BITRATES[`V1L${layer}`];
+  } else {
+    table = layer === 1 ? MPEG_BITRATES.V2L1 : MPEG_BITRATES.V2L23;
+  }
+
+  const bitrate = table[bitrateIndex - 1];
+  const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (b2 >> 1) & 0x01;
+  const channelMode = b3 >> 6;
+
+  let samplesPerFrame;
+  if (layer === 1) samplesPerFrame = 384;
+  else if (layer === 2 || version === 1) samplesPerFrame = 1152;
+  else samplesPerFrame = 576;
+
+  const frameLength =
+    layer === 1
+      ? (Math.floor((12 * bitrate * 1000) / sampleRate) + padding) * 4
+      : Math.floor(((samplesPerFrame / 8) * bitrate * 1000) / sampleRate) +
+        padding;
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    channels: channelMode === 3 ? 1 : 2,
+    samplesPerFrame,
+    frameLength,
+  };
+};
+
+/**
+ * Parse an ADTS (raw AAC) frame header
+ * @param {Buffer} buffer - Audio buffer
+ * @param {number} offset - Header offset
+ * @returns {Object|null} Frame header or null if not a valid frame
+ */
+const parseAdtsHeader = (buffer, offset) => {
+  if (offset + 7 > buffer.length) return null;
+
+  const b = buffer.subarray(offset, offset + 7);
+  if (b[0] !== 0xff || (b[1] & 0xf6) !== 0xf0) return null;
+
+  const sampleRateIndex = (b[2] >> 2) & 0x0f;
+  const sampleRate = ADTS_SAMPLE_RATES[sampleRateIndex];
+  if (!sampleRate) return null;
+
+  const frameLength = ((b[3] & 0x03) << 11) | (b[4] << 3) | (b[5] >> 5);
+  if (frameLength < 7) return null;
+
+  return {
+    profile: (b[2] >> 6) + 1,
+    sampleRate,
+    channels: ((b[2] & 0x01) << 2) | (b[3] >> 6),
+    samplesPerFrame: 1024 * ((b[6] & 0x03) + 1),
+    frameLength,
+  };
+};
+
+/**
+ * Walk consecutive frames, resynchronising on garbage bytes
+ * @param {Buffer} buffer - Audio buffer
+ * @param {number} start - Offset to start scanning from
+ * @param {Function} parseHeader - parseMpegFrameHeader or parseAdtsHeader
+ * @returns {Generator<Object>} { offset, header } per frame
+ */
+function* iterateFrames(buffer, start, parseHeader) {
+  let offset = start;
+
+  while (offset < buffer.length) {
+    const header = parseHeader(buffer, offset);
+    if (!header || offset + header.frameLength > buffer.length) {
+      offset += 1;
+      continue;
+    }
+
+    yield { offset, header };
+    offset += header.frameLength;
+  }
+}
+
+/**
+ * Parse the chunks of a RIFF/WAVE buffer
+ * @param {Buffer} buffer - Audio buffer
+ * @returns {Object|null} { format, fmtChunk, dataChunk } or null if not WAVE
+ */
+const parseWav = buffer => {
+  if (
+    buffer.length < 12 ||
+    buffer.toString('latin1', 0, 4) !== 'RIFF' ||
+    buffer.toString('latin1', 8, 12) !== 'WAVE'
+  ) {
+    return null;
+  }
+
+  let fmtChunk = null;
+  let dataChunk = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length && !(fmtChunk && dataChunk)) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      fmtChunk = { offset, size };
+    } else if (id === 'data') {
+      // Streamed WAVs may carry a 0/oversized data length
+      dataChunk = { offset: body, size: Math.min(size || Infinity, buffer.length - body) };
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  if (!fmtChunk || !dataChunk) return null;
+
+  const fmt = fmtChunk.offset + 8;
+  return {
+    format: {
+      audioFormat: buffer.readUInt16LE(fmt),
+      channels: buffer.readUInt16LE(fmt + 2),
+      sampleRate: buffer.readUInt32LE(fmt + 4),
+      byteRate: buffer.readUInt32LE(fmt + 8),
+      blockAlign: buffer.readUInt16LE(fmt + 12),
+      bitsPerSample: buffer.readUInt16LE(fmt + 14),
+    },
+    fmtChunk,
+    dataChunk,
+  };
+};
+
+export {
+  skipId3v2,
+  parseMpegFrameHeader,
+  parseAdtsHeader,
+  iterateFrames,
+  parseWav,
+};
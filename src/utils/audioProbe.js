@@ -0,0 +1,188 @@
+/**
+ * Audio Content Probe
+ * Detects the real container of an upload from its file signature and reads
+ * codec, sample rate, channels and bitrate from the stream headers
+ */
+
+import {
+  skipId3v2,
+  parseMpegFrameHeader,
+  parseAdtsHeader,
+  parseWav,
+} from './audioFrames.js';
+import { parseFlac, parseMp4, getFramedDuration } from './audioTags.js';
+
+// How far past any ID3v2 tag to look for MP3/ADTS frame sync
+const SNIFF_WINDOW = 64 * 1024;
+
+// How far from the end to look for the last Ogg page
+const OGG_TAIL_WINDOW = 64 * 1024;
+
+const EBML_MAGIC = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+
+// WAVE format tags -> codec
+const WAV_CODECS = {
+  0x0001: 'pcm',
+  0x0003: 'pcm_float',
+  0x0006: 'alaw',
+  0x0007: 'mulaw',
+  0xfffe: 'pcm', // WAVE_FORMAT_EXTENSIBLE
+};
+
+/**
+ * Find the first frame that is followed by another valid frame
+ * @param {Buffer} buffer - Audio buffer
+ * @param {number} start - Offset to start scanning from
+ * @param {Function} parseHeader - parseMpegFrameHeader or parseAdtsHeader
+ * @returns {Object|null} { offset, header } or null
+ */
+const findFrameSync = (buffer, start, parseHeader) => {
+  const end = Math.min(buffer.length, start + SNIFF_WINDOW);
+
+  for (let offset = start; offset < end; offset++) {
+    const header = parseHeader(buffer, offset);
+    if (!header) continue;
+
+    const next = offset + header.frameLength;
+    if (next >= buffer.length || parseHeader(buffer, next)) {
+      return { offset, header };
+    }
+  }
+  return null;
+};
+
+/**
+ * Detect the audio container from magic bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} mp3, aac, flac, wav, mp4, ogg, webm, or null
+ */
+const sniffContainer = buffer => {
+  if (!buffer || buffer.length < 12) return null;
+
+  const magic = buffer.toString('latin1', 0, 4);
+  if (magic === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE') return 'wav';
+  if (magic === 'OggS') return 'ogg';
+  if (buffer.subarray(0, 4).equals(EBML_MAGIC)) return 'webm';
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') return 'mp4';
+
+  const start = skipId3v2(buffer);
+  if (buffer.toString('latin1', start, start + 4) === 'fLaC') return 'flac';
+  if (findFrameSync(buffer, start, parseMpegFrameHeader)) return 'mp3';
+  if (findFrameSync(buffer, start, parseAdtsHeader)) return 'aac';
+
+  return null;
+};
+
+/**
+ * Read the codec header from the first Ogg page and the duration from the
+ * granule position of the last one
+ * @param {Buffer} buffer - Ogg file contents
+ * @returns {Object} { codec, sampleRate, channels, bitrate, durationMs }
+ */
+const probeOgg = buffer => {
+  const segments = buffer[26];
+  const packet = buffer.subarray(27 + segments);
+  const info = { codec: null, sampleRate: null, channels: null, bitrate: null, durationMs: null };
+  let preSkip = 0;
+
+  if (packet.toString('latin1', 1, 7) === 'vorbis' && packet[0] === 0x01) {
+    info.codec = 'vorbis';
+    info.channels = packet[11];
+    info.sampleRate = packet.readUInt32LE(12);
+    const nominal = packet.readInt32LE(20);
+    if (nominal > 0) info.bitrate = Math.round(nominal / 1000);
+  } else if (packet.toString('latin1', 0, 8) === 'OpusHead') {
+    // Opus always decodes at 48kHz; granule positions count 48kHz samples
+    info.codec = 'opus';
+    info.channels = packet[9];
+    info.sampleRate = 48000;
+    preSkip = packet.readUInt16LE(10);
+  } else if (packet[0] === 0x7f && packet.toString('latin1', 1, 5) === 'FLAC') {
+    const streamInfo = parseFlac(packet.subarray(9))?.streamInfo;
+    info.codec = 'flac';
+    info.channels = streamInfo?.channels ?? null;
+    info.sampleRate = streamInfo?.sampleRate ?? null;
+  }
+
+  const tail = buffer.lastIndexOf('OggS', buffer.length - 27, 'latin1');
+  if (info.sampleRate && tail >= Math.max(0, buffer.length - OGG_TAIL_WINDOW)) {
+    const granule = Number(buffer.readBigInt64LE(tail + 6));
+    if (granule > preSkip) {
+      info.durationMs = Math.round(((granule - preSkip) / info.sampleRate) * 1000);
+    }
+  }
+
+  return info;
+};
+
+/**
+ * Detect the container and read stream properties
+ * Bitrates are in kbps; when the stream does not state one it is averaged
+ * over the file.
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { container, codec, sampleRate, channels, bitrate,
+ *   bitsPerSample, durationMs } or null if the container is not recognised
+ */
+const probeAudio = buffer => {
+  const container = sniffContainer(buffer);
+  if (!container) return null;
+
+  let info = {};
+
+  try {
+    if (container === 'wav') {
+      const wav = parseWav(buffer);
+      if (wav) {
+        const { audioFormat, channels, sampleRate, byteRate, bitsPerSample } = wav.format;
+        info = {
+          codec: WAV_CODECS[audioFormat] || `wav_0x${audioFormat.toString(16)}`,
+          sampleRate,
+          channels,
+          bitsPerSample,
+          bitrate: Math.round((byteRate * 8) / 1000),
+          durationMs: byteRate > 0 ? Math.round((wav.dataChunk.size / byteRate) * 1000) : null,
+        };
+      }
+    } else if (container === 'flac') {
+      const streamInfo = parseFlac(buffer)?.streamInfo;
+      if (streamInfo) {
+        info = {
+          codec: 'flac',
+          sampleRate: streamInfo.sampleRate,
+          channels: streamInfo.channels,
+          bitsPerSample: streamInfo.bitsPerSample,
+          durationMs: streamInfo.totalSamples
+            ? Math.round((streamInfo.totalSamples / streamInfo.sampleRate) * 1000)
+            : null,
+        };
+      }
+    } else if (container === 'mp3' || container === 'aac') {
+      const framed = getFramedDuration(
+        buffer,
+        container === 'mp3' ? parseMpegFrameHeader : parseAdtsHeader,
+      );
+      info = { codec: container, ...framed };
+    } else if (container === 'mp4') {
+      const mp4 = parseMp4(buffer);
+      info = { ...mp4?.audio, durationMs: mp4?.durationMs };
+    } else if (container === 'ogg') {
+      info = probeOgg(buffer);
+    }
+  } catch {
+    // Truncated or malformed headers: report the container alone
+  }
+
+  const durationMs = info.durationMs > 0 ? info.durationMs : null;
+
+  return {
+    container,
+    codec: info.codec || null,
+    sampleRate: info.sampleRate || null,
+    channels: info.channels || null,
+    bitrate: info.bitrate || (durationMs ? Math.round((buffer.length * 8) / durationMs) : null),
+    bitsPerSample: info.bitsPerSample || null,
+    durationMs,
+  };
+};
+
+export { sniffContainer, probeAudio };
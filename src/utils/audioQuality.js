@@ -0,0 +1,98 @@
+/**
+ * Audio Quality Resolution
+ * Picks which stored rendition of a song to serve for a request
+ */
+
+import {
+  AUDIO_QUALITIES,
+  QUALITY_TIERS,
+  QUALITY_FALLBACK_ORDER,
+} from './constants.js';
+
+/**
+ * Check whether a quality can be streamed (preview clips are served separately)
+ * @param {string} quality - Quality string
+ * @returns {boolean} Is a streamable tier
+ */
+const isStreamableQuality = quality => QUALITY_TIERS.includes(quality);
+
+/**
+ * Step down one quality tier (used by data saver mode)
+ * @param {string} quality - Current quality
+ * @returns {string} Next lower tier, or the same quality if already lowest
+ */
+const stepDownQuality = quality => {
+  const index = QUALITY_TIERS.indexOf(quality);
+  if (index === -1) return quality;
+  return QUALITY_TIERS[Math.min(index + 1, QUALITY_TIERS.length - 1)];
+};
+
+/**
+ * Get the qualities to try, in order, for a target quality
+ * @param {string} quality - Target quality
+ * @returns {string[]} Target followed by its fallbacks
+ */
+const getFallbackChain = quality => {
+  const index = QUALITY_FALLBACK_ORDER.indexOf(quality);
+  return index === -1
+    ? [...QUALITY_FALLBACK_ORDER]
+    : QUALITY_FALLBACK_ORDER.slice(index);
+};
+
+/**
+ * Check whether a rendition has been stored for a song
+ * The original upload always exists; other tiers exist once their size is recorded.
+ * @param {Object} fileSizes - songs.file_sizes
+ * @param {string} quality - Quality to check
+ * @returns {boolean} Rendition exists
+ */
+const hasRendition = (fileSizes, quality) => {
+  if (quality === AUDIO_QUALITIES.ORIGINAL) return true;
+  return Number.isFinite(fileSizes?.[quality]) && fileSizes[quality] > 0;
+};
+
+/**
+ * Resolve the quality a request is aiming for, before looking at which
+ * renditions exist. An explicit request wins; otherwise the user's preferred
+ * quality is used, stepped down one tier when data saver mode is on.
+ * @param {Object} options - Resolution inputs
+ * @param {string} options.requested - Quality from the request (optional)
+ * @param {Object} options.preferences - user_preferences row (optional)
+ * @returns {string} Target quality
+ */
+const resolveTargetQuality = ({ requested, preferences }) => {
+  if (requested) return requested;
+
+  const target = isStreamableQuality(preferences?.preferred_quality)
+    ? preferences.preferred_quality
+    : AUDIO_QUALITIES.HIGH;
+
+  return preferences?.data_saver_mode ? stepDownQuality(target) : target;
+};
+
+/**
+ * Resolve the quality to serve
+ * @param {Object} options - Resolution inputs
+ * @param {string} options.requested - Quality from the request (optional)
+ * @param {Object} options.preferences - user_preferences row (optional)
+ * @param {Object} options.fileSizes - songs.file_sizes
+ * @returns {Object} { requested, target, served }
+ */
+const resolveQuality = ({ requested, preferences, fileSizes }) => {
+  const target = resolveTargetQuality({ requested, preferences });
+
+  const served =
+    getFallbackChain(target).find(quality => hasRendition(fileSizes, quality)) ||
+    AUDIO_QUALITIES.ORIGINAL;
+
+  return { requested: requested || null, target, served };
+};
+
+export {
+  isStreamableQuality,
+  stepDownQuality,
+  getFallbackChain,
+  hasRendition,
+  resolveTargetQuality,
+  resolveQuality,
+};
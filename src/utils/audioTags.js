@@ -0,0 +1,868 @@
+/**
+ * Audio Tag Readers
+ * Extracts duration and tags (ID3v1/v2, FLAC Vorbis comments, MP4 ilst atoms,
+ * RIFF INFO) from uploaded audio buffers
+ */
+
+import {
+  skipId3v2,
+  parseMpegFrameHeader,
+  parseAdtsHeader,
+  iterateFrames,
+  parseWav,
+} from './audioFrames.js';
+
+// ID3v1 genre list (0-79 standard, 80-147 Winamp extensions)
+const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge',
+  'Hip-Hop', 'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B',
+  'Rap', 'Reggae', 'Rock', 'Techno', 'Industrial', 'Alternative', 'Ska',
+  'Death Metal', 'Pranks', 'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop',
+  'Vocal', 'Jazz+Funk', 'Fusion', 'Trance', 'Classical', 'Instrumental',
+  'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise', 'AlternRock',
+  'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+  'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial',
+  'Electronic', 'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy',
+  'Cult', 'Gangsta', 'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle',
+  'Native American', 'Cabaret', 'New Wave', 'Psychadelic', 'Rave', 'Showtunes',
+  'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro',
+  'Musical', 'Rock & Roll', 'Hard Rock', 'Folk', 'Folk-Rock', 'National Folk',
+  'Swing', 'Fast Fusion', 'Bebob', 'Latin', 'Revival', 'Celtic', 'Bluegrass',
+  'Avantgarde', 'Gothic Rock', 'Progressive Rock', 'Psychedelic Rock',
+  'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus', 'Easy Listening',
+  'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music',
+  'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire',
+  'Slow Jam', 'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad',
+  'Rhythmic Soul', 'Freestyle', 'Duet', 'Punk Rock', 'Drum Solo', 'A capella',
+  'Euro-House', 'Dance Hall', 'Goa', 'Drum & Bass', 'Club-House', 'Hardcore',
+  'Terror', 'Indie', 'BritPop', 'Negerpunk', 'Polsk Punk', 'Beat',
+  'Christian Gangsta Rap', 'Heavy Metal', 'Black Metal', 'Crossover',
+  'Contemporary Christian', 'Christian Rock', 'Merengue', 'Salsa',
+  'Thrash Metal', 'Anime', 'JPop', 'Synthpop',
+];
+
+// Normalised field -> tag name per format
+const ID3V2_FIELDS = {
+  title: ['TIT2', 'TT2'],
+  artist: ['TPE1', 'TP1'],
+  album: ['TALB', 'TAL'],
+  albumArtist: ['TPE2', 'TP2'],
+  year: ['TDRC', 'TYER', 'TYE', 'TDOR', 'TORY'],
+  genre: ['TCON', 'TCO'],
+  track: ['TRCK', 'TRK'],
+  disc: ['TPOS', 'TPA'],
+};
+
+const VORBIS_FIELDS = {
+  title: ['TITLE'],
+  artist: ['ARTIST'],
+  album: ['ALBUM'],
+  albumArtist: ['ALBUMARTIST', 'ALBUM ARTIST'],
+  year: ['DATE', 'YEAR', 'ORIGINALDATE'],
+  genre: ['GENRE'],
+  track: ['TRACKNUMBER'],
+  disc: ['DISCNUMBER'],
+};
+
+const MP4_FIELDS = {
+  title: ['©nam'],
+  artist: ['©ART'],
+  album: ['©alb'],
+  albumArtist: ['aART'],
+  year: ['©day'],
+  genre: ['©gen', 'gnre'],
+  track: ['trkn'],
+  disc: ['disk'],
+};
+
+const RIFF_FIELDS = {
+  title: ['INAM'],
+  artist: ['IART'],
+  album: ['IPRD'],
+  year: ['ICRD'],
+  genre: ['IGNR'],
+  track: ['ITRK', 'IPRT'],
+};
+
+// MP4 containers whose children we descend into on the way to ilst and stsd
+const MP4_CONTAINERS = ['moov', 'udta', 'meta', 'ilst', 'trak', 'mdia', 'minf', 'stbl'];
+
+// MP4 sample entry format -> codec
+const MP4_CODECS = {
+  mp4a: 'aac',
+  alac: 'alac',
+  fLaC: 'flac',
+  Opus: 'opus',
+  '.mp3': 'mp3',
+  'ac-3': 'ac3',
+  'ec-3': 'eac3',
+};
+
+// MP4 'data' atom well-known types
+const MP4_DATA_TYPES = { UTF8: 1, JPEG: 13, PNG: 14, INT: 21 };
+
+const PICTURE_MIME_TYPES = { JPG: 'image/jpeg', PNG: 'image/png' };
+
+const trimNulls = value => value.replace(/\0+$/, '').trim();
+
+/**
+ * Decode an ID3v2 string in the given text encoding
+ * @param {Buffer} buffer - Encoded bytes
+ * @param {number} encoding - 0 Latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+ * @returns {string} Decoded text
+ */
+const decodeId3String = (buffer, encoding) => {
+  if (encoding === 1 || encoding === 2) {
+    let bytes = buffer;
+    let bigEndian = encoding === 2;
+
+    if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+      bigEndian = true;
+      bytes = bytes.subarray(2);
+    } else if (bytes.length >= 2 && bytes[0] === 0xff && bytes[1] === 0xfe) {
+      bigEndian = false;
+      bytes = bytes.subarray(2);
+    }
+
+    bytes = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+    if (bigEndian) bytes.swap16();
+    return bytes.toString('utf16le');
+  }
+
+  return buffer.toString(encoding === 3 ? 'utf8' : 'latin1');
+};
+
+/**
+ * Find the end of a null-terminated ID3v2 string
+ * @param {Buffer} buffer - Frame body
+ * @param {number} offset - String start
+ * @param {number} encoding - ID3v2 text encoding
+ * @returns {number} Offset of the terminator (buffer.length if none)
+ */
+const findTerminator = (buffer, offset, encoding) => {
+  const wide = encoding === 1 || encoding === 2;
+
+  for (let i = offset; i < buffer.length; i += wide ? 2 : 1) {
+    if (buffer[i] === 0 && (!wide || buffer[i + 1] === 0)) return i;
+  }
+  return buffer.length;
+};
+
+/**
+ * Remove ID3v2 unsynchronisation (0xFF 0x00 -> 0xFF)
+ * @param {Buffer} buffer - Unsynchronised bytes
+ * @returns {Buffer} Original bytes
+ */
+const removeUnsync = buffer => {
+  const out = Buffer.alloc(buffer.length);
+  let length = 0;
+
+  for (let i = 0; i < buffer.length; i++) {
+    out[length++] = buffer[i];
+    if (buffer[i] === 0xff && buffer[i + 1] === 0x00) i++;
+  }
+  return out.subarray(0, length);
+};
+
+const readSyncsafe = (buffer, offset) =>
+  ((buffer[offset] & 0x7f) << 21) |
+  ((buffer[offset + 1] & 0x7f) << 14) |
+  ((buffer[offset + 2] & 0x7f) << 7) |
+  (buffer[offset + 3] & 0x7f);
+
+/**
+ * Add a value to a tag map, keeping repeated tags as arrays
+ * @param {Object} tags - Tag map
+ * @param {string} key - Tag name
+ * @param {string} value - Tag value
+ */
+const addTag = (tags, key, value) => {
+  if (value === '' || value === undefined) return;
+
+  if (tags[key] === undefined) {
+    tags[key] = value;
+  } else {
+    tags[key] = [].concat(tags[key], value);
+  }
+};
+
+/**
+ * Decode the body of one ID3v2 frame into the tag map
+ * @param {string} id - Frame ID
+ * @param {Buffer} body - Frame body
+ * @param {Object} result - { tags, picture } being filled
+ */
+const readId3Frame = (id, body, result) => {
+  if (body.length === 0) return;
+  const encoding = body[0];
+
+  if (id === 'TXXX') {
+    const end = findTerminator(body, 1, encoding);
+    const description = trimNulls(decodeId3String(body.subarray(1, end), encoding));
+    const value = decodeId3String(
+      body.subarray(end + (encoding === 1 || encoding === 2 ? 2 : 1)),
+      encoding,
+    );
+    addTag(result.tags, `TXXX:${description}`, trimNulls(value));
+  } else if (id[0] === 'T') {
+    // v2.4 separates multiple values with nulls
+    const values = decodeId3String(body.subarray(1), encoding)
+      .split('\0')
+      .map(value => value.trim())
+      .filter(Boolean);
+    addTag(result.tags, id, values.join('/'));
+  } else if (id === 'COMM' || id === 'COM' || id === 'USLT' || id === 'ULT') {
+    const end = findTerminator(body, 4, encoding);
+    const text = decodeId3String(
+      body.subarray(end + (encoding === 1 || encoding === 2 ? 2 : 1)),
+      encoding,
+    );
+    addTag(result.tags, id, trimNulls(text));
+  } else if ((id === 'APIC' || id === 'PIC') && !result.picture) {
+    let offset;
+    let mimeType;
+
+    if (id === 'PIC') {
+      const format = body.toString('latin1', 1, 4).toUpperCase();
+      mimeType = PICTURE_MIME_TYPES[format] || `image/${format.toLowerCase()}`;
+      offset = 4;
+    } else {
+      const mimeEnd = findTerminator(body, 1, 0);
+      mimeType = body.toString('latin1', 1, mimeEnd) || 'image/jpeg';
+      if (!mimeType.includes('/')) {
+        mimeType = PICTURE_MIME_TYPES[mimeType.toUpperCase()] || `image/${mimeType.toLowerCase()}`;
+      }
+      offset = mimeEnd + 1;
+    }
+
+    const type = body[offset];
+    const descriptionEnd = findTerminator(body, offset + 1, encoding);
+    const dataStart = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+
+    result.picture = {
+      mimeType,
+      type,
+      description: trimNulls(
+        decodeId3String(body.subarray(offset + 1, descriptionEnd), encoding),
+      ),
+      data: body.subarray(dataStart),
+    };
+  }
+};
+
+/**
+ * Parse an ID3v2 tag at the start of a buffer
+ * Keeps text, comment and lyrics frames; binary frames other than the first
+ * attached picture are skipped.
+ * @param {Buffer} buffer - Audio buffer
+ * @returns {Object|null} { version, tags, picture } or null without a tag
+ */
+const parseId3v2 = buffer => {
+  const end = skipId3v2(buffer);
+  if (end === 0) return null;
+
+  const version = buffer[3];
+  const flags = buffer[5];
+  if (version < 2 || version > 4) return null;
+
+  let tag = buffer.subarray(10, end);
+  if (flags & 0x80 && version < 4) tag = removeUnsync(tag);
+
+  let offset = 0;
+  if (flags & 0x40 && version > 2) {
+    // Extended header: v2.3 size excludes itself, v2.4 size is syncsafe and includes itself
+    offset = version === 3 ? tag.readUInt32BE(0) + 4 : readSyncsafe(tag, 0);
+  }
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  const result = { version: `2.${version}`, tags: {}, picture: null };
+
+  while (offset + headerLength <= tag.length) {
+    const id = tag.toString('latin1', offset, offset + idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+    let size;
+    if (version === 2) size = tag.readUIntBE(offset + 3, 3);
+    else if (version === 4) size = readSyncsafe(tag, offset + 4);
+    else size = tag.readUInt32BE(offset + 4);
+
+    const frameFlags = version === 2 ? 0 : tag[offset + 9];
+    let body = tag.subarray(offset + headerLength, offset + headerLength + size);
+    offset += headerLength + size;
+
+    // Compressed or encrypted frames are not decoded
+    if (version === 3 && frameFlags & 0xc0) continue;
+    if (version === 4 && frameFlags & 0x0c) continue;
+    if (version === 4 && frameFlags & 0x02) body = removeUnsync(body);
+    // v2.4 data length indicator
+    if (version === 4 && frameFlags & 0x01) body = body.subarray(4);
+
+    readId3Frame(id, body, result);
+  }
+
+  return result;
+};
+
+/**
+ * Parse an ID3v1 tag from the last 128 bytes of a buffer
+ * @param {Buffer} buffer - Audio buffer
+ * @returns {Object|null} Tag map or null without a tag
+ */
+const parseId3v1 = buffer => {
+  if (buffer.length < 128) return null;
+
+  const tag = buffer.subarray(buffer.length - 128);
+  if (tag.toString('latin1', 0, 3) !== 'TAG') return null;
+
+  const text = (start, length) => trimNulls(tag.toString('latin1', start, start + length));
+  const tags = {};
+
+  addTag(tags, 'title', text(3, 30));
+  addTag(tags, 'artist', text(33, 30));
+  addTag(tags, 'album', text(63, 30));
+  addTag(tags, 'year', text(93, 4));
+
+  // ID3v1.1 stores the track number in the last comment byte
+  if (tag[125] === 0 && tag[126] !== 0) {
+    addTag(tags, 'comment', text(97, 28));
+    tags.track = String(tag[126]);
+  } else {
+    addTag(tags, 'comment', text(97, 30));
+  }
+
+  if (ID3_GENRES[tag[127]]) tags.genre = ID3_GENRES[tag[127]];
+
+  return tags;
+};
+
+/**
+ * Parse FLAC metadata blocks
+ * @param {Buffer} buffer - Audio buffer
+ * @returns {Object|null} { streamInfo, tags, vendor, picture } or null if not FLAC
+ */
+const parseFlac = buffer => {
+  let offset = skipId3v2(buffer);
+  if (buffer.toString('latin1', offset, offset + 4) !== 'fLaC') return null;
+  offset += 4;
+
+  const result = { streamInfo: null, tags: {}, vendor: null, picture: null };
+  let last = false;
+
+  while (!last && offset + 4 <= buffer.length) {
+    last = (buffer[offset] & 0x80) !== 0;
+    const type = buffer[offset] & 0x7f;
+    const length = buffer.readUIntBE(offset + 1, 3);
+    const block = buffer.subarray(offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    if (type === 0 && block.length >= 18) {
+      result.streamInfo = {
+        sampleRate: (block[10] << 12) | (block[11] << 4) | (block[12] >> 4),
+        channels: ((block[12] >> 1) & 0x07) + 1,
+        bitsPerSample: (((block[12] & 0x01) << 4) | (block[13] >> 4)) + 1,
+        totalSamples: (block[13] & 0x0f) * 2 ** 32 + block.readUInt32BE(14),
+      };
+    } else if (type === 4) {
+      Object.assign(result, parseVorbisComments(block));
+    } else if (type === 6 && !result.picture) {
+      result.picture = parseFlacPicture(block);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Parse a Vorbis comment block (little-endian lengths, KEY=value entries)
+ * @param {Buffer} block - Block body
+ * @returns {Object} { vendor, tags } with upper-cased keys
+ */
+const parseVorbisComments = block => {
+  const tags = {};
+  let offset = 0;
+
+  const readString = () => {
+    const length = block.readUInt32LE(offset);
+    const value = block.toString('utf8', offset + 4, offset + 4 + length);
+    offset += 4 + length;
+    return value;
+  };
+
+  try {
+    const vendor = readString();
+    const count = block.readUInt32LE(offset);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= block.length; i++) {
+      const entry = readString();
+      const separator = entry.indexOf('=');
+      if (separator > 0 && !entry.startsWith('METADATA_BLOCK_PICTURE')) {
+        addTag(tags, entry.slice(0, separator).toUpperCase(), entry.slice(separator + 1).trim());
+      }
+    }
+
+    return { vendor, tags };
+  } catch {
+    // Truncated block: keep what was read
+    return { vendor: null, tags };
+  }
+};
+
+/**
+ * Parse a FLAC PICTURE block
+ * @param {Buffer} block - Block body
+ * @returns {Object|null} { mimeType, type, description, data }
+ */
+const parseFlacPicture = block => {
+  try {
+    const type = block.readUInt32BE(0);
+    const mimeLength = block.readUInt32BE(4);
+    const mimeType = block.toString('latin1', 8, 8 + mimeLength);
+    let offset = 8 + mimeLength;
+    const descriptionLength = block.readUInt32BE(offset);
+    const description = block.toString('utf8', offset + 4, offset + 4 + descriptionLength);
+    offset += 4 + descriptionLength + 16; // width, height, depth, colours
+    const dataLength = block.readUInt32BE(offset);
+
+    return {
+      mimeType,
+      type,
+      description,
+      data: block.subarray(offset + 4, offset + 4 + dataLength),
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Iterate the atoms of an MP4 box
+ * @param {Buffer} buffer - Audio buffer
+ * @param {number} start - First child offset
+ * @param {number} end - End of the parent box
+ * @returns {Generator<Object>} { type, start, end } per atom (start = body offset)
+ */
+function* iterateAtoms(buffer, start, end) {
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerLength = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) return;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerLength = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerLength) return;
+
+    yield { type, start: offset + headerLength, end: Math.min(offset + size, end) };
+    offset += size;
+  }
+}
+
+/**
+ * Read the value of an ilst item from its 'data' atom
+ * @param {Buffer} buffer - Audio buffer
+ * @param {string} type - Item atom type
+ * @param {Object} data - 'data' atom position
+ * @returns {*} String, number, { number, total } or { mimeType, data }
+ */
+const readMp4Data = (buffer, type, data) => {
+  const dataType = buffer.readUInt32BE(data.start) & 0x00ffffff;
+  const payload = buffer.subarray(data.start + 8, data.end);
+
+  if (type === 'trkn' || type === 'disk') {
+    if (payload.length < 6) return null;
+    return { number: payload.readUInt16BE(2), total: payload.readUInt16BE(4) };
+  }
+  if (type === 'gnre') {
+    return payload.length >= 2 ? ID3_GENRES[payload.readUInt16BE(0) - 1] || null : null;
+  }
+  if (type === 'covr') {
+    return {
+      mimeType: dataType === MP4_DATA_TYPES.PNG ? 'image/png' : 'image/jpeg',
+      data: payload,
+    };
+  }
+  if (dataType === MP4_DATA_TYPES.UTF8) return payload.toString('utf8');
+  if (dataType === MP4_DATA_TYPES.INT && payload.length > 0 && payload.length <= 4) {
+    return payload.readUIntBE(0, payload.length);
+  }
+  return null;
+};
+
+/**
+ * Parse an MP4/M4A container's movie header, first audio sample entry and
+ * iTunes-style tags
+ * @param {Buffer} buffer - Audio buffer
+ * @returns {Object|null} { durationMs, audio, tags, picture } or null if not MP4
+ */
+const parseMp4 = buffer => {
+  if (buffer.length < 12 || buffer.toString('latin1', 4, 8) !== 'ftyp') return null;
+
+  const result = { durationMs: null, audio: null, tags: {}, picture: null };
+
+  const walk = (start, end) => {
+    for (const atom of iterateAtoms(buffer, start, end)) {
+      if (atom.type === 'mvhd') {
+        const version = buffer[atom.start];
+        const timescale = buffer.readUInt32BE(atom.start + (version === 1 ? 20 : 12));
+        const duration =
+          version === 1
+            ? Number(buffer.readBigUInt64BE(atom.start + 24))
+            : buffer.readUInt32BE(atom.start + 16);
+        if (timescale > 0) result.durationMs = Math.round((duration / timescale) * 1000);
+      } else if (atom.type === 'stsd' && !result.audio) {
+        // Full box + entry count, then sample entries (AudioSampleEntry layout)
+        const entry = iterateAtoms(buffer, atom.start + 8, atom.end).next().value;
+        if (entry && MP4_CODECS[entry.type] && entry.start + 28 <= entry.end) {
+          result.audio = {
+            codec: MP4_CODECS[entry.type],
+            channels: buffer.readUInt16BE(entry.start + 16),
+            bitsPerSample: buffer.readUInt16BE(entry.start + 18),
+            sampleRate: buffer.readUInt16BE(entry.start + 24), // 16.16 fixed point
+          };
+        }
+      } else if (atom.type === 'ilst') {
+        readIlst(atom.start, atom.end);
+      } else if (MP4_CONTAINERS.includes(atom.type)) {
+        // meta is a full box: skip version/flags
+        walk(atom.type === 'meta' ? atom.start + 4 : atom.start, atom.end);
+      }
+    }
+  };
+
+  const readIlst = (start, end) => {
+    for (const item of iterateAtoms(buffer, start, end)) {
+      let name = item.type;
+      let value = null;
+
+      for (const child of iterateAtoms(buffer, item.start, item.end)) {
+        if (child.type === 'name') {
+          // Freeform '----' items carry their name in a 'name' atom
+          name = buffer.toString('utf8', child.start + 4, child.end);
+        } else if (child.type === 'data' && value === null && child.end - child.start >= 8) {
+          value = readMp4Data(buffer, item.type, child);
+        }
+      }
+
+      if (value === null) continue;
+      if (item.type === 'covr') {
+        result.picture = result.picture || value;
+      } else {
+        addTag(result.tags, name, value);
+      }
+    }
+  };
+
+  walk(0, buffer.length);
+  return result;
+};
+
+/**
+ * Parse a RIFF/WAVE buffer's format, LIST/INFO tags and embedded ID3 chunk
+ * @param {Buffer} buffer - Audio buffer
+ * @returns {Object|null} { durationMs, tags, id3 } or null if not WAVE
+ */
+const parseRiff = buffer => {
+  const wav = parseWav(buffer);
+  if (!wav) return null;
+
+  const { byteRate } = wav.format;
+  const result = {
+    durationMs: byteRate > 0 ? Math.round((wav.dataChunk.size / byteRate) * 1000) : null,
+    tags: {},
+    id3: null,
+  };
+
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    const end = Math.min(body + size, buffer.length);
+
+    if (id === 'LIST' && buffer.toString('latin1', body, body + 4) === 'INFO') {
+      let sub = body + 4;
+      while (sub + 8 <= end) {
+        const subId = buffer.toString('latin1', sub, sub + 4);
+        const subSize = buffer.readUInt32LE(sub + 4);
+        addTag(result.tags, subId, trimNulls(buffer.toString('utf8', sub + 8, sub + 8 + subSize)));
+        sub += 8 + subSize + (subSize % 2);
+      }
+    } else if (id === 'id3 ' || id === 'ID3 ') {
+      result.id3 = parseId3v2(buffer.subarray(body, end));
+    }
+
+    // The data chunk may claim more than the buffer holds
+    if (id === 'data' && end === buffer.length) break;
+    offset = body + size + (size % 2);
+  }
+
+  return result;
+};
+
+/**
+ * Compute an MP3/ADTS duration
+ * MP3 uses the Xing/Info or VBRI frame count when present, otherwise every
+ * frame is counted.
+ * @param {Buffer} buffer - Audio buffer
+ * @param {Function} parseHeader - parseMpegFrameHeader or parseAdtsHeader
+ * @returns {Object|null} { durationMs, sampleRate, channels, bitrate } or null if no frames
+ */
+const getFramedDuration = (buffer, parseHeader) => {
+  const start = skipId3v2(buffer);
+  const frames = iterateFrames(buffer, start, parseHeader);
+  const first = frames.next();
+  if (first.done) return null;
+
+  const { offset, header } = first.value;
+
+  // A lone sync word in other data is not a stream: the next frame must follow
+  const next = offset + header.frameLength;
+  if (next < buffer.length && !parseHeader(buffer, next)) return null;
+
+  if (parseHeader === parseMpegFrameHeader) {
+    const frameCount = readVbrFrameCount(buffer, offset, header);
+    if (frameCount) {
+      return {
+        durationMs: Math.round(((frameCount * header.samplesPerFrame) / header.sampleRate) * 1000),
+        sampleRate: header.sampleRate,
+        channels: header.channels,
+        bitrate: null,
+      };
+    }
+  }
+
+  let samples = header.samplesPerFrame;
+  let bytes = header.frameLength;
+  for (const frame of frames) {
+    samples += frame.header.samplesPerFrame;
+    bytes += frame.header.frameLength;
+  }
+
+  const seconds = samples / header.sampleRate;
+  return {
+    durationMs: Math.round(seconds * 1000),
+    sampleRate: header.sampleRate,
+    channels: header.channels,
+    bitrate: Math.round((bytes * 8) / seconds / 1000),
+  };
+};
+
+/**
+ * Read the total frame count from a Xing/Info or VBRI header in the first frame
+ * @param {Buffer} buffer - Audio buffer
+ * @param {number} offset - First frame offset
+ * @param {Object} header - First frame header
+ * @returns {number|null} Frame count
+ */
+const readVbrFrameCount = (buffer, offset, header) => {
+  // Xing sits after the side information, whose size depends on version/channels
+  const sideInfo =
+    header.version === 1
+      ? header.channels === 1 ? 17 : 32
+      : header.channels === 1 ? 9 : 17;
+  const xing = offset + 4 + sideInfo;
+  const xingId = buffer.toString('latin1', xing, xing + 4);
+
+  if ((xingId === 'Xing' || xingId === 'Info') && xing + 12 <= buffer.length) {
+    const hasFrames = buffer.readUInt32BE(xing + 4) & 0x01;
+    return hasFrames ? buffer.readUInt32BE(xing + 8) : null;
+  }
+
+  const vbri = offset + 36;
+  if (buffer.toString('latin1', vbri, vbri + 4) === 'VBRI' && vbri + 18 <= buffer.length) {
+    return buffer.readUInt32BE(vbri + 14);
+  }
+
+  return null;
+};
+
+/**
+ * Pick the first present tag from a map
+ * @param {Object} tags - Tag map
+ * @param {string[]} names - Candidate tag names, in priority order
+ * @returns {*} Value (first element for repeated tags)
+ */
+const pick = (tags, names = []) => {
+  for (const name of names) {
+    const value = tags?.[name];
+    if (value !== undefined && value !== null && value !== '') {
+      return Array.isArray(value) ? value[0] : value;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Parse "3/12" style (or { number, total }) position values
+ * @param {*} value - Tag value
+ * @returns {Object} { number, total } (null parts when absent)
+ */
+const parsePosition = value => {
+  if (value && typeof value === 'object') {
+    return { number: value.number || null, total: value.total || null };
+  }
+  const [number, total] = String(value ?? '').split('/').map(part => parseInt(part, 10));
+  return { number: number > 0 ? number : null, total: total > 0 ? total : null };
+};
+
+/**
+ * Resolve ID3 "(17)" / "17" style genre references to names
+ * @param {string} value - Genre tag
+ * @returns {string|null} Genre name
+ */
+const parseGenre = value => {
+  if (value === undefined || value === null) return null;
+
+  const genre = String(value)
+    .trim()
+    .replace(/^\((\d+)\)(.*)$/, (match, index, rest) => rest.trim() || ID3_GENRES[index] || match)
+    .replace(/^(\d+)$/, (match, index) => ID3_GENRES[index] || match);
+  return genre || null;
+};
+
+const parseYear = value => {
+  const match = String(value ?? '').match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : null;
+};
+
+/**
+ * Normalise a format's tag map using its field mapping
+ * @param {Object} tags - Tag map
+ * @param {Object} fields - Normalised field -> tag names
+ * @returns {Object} Normalised fields (undefined when absent)
+ */
+const normalizeTags = (tags, fields) => {
+  const track = parsePosition(pick(tags, fields.track));
+  const disc = parsePosition(pick(tags, fields.disc));
+
+  return {
+    title: pick(tags, fields.title),
+    artist: pick(tags, fields.artist),
+    album: pick(tags, fields.album),
+    albumArtist: pick(tags, fields.albumArtist),
+    year: parseYear(pick(tags, fields.year)) ?? undefined,
+    genre: parseGenre(pick(tags, fields.genre)) ?? undefined,
+    trackNumber: track.number ?? undefined,
+    trackTotal: track.total ?? parsePosition(pick(tags, ['TRACKTOTAL', 'TOTALTRACKS'])).number ?? undefined,
+    discNumber: disc.number ?? undefined,
+    discTotal: disc.total ?? parsePosition(pick(tags, ['DISCTOTAL', 'TOTALDISCS'])).number ?? undefined,
+  };
+};
+
+/**
+ * Merge normalised field sets, earlier sets winning
+ * @param {...Object} sources - Normalised field sets (null entries skipped)
+ * @returns {Object} Merged fields
+ */
+const mergeFields = (...sources) => {
+  const merged = {};
+  for (const source of sources.filter(Boolean)) {
+    for (const [key, value] of Object.entries(source)) {
+      if (merged[key] === undefined && value !== undefined && value !== null && value !== '') {
+        merged[key] = typeof value === 'string' ? value.trim() : value;
+      }
+    }
+  }
+  return merged;
+};
+
+/**
+ * Read duration, tags and embedded cover art from an audio buffer
+ * The container is detected from the bytes, not the declared MIME type.
+ * @param {Buffer} buffer - Audio buffer
+ * @returns {Object} { format, durationMs, title, artist, album, albumArtist,
+ *   year, genre, trackNumber, trackTotal, discNumber, discTotal, picture, raw }
+ *   where raw holds the JSON-safe tag maps per tag format
+ */
+const readAudioTags = buffer => {
+  const raw = {};
+  let format = null;
+  let durationMs = null;
+  let picture = null;
+  let fields = {};
+
+  const flac = parseFlac(buffer);
+  const mp4 = !flac && parseMp4(buffer);
+  const riff = !flac && !mp4 && parseRiff(buffer);
+
+  if (flac) {
+    format = 'flac';
+    const info = flac.streamInfo;
+    if (info?.sampleRate && info.totalSamples) {
+      durationMs = Math.round((info.totalSamples / info.sampleRate) * 1000);
+    }
+    raw.vorbis = flac.tags;
+    picture = flac.picture;
+    fields = normalizeTags(flac.tags, VORBIS_FIELDS);
+  } else if (mp4) {
+    format = 'mp4';
+    durationMs = mp4.durationMs;
+    raw.mp4 = mp4.tags;
+    picture = mp4.picture;
+    fields = normalizeTags(mp4.tags, MP4_FIELDS);
+  } else if (riff) {
+    format = 'wav';
+    durationMs = riff.durationMs;
+    raw.riff = riff.tags;
+    fields = normalizeTags(riff.tags, RIFF_FIELDS);
+    if (riff.id3) {
+      raw.id3v2 = riff.id3.tags;
+      picture = riff.id3.picture;
+      fields = mergeFields(normalizeTags(riff.id3.tags, ID3V2_FIELDS), fields);
+    }
+  } else {
+    const mpeg = getFramedDuration(buffer, parseMpegFrameHeader);
+    const adts = !mpeg && getFramedDuration(buffer, parseAdtsHeader);
+    if (mpeg || adts) {
+      format = mpeg ? 'mp3' : 'aac';
+      durationMs = (mpeg || adts).durationMs;
+    }
+
+    const id3v2 = parseId3v2(buffer);
+    const id3v1 = parseId3v1(buffer);
+    if (id3v2) {
+      raw.id3v2 = id3v2.tags;
+      picture = id3v2.picture;
+    }
+    if (id3v1) raw.id3v1 = id3v1;
+
+    fields = mergeFields(
+      id3v2 && normalizeTags(id3v2.tags, ID3V2_FIELDS),
+      id3v1 && normalizeTags(id3v1, {
+        title: ['title'],
+        artist: ['artist'],
+        album: ['album'],
+        year: ['year'],
+        genre: ['genre'],
+        track: ['track'],
+      }),
+    );
+  }
+
+  return {
+    format,
+    durationMs: durationMs > 0 ? durationMs : null,
+    ...mergeFields(fields),
+    picture: picture?.data?.length ? picture : null,
+    raw,
+  };
+};
+
+export {
+  ID3_GENRES,
+  parseId3v2,
+  parseId3v1,
+  parseFlac,
+  parseMp4,
+  parseRiff,
+  getFramedDuration,
+  readAudioTags,
+};
@@ -60,6 +60,28 @@ class CacheHelper {
     }
   }
 
+  /**
+   * Get multiple values in one round trip
+   * @param {string[]} keys - Cache keys
+   * @returns {Promise<Array<any|null>>} Values in key order (null for misses)
+   */
+  async getMany(keys) {
+    if (!keys.length) return [];
+    if (!this.isEnabled()) return keys.map(() => null);
+
+    try {
+      const client = this.getClient();
+      const data = await client.mget(...keys);
+      logger.debug(
+        `Cache MGET: ${data.filter(Boolean).length}/${keys.length} hits`,
+      );
+      return data.map(value => value ?? null);
+    } catch (error) {
+      logger.error('Cache MGET error:', error);
+      return keys.map(() => null);
+    }
+  }
+
   /**
    * Set value in cache
    * @param {string} key - Cache key
@@ -37,6 +37,65 @@ const QUALITY_FOLDERS = {
   [AUDIO_QUALITIES.PREVIEW]: 'previews/',
 };
 
+// Streamable tiers from best to worst (data saver steps down one tier)
+const QUALITY_TIERS = [
+  AUDIO_QUALITIES.ORIGINAL,
+  AUDIO_QUALITIES.HIGH,
+  AUDIO_QUALITIES.MEDIUM,
+  AUDIO_QUALITIES.LOW,
+];
+
+// Order tried when the requested quality has not been produced
+const QUALITY_FALLBACK_ORDER = [
+  AUDIO_QUALITIES.HIGH,
+  AUDIO_QUALITIES.MEDIUM,
+  AUDIO_QUALITIES.LOW,
+  AUDIO_QUALITIES.ORIGINAL,
+];
+
+// Cover art extracted from (or uploaded for) songs, stored under covers/
+const COVER_ART_CONFIG = {
+  FOLDER: 'covers/',
+  EXTENSIONS: {
+    'image/jpeg': '.jpg',
+    'image/jpg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+  },
+};
+
+// Uploaded artwork: square JPEG renditions under images/{kind}/{id}/.
+// Keys include a hash of the source image, so they never change contents.
+const ARTWORK_CONFIG = {
+  FOLDER: 'images/',
+  KINDS: {
+    SONG: 'songs',
+    ALBUM: 'albums',
+    PLAYLIST: 'playlists',
+  },
+  SIZES: { small: 64, medium: 300, large: 640 }, // px, width = height
+  PRIMARY_SIZE: 'large', // stored in cover_art_url / cover_image_url
+  DECODABLE_FORMATS: ['jpeg', 'png'],
+  MIME_TYPE: 'image/jpeg',
+  EXTENSION: '.jpg',
+  QUALITY: 85,
+  MAX_PIXELS: 4096 * 4096, // decoded into memory, so larger sources are refused
+  CACHE_MAX_AGE: 365 * 24 * 3600, // 1 year
+  ROUTE_PATH: '/storage/images', // under /api/v1, when R2 has no public URL
+};
+
+// HLS adaptive streaming (segments live under hls/{songId}/{quality}/)
+const HLS_CONFIG = {
+  FOLDER: 'hls/',
+  SEGMENT_DURATION: 6, // seconds, must match the segmenter
+  SEGMENT_PREFIX: 'segment_',
+  SEGMENT_EXTENSION: '.aac',
+  CODECS: 'mp4a.40.2', // AAC-LC
+  CONTENT_TYPE: 'application/vnd.apple.mpegurl',
+  MASTER_MAX_AGE: 3600, // 1 hour
+  MEDIA_MAX_AGE: 300, // 5 minutes (segment URLs are presigned)
+};
+
 // ============================================================================
 // CACHE TTL (Time To Live) in seconds
 // ============================================================================
@@ -49,6 +108,8 @@ const CACHE_TTL = {
   RECOMMENDATIONS: 7200, // 2 hours
   USER_PREFERENCES: 86400, // 1 day
   PLAYLIST: 3600, // 1 hour
+  WAVEFORM: 86400, // 1 day (dropped when regenerated)
+  ARTIST: 3600, // 1 hour
 };
 
 // ============================================================================
@@ -63,6 +124,10 @@ const CACHE_KEYS = {
   RECOMMENDATIONS: userId => `rec:${userId}`,
   USER_PREF: userId => `pref:${userId}`,
   PLAYLIST: id => `playlist:${id}`,
+  ACTIVE_STREAMS: userId => `streams:${userId}`,
+  STREAM_KICKED: (userId, deviceId) => `streams:kicked:${userId}:${deviceId}`,
+  WAVEFORM: songId => `waveform:${songId}`,
+  ARTIST: artistId => `artist:${artistId}`,
   // Add new cache patterns here as needed for cacheHelper.js & related
 };
 
@@ -94,12 +159,17 @@ const PLAYLIST_TYPES = {
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   NO_CONTENT: 204,
+  PARTIAL_CONTENT: 206,
+  MULTI_STATUS: 207,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  RANGE_NOT_SATISFIABLE: 416,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   SERVICE_UNAVAILABLE: 503,
@@ -119,6 +189,14 @@ const ERROR_CODES = {
   INTERNAL_ERROR: 'INTERNAL_ERROR',
   VALIDATION_FAILED: 'VALIDATION_FAILED',
   // Add custom business error codes here
+  STREAM_LIMIT_REACHED: 'STREAM_LIMIT_REACHED',
+  STREAM_KICKED: 'STREAM_KICKED',
+  DEVICE_ID_REQUIRED: 'DEVICE_ID_REQUIRED',
+  AUDIO_TYPE_MISMATCH: 'AUDIO_TYPE_MISMATCH',
+  UNRECOGNIZED_AUDIO_FORMAT: 'UNRECOGNIZED_AUDIO_FORMAT',
+  IMAGE_TYPE_MISMATCH: 'IMAGE_TYPE_MISMATCH',
+  UNRECOGNIZED_IMAGE_FORMAT: 'UNRECOGNIZED_IMAGE_FORMAT',
+  DUPLICATE_UPLOAD: 'DUPLICATE_UPLOAD',
 };
 
 // ============================================================================
@@ -138,6 +216,7 @@ const LIMITS = {
   PAGINATION_MAX_LIMIT: 100,
   PAGINATION_DEFAULT_LIMIT: 20,
   MAX_FILE_SIZE: 100 * 1024 * 1024, // 100MB
+  STREAM_URL_BATCH_MAX: 20, // song ids per POST /songs/stream-urls
   // Add new limits here as needed for uploads, etc.
 };
 
@@ -152,10 +231,23 @@ const SUPPORTED_AUDIO_FORMATS = [
   'audio/wav', // WAV
   'audio/x-wav',
   'audio/aac', // AAC
+  'audio/mp4', // M4A
+  'audio/x-m4a',
   'audio/ogg', // OGG
   'audio/webm', // WebM
 ];
 
+// Containers detected from file signatures -> MIME types that may declare them
+const AUDIO_CONTAINER_TYPES = {
+  mp3: ['audio/mpeg', 'audio/mp3'],
+  flac: ['audio/flac', 'audio/x-flac'],
+  wav: ['audio/wav', 'audio/x-wav'],
+  aac: ['audio/aac'],
+  mp4: ['audio/mp4', 'audio/x-m4a'],
+  ogg: ['audio/ogg'],
+  webm: ['audio/webm'],
+};
+
 const SUPPORTED_IMAGE_FORMATS = [
   'image/jpeg',
   'image/jpg',
@@ -163,6 +255,13 @@ const SUPPORTED_IMAGE_FORMATS = [
   'image/webp',
 ];
 
+// Image formats detected from signatures -> MIME types that may declare them
+const IMAGE_CONTAINER_TYPES = {
+  jpeg: ['image/jpeg', 'image/jpg'],
+  png: ['image/png'],
+  webp: ['image/webp'],
+};
+
 // ============================================================================
 // FILE UPLOAD SETTINGS (fileUpload.js)
 // ============================================================================
@@ -207,6 +306,7 @@ const RATE_LIMITS = {
 const ERROR_MESSAGES = {
   // Auth
   UNAUTHORIZED: 'Authentication required',
+  FORBIDDEN: 'You do not have permission to perform this action',
   INVALID_CREDENTIALS: 'Invalid email or password',
   TOKEN_EXPIRED: 'Token has expired',
   TOKEN_INVALID: 'Invalid token',
@@ -219,14 +319,26 @@ const ERROR_MESSAGES = {
   // Resources
   NOT_FOUND: 'Resource not found',
   SONG_NOT_FOUND: 'Song not found',
+  ARTIST_NOT_FOUND: 'Artist not found',
   PLAYLIST_NOT_FOUND: 'Playlist not found',
   USER_NOT_FOUND: 'User not found',
+  LICENSE_NOT_FOUND: 'Download license not found',
+  PLAYBACK_SESSION_NOT_FOUND: 'Playback session not found',
+  PLAYBACK_SESSION_CLOSED: 'Playback session has already ended',
+  PLAYBACK_SESSION_CHANGED: 'Playback session was updated by another request; retry',
+  UPLOAD_SESSION_NOT_FOUND: 'Upload session not found',
+  UPLOAD_SESSION_CLOSED: 'Upload session is no longer accepting changes',
+  PENDING_UPLOAD_NOT_FOUND: 'Pending upload not found',
+  TRASHED_SONG_NOT_FOUND: 'Song not found in the trash',
+  LYRICS_NOT_FOUND: 'This song has no lyrics',
+  WAVEFORM_NOT_FOUND: 'The waveform of this song is not ready yet',
 
   // Operations
   OPERATION_FAILED: 'Operation failed',
   UPLOAD_FAILED: 'File upload failed',
   DELETE_FAILED: 'Delete operation failed',
   UPDATE_FAILED: 'Update operation failed',
+  DUPLICATE_UPLOAD: 'This file has already been uploaded',
 
   // Rate limiting
   RATE_LIMIT_EXCEEDED: 'Too many requests. Please try again later',
@@ -273,6 +385,286 @@ const R2_CONFIG = {
   MULTIPART_THRESHOLD: 10 * 1024 * 1024, // 10MB
 };
 
+// ============================================================================
+// STORAGE DRIVERS
+// ============================================================================
+const STORAGE_DRIVERS = {
+  R2: 'r2', // Cloudflare R2 / any S3-compatible bucket
+  LOCAL: 'local', // files on disk, signed URLs served by the API
+  MEMORY: 'memory', // process memory, for tests
+};
+
+const LOCAL_STORAGE_CONFIG = {
+  DEFAULT_ROOT: 'storage',
+  META_SUFFIX: '.meta.json', // sidecar holding content type, etag and metadata
+  ROUTE_PATH: '/storage/files', // under /api/v1
+  LIST_LIMIT: 1000,
+  MULTIPART_DIR: '.multipart', // in-progress multipart uploads, under the root
+};
+
+// ============================================================================
+// STREAMING SETTINGS
+// ============================================================================
+const STREAM_MODES = {
+  REDIRECT: 'redirect', // 302 to a presigned R2 URL
+  PROXY: 'proxy', // pipe the object through the API (Range-aware)
+};
+
+// ============================================================================
+// CONCURRENT STREAM LIMITS
+// ============================================================================
+const STREAM_LIMIT_CONFIG = {
+  DEFAULT_MAX_STREAMS: 2, // simultaneous devices per account
+  TIMEOUT_SECONDS: 90, // a device's slot lapses without a heartbeat
+  DEVICE_HEADER: 'x-device-id', // required on stream requests
+  DEVICE_NAME_HEADER: 'x-device-name',
+  DEVICE_ID_MAX: 128,
+  DEVICE_NAME_MAX: 100,
+};
+
+// ============================================================================
+// PREVIEW CLIPS
+// ============================================================================
+const PREVIEW_CONFIG = {
+  DEFAULT_START_MS: 30 * 1000, // skip intros
+  DEFAULT_DURATION_MS: 30 * 1000,
+  // Public and keyed by song id, so CDNs may hold it for a week
+  CACHE_CONTROL: 'public, max-age=86400, s-maxage=604800, stale-while-revalidate=86400',
+};
+
+// ============================================================================
+// OFFLINE DOWNLOADS
+// ============================================================================
+const DOWNLOAD_CONFIG = {
+  LICENSE_TTL_DAYS: 30, // must renew online at least this often
+  MAX_OFFLINE_TRACKS: 500, // active licences per user
+  URL_EXPIRY: 900, // 15 minutes to fetch the file
+  DEVICE_ID_MAX: 128,
+  TOKEN_TYPE: 'download_license',
+  LIMIT_REACHED_CODE: 'FT001', // raised by save_download_license when the cap is full
+};
+
+// ============================================================================
+// PLAYBACK SESSIONS
+// ============================================================================
+const PLAYBACK_SESSION_STATUS = {
+  ACTIVE: 'active',
+  ENDED: 'ended',
+  EXPIRED: 'expired',
+};
+
+const PLAYBACK_CONFIG = {
+  HEARTBEAT_INTERVAL_MS: 15000, // advertised to clients
+  SESSION_TIMEOUT_MS: 300000, // 5 minutes without a heartbeat -> expired
+  POSITION_SLACK_MS: 2000, // network jitter allowed on top of wall-clock time
+  COMPLETION_THRESHOLD: 0.9, // completion rate that counts as a full listen
+  LISTENING_PATTERN_RETRY_DELAY_MS: 60000, // leave in-flight writes alone before retrying
+  PENDING_TRACK_RETRY_DELAY_MS: 60000, // sessions unchanged this long get their pending track written by the job
+  SOURCES: ['search', 'playlist', 'recommendation', 'album', 'artist', 'radio'],
+  DEVICE_TYPES: ['mobile', 'tablet', 'desktop', 'tv', 'car', 'other'],
+  NETWORK_TYPES: ['wifi', '5g', '4g', '3g', '2g', 'offline'],
+};
+
+// ============================================================================
+// RESUMABLE UPLOADS (multipart upload sessions)
+// ============================================================================
+const UPLOAD_SESSION_STATUS = {
+  ACTIVE: 'active',
+  COMPLETING: 'completing', // parts assembled, song being created
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  ABORTED: 'aborted',
+  EXPIRED: 'expired',
+};
+
+const UPLOAD_SESSION_CONFIG = {
+  DEFAULT_PART_SIZE: 8 * 1024 * 1024, // 8 MB
+  MIN_PART_SIZE: 5 * 1024 * 1024, // S3 minimum for every part but the last
+  MAX_PART_SIZE: 64 * 1024 * 1024, // parts are buffered in memory
+  MAX_PARTS: 10000, // S3 limit
+  DEFAULT_MAX_FILE_SIZE: 1024 * 1024 * 1024, // 1 GB
+  DEFAULT_TTL_HOURS: 24, // without a part upload -> aborted by the cleanup job
+};
+
+// ============================================================================
+// ALBUM (BULK) UPLOADS
+// ============================================================================
+const ALBUM_UPLOAD_CONFIG = {
+  MAX_TRACKS: 50,
+  MAX_ARCHIVE_SIZE: 500 * 1024 * 1024, // 500 MB zip
+  MAX_REQUEST_SIZE: 1024 * 1024 * 1024, // 1 GB for every file in one request
+  MAX_EXTRACTED_SIZE: 1024 * 1024 * 1024, // 1 GB uncompressed (zip bomb guard)
+};
+
+const ALBUM_TRACK_STATUS = {
+  CREATED: 'created',
+  FAILED: 'failed',
+  SKIPPED: 'skipped', // not attempted after an earlier failure (atomic uploads)
+  ROLLED_BACK: 'rolled_back', // created, then removed after a later failure
+};
+
+// ============================================================================
+// DIRECT-TO-STORAGE UPLOADS (presigned PUT + finalize)
+// ============================================================================
+const SONG_STATUS = {
+  PENDING: 'pending', // upload URL issued, file not verified yet (hidden)
+  FINALIZING: 'finalizing', // file being verified by the ingest job (hidden)
+  READY: 'ready',
+};
+
+const UPLOAD_URL_CONFIG = {
+  DEFAULT_EXPIRY_SECONDS: 3600, // lifetime of the presigned PUT URL
+  PENDING_TTL_HOURS: 24, // pending songs older than this are removed by the cleanup job
+};
+
+// ============================================================================
+// MEDIA PROCESSING QUEUE (processing_jobs table, run by the processMediaJobs job)
+// ============================================================================
+const PROCESSING_JOB_TYPES = {
+  INGEST: 'ingest', // verify a stored upload and publish the song (runs before the others)
+  TRANSCODE: 'transcode', // AAC quality tiers + HLS segments
+  LOUDNESS: 'loudness', // integrated loudness, track gain and peak
+  WAVEFORM: 'waveform', // peaks for seek bars
+  FEATURES: 'features', // tempo, key, energy... for recommendations (SongFeature)
+};
+
+const PROCESSING_JOB_STATUS = {
+  QUEUED: 'queued', // waiting, or waiting for a retry after run_after
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed', // out of attempts
+};
+
+const PROCESSING_CONFIG = {
+  DEFAULT_MAX_ATTEMPTS: 3,
+  RETRY_BASE_SECONDS: 60, // doubled after every failed attempt
+  BATCH_SIZE: 3, // jobs per worker run (transcoding is CPU heavy)
+  STALE_AFTER_MINUTES: 30, // processing jobs older than this were abandoned by a crashed worker
+  ERROR_MAX_LENGTH: 1000,
+};
+
+// Quality tiers are AAC-LC in ADTS, the codec the HLS variants advertise
+const TRANSCODE_CONFIG = {
+  CODEC: 'aac',
+  FORMAT: 'adts',
+  EXTENSION: '.aac',
+  MIME_TYPE: 'audio/aac',
+  DEFAULT_FFMPEG_PATH: 'ffmpeg',
+  DEFAULT_TIMEOUT_SECONDS: 600, // per ffmpeg run
+};
+
+// Loudness (ITU-R BS.1770 / EBU R128), measured on PCM decoded by ffmpeg
+const LOUDNESS_CONFIG = {
+  REFERENCE_LUFS: -18, // ReplayGain 2.0 reference level
+  SAMPLE_RATE: 48000, // decoded at 48 kHz, the rate BS.1770 specifies
+  CHANNELS: 2, // mono is duplicated, surround downmixed (as players hear it)
+  BLOCK_MS: 400, // gating block
+  STEP_MS: 100, // 75% block overlap
+  ABSOLUTE_GATE_LUFS: -70,
+  RELATIVE_GATE_LU: -10,
+  READ_CHUNK_FRAMES: 65536, // decoded PCM is read from disk in chunks
+};
+
+// Waveform peaks for seek bars, stored as JSON next to the audio (waveforms/)
+const WAVEFORM_CONFIG = {
+  FOLDER: 'waveforms/',
+  EXTENSION: '.json',
+  POINTS: 1024, // stored resolution; requests downsample from it
+  MIN_RESOLUTION: 16,
+  SAMPLE_RATE: 8000, // decoded to mono at a low rate: enough for an envelope
+  WINDOW_FRAMES: 80, // peaks are taken over 10 ms windows, then merged into POINTS
+  SCALE: 255, // peaks are stored as integers from 0 to SCALE (full scale)
+  READ_CHUNK_FRAMES: 65536,
+  VERSION: 1, // format of the stored object
+};
+
+// Audio features for content-based recommendations, analysed in-house on
+// mono PCM decoded by ffmpeg (SongFeature, analysisSource 'custom')
+const FEATURE_CONFIG = {
+  SAMPLE_RATE: 22050,
+  FRAME_SIZE: 2048, // FFT size (~93 ms)
+  HOP_SIZE: 512, // ~23 ms between frames
+  MAX_SECONDS: 600, // only the first 10 minutes are analysed
+  MIN_BPM: 60,
+  MAX_BPM: 200,
+  PRIOR_BPM: 120, // half/double tempo ambiguity is resolved towards it
+  MIN_PULSE: 0.1, // weaker onset periodicity is not a beat (tempo left unknown)
+  CHROMA_MIN_HZ: 65, // C2
+  CHROMA_MAX_HZ: 2100, // C7
+  ROLLOFF_PERCENT: 0.85,
+  SILENCE_DB: -60, // quieter frames are left out of the spectral averages
+  ENERGY_FLOOR_DB: -40, // RMS mapped linearly from 0 here...
+  ENERGY_CEILING_DB: -6, // ...to 1 here
+  READ_CHUNK_FRAMES: 65536,
+};
+
+// ============================================================================
+// SONG TRASH (soft delete; restorable until purged)
+// ============================================================================
+const TRASH_CONFIG = {
+  DEFAULT_RETENTION_DAYS: 30,
+  PURGE_BATCH_SIZE: 50, // songs hard-deleted per purge run
+};
+
+// ============================================================================
+// STORAGE RECONCILIATION (bucket objects vs. database rows)
+// ============================================================================
+const RECONCILE_CONFIG = {
+  DEFAULT_GRACE_HOURS: 24, // newer objects may belong to uploads in progress
+  PAGE_SIZE: 1000, // rows read per query
+  KINDS: {
+    ORIGINAL: 'original',
+    PREVIEW: 'preview',
+    TIER: 'tier',
+    COVER: 'cover',
+    ARTWORK: 'artwork',
+    WAVEFORM: 'waveform',
+  },
+};
+
+// ============================================================================
+// LYRICS (plain text, LRC and enhanced LRC with word timings)
+// ============================================================================
+const LYRICS_FORMATS = {
+  PLAIN: 'plain',
+  LRC: 'lrc', // [mm:ss.xx] per line
+  ENHANCED_LRC: 'enhanced_lrc', // plus <mm:ss.xx> per word
+};
+
+const LYRICS_CONFIG = {
+  MAX_LENGTH: 64 * 1024, // characters
+  MAX_FILE_SIZE: 256 * 1024, // bytes, .lrc/.txt uploads
+  MAX_LANGUAGE_LENGTH: 16, // BCP 47 tag, e.g. en or pt-BR
+  SEARCH_MATCH_LIMIT: 100, // songs matched by lyrics per search
+};
+
+// ============================================================================
+// ARTISTS (songs link by normalised name; artist pages)
+// ============================================================================
+const ARTIST_CONFIG = {
+  TOP_TRACKS_LIMIT: 10, // by play_count
+  ALBUMS_LIMIT: 50,
+  RELATED_LIMIT: 10,
+  RELATED_LISTENER_SAMPLE: 500, // recent listeners whose other plays are compared
+  RELATED_SONG_SAMPLE: 200, // most shared songs mapped back to their artists
+};
+
+// ============================================================================
+// DUPLICATE DETECTION (SHA-256 of the original file)
+// ============================================================================
+const DUPLICATE_CONFIG = {
+  HASH_ALGORITHM: 'sha256',
+  BACKFILL_BATCH_SIZE: 25, // songs downloaded and hashed per backfill run
+};
+
+// ============================================================================
+// USER ROLES (Supabase app_metadata.role; users cannot change it themselves)
+// ============================================================================
+const ROLES = {
+  USER: 'user',
+  ADMIN: 'admin',
+};
+
 // ============================================================================
 // RECOMMENDATION SETTINGS
 // ============================================================================
@@ -392,6 +784,11 @@ export {
   AUDIO_QUALITIES,
   AUDIO_BITRATES,
   QUALITY_FOLDERS,
+  COVER_ART_CONFIG,
+  ARTWORK_CONFIG,
+  QUALITY_TIERS,
+  QUALITY_FALLBACK_ORDER,
+  HLS_CONFIG,
   CACHE_TTL,
   CACHE_KEYS,
   INTERACTION_TYPES,
@@ -400,12 +797,42 @@ export {
   ERROR_CODES,
   LIMITS,
   SUPPORTED_AUDIO_FORMATS,
+  AUDIO_CONTAINER_TYPES,
   SUPPORTED_IMAGE_FORMATS,
+  IMAGE_CONTAINER_TYPES,
   FILE_UPLOAD_CONFIG,
   RATE_LIMITS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   R2_CONFIG,
+  STORAGE_DRIVERS,
+  LOCAL_STORAGE_CONFIG,
+  STREAM_MODES,
+  STREAM_LIMIT_CONFIG,
+  PREVIEW_CONFIG,
+  DOWNLOAD_CONFIG,
+  PLAYBACK_SESSION_STATUS,
+  PLAYBACK_CONFIG,
+  UPLOAD_SESSION_STATUS,
+  UPLOAD_SESSION_CONFIG,
+  ALBUM_UPLOAD_CONFIG,
+  ALBUM_TRACK_STATUS,
+  SONG_STATUS,
+  UPLOAD_URL_CONFIG,
+  PROCESSING_JOB_TYPES,
+  PROCESSING_JOB_STATUS,
+  PROCESSING_CONFIG,
+  TRANSCODE_CONFIG,
+  LOUDNESS_CONFIG,
+  WAVEFORM_CONFIG,
+  FEATURE_CONFIG,
+  TRASH_CONFIG,
+  RECONCILE_CONFIG,
+  LYRICS_FORMATS,
+  LYRICS_CONFIG,
+  ARTIST_CONFIG,
+  DUPLICATE_CONFIG,
+  ROLES,
   RECOMMENDATION_CONFIG,
   SEARCH_CONFIG,
   TRENDING_CONFIG,
@@ -0,0 +1,192 @@
+/**
+ * ffmpeg Runner
+ * Spawns the ffmpeg binary for work with no in-process implementation
+ * (encoding the AAC quality tiers, decoding PCM for analysis). Input and
+ * outputs go through a temporary directory because some containers (MP4
+ * with the index at the end) cannot be read from a pipe.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const STDERR_TAIL_LENGTH = 2000;
+const MAX_SAMPLE_RATE = 48000;
+const MAX_CHANNELS = 2;
+
+/**
+ * Build the arguments for one decode feeding several AAC encodes
+ * Hi-res input is resampled to 48 kHz and surround is downmixed to stereo,
+ * which every AAC-LC player handles.
+ * @param {string} inputPath - Source file
+ * @param {Object[]} outputs - { path, bitrate } per output (bitrate in kbps)
+ * @param {Object} [source] - Known source properties
+ * @param {number} [source.sampleRate] - Source sample rate (Hz)
+ * @param {number} [source.channels] - Source channel count
+ * @returns {string[]} ffmpeg arguments
+ */
+const buildAacArgs = (inputPath, outputs, { sampleRate, channels } = {}) => {
+  const args = ['-hide_banner', '-loglevel', 'error', '-nostdin', '-y', '-i', inputPath];
+
+  for (const output of outputs) {
+    args.push('-map', '0:a:0', '-map_metadata', '-1', '-c:a', 'aac', '-b:a', `${output.bitrate}k`);
+    if (sampleRate > MAX_SAMPLE_RATE) args.push('-ar', String(MAX_SAMPLE_RATE));
+    if (channels > MAX_CHANNELS) args.push('-ac', String(MAX_CHANNELS));
+    args.push('-f', 'adts', output.path);
+  }
+
+  return args;
+};
+
+/**
+ * Build the arguments for decoding the first audio stream to raw PCM
+ * @param {string} inputPath - Source file
+ * @param {string} outputPath - Raw 32-bit float little-endian output
+ * @param {Object} format - Output format
+ * @param {number} format.sampleRate - Sample rate (Hz)
+ * @param {number} format.channels - Channel count (downmixed or duplicated)
+ * @returns {string[]} ffmpeg arguments
+ */
+const buildPcmArgs = (inputPath, outputPath, { sampleRate, channels }) => [
+  '-hide_banner', '-loglevel', 'error', '-nostdin', '-y', '-i', inputPath,
+  '-map', '0:a:0', '-ac', String(channels), '-ar', String(sampleRate),
+  '-c:a', 'pcm_f32le', '-f', 'f32le', outputPath,
+];
+
+/**
+ * Run ffmpeg to completion
+ * @param {string[]} args - Arguments
+ * @param {Object} options - Options
+ * @param {string} options.ffmpegPath - Binary to run
+ * @param {number} [options.timeoutMs] - Kill the process after this long
+ * @returns {Promise<void>} Resolves when ffmpeg exits with status 0
+ * @throws {Error} If ffmpeg is missing, fails or times out (with the end of its stderr)
+ */
+const runFfmpeg = (args, { ffmpegPath, timeoutMs }) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = timeoutMs
+      ? setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, timeoutMs)
+      : null;
+
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-STDERR_TAIL_LENGTH);
+    });
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(
+        error.code === 'ENOENT'
+          ? new Error(`ffmpeg not found (looked for "${ffmpegPath}")`)
+          : error,
+      );
+    });
+
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (timedOut) {
+        reject(new Error(`ffmpeg timed out after ${timeoutMs}ms`));
+      } else if (code !== 0) {
+        reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim() || 'no output'}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+
+/**
+ * Encode audio to ADTS AAC at several bitrates in one ffmpeg run
+ * @param {Buffer} buffer - Source audio (any format ffmpeg reads)
+ * @param {Object} bitrates - { [name]: kbps }
+ * @param {Object} options - Options
+ * @param {string} options.ffmpegPath - Binary to run
+ * @param {number} [options.timeoutMs] - Kill ffmpeg after this long
+ * @param {string} [options.extension] - Source file extension (a hint for ffmpeg)
+ * @param {number} [options.sampleRate] - Source sample rate (Hz)
+ * @param {number} [options.channels] - Source channel count
+ * @returns {Promise<Object>} { [name]: Buffer }
+ */
+const encodeAacTiers = async (buffer, bitrates, { extension = '', ...options }) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'freetune-transcode-'));
+
+  try {
+    const inputPath = path.join(dir, `input${extension}`);
+    await fs.writeFile(inputPath, buffer);
+
+    const outputs = Object.entries(bitrates).map(([name, bitrate]) => ({
+      name,
+      bitrate,
+      path: path.join(dir, `${name}.aac`),
+    }));
+    await runFfmpeg(buildAacArgs(inputPath, outputs, options), options);
+
+    const encoded = {};
+    for (const output of outputs) {
+      encoded[output.name] = await fs.readFile(output.path);
+    }
+    return encoded;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Decode audio to interleaved float PCM, handed over in chunks
+ * The decoded file is read back piece by piece, so a long track never sits
+ * in memory whole.
+ * @param {Buffer} buffer - Source audio (any format ffmpeg reads)
+ * @param {Object} options - Options
+ * @param {string} options.ffmpegPath - Binary to run
+ * @param {number} [options.timeoutMs] - Kill ffmpeg after this long
+ * @param {string} [options.extension] - Source file extension (a hint for ffmpeg)
+ * @param {number} options.sampleRate - Output sample rate (Hz)
+ * @param {number} options.channels - Output channel count
+ * @param {number} options.chunkFrames - Frames per chunk
+ * @param {Function} options.onChunk - Called with each Float32Array (interleaved)
+ * @returns {Promise<number>} Frames decoded
+ */
+const decodePcm = async (
+  buffer,
+  { extension = '', sampleRate, channels, chunkFrames, onChunk, ...options },
+) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'freetune-decode-'));
+
+  try {
+    const inputPath = path.join(dir, `input${extension}`);
+    const outputPath = path.join(dir, 'output.pcm');
+    await fs.writeFile(inputPath, buffer);
+    await runFfmpeg(buildPcmArgs(inputPath, outputPath, { sampleRate, channels }), options);
+
+    const bytesPerFrame = channels * Float32Array.BYTES_PER_ELEMENT;
+    // Not pooled, so the view starts 4-byte aligned; samples are read in host
+    // byte order (little-endian everywhere Node runs)
+    const chunk = Buffer.alloc(chunkFrames * bytesPerFrame);
+    const handle = await fs.open(outputPath, 'r');
+    let frames = 0;
+
+    try {
+      for (;;) {
+        const { bytesRead } = await handle.read(chunk, 0, chunk.length, null);
+        if (bytesRead === 0) break;
+
+        const frameCount = Math.floor(bytesRead / bytesPerFrame);
+        onChunk(new Float32Array(chunk.buffer, chunk.byteOffset, frameCount * channels));
+        frames += frameCount;
+      }
+    } finally {
+      await handle.close();
+    }
+    return frames;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+export { buildAacArgs, buildPcmArgs, runFfmpeg, encodeAacTiers, decodePcm };
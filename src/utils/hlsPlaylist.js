@@ -0,0 +1,96 @@
+/**
+ * HLS Playlist Builders
+ * Generates master and media (variant) playlists for adaptive audio streaming
+ */
+
+import { AUDIO_BITRATES, HLS_CONFIG } from './constants.js';
+
+/**
+ * Get the qualities of a song that can be offered as HLS variants
+ * Only transcoded tiers with a known bitrate qualify (not original/preview).
+ * @param {string[]} availableQualities - songs.available_qualities
+ * @returns {string[]} Qualities ordered from highest to lowest bitrate
+ */
+const getHlsQualities = (availableQualities = []) => {
+  return [...new Set(availableQualities)]
+    .filter(quality => AUDIO_BITRATES[quality])
+    .sort((a, b) => AUDIO_BITRATES[b] - AUDIO_BITRATES[a]);
+};
+
+/**
+ * Split a track into fixed-length segment durations
+ * @param {number} durationMs - Track duration in milliseconds
+ * @param {number} segmentDuration - Segment length in seconds
+ * @returns {number[]} Segment durations in seconds
+ */
+const getSegmentDurations = (
+  durationMs,
+  segmentDuration = HLS_CONFIG.SEGMENT_DURATION,
+) => {
+  const totalSeconds = Math.max(durationMs, 0) / 1000;
+  const count = Math.ceil(totalSeconds / segmentDuration);
+  const durations = [];
+
+  for (let i = 0; i < count; i++) {
+    const remaining = totalSeconds - i * segmentDuration;
+    durations.push(Math.min(segmentDuration, remaining));
+  }
+
+  return durations;
+};
+
+/**
+ * Build an HLS master playlist
+ * @param {Object[]} variants - Variant streams
+ * @param {string} variants[].quality - Quality name
+ * @param {string} variants[].uri - Media playlist URI (relative or absolute)
+ * @returns {string} Master playlist (m3u8)
+ */
+const buildMasterPlaylist = variants => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+
+  for (const { quality, uri } of variants) {
+    const bandwidth = AUDIO_BITRATES[quality] * 1000;
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},AVERAGE-BANDWIDTH=${bandwidth},CODECS="${HLS_CONFIG.CODECS}"`,
+      uri,
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Build an HLS VOD media playlist
+ * @param {Object[]} segments - Segments in playback order
+ * @param {number} segments[].duration - Segment duration in seconds
+ * @param {string} segments[].uri - Segment URI
+ * @returns {string} Media playlist (m3u8)
+ */
+const buildMediaPlaylist = segments => {
+  const targetDuration = Math.ceil(
+    Math.max(0, ...segments.map(segment => segment.duration)),
+  );
+
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+  ];
+
+  for (const { duration, uri } of segments) {
+    lines.push(`#EXTINF:${duration.toFixed(3)},`, uri);
+  }
+
+  lines.push('#EXT-X-ENDLIST');
+  return `${lines.join('\n')}\n`;
+};
+
+export {
+  getHlsQualities,
+  getSegmentDurations,
+  buildMasterPlaylist,
+  buildMediaPlaylist,
+};
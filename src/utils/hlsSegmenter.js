@@ -0,0 +1,52 @@
+/**
+ * HLS Segmenter
+ * Splits ADTS AAC renditions into the segments listed by the media playlist
+ * (see getSegmentDurations), cutting on frame boundaries without re-encoding
+ */
+
+import { iterateFrames, parseAdtsHeader, skipId3v2 } from './audioFrames.js';
+
+/**
+ * Split ADTS audio into one buffer per playlist segment
+ * A segment ends at the first frame that starts at or after its nominal end,
+ * so cuts stay within one frame of the playlist durations and never drift;
+ * the last segment takes every remaining frame.
+ * @param {Buffer} buffer - ADTS AAC audio
+ * @param {number[]} durations - Segment durations in seconds (playlist order)
+ * @returns {Buffer[]} Segment contents, one per duration
+ * @throws {Error} If there are no AAC frames or too few for every segment
+ */
+const splitAdtsSegments = (buffer, durations) => {
+  if (durations.length === 0) return [];
+
+  const segments = [];
+  let frames = [];
+  let elapsed = 0;
+  let segmentEnd = durations[0];
+
+  for (const { offset, header } of iterateFrames(buffer, skipId3v2(buffer), parseAdtsHeader)) {
+    // Tolerance for floating point sums of frame durations
+    if (segments.length < durations.length - 1 && elapsed >= segmentEnd - 1e-6) {
+      segments.push(Buffer.concat(frames));
+      frames = [];
+      segmentEnd += durations[segments.length];
+    }
+
+    frames.push(buffer.subarray(offset, offset + header.frameLength));
+    elapsed += header.samplesPerFrame / header.sampleRate;
+  }
+
+  if (frames.length === 0 && segments.length === 0) {
+    throw new Error('No AAC frames found');
+  }
+  segments.push(Buffer.concat(frames));
+
+  if (segments.length !== durations.length || segments.some(segment => segment.length === 0)) {
+    throw new Error(
+      `Audio lasts ${elapsed.toFixed(1)}s, too short for ${durations.length} segments`,
+    );
+  }
+  return segments;
+};
+
+export { splitAdtsSegments };
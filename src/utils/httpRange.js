@@ -0,0 +1,83 @@
+/**
+ * HTTP Range Helpers
+ * Parses Range / If-Range request headers for partial content (206) streaming
+ */
+
+/**
+ * Parse a single byte range from a Range header
+ * Multi-range requests are ignored (full response), as players only seek
+ * with a single range.
+ * @param {string} rangeHeader - Raw Range header value
+ * @param {number} size - Total object size in bytes
+ * @returns {Object|null} null to serve the whole object,
+ *   { unsatisfiable: true } for 416, or { start, end } (inclusive)
+ */
+const parseByteRange = (rangeHeader, size) => {
+  if (!rangeHeader || typeof rangeHeader !== 'string') return null;
+
+  const match = /^bytes=(.+)$/i.exec(rangeHeader.trim());
+  if (!match || match[1].includes(',')) return null;
+
+  const [rawStart, rawEnd] = match[1].split('-').map(part => part.trim());
+  if (rawStart === undefined || rawEnd === undefined) return null;
+  if (!/^\d*$/.test(rawStart) || !/^\d*$/.test(rawEnd)) return null;
+  if (rawStart === '' && rawEnd === '') return null;
+
+  let start;
+  let end;
+
+  if (rawStart === '') {
+    // Suffix range: last N bytes
+    const suffixLength = parseInt(rawEnd, 10);
+    if (suffixLength === 0) return { unsatisfiable: true };
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(rawStart, 10);
+    end = rawEnd === '' ? size - 1 : Math.min(parseInt(rawEnd, 10), size - 1);
+  }
+
+  if (start > end || start >= size) {
+    return { unsatisfiable: true };
+  }
+
+  return { start, end };
+};
+
+/**
+ * Check whether an If-Range precondition allows a partial response
+ * @param {string} ifRange - Raw If-Range header value
+ * @param {Object} validators - Current object validators
+ * @param {string} validators.etag - Current ETag
+ * @param {Date|string} validators.lastModified - Current Last-Modified
+ * @returns {boolean} True if the Range header should be honoured
+ */
+const isIfRangeSatisfied = (ifRange, { etag, lastModified } = {}) => {
+  if (!ifRange) return true;
+
+  const value = ifRange.trim();
+
+  // Entity tag form - strong comparison only
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    if (!etag || value.startsWith('W/') || etag.startsWith('W/')) return false;
+    return value === etag;
+  }
+
+  // HTTP-date form
+  const since = Date.parse(value);
+  if (Number.isNaN(since) || !lastModified) return false;
+
+  const modified = new Date(lastModified).getTime();
+  return Math.floor(modified / 1000) * 1000 <= since;
+};
+
+/**
+ * Format a Content-Range header value
+ * @param {number} start - First byte (inclusive)
+ * @param {number} end - Last byte (inclusive)
+ * @param {number} size - Total object size
+ * @returns {string} Content-Range value
+ */
+const formatContentRange = (start, end, size) => `bytes ${start}-${end}/${size}`;
+
+export { parseByteRange, isIfRangeSatisfied, formatContentRange };
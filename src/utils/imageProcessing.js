@@ -0,0 +1,25 @@
+/**
+ * Image Processing
+ * Signature sniffing for cover art. Decoding and resizing are done by sharp
+ * (see ArtworkService.createRenditions).
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Identify an image from its first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} jpeg | png | webp | gif, or null
+ */
+const sniffImage = buffer => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) return 'png';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (buffer.toString('latin1', 0, 4) === 'GIF8') return 'gif';
+  return null;
+};
+
+export { sniffImage };
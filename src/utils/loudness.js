@@ -0,0 +1,145 @@
+/**
+ * Loudness Meter
+ * Integrated loudness per ITU-R BS.1770-4 / EBU R128 (K-weighting, 400 ms
+ * blocks with 75% overlap, absolute and relative gating) and sample peak,
+ * measured on interleaved float PCM fed in chunks of whole frames
+ */
+
+import { LOUDNESS_CONFIG } from './constants.js';
+
+/**
+ * K-weighting filter for a sample rate: a high shelf (head effects) then the
+ * RLB high-pass. The BS.1770 coefficients are given at 48 kHz; these are the
+ * analogue prototypes re-derived for any rate (as libebur128 does).
+ * @param {number} sampleRate - Sample rate (Hz)
+ * @returns {Object[]} Biquads { b: [b0, b1, b2], a: [a1, a2] }
+ */
+const getKWeightingCoefficients = sampleRate => {
+  let f0 = 1681.974450955533;
+  let Q = 0.7071752369554196;
+  let K = Math.tan((Math.PI * f0) / sampleRate);
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q + K * K;
+
+  const shelf = {
+    b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+
+  f0 = 38.13547087602444;
+  Q = 0.5003270373238773;
+  K = Math.tan((Math.PI * f0) / sampleRate);
+  a0 = 1 + K / Q + K * K;
+
+  const highPass = {
+    b: [1, -2, 1],
+    a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+
+  return [shelf, highPass];
+};
+
+/**
+ * Loudness of a mean square (summed over channels)
+ * @param {number} meanSquare - Weighted mean square
+ * @returns {number} LUFS
+ */
+const toLufs = meanSquare => -0.691 + 10 * Math.log10(meanSquare);
+
+/**
+ * Gate 400 ms blocks and integrate them
+ * @param {number[]} blocks - Mean square of every block
+ * @returns {number|null} Integrated loudness in LUFS, or null if every block is below the absolute gate
+ */
+const integrateBlocks = blocks => {
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const audible = blocks.filter(z => z > 0 && toLufs(z) > LOUDNESS_CONFIG.ABSOLUTE_GATE_LUFS);
+  if (audible.length === 0) return null;
+
+  const relativeGate = toLufs(mean(audible)) + LOUDNESS_CONFIG.RELATIVE_GATE_LU;
+  const gated = audible.filter(z => toLufs(z) > relativeGate);
+  return toLufs(mean(gated));
+};
+
+/**
+ * Create a meter for one track
+ * Channels are weighted equally (mono and stereo; surround is expected to be
+ * downmixed by the decoder).
+ * @param {Object} format - PCM format
+ * @param {number} format.sampleRate - Sample rate (Hz)
+ * @param {number} format.channels - Interleaved channel count
+ * @returns {Object} { write(samples: Float32Array), finish(): { integratedLufs, peak, durationMs } }
+ */
+const createLoudnessMeter = ({ sampleRate, channels }) => {
+  const [shelf, highPass] = getKWeightingCoefficients(sampleRate);
+  // Transposed direct form II state per channel: [shelf z1, z2, high-pass z1, z2]
+  const state = Array.from({ length: channels }, () => new Float64Array(4));
+  const stepFrames = Math.round((sampleRate * LOUDNESS_CONFIG.STEP_MS) / 1000);
+  const stepsPerBlock = LOUDNESS_CONFIG.BLOCK_MS / LOUDNESS_CONFIG.STEP_MS;
+
+  const steps = []; // sum of squares over all channels per 100 ms step
+  let stepSum = 0;
+  let stepFill = 0;
+  let frames = 0;
+  let peak = 0;
+
+  const write = samples => {
+    const frameCount = Math.floor(samples.length / channels);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      for (let channel = 0; channel < channels; channel++) {
+        const x = samples[frame * channels + channel];
+        const z = state[channel];
+        const abs = Math.abs(x);
+        if (abs > peak) peak = abs;
+
+        const y1 = shelf.b[0] * x + z[0];
+        z[0] = shelf.b[1] * x - shelf.a[0] * y1 + z[1];
+        z[1] = shelf.b[2] * x - shelf.a[1] * y1;
+
+        const y2 = highPass.b[0] * y1 + z[2];
+        z[2] = highPass.b[1] * y1 - highPass.a[0] * y2 + z[3];
+        z[3] = highPass.b[2] * y1 - highPass.a[1] * y2;
+
+        stepSum += y2 * y2;
+      }
+
+      if (++stepFill === stepFrames) {
+        steps.push(stepSum);
+        stepSum = 0;
+        stepFill = 0;
+      }
+    }
+    frames += frameCount;
+  };
+
+  const finish = () => {
+    const blocks = [];
+    for (let end = stepsPerBlock; end <= steps.length; end++) {
+      let sum = 0;
+      for (let i = end - stepsPerBlock; i < end; i++) sum += steps[i];
+      blocks.push(sum / (stepFrames * stepsPerBlock));
+    }
+
+    return {
+      integratedLufs: integrateBlocks(blocks),
+      peak,
+      durationMs: Math.round((frames / sampleRate) * 1000),
+    };
+  };
+
+  return { write, finish };
+};
+
+/**
+ * ReplayGain-style track gain: the change that brings a track to the reference
+ * @param {number|null} integratedLufs - Integrated loudness
+ * @param {number} [referenceLufs] - Target loudness
+ * @returns {number|null} Gain in dB (negative turns the track down)
+ */
+const getTrackGain = (integratedLufs, referenceLufs = LOUDNESS_CONFIG.REFERENCE_LUFS) =>
+  integratedLufs === null ? null : referenceLufs - integratedLufs;
+
+export { getKWeightingCoefficients, integrateBlocks, createLoudnessMeter, getTrackGain };
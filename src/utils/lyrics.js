@@ -0,0 +1,206 @@
+/**
+ * Lyrics Parser
+ * Reads plain, LRC ([mm:ss.xx] per line) and enhanced LRC (<mm:ss.xx> per
+ * word) lyrics into time-coded lines
+ */
+
+import { LYRICS_FORMATS } from './constants.js';
+
+const TIME_PATTERN = /^(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?$/;
+const LINE_TAG_PATTERN = /^\[([^\]]*)\]/;
+const WORD_TAG_PATTERN = /<(\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?)>/g;
+const ID_TAG_PATTERN = /^([a-z#]+):(.*)$/i;
+
+/**
+ * Parse an LRC timestamp
+ * @param {string} value - e.g. 01:02.34, 01:02.345 or 01:02
+ * @returns {number|null} Milliseconds, or null if it is not a timestamp
+ */
+const parseTimestamp = value => {
+  const match = TIME_PATTERN.exec(value.trim());
+  if (!match) return null;
+
+  const [, minutes, seconds, fraction = ''] = match;
+  if (Number(seconds) >= 60) return null;
+  // .5 is half a second and .05 fifty milliseconds
+  return Number(minutes) * 60000 + Number(seconds) * 1000 + Number(fraction.padEnd(3, '0'));
+};
+
+/**
+ * Split lyrics text into lines (BOM and line endings normalised)
+ * @param {string} text - Lyrics
+ * @returns {string[]} Lines
+ */
+const splitLines = text => text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+
+/**
+ * Read the leading [..] tags of a line
+ * @param {string} line - Raw line
+ * @returns {Object} { times, idTag: [key, value] | null, rest }
+ */
+const readLineTags = line => {
+  const times = [];
+  let rest = line.trim();
+  let match;
+
+  while ((match = LINE_TAG_PATTERN.exec(rest))) {
+    const time = parseTimestamp(match[1]);
+    if (time === null) {
+      const idTag = times.length === 0 ? ID_TAG_PATTERN.exec(match[1]) : null;
+      if (idTag && rest.slice(match[0].length).trim() === '') {
+        return { times, idTag: [idTag[1].toLowerCase(), idTag[2].trim()], rest: '' };
+      }
+      break;
+    }
+    times.push(time);
+    rest = rest.slice(match[0].length);
+  }
+
+  return { times, idTag: null, rest };
+};
+
+/**
+ * Detect the format of lyrics text
+ * @param {string} text - Lyrics
+ * @returns {string} LYRICS_FORMATS value
+ */
+const detectLyricsFormat = text => {
+  let timed = false;
+  for (const line of splitLines(text)) {
+    const { times, rest } = readLineTags(line);
+    if (times.length === 0) continue;
+    timed = true;
+    WORD_TAG_PATTERN.lastIndex = 0;
+    if (WORD_TAG_PATTERN.test(rest)) return LYRICS_FORMATS.ENHANCED_LRC;
+  }
+  return timed ? LYRICS_FORMATS.LRC : LYRICS_FORMATS.PLAIN;
+};
+
+/**
+ * Read the word timings of an enhanced LRC line
+ * A tag ends the word before it, so a trailing tag closes the last word.
+ * @param {string} text - Line text after its [..] tags
+ * @param {number} shiftMs - Subtracted from every time (the offset tag)
+ * @returns {Object} { text, words: [{ startMs, endMs, text }] }
+ */
+const parseWords = (text, shiftMs) => {
+  const words = [];
+  const parts = text.split(WORD_TAG_PATTERN);
+  // parts: [before, time, text, time, text, ...]
+  const plain = [parts[0]];
+
+  for (let i = 1; i < parts.length; i += 2) {
+    const startMs = Math.max(0, parseTimestamp(parts[i]) - shiftMs);
+    const last = words[words.length - 1];
+    if (last && last.endMs === null) last.endMs = startMs;
+
+    const wordText = parts[i + 1];
+    plain.push(wordText);
+    if (wordText.trim() !== '') {
+      words.push({ startMs, endMs: null, text: wordText.trim() });
+    }
+  }
+
+  return { text: plain.join('').replace(/\s+/g, ' ').trim(), words };
+};
+
+/**
+ * Parse lyrics into lines
+ * Synced lines are ordered by time, a line shown at several times ([t1][t2]
+ * text) is repeated, and each line ends where the next starts. Lines without
+ * a timestamp are dropped from synced lyrics.
+ * @param {string} text - Lyrics
+ * @param {Object} [options] - Options
+ * @param {string} [options.format] - LYRICS_FORMATS value (default: detected)
+ * @param {number} [options.durationMs] - Song duration, closes the last line
+ * @returns {Object} { format, synced, tags, offsetMs, lines: [{ startMs,
+ *   endMs, text, words? }] } (times are null for plain lyrics)
+ */
+const parseLyrics = (text, { format = detectLyricsFormat(text), durationMs = null } = {}) => {
+  const tags = {};
+
+  if (format === LYRICS_FORMATS.PLAIN) {
+    const lines = splitLines(text).map(line => line.trim());
+    while (lines.length && lines[0] === '') lines.shift();
+    while (lines.length && lines[lines.length - 1] === '') lines.pop();
+
+    return {
+      format,
+      synced: false,
+      tags,
+      offsetMs: 0,
+      lines: lines.map(line => ({ startMs: null, endMs: null, text: line })),
+    };
+  }
+
+  const timedLines = [];
+  for (const line of splitLines(text)) {
+    const { times, idTag, rest } = readLineTags(line);
+    if (idTag) {
+      tags[idTag[0]] = idTag[1];
+    } else if (times.length) {
+      timedLines.push({ times, rest });
+    }
+  }
+
+  // A positive offset makes the lyrics come sooner
+  const offsetMs = Number.parseInt(tags.offset, 10) || 0;
+  const enhanced = format === LYRICS_FORMATS.ENHANCED_LRC;
+
+  const lines = [];
+  for (const { times, rest } of timedLines) {
+    const content = enhanced
+      ? parseWords(rest, offsetMs)
+      : { text: rest.replace(WORD_TAG_PATTERN, '').replace(/\s+/g, ' ').trim() };
+    for (const time of times) {
+      const line = { startMs: Math.max(0, time - offsetMs), endMs: null, text: content.text };
+      if (enhanced) line.words = content.words.map(word => ({ ...word }));
+      lines.push(line);
+    }
+  }
+
+  lines.sort((a, b) => a.startMs - b.startMs);
+  lines.forEach((line, i) => {
+    const next = lines[i + 1];
+    line.endMs = next ? next.startMs : (durationMs ?? null);
+    const lastWord = line.words?.[line.words.length - 1];
+    if (lastWord && lastWord.endMs === null) lastWord.endMs = line.endMs;
+  });
+
+  return { format, synced: true, tags, offsetMs, lines };
+};
+
+/**
+ * Get the text of parsed lyrics, one line per row (for search)
+ * @param {Object} parsed - From parseLyrics
+ * @returns {string} Text without timestamps or tags
+ */
+const getLyricsText = parsed => parsed.lines.map(line => line.text).join('\n');
+
+/**
+ * Find the first line containing a search query
+ * @param {string} text - Lyrics text (getLyricsText)
+ * @param {string} query - Search query
+ * @returns {string|null} Matching line
+ */
+const findLyricsLine = (text, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!text || !needle) return null;
+  return text.split('\n').find(line => line.toLowerCase().includes(needle)) || null;
+};
+
+/**
+ * Escape LIKE/ILIKE wildcards so a search query matches literally
+ * @param {string} query - Search query
+ * @returns {string} Query with %, _ and \ escaped
+ */
+const escapeLikePattern = query => query.replace(/[\\%_]/g, char => `\\${char}`);
+
+export {
+  parseTimestamp,
+  detectLyricsFormat,
+  parseLyrics,
+  getLyricsText,
+  findLyricsLine,
+  escapeLikePattern,
+};
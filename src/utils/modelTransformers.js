@@ -33,6 +33,38 @@ const transformKeys = (obj) => {
   return obj;
 };
 
+/**
+ * Size-specific cover URLs ({ small, medium, large })
+ * Covers that were never resized (extracted from the audio file) use their
+ * single URL for every size.
+ * @param {Object|null} sizes - cover_art_sizes / cover_image_sizes column
+ * @param {string|null} url - cover_art_url / cover_image_url column
+ * @returns {Object|null} URLs by size name, or null without a cover
+ */
+const transformCoverSizes = (sizes, url) => {
+  if (sizes) return sizes;
+  if (!url) return null;
+  return { small: url, medium: url, large: url };
+};
+
+/**
+ * Volume normalisation values of a song
+ * @param {Object} song - Song from database (loudness_lufs, track_gain_db, track_peak)
+ * @param {number} referenceLufs - Level the gain aims at
+ * @returns {Object|null} { integratedLufs, trackGainDb, trackPeak, referenceLufs },
+ *   or null until measured (and for silent songs)
+ */
+const transformLoudness = (song, referenceLufs) => {
+  if (song?.track_gain_db === null || song?.track_gain_db === undefined) return null;
+
+  return {
+    integratedLufs: song.loudness_lufs,
+    trackGainDb: song.track_gain_db,
+    trackPeak: song.track_peak,
+    referenceLufs,
+  };
+};
+
 /**
  * Transform Song model from database to frontend format
  * @param {Object} song - Song from database
@@ -45,12 +77,16 @@ const transformSong = (song) => {
     id: song.id,
     title: song.title,
     artist: song.artist,
+    artistId: song.artist_id || null,
     album: song.album,
-    albumArtUrl: song.album_art_url || null,
+    albumArtUrl: song.cover_art_url || null,
+    coverArt: transformCoverSizes(song.cover_art_sizes, song.cover_art_url),
     durationMs: song.duration_ms,
     r2Key: song.r2_key,
     fileSizes: song.file_sizes || {},
     playCount: song.play_count || 0,
+    lyricsAvailable: song.lyrics_available || false,
+    waveformAvailable: Boolean(song.waveform),
     lastUpdated: song.last_updated,
     popularityScore: song.popularity_score || 0,
     createdAt: song.created_at,
@@ -58,6 +94,26 @@ const transformSong = (song) => {
   };
 };
 
+/**
+ * Transform Artist model from database to frontend format
+ * @param {Object} artist - Artist from database
+ * @returns {Object} Transformed artist
+ */
+const transformArtist = (artist) => {
+  if (!artist) return null;
+
+  return {
+    id: artist.id,
+    name: artist.name,
+    slug: artist.slug,
+    bio: artist.bio || null,
+    imageUrl: artist.image_url || null,
+    aliases: artist.aliases || [],
+    createdAt: artist.created_at,
+    updatedAt: artist.updated_at,
+  };
+};
+
 /**
  * Transform Playlist model from database to frontend format
  * @param {Object} playlist - Playlist from database
@@ -74,6 +130,8 @@ const transformPlaylist = (playlist) => {
     songIds: playlist.song_ids || [],
     autoGenerated: playlist.auto_generated || false,
     isPublic: playlist.is_public || false,
+    coverImageUrl: playlist.cover_image_url || null,
+    coverImage: transformCoverSizes(playlist.cover_image_sizes, playlist.cover_image_url),
     createdAt: playlist.created_at,
     updatedAt: playlist.updated_at,
   };
@@ -135,6 +193,108 @@ const transformUserInteraction = (interaction) => {
   };
 };
 
+/**
+ * Transform Download License model from database to frontend format
+ * @param {Object} license - Download license from database
+ * @returns {Object} Transformed license
+ */
+const transformDownloadLicense = (license) => {
+  if (!license) return null;
+
+  return {
+    id: license.id,
+    songId: license.song_id,
+    deviceId: license.device_id,
+    quality: license.quality,
+    expiresAt: license.expires_at,
+    expired: new Date(license.expires_at) <= new Date(),
+    renewedAt: license.renewed_at || null,
+    createdAt: license.created_at,
+    song: license.songs ? transformSong(license.songs) : undefined,
+  };
+};
+
+/**
+ * Transform Playback Session model from database to frontend format
+ * @param {Object} session - Playback session from database
+ * @returns {Object} Transformed session
+ */
+const transformPlaybackSession = (session) => {
+  if (!session) return null;
+
+  return {
+    id: session.id,
+    status: session.status,
+    source: session.source,
+    deviceType: session.device_type,
+    networkType: session.network_type,
+    quality: session.quality,
+    songId: session.current_song_id,
+    sessionPosition: session.track_position,
+    positionMs: session.position_ms,
+    listenedMs: session.listened_ms,
+    lastHeartbeatAt: session.last_heartbeat_at,
+    endedAt: session.ended_at || null,
+    createdAt: session.created_at,
+  };
+};
+
+/**
+ * Transform Upload Session model from database to frontend format
+ * @param {Object} session - Upload session from database
+ * @param {Object[]} parts - Received parts (optional)
+ * @returns {Object} Transformed session
+ */
+const transformUploadSession = (session, parts) => {
+  if (!session) return null;
+
+  return {
+    id: session.id,
+    status: session.status,
+    filename: session.filename,
+    mimeType: session.mime_type,
+    fileSize: session.file_size,
+    partSize: session.part_size,
+    totalParts: session.total_parts,
+    songId: session.song_id || null,
+    error: session.error || null,
+    expiresAt: session.expires_at,
+    completedAt: session.completed_at || null,
+    createdAt: session.created_at,
+    parts: parts
+      ? parts.map(part => ({
+        partNumber: part.part_number,
+        size: part.size,
+        etag: part.etag,
+      }))
+      : undefined,
+  };
+};
+
+/**
+ * Transform Processing Job model from database to frontend format
+ * @param {Object} job - Processing job from database
+ * @returns {Object} Transformed job
+ */
+const transformProcessingJob = (job) => {
+  if (!job) return null;
+
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    nextAttemptAt: job.status === 'queued' ? job.run_after : null,
+    error: job.error || null,
+    startedAt: job.started_at || null,
+    completedAt: job.completed_at || null,
+    result: job.result || null,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+  };
+};
+
 /**
  * Transform array of models
  * @param {Array} items - Array of database models
@@ -150,9 +310,15 @@ export {
   snakeToCamel,
   transformKeys,
   transformSong,
+  transformArtist,
   transformPlaylist,
   transformUser,
   transformUserPreferences,
   transformUserInteraction,
+  transformDownloadLicense,
+  transformPlaybackSession,
+  transformUploadSession,
+  transformProcessingJob,
+  transformLoudness,
   transformArray,
 };
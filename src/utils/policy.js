@@ -0,0 +1,80 @@
+/**
+ * Authorization Policies
+ * Who may act on a resource: its owner or an admin. Controllers and
+ * services load the resource, then call assertAllowed(canManageX(...)).
+ */
+
+import ApiError from './apiError.js';
+import { ERROR_MESSAGES, ROLES } from './constants.js';
+
+/**
+ * Check whether a user is an admin
+ * @param {Object} user - req.user
+ * @returns {boolean} True for admins
+ */
+const isAdmin = user => user?.role === ROLES.ADMIN;
+
+/**
+ * Check whether a user owns a resource or is an admin
+ * @param {Object} user - req.user
+ * @param {string|null} ownerId - Owner's user ID
+ * @returns {boolean} True if the user may manage the resource
+ */
+const isOwnerOrAdmin = (user, ownerId) => {
+  if (!user?.id) return false;
+  return isAdmin(user) || (Boolean(ownerId) && ownerId === user.id);
+};
+
+/**
+ * Get the uploader of a song
+ * @param {Object} song - songs row (with metadata)
+ * @returns {string|null} User ID from metadata.uploaded_by
+ */
+const getSongOwnerId = song => song?.metadata?.uploaded_by || null;
+
+/**
+ * Check whether a user may edit or delete a song (uploader or admin)
+ * @param {Object} user - req.user
+ * @param {Object} song - songs row (with metadata)
+ * @returns {boolean} True if allowed
+ */
+const canManageSong = (user, song) => isOwnerOrAdmin(user, getSongOwnerId(song));
+
+/**
+ * Check whether a user may edit or delete a playlist (owner or admin)
+ * @param {Object} user - req.user
+ * @param {Object} playlist - playlists row (with user_id)
+ * @returns {boolean} True if allowed
+ */
+const canManagePlaylist = (user, playlist) => isOwnerOrAdmin(user, playlist?.user_id);
+
+/**
+ * Check whether a user may view a playlist (public, owner or admin)
+ * @param {Object} user - req.user (optional)
+ * @param {Object} playlist - playlists row (with user_id, is_public)
+ * @returns {boolean} True if allowed
+ */
+const canViewPlaylist = (user, playlist) =>
+  Boolean(playlist?.is_public) || canManagePlaylist(user, playlist);
+
+/**
+ * Throw 403 unless a policy allowed the action
+ * @param {boolean} allowed - Policy result
+ * @param {string} [message] - Error message
+ * @throws {ApiError} 403 if not allowed
+ */
+const assertAllowed = (allowed, message = ERROR_MESSAGES.FORBIDDEN) => {
+  if (!allowed) {
+    throw ApiError.forbidden(message);
+  }
+};
+
+export {
+  isAdmin,
+  isOwnerOrAdmin,
+  getSongOwnerId,
+  canManageSong,
+  canManagePlaylist,
+  canViewPlaylist,
+  assertAllowed,
+};
@@ -0,0 +1,77 @@
+/**
+ * Waveform Peaks
+ * Peak amplitudes for seek bars: the largest absolute sample of every short
+ * window of interleaved float PCM (fed in chunks of whole frames), merged
+ * into a fixed number of points and downsampled again on request
+ */
+
+import { WAVEFORM_CONFIG } from './constants.js';
+
+/**
+ * Create a peak collector for one track
+ * @param {Object} format - PCM format
+ * @param {number} format.channels - Interleaved channel count (peaks span all channels)
+ * @param {number} [format.windowFrames] - Frames per window
+ * @returns {Object} { write(samples: Float32Array), finish(): number[] } (one peak per window)
+ */
+const createPeakCollector = ({ channels, windowFrames = WAVEFORM_CONFIG.WINDOW_FRAMES }) => {
+  const peaks = [];
+  let windowPeak = 0;
+  let windowFill = 0;
+
+  const write = samples => {
+    const frameCount = Math.floor(samples.length / channels);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      for (let channel = 0; channel < channels; channel++) {
+        const abs = Math.abs(samples[frame * channels + channel]);
+        if (abs > windowPeak) windowPeak = abs;
+      }
+
+      if (++windowFill === windowFrames) {
+        peaks.push(windowPeak);
+        windowPeak = 0;
+        windowFill = 0;
+      }
+    }
+  };
+
+  // A trailing partial window still counts
+  const finish = () => (windowFill > 0 ? [...peaks, windowPeak] : [...peaks]);
+
+  return { write, finish };
+};
+
+/**
+ * Reduce peaks to a resolution, keeping the largest peak of every bucket
+ * (so short transients stay visible)
+ * @param {number[]} peaks - Peaks
+ * @param {number} resolution - Points wanted
+ * @returns {number[]} At most resolution peaks (fewer peaks are returned as they are)
+ */
+const downsamplePeaks = (peaks, resolution) => {
+  if (resolution >= peaks.length) return [...peaks];
+
+  const points = new Array(resolution);
+  for (let i = 0; i < resolution; i++) {
+    const start = Math.floor((i * peaks.length) / resolution);
+    const end = Math.floor(((i + 1) * peaks.length) / resolution);
+    let max = 0;
+    for (let j = start; j < end; j++) {
+      if (peaks[j] > max) max = peaks[j];
+    }
+    points[i] = max;
+  }
+  return points;
+};
+
+/**
+ * Store peaks as integers (clipped samples above full scale are capped)
+ * @param {number[]} peaks - Linear peaks (1.0 = full scale)
+ * @param {number} [scale] - Value of full scale
+ * @returns {number[]} Integers from 0 to scale
+ */
+const quantisePeaks = (peaks, scale = WAVEFORM_CONFIG.SCALE) =>
+  peaks.map(peak => Math.min(scale, Math.round(peak * scale)));
+
+export { createPeakCollector, downsamplePeaks, quantisePeaks };
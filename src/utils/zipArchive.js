@@ -0,0 +1,229 @@
+/**
+ * ZIP Archive Reader
+ * Extracts stored and deflated entries from a zip on disk (album uploads),
+ * streaming each entry through an async inflate.
+ * ZIP64, encryption and multi-disk archives are not supported.
+ */
+
+import { createReadStream, createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const MAX_DIRECTORY_SIZE = 16 * 1024 * 1024;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+/**
+ * Find the end of central directory record
+ * @param {Buffer} buffer - Archive contents
+ * @returns {number} Offset of the record, or -1
+ */
+const findEndOfCentralDirectory = buffer => {
+  const stop = Math.max(0, buffer.length - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+  for (let offset = buffer.length - EOCD_MIN_SIZE; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  return -1;
+};
+
+/**
+ * Check whether a buffer looks like a zip archive
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} Starts with a local file header (or is an empty archive)
+ */
+const isZipArchive = buffer =>
+  Buffer.isBuffer(buffer) &&
+  buffer.length >= EOCD_MIN_SIZE &&
+  (buffer.readUInt32LE(0) === LOCAL_SIGNATURE || buffer.readUInt32LE(0) === EOCD_SIGNATURE);
+
+/**
+ * Read up to length bytes at a position
+ * @param {FileHandle} handle - Open file
+ * @param {number} position - Offset
+ * @param {number} length - Bytes to read
+ * @returns {Promise<Buffer>} The bytes read (shorter at the end of the file)
+ */
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * Read and filter the central directory
+ * @param {FileHandle} handle - Open archive
+ * @param {number} fileSize - Archive size
+ * @param {Object} options - { maxEntries, maxTotalSize, filter } (see extractZipEntries)
+ * @returns {Promise<Object[]>} [{ name, method, compressedSize, size, localOffset }]
+ * @throws {Error} If the directory is missing, corrupt or over a limit
+ */
+const readCentralDirectory = async (handle, fileSize, { maxEntries, maxTotalSize, filter }) => {
+  const tailStart = Math.max(0, fileSize - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+  const tail = await readAt(handle, tailStart, fileSize - tailStart);
+  const eocd = findEndOfCentralDirectory(tail);
+  if (eocd < 0) {
+    throw new Error('Zip archive is truncated (no central directory)');
+  }
+
+  const entryCount = tail.readUInt16LE(eocd + 10);
+  const directorySize = tail.readUInt32LE(eocd + 12);
+  const directoryOffset = tail.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+  if (directorySize > MAX_DIRECTORY_SIZE) {
+    throw new Error('Zip central directory is too large');
+  }
+
+  const directory = await readAt(handle, directoryOffset, directorySize);
+  const selected = [];
+  let totalSize = 0;
+  let offset = 0;
+
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Zip central directory is corrupt');
+    }
+
+    const flags = directory.readUInt16LE(offset + 8);
+    const method = directory.readUInt16LE(offset + 10);
+    const compressedSize = directory.readUInt32LE(offset + 20);
+    const size = directory.readUInt32LE(offset + 24);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const localOffset = directory.readUInt32LE(offset + 42);
+    const name = directory.toString(
+      flags & FLAG_UTF8 ? 'utf8' : 'latin1',
+      offset + 46,
+      offset + 46 + nameLength,
+    );
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || !filter(name)) continue;
+
+    if (flags & FLAG_ENCRYPTED) {
+      throw new Error(`Encrypted zip entries are not supported (${name})`);
+    }
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATE) {
+      throw new Error(`Unsupported zip compression method ${method} (${name})`);
+    }
+
+    totalSize += size;
+    if (selected.length + 1 > maxEntries) {
+      throw new Error(`Zip archive has more than ${maxEntries} files`);
+    }
+    if (totalSize > maxTotalSize) {
+      throw new Error(`Zip archive expands to more than ${maxTotalSize} bytes`);
+    }
+
+    selected.push({ name, method, compressedSize, size, localOffset });
+  }
+
+  return selected;
+};
+
+/**
+ * Stream one entry's data into a file
+ * Deflated data is inflated as it streams, and the output is counted as it
+ * is written: an entry that expands past its declared size is stopped there.
+ * @param {string} archivePath - Archive
+ * @param {FileHandle} handle - Open archive (for the local header)
+ * @param {number} fileSize - Archive size
+ * @param {Object} entry - Central directory entry
+ * @param {string} destination - File to write
+ * @throws {Error} If the entry is corrupt, truncated or not its declared size
+ */
+const extractEntry = async (archivePath, handle, fileSize, entry, destination) => {
+  const { name, method, compressedSize, size, localOffset } = entry;
+  const local = await readAt(handle, localOffset, 30);
+  if (local.length < 30 || local.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+    throw new Error(`Zip entry ${name} is corrupt`);
+  }
+
+  const dataStart = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+  if (dataStart + compressedSize > fileSize) {
+    throw new Error(`Zip entry ${name} is truncated`);
+  }
+
+  const mismatch = new Error(`Zip entry ${name} does not match its declared size`);
+  let written = 0;
+  const sizeCheck = new Transform({
+    transform(chunk, encoding, callback) {
+      written += chunk.length;
+      callback(written > size ? mismatch : null, chunk);
+    },
+  });
+
+  const source =
+    compressedSize > 0
+      ? createReadStream(archivePath, { start: dataStart, end: dataStart + compressedSize - 1 })
+      : Readable.from([]);
+  const stages = method === METHOD_DEFLATE ? [zlib.createInflateRaw()] : [];
+
+  try {
+    await pipeline(source, ...stages, sizeCheck, createWriteStream(destination));
+  } catch (error) {
+    if (error === mismatch) throw error;
+    throw new Error(`Zip entry ${name} could not be decompressed`);
+  }
+  if (written !== size) {
+    throw mismatch;
+  }
+};
+
+/**
+ * Extract the files in a zip archive to a directory
+ * Directory entries are skipped. Limits are checked against the sizes
+ * declared in the central directory before anything is inflated, and each
+ * entry is streamed to its own file (named by its index in the result), so
+ * neither the archive nor an entry is held in memory.
+ * @param {string} archivePath - Archive
+ * @param {string} destDir - Existing directory for the extracted files
+ * @param {Object} [options] - Limits
+ * @param {number} [options.maxEntries] - Most files to extract
+ * @param {number} [options.maxTotalSize] - Most uncompressed bytes in total
+ * @param {Function} [options.filter] - (name) => boolean; rejected entries are
+ *   neither counted nor inflated
+ * @returns {Promise<Object[]>} [{ name, path, size }] in archive order
+ * @throws {Error} If the archive is malformed, unsupported or over a limit
+ */
+const extractZipEntries = async (
+  archivePath,
+  destDir,
+  { maxEntries = Infinity, maxTotalSize = Infinity, filter = () => true } = {},
+) => {
+  const handle = await fs.open(archivePath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    if (!isZipArchive(await readAt(handle, 0, EOCD_MIN_SIZE))) {
+      throw new Error('Not a zip archive');
+    }
+
+    const entries = await readCentralDirectory(handle, fileSize, { maxEntries, maxTotalSize, filter });
+
+    const extracted = [];
+    for (const [index, entry] of entries.entries()) {
+      const destination = path.join(destDir, String(index));
+      await extractEntry(archivePath, handle, fileSize, entry, destination);
+      extracted.push({ name: entry.name, path: destination, size: entry.size });
+    }
+    return extracted;
+  } finally {
+    await handle.close();
+  }
+};
+
+export { isZipArchive, extractZipEntries };
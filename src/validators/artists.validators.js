@@ -0,0 +1,20 @@
+/**
+ * Artist Validators
+ * Zod schemas for artist requests
+ */
+
+import { z } from 'zod';
+import { LIMITS } from '../utils/constants.js';
+
+/**
+ * Artist Page Schema (ID or slug)
+ */
+export const artistPageSchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .trim()
+      .min(1, 'Artist ID or slug is required')
+      .max(LIMITS.ARTIST_NAME_MAX, 'Artist ID or slug is too long'),
+  }),
+});
@@ -0,0 +1,64 @@
+/**
+ * Playback Session Validators
+ * Zod schemas for playback session requests
+ */
+
+import { z } from 'zod';
+import { PLAYBACK_CONFIG, AUDIO_QUALITIES } from '../utils/constants.js';
+
+const positionSchema = z.coerce
+  .number()
+  .int('Position must be an integer')
+  .min(0, 'Position cannot be negative');
+
+const qualitySchema = z.enum([
+  AUDIO_QUALITIES.ORIGINAL,
+  AUDIO_QUALITIES.HIGH,
+  AUDIO_QUALITIES.MEDIUM,
+  AUDIO_QUALITIES.LOW,
+  AUDIO_QUALITIES.PREVIEW,
+]);
+
+const networkTypeSchema = z.enum(PLAYBACK_CONFIG.NETWORK_TYPES);
+
+const sessionParamsSchema = z.object({
+  sessionId: z.string().uuid('Invalid session ID'),
+});
+
+/**
+ * Start Session Schema
+ */
+export const startSessionSchema = z.object({
+  body: z.object({
+    song_id: z.string().uuid('Invalid song ID'),
+    source: z.enum(PLAYBACK_CONFIG.SOURCES),
+    device_type: z.enum(PLAYBACK_CONFIG.DEVICE_TYPES).optional().default('mobile'),
+    network_type: networkTypeSchema.optional(),
+    quality: qualitySchema.optional().default(AUDIO_QUALITIES.HIGH),
+    position_ms: positionSchema.optional().default(0),
+  }),
+});
+
+/**
+ * Heartbeat Schema
+ */
+export const heartbeatSchema = z.object({
+  params: sessionParamsSchema,
+  body: z.object({
+    position_ms: positionSchema,
+    song_id: z.string().uuid('Invalid song ID').optional(),
+    quality: qualitySchema.optional(),
+    network_type: networkTypeSchema.optional(),
+  }),
+});
+
+/**
+ * End Session Schema
+ */
+export const endSessionSchema = z.object({
+  params: sessionParamsSchema,
+  body: z.object({
+    position_ms: positionSchema.optional(),
+    skipped: z.boolean().optional().default(false),
+  }),
+});
@@ -0,0 +1,244 @@
+/**
+ * Songs Validators
+ * Zod schemas for song-related requests
+ */
+
+import { z } from 'zod';
+import {
+  ALBUM_UPLOAD_CONFIG,
+  LIMITS,
+  LYRICS_CONFIG,
+  LYRICS_FORMATS,
+  QUALITY_TIERS,
+  SUPPORTED_AUDIO_FORMATS,
+  UPLOAD_SESSION_CONFIG,
+  WAVEFORM_CONFIG,
+} from '../utils/constants.js';
+
+/**
+ * Batch Stream URLs Schema
+ */
+export const streamUrlsSchema = z.object({
+  body: z.object({
+    song_ids: z
+      .array(z.string().uuid('Invalid song ID'))
+      .min(1, 'At least one song ID is required')
+      .max(
+        LIMITS.STREAM_URL_BATCH_MAX,
+        `At most ${LIMITS.STREAM_URL_BATCH_MAX} song IDs per request`,
+      ),
+    quality: z.enum(QUALITY_TIERS).optional(),
+  }),
+});
+
+const uploadSessionParamsSchema = z.object({
+  sessionId: z.string().uuid('Invalid upload session ID'),
+});
+
+// Optional song fields; anything omitted is read from the file's tags
+const songFieldsSchema = z.object({
+  title: z.string().trim().min(1).max(LIMITS.SONG_TITLE_MAX).optional(),
+  artist: z.string().trim().min(1).max(LIMITS.ARTIST_NAME_MAX).optional(),
+  album: z.string().trim().max(LIMITS.ALBUM_NAME_MAX).optional(),
+  album_artist: z.string().trim().max(LIMITS.ARTIST_NAME_MAX).optional(),
+  duration_ms: z.coerce.number().int().positive().optional(),
+  year: z.coerce.number().int().min(1000).max(9999).optional(),
+  genre: z.string().trim().max(LIMITS.GENRE_MAX).optional(),
+  track_number: z.coerce.number().int().positive().optional(),
+  disc_number: z.coerce.number().int().positive().optional(),
+});
+
+// File declared before its bytes are sent (upload sessions, presigned uploads)
+const uploadFileSchema = songFieldsSchema.extend({
+  filename: z.string().trim().min(1, 'Filename is required').max(255),
+  mime_type: z.enum(SUPPORTED_AUDIO_FORMATS, {
+    errorMap: () => ({ message: 'Unsupported audio MIME type' }),
+  }),
+  file_size: z.coerce.number().int().positive('File size must be positive'),
+});
+
+/**
+ * Create Upload Session Schema
+ */
+export const createUploadSessionSchema = z.object({
+  body: uploadFileSchema.extend({
+    part_size: z.coerce
+      .number()
+      .int()
+      .min(UPLOAD_SESSION_CONFIG.MIN_PART_SIZE)
+      .max(UPLOAD_SESSION_CONFIG.MAX_PART_SIZE)
+      .optional(),
+  }),
+});
+
+/**
+ * Upload URL Schema (presigned PUT)
+ */
+export const uploadUrlSchema = z.object({
+  body: uploadFileSchema,
+});
+
+/**
+ * Finalize Upload Schema
+ */
+export const finalizeUploadSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid song ID'),
+  }),
+});
+
+/**
+ * Cover Upload Schema (song or playlist ID; multipart image)
+ */
+export const coverUploadSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid ID'),
+  }),
+});
+
+/**
+ * Album Cover Upload Schema (multipart image)
+ */
+export const albumCoverSchema = z.object({
+  body: songFieldsSchema.pick({ album_artist: true }).extend({
+    album: z.string().trim().min(1, 'Album is required').max(LIMITS.ALBUM_NAME_MAX),
+  }),
+});
+
+// Multipart forms carry nested values as JSON strings
+const parseJsonField = value => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Album Upload Schema (multipart: audio files or one zip archive)
+ */
+export const albumUploadSchema = z.object({
+  body: songFieldsSchema
+    .pick({ album: true, artist: true, album_artist: true, year: true, genre: true })
+    .extend({
+      tracks: z
+        .preprocess(
+          parseJsonField,
+          z
+            .array(songFieldsSchema.extend({ file: z.string().min(1, 'File name is required') }))
+            .max(ALBUM_UPLOAD_CONFIG.MAX_TRACKS),
+        )
+        .optional(),
+      atomic: z
+        .union([z.boolean(), z.enum(['true', 'false'])])
+        .optional()
+        .transform(value => value !== false && value !== 'false'),
+    }),
+});
+
+/**
+ * Upload Session Schema (status, complete, abort)
+ */
+export const uploadSessionSchema = z.object({
+  params: uploadSessionParamsSchema,
+});
+
+/**
+ * Upload Part Schema
+ */
+export const uploadPartSchema = z.object({
+  params: uploadSessionParamsSchema.extend({
+    partNumber: z.coerce
+      .number()
+      .int('Part number must be an integer')
+      .min(1)
+      .max(UPLOAD_SESSION_CONFIG.MAX_PARTS),
+  }),
+});
+
+/**
+ * Duplicate Groups Schema (admin)
+ */
+export const duplicateGroupsSchema = z.object({
+  query: z.object({
+    page: z.coerce.number().int().min(1).optional().default(1),
+    limit: z.coerce
+      .number()
+      .int()
+      .min(1)
+      .max(LIMITS.PAGINATION_MAX_LIMIT)
+      .optional()
+      .default(LIMITS.PAGINATION_DEFAULT_LIMIT),
+  }),
+});
+
+/**
+ * Processing Status Schema
+ */
+export const processingStatusSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid song ID'),
+  }),
+});
+
+/**
+ * Trash Listing Schema
+ */
+export const trashListSchema = z.object({
+  query: z.object({
+    page: z.coerce.number().int().min(1).optional().default(1),
+    limit: z.coerce
+      .number()
+      .int()
+      .min(1)
+      .max(LIMITS.PAGINATION_MAX_LIMIT)
+      .optional()
+      .default(LIMITS.PAGINATION_DEFAULT_LIMIT),
+  }),
+});
+
+/**
+ * Song ID Schema (restore, delete, lyrics)
+ */
+export const songIdSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid song ID'),
+  }),
+});
+
+/**
+ * Lyrics Upload Schema ("lyrics" field or multipart .lrc/.txt file)
+ */
+export const lyricsUploadSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid song ID'),
+  }),
+  body: z.object({
+    lyrics: z.string().max(LYRICS_CONFIG.MAX_LENGTH).optional(),
+    format: z.enum(Object.values(LYRICS_FORMATS)).optional(),
+    language: z
+      .string()
+      .trim()
+      .max(LYRICS_CONFIG.MAX_LANGUAGE_LENGTH)
+      .regex(/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/, 'Invalid language tag')
+      .optional(),
+  }),
+});
+
+/**
+ * Waveform Schema (resolution downsamples the stored peaks)
+ */
+export const waveformSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid song ID'),
+  }),
+  query: z.object({
+    resolution: z.coerce
+      .number()
+      .int()
+      .min(WAVEFORM_CONFIG.MIN_RESOLUTION)
+      .max(WAVEFORM_CONFIG.POINTS)
+      .optional(),
+  }),
+});
@@ -0,0 +1,102 @@
+/**
+ * Integration Tests for Download Licence Controller
+ * Renewal and device-initiated revocation must present the licence's own
+ * token; these cases are refused before the database is touched.
+ */
+
+import config from '../../../src/config/index.js';
+import DownloadLicenseService from '../../../src/services/downloadLicense.service.js';
+import {
+  renewDownloadLicense,
+  revokeDownloadLicense,
+} from '../../../src/controllers/songs/download.controller.js';
+
+const license = {
+  id: 'license-1',
+  user_id: 'user-1',
+  song_id: 'song-1',
+  device_id: 'device-a',
+  quality: 'high',
+  expires_at: new Date(Date.now() - 1000).toISOString(),
+};
+
+const request = body => ({
+  params: { licenseId: 'license-1' },
+  body,
+  user: { id: 'user-1' },
+});
+
+describe('Download Licence Controller', () => {
+  const originalSupabase = { ...config.supabase };
+  const originalDownloads = { ...config.downloads };
+
+  beforeAll(() => {
+    // A client is created but never used: every case fails verification first
+    config.supabase.url = config.supabase.url || 'http://localhost:54321';
+    config.supabase.anonKey = config.supabase.anonKey || 'test-anon-key';
+    config.downloads.licenseSecret = 'test-license-secret';
+  });
+
+  afterAll(() => {
+    Object.assign(config.supabase, originalSupabase);
+    Object.assign(config.downloads, originalDownloads);
+  });
+
+  describe('renewDownloadLicense', () => {
+    it('should require the licence token', async () => {
+      await expect(
+        renewDownloadLicense(request({ device_id: 'device-a' }), {}),
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'token is required',
+      });
+    });
+  });
+
+  describe('revokeDownloadLicense', () => {
+    it('should require the device_id when a device presents a token', async () => {
+      const token = DownloadLicenseService.sign(license);
+      await expect(revokeDownloadLicense(request({ token }), {})).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'device_id is required',
+      });
+    });
+
+    it('should reject an empty token from a device', async () => {
+      await expect(
+        revokeDownloadLicense(request({ device_id: 'device-a', token: ' ' }), {}),
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'token is required',
+      });
+    });
+  });
+
+  describe.each([
+    ['renewDownloadLicense', renewDownloadLicense],
+    ['revokeDownloadLicense', revokeDownloadLicense],
+  ])('%s', (name, handler) => {
+    it('should reject a forged token', async () => {
+      const token = DownloadLicenseService.sign(license).replace(/.{4}$/, 'AAAA');
+      await expect(handler(request({ device_id: 'device-a', token }), {})).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'Invalid download license',
+      });
+    });
+
+    it('should reject the token of another licence', async () => {
+      const token = DownloadLicenseService.sign({ ...license, id: 'license-2' });
+      await expect(handler(request({ device_id: 'device-a', token }), {})).rejects.toMatchObject({
+        statusCode: 403,
+      });
+    });
+
+    it('should reject a token presented by another device', async () => {
+      const token = DownloadLicenseService.sign(license);
+      await expect(handler(request({ device_id: 'device-b', token }), {})).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'Download license is bound to another device',
+      });
+    });
+  });
+});
@@ -11,6 +11,9 @@ dotenv.config({ path: '.env.test' });
 // Set test environment
 process.env.NODE_ENV = 'test';
 
+// Keep uploads in memory so tests don't need R2 credentials
+process.env.STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'memory';
+
 // Mock console methods to reduce noise in tests
 global.console = {
   ...console,
@@ -0,0 +1,39 @@
+/**
+ * Unit Tests for configuration validation
+ */
+
+import { validateConfig } from '../../../src/config/index.js';
+
+const settings = (overrides = {}) => ({
+  env: 'production',
+  supabase: { url: 'https://example.supabase.co', anonKey: 'anon' },
+  jwt: { secret: 'jwt-secret' },
+  storage: { signingSecret: 'storage-secret' },
+  downloads: { licenseSecret: 'license-secret' },
+  ...overrides,
+});
+
+describe('validateConfig', () => {
+  it('should accept production settings with separate secrets', () => {
+    expect(() => validateConfig(settings())).not.toThrow();
+  });
+
+  it('should require the storage and licence secrets in production', () => {
+    expect(() =>
+      validateConfig(settings({ storage: {}, downloads: { licenseSecret: undefined } })),
+    ).toThrow('Missing required environment variables: STORAGE_SIGNING_SECRET, DOWNLOAD_LICENSE_SECRET');
+  });
+
+  it('should refuse a secret shared with the JWT secret', () => {
+    expect(() => validateConfig(settings({ downloads: { licenseSecret: 'jwt-secret' } }))).toThrow(
+      'must all be different',
+    );
+    expect(() => validateConfig(settings({ storage: { signingSecret: 'license-secret' } }))).toThrow(
+      'must all be different',
+    );
+  });
+
+  it('should not enforce secrets outside production', () => {
+    expect(() => validateConfig(settings({ env: 'development', storage: {}, downloads: {} }))).not.toThrow();
+  });
+});
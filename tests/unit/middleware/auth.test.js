@@ -2,9 +2,9 @@
  * Unit Tests for Authentication Middleware
  */
 
-import { authMiddleware, optionalAuth } from '../../../src/middleware/auth.js';
+import { authMiddleware, optionalAuth, requireRole } from '../../../src/middleware/auth.js';
 import ApiError from '../../../src/utils/apiError.js';
-import { HTTP_STATUS } from '../../../src/utils/constants.js';
+import { HTTP_STATUS, ROLES } from '../../../src/utils/constants.js';
 
 // Mock Supabase client
 const mockSupabaseClient = {
@@ -108,10 +108,30 @@ describe('authMiddleware', () => {
       email: mockUser.email,
       username: mockUser.user_metadata.username,
       full_name: mockUser.user_metadata.full_name,
+      role: ROLES.USER,
     });
     expect(next).toHaveBeenCalled();
   });
 
+  it('should take the role from app_metadata, not user_metadata', async () => {
+    req.headers.authorization = 'Bearer valid-token';
+    mockSupabaseClient.auth.getUser.mockResolvedValue({
+      data: {
+        user: {
+          id: 'user-123',
+          email: 'test@example.com',
+          user_metadata: { role: ROLES.ADMIN },
+          app_metadata: {},
+        },
+      },
+      error: null,
+    });
+
+    await authMiddleware(req, res, next);
+
+    expect(req.user.role).toBe(ROLES.USER);
+  });
+
   it('should extract token correctly from Bearer header', async () => {
     const token = 'test-token-123';
     req.headers.authorization = `Bearer ${token}`;
@@ -198,3 +218,36 @@ describe('optionalAuth', () => {
   });
 });
 
+describe('requireRole', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = global.mockRequest();
+    res = global.mockResponse();
+    next = jest.fn();
+  });
+
+  it('should allow users with a listed role', () => {
+    req.user = { id: 'user-123', role: ROLES.ADMIN };
+
+    requireRole(ROLES.ADMIN)(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('should reject users without a listed role', () => {
+    req.user = { id: 'user-123', role: ROLES.USER };
+
+    requireRole(ROLES.ADMIN)(req, res, next);
+
+    const error = next.mock.calls[0][0];
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.statusCode).toBe(HTTP_STATUS.FORBIDDEN);
+  });
+
+  it('should reject unauthenticated requests', () => {
+    requireRole(ROLES.ADMIN)(req, res, next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(HTTP_STATUS.UNAUTHORIZED);
+  });
+});
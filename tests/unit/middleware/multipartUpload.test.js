@@ -0,0 +1,67 @@
+/**
+ * Unit Tests for Multipart Upload Middleware
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { limitRequestSize, removeUploadedFiles } from '../../../src/middleware/multipartUpload.js';
+import { HTTP_STATUS } from '../../../src/utils/constants.js';
+
+const request = (headers = {}) => Object.assign(new EventEmitter(), { headers });
+
+describe('multipartUpload middleware', () => {
+  describe('limitRequestSize', () => {
+    const limit = limitRequestSize(1024 * 1024);
+
+    it('should refuse a declared Content-Length over the cap', () => {
+      let error;
+      limit(request({ 'content-length': String(1024 * 1024 + 1) }), {}, err => (error = err));
+
+      expect(error.statusCode).toBe(HTTP_STATUS.PAYLOAD_TOO_LARGE);
+      expect(error.message).toBe('Request too large. Maximum size: 1MB');
+    });
+
+    it('should abort a body once it passes the cap, once', () => {
+      const req = request();
+      const nextArgs = [];
+      const errors = [];
+      limit(req, {}, (...args) => nextArgs.push(args));
+      req.on('error', error => errors.push(error));
+
+      expect(nextArgs).toEqual([[]]);
+      req.emit('data', Buffer.alloc(1024 * 1024));
+      expect(errors).toEqual([]);
+      req.emit('data', Buffer.alloc(1));
+      req.emit('data', Buffer.alloc(1));
+      expect(errors).toHaveLength(1);
+      expect(errors[0].statusCode).toBe(HTTP_STATUS.PAYLOAD_TOO_LARGE);
+    });
+
+    it('should not throw when nothing listens for request errors', () => {
+      const req = request();
+      limit(req, {}, () => {});
+
+      expect(() => req.emit('data', Buffer.alloc(1024 * 1024 + 1))).not.toThrow();
+    });
+  });
+
+  describe('removeUploadedFiles', () => {
+    it('should delete every stored file when the response closes', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'freetune-upload-test-'));
+      const paths = ['a', 'b', 'c'].map(name => path.join(dir, name));
+      await Promise.all(paths.map(filePath => fs.writeFile(filePath, 'x')));
+
+      const req = request();
+      const res = new EventEmitter();
+      removeUploadedFiles(req, res, () => {});
+      req.files = { audio: [{ path: paths[0] }, { path: paths[1] }], archive: [{ path: paths[2] }] };
+      res.emit('close');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(await fs.readdir(dir)).toEqual([]);
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Unit Tests for Stream Limit Middleware
+ */
+
+import { enforceStreamLimit, getStreamDevice } from '../../../src/middleware/streamLimit.js';
+import { ERROR_CODES, HTTP_STATUS } from '../../../src/utils/constants.js';
+
+const request = (headers = {}) => ({
+  params: { id: 'song-1' },
+  body: {},
+  user: { id: 'user-1' },
+  get: name => headers[name.toLowerCase()],
+});
+
+describe('streamLimit middleware', () => {
+  describe('getStreamDevice', () => {
+    it('should read the device from headers', () => {
+      expect(getStreamDevice(request({ 'x-device-id': ' phone-1 ', 'x-device-name': 'Pixel' }))).toEqual({
+        deviceId: 'phone-1',
+        deviceName: 'Pixel',
+      });
+    });
+
+    it('should return no device ID without the header', () => {
+      expect(getStreamDevice(request()).deviceId).toBeNull();
+    });
+
+    it('should reject overlong device IDs', () => {
+      expect(() => getStreamDevice(request({ 'x-device-id': 'x'.repeat(200) }))).toThrow('X-Device-Id');
+    });
+  });
+
+  describe('enforceStreamLimit', () => {
+    it('should reject stream requests without X-Device-Id', async () => {
+      const error = await new Promise(resolve => enforceStreamLimit(request({ 'x-device-id': '  ' }), {}, resolve));
+
+      expect(error.statusCode).toBe(HTTP_STATUS.BAD_REQUEST);
+      expect(error.errors[0].code).toBe(ERROR_CODES.DEVICE_ID_REQUIRED);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit Tests for album upload planning
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import AlbumUploadService from '../../../src/services/albumUpload.service.js';
+
+describe('AlbumUploadService', () => {
+  let dir;
+
+  const write = async (name, contents = Buffer.alloc(2048)) => {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, contents);
+    return filePath;
+  };
+  const file = async name => ({ name, path: await write(name), mimeType: 'audio/mpeg' });
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'freetune-album-test-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('planTracks', () => {
+    it('should merge album fields with per-track overrides', async () => {
+      const [track] = await AlbumUploadService.planTracks(
+        [await file('a.mp3')],
+        { album: 'Album', artist: 'Band' },
+        [{ file: 'a.mp3', title: 'Song', artist: 'Guest' }],
+      );
+      expect(track.fields).toEqual({ album: 'Album', artist: 'Guest', title: 'Song' });
+      expect(track.path).toBe(path.join(dir, 'a.mp3'));
+    });
+
+    it('should order by disc and track number, then by name', async () => {
+      const names = ['z.mp3', 'track 10.mp3', 'track 2.mp3', 'b.mp3', 'c.mp3'];
+      const tracks = await AlbumUploadService.planTracks(
+        await Promise.all(names.map(file)),
+        {},
+        [
+          { file: 'z.mp3', track_number: 1 },
+          { file: 'b.mp3', track_number: 2 },
+          { file: 'c.mp3', track_number: 1, disc_number: 2 },
+        ],
+      );
+      expect(tracks.map(track => track.name)).toEqual([
+        'z.mp3',
+        'b.mp3',
+        'track 2.mp3',
+        'track 10.mp3',
+        'c.mp3',
+      ]);
+    });
+  });
+
+  describe('upload', () => {
+    it('should reject overrides for files that were not sent', async () => {
+      const filePath = await write('a.mp3', Buffer.alloc(10));
+      await expect(
+        AlbumUploadService.upload('user', {
+          files: [{ originalname: 'a.mp3', path: filePath, mimetype: 'audio/mpeg' }],
+          tracks: [{ file: 'b.mp3', title: 'B' }],
+        }),
+      ).rejects.toThrow('Track overrides refer to files that were not uploaded');
+    });
+
+    it('should reject archives that are not zips and remove the work directory', async () => {
+      const archivePath = await write('album.zip', Buffer.from('not a zip archive!!!!!!'));
+      const before = await fs.readdir(os.tmpdir());
+
+      await expect(AlbumUploadService.upload('user', { archive: { path: archivePath } })).rejects.toThrow(
+        'Invalid archive',
+      );
+
+      const added = (await fs.readdir(os.tmpdir())).filter(
+        name => name.startsWith('freetune-album-') && !before.includes(name),
+      );
+      expect(added).toEqual([]);
+    });
+  });
+});
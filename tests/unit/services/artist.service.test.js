@@ -0,0 +1,81 @@
+/**
+ * Unit Tests for artist pages
+ */
+
+import ArtistService from '../../../src/services/artist.service.js';
+import { ARTIST_CONFIG } from '../../../src/utils/constants.js';
+
+describe('ArtistService', () => {
+  describe('buildAlbums', () => {
+    it('groups songs by album, case-insensitively, newest first', () => {
+      const albums = ArtistService.buildAlbums([
+        { id: 's1', album: 'Take Care', year: 2011, cover_art_url: 'tc.jpg', play_count: 10 },
+        { id: 's2', album: 'take care ', year: 2011, cover_art_url: null, play_count: 5 },
+        { id: 's3', album: 'Views', year: 2016, cover_art_url: null, play_count: 7 },
+        { id: 's4', album: null, year: 2020, play_count: 100 },
+      ]);
+
+      expect(albums).toEqual([
+        { name: 'Views', year: 2016, coverArtUrl: null, trackCount: 1, playCount: 7 },
+        { name: 'Take Care', year: 2011, coverArtUrl: 'tc.jpg', trackCount: 2, playCount: 15 },
+      ]);
+    });
+
+    it('lists albums without a year last', () => {
+      const albums = ArtistService.buildAlbums([
+        { album: 'Unknown', year: null, play_count: 1 },
+        { album: 'Dated', year: 1999, play_count: 1 },
+      ]);
+
+      expect(albums.map(album => album.name)).toEqual(['Dated', 'Unknown']);
+    });
+  });
+
+  describe('rankRelatedArtists', () => {
+    const songArtists = new Map([
+      ['a1', 'artist-a'],
+      ['a2', 'artist-a'],
+      ['b1', 'artist-b'],
+      ['self', 'me'],
+    ]);
+
+    it('counts distinct listeners per artist across their songs', () => {
+      const ranked = ArtistService.rankRelatedArtists(
+        [
+          { _id: 'a1', listeners: ['u1', 'u2'] },
+          { _id: 'a2', listeners: ['u2', 'u3'] },
+          { _id: 'b1', listeners: ['u1', 'u4', 'u5', 'u6'] },
+        ],
+        songArtists,
+        'me',
+      );
+
+      expect(ranked).toEqual([
+        { artistId: 'artist-b', sharedListeners: 4 },
+        { artistId: 'artist-a', sharedListeners: 3 },
+      ]);
+    });
+
+    it('leaves out the artist itself and unlinked songs', () => {
+      const ranked = ArtistService.rankRelatedArtists(
+        [
+          { _id: 'self', listeners: ['u1'] },
+          { _id: 'unlinked', listeners: ['u1', 'u2'] },
+          { _id: 'a1', listeners: ['u1'] },
+        ],
+        songArtists,
+        'me',
+      );
+
+      expect(ranked).toEqual([{ artistId: 'artist-a', sharedListeners: 1 }]);
+    });
+
+    it('keeps the top related artists only', () => {
+      const count = ARTIST_CONFIG.RELATED_LIMIT + 3;
+      const songs = Array.from({ length: count }, (_, i) => ({ _id: `s${i}`, listeners: ['u1'] }));
+      const artists = new Map(songs.map(({ _id }) => [_id, `artist-${_id}`]));
+
+      expect(ArtistService.rankRelatedArtists(songs, artists, 'me')).toHaveLength(ARTIST_CONFIG.RELATED_LIMIT);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit Tests for artwork renditions
+ */
+
+import sharp from 'sharp';
+import config from '../../../src/config/index.js';
+import ArtworkService from '../../../src/services/artwork.service.js';
+import fileUploadHelper from '../../../src/services/audioUpload.js';
+import { MemoryStorageDriver } from '../../../src/services/storage/index.js';
+import { ARTWORK_CONFIG, ERROR_CODES } from '../../../src/utils/constants.js';
+
+const photo = (width, height, format = 'jpeg') =>
+  sharp({ create: { width, height, channels: 3, background: { r: 200, g: 40, b: 90 } } })
+    .toFormat(format)
+    .toBuffer();
+
+const upload = (buffer, mimetype = 'image/jpeg') => ({ buffer, mimetype, size: buffer.length });
+
+describe('ArtworkService', () => {
+  const originalStorage = { ...config.storage };
+
+  beforeEach(() => {
+    config.storage.driver = 'memory';
+    config.storage.publicBaseUrl = 'http://localhost:3000';
+  });
+
+  afterAll(() => {
+    Object.assign(config.storage, originalStorage);
+  });
+
+  describe('createRenditions', () => {
+    it('should render every size as a square JPEG', async () => {
+      const { version, renditions } = await ArtworkService.createRenditions(upload(await photo(200, 150)));
+
+      expect(version).toMatch(/^[0-9a-f]{16}$/);
+      for (const [name, size] of Object.entries(ARTWORK_CONFIG.SIZES)) {
+        const image = await sharp(renditions[name]).metadata();
+        expect(image.format).toBe('jpeg');
+        expect(image.width).toBe(size);
+        expect(image.height).toBe(size);
+      }
+    });
+
+    it('should render PNG sources', async () => {
+      const { renditions } = await ArtworkService.createRenditions(
+        upload(await photo(40, 40, 'png'), 'image/png'),
+      );
+      expect((await sharp(renditions.small).metadata()).format).toBe('jpeg');
+    });
+
+    it('should reject contents that do not match the declared type', async () => {
+      expect.assertions(2);
+      try {
+        await ArtworkService.createRenditions(upload(await photo(8, 8), 'image/png'));
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+        expect(error.errors[0].code).toBe(ERROR_CODES.IMAGE_TYPE_MISMATCH);
+      }
+    });
+
+    it('should reject images that cannot be decoded', async () => {
+      const truncated = (await photo(64, 64)).subarray(0, 40);
+      await expect(ArtworkService.createRenditions(upload(truncated))).rejects.toThrow(
+        'Image could not be read',
+      );
+    });
+
+    it('should reject WebP until it can be decoded', async () => {
+      const webp = Buffer.concat([Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1'), Buffer.alloc(32)]);
+      await expect(ArtworkService.createRenditions(upload(webp, 'image/webp'))).rejects.toThrow(
+        'WEBP artwork cannot be resized yet',
+      );
+    });
+  });
+
+  describe('store and removeImages', () => {
+    let originalDriver;
+
+    beforeEach(() => {
+      originalDriver = fileUploadHelper.driver;
+      fileUploadHelper.setDriver(new MemoryStorageDriver());
+    });
+
+    afterEach(() => {
+      fileUploadHelper.setDriver(originalDriver);
+    });
+
+    it('should store versioned keys and remove all but the kept ones', async () => {
+      const prefix = ArtworkService.getPrefix(ARTWORK_CONFIG.KINDS.PLAYLIST, 'p1');
+      const first = await ArtworkService.store(
+        prefix,
+        await ArtworkService.createRenditions(upload(await photo(16, 16))),
+      );
+      const second = await ArtworkService.store(
+        prefix,
+        await ArtworkService.createRenditions(upload(await photo(20, 20))),
+      );
+
+      expect(second.urls.large).toMatch(
+        /^http:\/\/localhost:3000\/api\/v1\/storage\/images\/playlists\/p1\/[0-9a-f]{16}-640\.jpg$/,
+      );
+
+      const removed = await ArtworkService.removeImages(prefix, second.keys);
+      expect(removed).toBe(first.keys.length);
+
+      const { files } = await fileUploadHelper.listFiles(prefix);
+      expect(files.map(file => file.key).sort()).toEqual([...second.keys].sort());
+    });
+  });
+});
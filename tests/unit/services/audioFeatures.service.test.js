@@ -0,0 +1,48 @@
+/**
+ * Unit Tests for audio feature analysis
+ */
+
+import AudioFeaturesService from '../../../src/services/audioFeatures.service.js';
+
+describe('AudioFeaturesService', () => {
+  describe('toFeatureUpdate', () => {
+    const features = {
+      tempo: 121.4,
+      key: 7,
+      mode: 1,
+      energy: 0.71,
+      danceability: 0.83,
+      valence: 0.64,
+      spectralCentroid: 1850,
+      spectralRolloff: 3900,
+      spectralFlatness: 0.021,
+      rmsDb: -11.2,
+      durationMs: 215000,
+    };
+    const now = new Date('2026-06-01T00:00:00.000Z');
+
+    it('should store the features as a fresh custom analysis', () => {
+      expect(AudioFeaturesService.toFeatureUpdate(features, ' Electronic ', now)).toEqual({
+        $set: {
+          tempo: 121.4,
+          key: 7,
+          mode: 1,
+          energy: 0.71,
+          danceability: 0.83,
+          valence: 0.64,
+          spectralCentroid: 1850,
+          spectralRolloff: 3900,
+          spectralFlatness: 0.021,
+          primaryGenre: 'Electronic',
+          analysisSource: 'custom',
+          lastAnalyzed: now,
+          needsReanalysis: false,
+        },
+      });
+    });
+
+    it('should leave the primary genre alone for songs without one', () => {
+      expect(AudioFeaturesService.toFeatureUpdate(features, null, now).$set).not.toHaveProperty('primaryGenre');
+    });
+  });
+});
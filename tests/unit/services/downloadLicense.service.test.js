@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for DownloadLicenseService
+ */
+
+import jwt from 'jsonwebtoken';
+import DownloadLicenseService from '../../../src/services/downloadLicense.service.js';
+import config from '../../../src/config/index.js';
+import ApiError from '../../../src/utils/apiError.js';
+
+const license = (overrides = {}) => ({
+  id: 'license-1',
+  user_id: 'user-1',
+  song_id: 'song-1',
+  device_id: 'device-a',
+  quality: 'high',
+  expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  ...overrides,
+});
+
+describe('DownloadLicenseService', () => {
+  const originalDownloads = { ...config.downloads };
+
+  beforeEach(() => {
+    config.downloads.licenseSecret = 'test-license-secret';
+    config.downloads.licenseTtlDays = 30;
+  });
+
+  afterAll(() => {
+    Object.assign(config.downloads, originalDownloads);
+  });
+
+  describe('getExpiryDate', () => {
+    it('should add the configured number of days', () => {
+      const days = (DownloadLicenseService.getExpiryDate() - Date.now()) / 86400000;
+      expect(Math.round(days)).toBe(30);
+    });
+  });
+
+  describe('sign / verify', () => {
+    it('should round-trip the licence claims', () => {
+      const token = DownloadLicenseService.sign(license());
+      const claims = DownloadLicenseService.verify(token, 'device-a');
+
+      expect(claims).toMatchObject({
+        sub: 'user-1',
+        sid: 'song-1',
+        did: 'device-a',
+        q: 'high',
+        jti: 'license-1',
+      });
+    });
+
+    it('should reject a token presented by another device', () => {
+      const token = DownloadLicenseService.sign(license());
+      expect(() => DownloadLicenseService.verify(token, 'device-b')).toThrow(
+        'Download license is bound to another device',
+      );
+    });
+
+    it('should reject an expired licence', () => {
+      const token = DownloadLicenseService.sign(
+        license({ expires_at: new Date(Date.now() - 1000).toISOString() }),
+      );
+      expect(() => DownloadLicenseService.verify(token, 'device-a')).toThrow(
+        'Download license has expired',
+      );
+    });
+
+    it('should accept an expired licence when asked to (renewal, revocation)', () => {
+      const token = DownloadLicenseService.sign(
+        license({ expires_at: new Date(Date.now() - 1000).toISOString() }),
+      );
+      const claims = DownloadLicenseService.verify(token, 'device-a', { ignoreExpiration: true });
+      expect(claims.jti).toBe('license-1');
+    });
+
+    it('should reject a token for another licence or user', () => {
+      const token = DownloadLicenseService.sign(license());
+
+      expect(() =>
+        DownloadLicenseService.verify(token, 'device-a', { licenseId: 'license-2', userId: 'user-1' }),
+      ).toThrow('Download license token is for another licence');
+      expect(() =>
+        DownloadLicenseService.verify(token, 'device-a', { licenseId: 'license-1', userId: 'user-2' }),
+      ).toThrow('Download license token is for another licence');
+      expect(
+        DownloadLicenseService.verify(token, 'device-a', { licenseId: 'license-1', userId: 'user-1' }).jti,
+      ).toBe('license-1');
+    });
+
+    it('should reject a token signed with another secret', () => {
+      const token = DownloadLicenseService.sign(license());
+      config.downloads.licenseSecret = 'rotated-secret';
+      expect(() => DownloadLicenseService.verify(token, 'device-a')).toThrow('Invalid download license');
+    });
+
+    it('should reject tokens that are not download licences', () => {
+      const token = jwt.sign({ did: 'device-a' }, 'test-license-secret');
+      expect(() => DownloadLicenseService.verify(token, 'device-a')).toThrow(ApiError);
+    });
+  });
+});
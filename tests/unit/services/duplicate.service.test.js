@@ -0,0 +1,38 @@
+/**
+ * Unit Tests for duplicate upload detection
+ */
+
+import config from '../../../src/config/index.js';
+import DuplicateService from '../../../src/services/duplicate.service.js';
+
+describe('DuplicateService', () => {
+  describe('hashContent', () => {
+    it('should return the hex SHA-256 of the bytes', () => {
+      expect(DuplicateService.hashContent(Buffer.from('abc'))).toBe(
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+      );
+    });
+
+    it('should depend only on the contents', () => {
+      const a = DuplicateService.hashContent(Buffer.from('same bytes'));
+      const b = DuplicateService.hashContent(Buffer.concat([Buffer.from('same '), Buffer.from('bytes')]));
+      expect(a).toBe(b);
+      expect(DuplicateService.hashContent(Buffer.from('other bytes'))).not.toBe(a);
+    });
+  });
+
+  describe('getSongUrl', () => {
+    const originalBaseUrl = config.storage.publicBaseUrl;
+
+    afterAll(() => {
+      config.storage.publicBaseUrl = originalBaseUrl;
+    });
+
+    it('should link to the song on the API', () => {
+      config.storage.publicBaseUrl = 'https://api.example.com';
+      expect(DuplicateService.getSongUrl('song-1')).toBe(
+        `https://api.example.com/api/${config.apiVersion}/songs/song-1`,
+      );
+    });
+  });
+});
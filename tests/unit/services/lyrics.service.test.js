@@ -0,0 +1,110 @@
+/**
+ * Unit Tests for song lyrics
+ */
+
+import LyricsService from '../../../src/services/lyrics.service.js';
+import { LYRICS_CONFIG, LYRICS_FORMATS } from '../../../src/utils/constants.js';
+
+describe('LyricsService', () => {
+  describe('prepare', () => {
+    it('should detect the format and keep the searchable text', () => {
+      const row = LyricsService.prepare('[ar:Someone]\n[00:01.00]First\n[00:02.00]Second', { language: 'en' });
+
+      expect(row).toEqual({
+        format: LYRICS_FORMATS.LRC,
+        source: '[ar:Someone]\n[00:01.00]First\n[00:02.00]Second',
+        plain_text: 'First\nSecond',
+        language: 'en',
+        line_count: 2,
+      });
+    });
+
+    it('should store synced lyrics as plain text when asked to', () => {
+      const row = LyricsService.prepare('[00:01.00]First', { format: LYRICS_FORMATS.PLAIN });
+
+      expect(row.format).toBe(LYRICS_FORMATS.PLAIN);
+      expect(row.plain_text).toBe('[00:01.00]First');
+    });
+
+    it('should reject empty, oversized and untimed synced lyrics', () => {
+      expect.assertions(3);
+      const cases = [
+        ['  \n ', {}],
+        ['x'.repeat(LYRICS_CONFIG.MAX_LENGTH + 1), {}],
+        ['Just words', { format: LYRICS_FORMATS.LRC }],
+      ];
+
+      for (const [text, options] of cases) {
+        try {
+          LyricsService.prepare(text, options);
+        } catch (error) {
+          expect(error.statusCode).toBe(400);
+        }
+      }
+    });
+  });
+
+  describe('toResponse', () => {
+    it('should serve time-coded lines closed by the song duration', () => {
+      const response = LyricsService.toResponse(
+        {
+          song_id: 'song-1',
+          format: LYRICS_FORMATS.LRC,
+          source: '[00:01.00]First\n[00:02.00]Second',
+          language: null,
+          updated_at: '2026-05-01T00:00:00.000Z',
+        },
+        { duration_ms: 3000 },
+      );
+
+      expect(response).toEqual({
+        songId: 'song-1',
+        format: LYRICS_FORMATS.LRC,
+        synced: true,
+        language: null,
+        offsetMs: 0,
+        tags: {},
+        lines: [
+          { startMs: 1000, endMs: 2000, text: 'First' },
+          { startMs: 2000, endMs: 3000, text: 'Second' },
+        ],
+        updatedAt: '2026-05-01T00:00:00.000Z',
+      });
+    });
+  });
+
+  describe('findSongsByText', () => {
+    const originalGetClient = LyricsService.getClient;
+    let patterns;
+
+    const useLyricsTable = result => {
+      patterns = [];
+      const builder = {
+        from: () => builder,
+        select: () => builder,
+        ilike: (column, pattern) => (patterns.push(pattern), builder),
+        limit: async () => result,
+      };
+      LyricsService.getClient = () => builder;
+    };
+
+    afterAll(() => {
+      LyricsService.getClient = originalGetClient;
+    });
+
+    it('should match wildcards in the query literally', async () => {
+      useLyricsTable({ data: [{ song_id: 'song-1', plain_text: 'First\nGive 100% now' }], error: null });
+
+      const matches = await LyricsService.findSongsByText(' 100% ');
+
+      expect(patterns).toEqual(['%100\\%%']);
+      expect(matches).toEqual(new Map([['song-1', 'Give 100% now']]));
+    });
+
+    it('should match nothing instead of failing when the lyrics query fails', async () => {
+      useLyricsTable({ data: null, error: { message: 'statement timeout' } });
+
+      await expect(LyricsService.findSongsByText('anything')).resolves.toEqual(new Map());
+    });
+  });
+});
@@ -0,0 +1,353 @@
+/**
+ * Unit Tests for PlaybackSessionService
+ */
+
+import PlaybackSessionService from '../../../src/services/playbackSession.service.js';
+import AnalyticsService from '../../../src/services/analytics.service.js';
+import { ListeningPattern } from '../../../src/database/models/index.js';
+
+// In-memory stand-in for the few Supabase query shapes the service uses.
+// Every await yields, so concurrent calls interleave as they would over HTTP.
+const createDatabase = tables => {
+  let version = 0;
+  const query = (table, op, values) => {
+    const filters = [];
+    const run = () => {
+      if (op === 'insert') {
+        if (tables[table].some(row => row.id === values.id)) {
+          return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+        }
+        const row = { id: `${table}-${tables[table].length + 1}`, ...values };
+        tables[table].push(row);
+        return { data: [row], error: null };
+      }
+      const rows = tables[table].filter(row => filters.every(match => match(row)));
+      if (op === 'update') {
+        rows.forEach(row => Object.assign(row, values, { updated_at: `v${++version}` }));
+      }
+      return { data: rows.map(row => ({ ...row })), error: null };
+    };
+    const builder = {
+      select: () => builder,
+      limit: () => builder,
+      eq: (column, value) => (filters.push(row => row[column] === value), builder),
+      is: (column, value) => (filters.push(row => (row[column] ?? null) === value), builder),
+      not: (column, operator, value) => (filters.push(row => (row[column] ?? null) !== value), builder),
+      lt: (column, value) => (filters.push(row => row[column] < value), builder),
+      single: async () => {
+        const { data, error } = run();
+        if (error || !data[0]) return { data: null, error: error || { message: 'no rows' } };
+        return { data: data[0], error: null };
+      },
+      maybeSingle: async () => {
+        const { data, error } = run();
+        return { data: data?.[0] || null, error };
+      },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+    };
+    return builder;
+  };
+
+  return {
+    from: table => ({
+      select: () => query(table, 'select'),
+      update: values => query(table, 'update', values),
+      insert: values => query(table, 'insert', values),
+    }),
+  };
+};
+
+const session = (overrides = {}) => ({
+  id: 'session-1',
+  current_song_id: 'song-1',
+  current_duration_ms: 200000,
+  track_position: 2,
+  position_ms: 60000,
+  listened_ms: 60000,
+  ...overrides,
+});
+
+describe('PlaybackSessionService', () => {
+  describe('computeListenedDelta', () => {
+    it('should count normal forward progress', () => {
+      expect(PlaybackSessionService.computeListenedDelta(10000, 25000, 15000)).toBe(15000);
+    });
+
+    it('should add nothing for pauses and backward seeks', () => {
+      expect(PlaybackSessionService.computeListenedDelta(10000, 10000, 15000)).toBe(0);
+      expect(PlaybackSessionService.computeListenedDelta(90000, 5000, 15000)).toBe(0);
+    });
+
+    it('should cap forward seeks at wall-clock time plus slack', () => {
+      expect(PlaybackSessionService.computeListenedDelta(0, 180000, 15000)).toBe(17000);
+    });
+  });
+
+  describe('summarizeTrack', () => {
+    it('should mark a near-full listen as completed and never as skipped', () => {
+      const summary = PlaybackSessionService.summarizeTrack(
+        session({ listened_ms: 190000 }),
+        { skipped: true },
+      );
+
+      expect(summary).toMatchObject({
+        listenedMs: 190000,
+        completionRate: 0.95,
+        completed: true,
+        skipped: false,
+      });
+      expect(summary.skipPosition).toBeUndefined();
+    });
+
+    it('should record the skip position for tracks cut short', () => {
+      const summary = PlaybackSessionService.summarizeTrack(session(), { skipped: true });
+
+      expect(summary).toMatchObject({
+        listenedMs: 60000,
+        completionRate: 0.3,
+        completed: false,
+        skipped: true,
+        skipPosition: 60000,
+      });
+    });
+
+    it('should clamp listened time to the track duration', () => {
+      const summary = PlaybackSessionService.summarizeTrack(
+        session({ listened_ms: 250000 }),
+      );
+      expect(summary.listenedMs).toBe(200000);
+      expect(summary.completionRate).toBe(1);
+    });
+  });
+
+  describe('concurrent requests', () => {
+    const originalGetClient = PlaybackSessionService.getClient;
+    const originalTrackListening = AnalyticsService.trackListening;
+    let tables;
+
+    beforeEach(() => {
+      tables = {
+        songs: [
+          { id: 'song-1', duration_ms: 200000, status: 'ready', deleted_at: null },
+          { id: 'song-2', duration_ms: 180000, status: 'ready', deleted_at: null },
+        ],
+        playback_sessions: [
+          {
+            ...session({ user_id: 'user-1', status: 'active', track_position: 1 }),
+            last_heartbeat_at: new Date(Date.now() - 15000).toISOString(),
+            updated_at: 'v0',
+          },
+        ],
+        user_interactions: [],
+      };
+      const database = createDatabase(tables);
+      PlaybackSessionService.getClient = () => database;
+      AnalyticsService.trackListening = async () => null;
+    });
+
+    afterAll(() => {
+      PlaybackSessionService.getClient = originalGetClient;
+      AnalyticsService.trackListening = originalTrackListening;
+    });
+
+    it('should finalise a track once when two heartbeats change song together', async () => {
+      const results = await Promise.allSettled([
+        PlaybackSessionService.heartbeat('user-1', 'session-1', { songId: 'song-2', positionMs: 1000 }),
+        PlaybackSessionService.heartbeat('user-1', 'session-1', { songId: 'song-2', positionMs: 1000 }),
+      ]);
+
+      const [won, lost] = results.sort(a => (a.status === 'fulfilled' ? -1 : 1));
+      expect(won.status).toBe('fulfilled');
+      expect(won.value.finishedTrack.songId).toBe('song-1');
+      expect(lost.status).toBe('rejected');
+      expect(lost.reason.statusCode).toBe(409);
+
+      expect(tables.user_interactions).toHaveLength(1);
+      expect(tables.playback_sessions[0]).toMatchObject({ current_song_id: 'song-2', track_position: 2 });
+    });
+
+    it('should record the last track once when end races the expiry job', async () => {
+      const results = await Promise.allSettled([
+        PlaybackSessionService.end('user-1', 'session-1'),
+        PlaybackSessionService.close({ ...tables.playback_sessions[0] }, 'expired'),
+      ]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      expect(tables.user_interactions).toHaveLength(1);
+    });
+  });
+
+  describe('pending tracks', () => {
+    const originalGetClient = PlaybackSessionService.getClient;
+    let tables;
+    let database;
+
+    // Same tables, but user_interactions inserts fail
+    const withFailingInserts = () => ({
+      from: table =>
+        table === 'user_interactions'
+          ? { insert: async () => ({ data: null, error: { message: 'connection reset' } }) }
+          : database.from(table),
+    });
+
+    beforeEach(() => {
+      tables = {
+        songs: [
+          { id: 'song-1', duration_ms: 200000, status: 'ready', deleted_at: null },
+          { id: 'song-2', duration_ms: 180000, status: 'ready', deleted_at: null },
+        ],
+        playback_sessions: [
+          {
+            ...session({ user_id: 'user-1', status: 'active', track_position: 1 }),
+            last_heartbeat_at: new Date(Date.now() - 15000).toISOString(),
+            updated_at: 'v0',
+          },
+        ],
+        user_interactions: [],
+      };
+      database = createDatabase(tables);
+      PlaybackSessionService.getClient = () => database;
+    });
+
+    afterAll(() => {
+      PlaybackSessionService.getClient = originalGetClient;
+    });
+
+    it('should keep a track whose insert failed and write it on the next heartbeat', async () => {
+      PlaybackSessionService.getClient = withFailingInserts;
+      const { finishedTrack } = await PlaybackSessionService.heartbeat('user-1', 'session-1', {
+        songId: 'song-2',
+        positionMs: 1000,
+      });
+
+      expect(finishedTrack.songId).toBe('song-1');
+      expect(tables.user_interactions).toHaveLength(0);
+      const pending = tables.playback_sessions[0].pending_track;
+      expect(pending).toMatchObject({ song_id: 'song-1', session_id: 'session-1' });
+
+      PlaybackSessionService.getClient = () => database;
+      await PlaybackSessionService.heartbeat('user-1', 'session-1', { songId: 'song-2', positionMs: 16000 });
+
+      expect(tables.user_interactions).toEqual([pending]);
+      expect(tables.playback_sessions[0].pending_track).toBeNull();
+    });
+
+    it('should not change the session while its pending track cannot be written', async () => {
+      PlaybackSessionService.getClient = withFailingInserts;
+      await PlaybackSessionService.heartbeat('user-1', 'session-1', { songId: 'song-2', positionMs: 1000 });
+      const before = { ...tables.playback_sessions[0] };
+
+      await expect(
+        PlaybackSessionService.end('user-1', 'session-1', { positionMs: 16000 }),
+      ).rejects.toMatchObject({ statusCode: 500 });
+      expect(tables.playback_sessions[0]).toEqual(before);
+    });
+
+    it('should not write a pending track twice', async () => {
+      await PlaybackSessionService.heartbeat('user-1', 'session-1', { songId: 'song-2', positionMs: 1000 });
+      await PlaybackSessionService.end('user-1', 'session-1');
+
+      expect(tables.user_interactions.map(row => row.song_id)).toEqual(['song-1', 'song-2']);
+      expect(tables.playback_sessions[0].pending_track.song_id).toBe('song-2');
+    });
+
+    it('should write the pending tracks of sessions that stopped changing', async () => {
+      PlaybackSessionService.getClient = withFailingInserts;
+      await PlaybackSessionService.end('user-1', 'session-1');
+      tables.playback_sessions[0].updated_at = new Date(Date.now() - 120000).toISOString();
+      tables.playback_sessions.push({
+        id: 'session-2',
+        status: 'active',
+        pending_track: { id: 'interaction-2', song_id: 'song-2' },
+        updated_at: new Date().toISOString(),
+      });
+
+      PlaybackSessionService.getClient = () => database;
+      await expect(PlaybackSessionService.recordPendingTracks()).resolves.toEqual({ recorded: 1, failed: 0 });
+
+      expect(tables.user_interactions.map(row => row.song_id)).toEqual(['song-1']);
+      expect(tables.playback_sessions[0].pending_track).toBeNull();
+      expect(tables.playback_sessions[1].pending_track).not.toBeNull();
+    });
+  });
+
+  describe('listening pattern sync', () => {
+    const originalGetClient = PlaybackSessionService.getClient;
+    const originalTrackListening = AnalyticsService.trackListening;
+    const originalExists = ListeningPattern.exists;
+    const interaction = {
+      id: 'interaction-1',
+      user_id: 'user-1',
+      song_id: 'song-1',
+      action_type: 'skip',
+      session_id: 'session-1',
+      listened_duration_ms: 30000,
+      quality_used: 'high',
+      device_type: 'mobile',
+      network_type: 'wifi',
+      metadata: { source: 'playlist', session_position: 3, skip_position: 30000, duration_ms: 200000 },
+      listening_pattern_pending: true,
+      created_at: '2025-01-01T12:00:00.000Z',
+    };
+    let tables;
+    let written;
+
+    beforeEach(() => {
+      tables = { user_interactions: [{ ...interaction }] };
+      written = [];
+      const database = createDatabase(tables);
+      PlaybackSessionService.getClient = () => database;
+      AnalyticsService.trackListening = async pattern => written.push(pattern);
+      ListeningPattern.exists = async () => null;
+    });
+
+    afterAll(() => {
+      PlaybackSessionService.getClient = originalGetClient;
+      AnalyticsService.trackListening = originalTrackListening;
+      ListeningPattern.exists = originalExists;
+    });
+
+    it('should map an interaction to the same values as the playback record', () => {
+      expect(PlaybackSessionService.toListeningPattern(interaction)).toEqual({
+        userId: 'user-1',
+        songId: 'song-1',
+        playDuration: 30000,
+        songDuration: 200000,
+        skipped: true,
+        skipPosition: 30000,
+        source: 'playlist',
+        deviceType: 'mobile',
+        networkType: 'wifi',
+        quality: 'high',
+        sessionId: 'session-1',
+        sessionPosition: 3,
+        timestamp: new Date('2025-01-01T12:00:00.000Z'),
+      });
+    });
+
+    it('should clear the pending flag once the pattern is written', async () => {
+      await expect(PlaybackSessionService.syncListeningPattern(interaction)).resolves.toBe(true);
+
+      expect(written).toHaveLength(1);
+      expect(tables.user_interactions[0].listening_pattern_pending).toBe(false);
+    });
+
+    it('should leave the interaction pending when the write fails', async () => {
+      AnalyticsService.trackListening = async () => {
+        throw new Error('MongoDB unavailable');
+      };
+
+      await expect(PlaybackSessionService.syncListeningPattern(interaction)).resolves.toBe(false);
+      expect(tables.user_interactions[0].listening_pattern_pending).toBe(true);
+    });
+
+    it('should not write a pattern twice when only the flag update was lost', async () => {
+      ListeningPattern.exists = async () => ({ _id: 'pattern-1' });
+
+      await expect(PlaybackSessionService.syncListeningPattern(interaction)).resolves.toBe(true);
+
+      expect(written).toHaveLength(0);
+      expect(tables.user_interactions[0].listening_pattern_pending).toBe(false);
+    });
+  });
+});
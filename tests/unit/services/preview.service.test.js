@@ -0,0 +1,95 @@
+/**
+ * Unit Tests for PreviewService
+ */
+
+import PreviewService from '../../../src/services/preview.service.js';
+import config from '../../../src/config/index.js';
+
+// MPEG-1 Layer III, 128kbps, 44.1kHz -> 417 bytes / ~26.1ms per frame
+const mp3Buffer = frameCount => {
+  const frames = [];
+  for (let i = 0; i < frameCount; i++) {
+    const frame = Buffer.alloc(417);
+    frame.set([0xff, 0xfb, 0x90, 0x04]);
+    frames.push(frame);
+  }
+  return Buffer.concat(frames);
+};
+
+const wavBuffer = seconds => {
+  const byteRate = 8000 * 2;
+  const buffer = Buffer.alloc(44 + byteRate * seconds);
+  buffer.write('RIFF', 0, 'latin1');
+  buffer.writeUInt32LE(buffer.length - 8, 4);
+  buffer.write('WAVE', 8, 'latin1');
+  buffer.write('fmt ', 12, 'latin1');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(8000, 24);
+  buffer.writeUInt32LE(byteRate, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'latin1');
+  buffer.writeUInt32LE(byteRate * seconds, 40);
+  return buffer;
+};
+
+describe('PreviewService', () => {
+  const originalPreview = { ...config.preview };
+
+  beforeEach(() => {
+    config.preview.startMs = 1000;
+    config.preview.durationMs = 2000;
+  });
+
+  afterAll(() => {
+    Object.assign(config.preview, originalPreview);
+  });
+
+  describe('getClipWindow', () => {
+    it('should use the configured offset and length', () => {
+      expect(PreviewService.getClipWindow(10000)).toEqual({
+        startMs: 1000,
+        durationMs: 2000,
+      });
+    });
+
+    it('should pull the window back for short tracks', () => {
+      expect(PreviewService.getClipWindow(2500)).toEqual({
+        startMs: 500,
+        durationMs: 2000,
+      });
+      expect(PreviewService.getClipWindow(1500)).toEqual({
+        startMs: 0,
+        durationMs: 1500,
+      });
+    });
+  });
+
+  describe('createClip', () => {
+    it('should return null for unsupported formats', () => {
+      expect(PreviewService.createClip(Buffer.alloc(2048), 'audio/flac', 10000)).toBeNull();
+    });
+
+    it('should copy whole MP3 frames inside the window', () => {
+      // ~5.2s of audio
+      const clip = PreviewService.createClip(mp3Buffer(200), 'audio/mpeg', 5224);
+
+      expect(clip.buffer.length % 417).toBe(0);
+      expect(clip.startMs).toBeGreaterThanOrEqual(1000);
+      // Frame-aligned, so within one frame of the requested length
+      expect(Math.abs(clip.durationMs - 2000)).toBeLessThanOrEqual(27);
+    });
+
+    it('should cut PCM and rewrite the WAVE header', () => {
+      const clip = PreviewService.createClip(wavBuffer(5), 'audio/wav', 5000);
+
+      expect(clip.startMs).toBe(1000);
+      expect(clip.durationMs).toBe(2000);
+      expect(clip.buffer.toString('latin1', 0, 4)).toBe('RIFF');
+      expect(clip.buffer.readUInt32LE(40)).toBe(32000);
+      expect(clip.buffer.length).toBe(44 + 32000);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Unit Tests for the media processing queue
+ */
+
+import ProcessingQueueService from '../../../src/services/processingQueue.service.js';
+import ApiError from '../../../src/utils/apiError.js';
+import { PROCESSING_CONFIG } from '../../../src/utils/constants.js';
+
+describe('ProcessingQueueService', () => {
+  describe('getRetryDelaySeconds', () => {
+    it('should back off exponentially', () => {
+      const base = PROCESSING_CONFIG.RETRY_BASE_SECONDS;
+      expect(ProcessingQueueService.getRetryDelaySeconds(1)).toBe(base);
+      expect(ProcessingQueueService.getRetryDelaySeconds(2)).toBe(base * 2);
+      expect(ProcessingQueueService.getRetryDelaySeconds(3)).toBe(base * 4);
+    });
+  });
+
+  describe('isFinalAttempt', () => {
+    const job = { attempts: 1, max_attempts: 3 };
+
+    it('should retry failures until max_attempts', () => {
+      expect(ProcessingQueueService.isFinalAttempt(job, new Error('ffmpeg crashed'))).toBe(false);
+      expect(ProcessingQueueService.isFinalAttempt({ ...job, attempts: 3 }, new Error('ffmpeg crashed'))).toBe(true);
+    });
+
+    it('should not retry rejected input', () => {
+      expect(ProcessingQueueService.isFinalAttempt(job, ApiError.badRequest('Not audio'))).toBe(true);
+      expect(ProcessingQueueService.isFinalAttempt(job, ApiError.conflict('Duplicate'))).toBe(true);
+      expect(ProcessingQueueService.isFinalAttempt(job, ApiError.internal('Storage down'))).toBe(false);
+    });
+  });
+
+  describe('enqueue', () => {
+    it('should not throw when the queue is unavailable', async () => {
+      await expect(ProcessingQueueService.enqueue('song-1')).resolves.toBe(false);
+    });
+  });
+});
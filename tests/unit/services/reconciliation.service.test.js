@@ -0,0 +1,156 @@
+/**
+ * Unit Tests for storage reconciliation
+ */
+
+import fileUploadHelper from '../../../src/services/audioUpload.js';
+import ReconciliationService from '../../../src/services/reconciliation.service.js';
+import { MemoryStorageDriver } from '../../../src/services/storage/index.js';
+import { RECONCILE_CONFIG, SONG_STATUS } from '../../../src/utils/constants.js';
+
+const { KINDS } = RECONCILE_CONFIG;
+const NOW = new Date('2026-05-10T12:00:00.000Z');
+const OLD = new Date('2026-05-01T12:00:00.000Z');
+
+const song = (overrides = {}) => ({
+  id: 'song-1',
+  status: SONG_STATUS.READY,
+  r2_key: 'original/1-a-song.flac',
+  file_sizes: { original: 100, preview: 20, medium: 40 },
+  available_qualities: ['medium'],
+  cover_art_url: null,
+  cover_art_sizes: null,
+  cover_art: null,
+  ...overrides,
+});
+
+const object = (key, size, lastModified = OLD) => ({ key, size, lastModified });
+
+describe('ReconciliationService', () => {
+  describe('getArtworkKey', () => {
+    it('should read the key from public and API route URLs', () => {
+      expect(ReconciliationService.getArtworkKey('https://cdn.example.com/images/songs/song-1/ab12-640.jpg'))
+        .toBe('images/songs/song-1/ab12-640.jpg');
+      expect(ReconciliationService.getArtworkKey('http://localhost:3000/api/v1/storage/images/playlists/p%201/ab12-64.jpg'))
+        .toBe('images/playlists/p 1/ab12-64.jpg');
+    });
+
+    it('should ignore other URLs', () => {
+      expect(ReconciliationService.getArtworkKey('https://example.com/cover.jpg')).toBeNull();
+      expect(ReconciliationService.getArtworkKey(null)).toBeNull();
+    });
+  });
+
+  describe('buildInventory', () => {
+    it('should expect the original, preview, tiers, embedded cover and waveform with their sizes', () => {
+      const { expected, hlsPrefixes } = ReconciliationService.buildInventory({
+        songs: [
+          song({
+            cover_art: { source: 'embedded', key: 'covers/1-a-song.jpg', size: 7 },
+            waveform: { key: 'waveforms/1-a-song.json', size: 9, points: 1024 },
+          }),
+        ],
+      });
+
+      expect(Object.fromEntries([...expected].map(([key, entry]) => [key, [entry.kind, entry.size]]))).toEqual({
+        'original/1-a-song.flac': [KINDS.ORIGINAL, 100],
+        'previews/1-a-song.flac': [KINDS.PREVIEW, 20],
+        'medium/1-a-song.aac': [KINDS.TIER, 40],
+        'covers/1-a-song.jpg': [KINDS.COVER, 7],
+        'waveforms/1-a-song.json': [KINDS.WAVEFORM, 9],
+      });
+      expect([...hlsPrefixes]).toEqual(['hls/song-1/medium/']);
+    });
+
+    it('should reference artwork of songs and playlists and keys of uploads in progress', () => {
+      const { expected, referenced } = ReconciliationService.buildInventory({
+        songs: [
+          song({
+            cover_art_url: 'https://cdn.example.com/images/songs/song-1/ab-640.jpg',
+            cover_art_sizes: { small: 'https://cdn.example.com/images/songs/song-1/ab-64.jpg' },
+          }),
+        ],
+        playlists: [{ id: 'pl-1', cover_image_url: 'https://cdn.example.com/images/playlists/pl-1/cd-640.jpg' }],
+        uploadKeys: ['original/2-uploading.mp3'],
+      });
+
+      expect(expected.get('images/songs/song-1/ab-64.jpg')).toMatchObject({ kind: KINDS.ARTWORK, songId: 'song-1' });
+      expect(expected.get('images/playlists/pl-1/cd-640.jpg')).toMatchObject({ kind: KINDS.ARTWORK, playlistId: 'pl-1' });
+      expect(referenced.has('original/2-uploading.mp3')).toBe(true);
+    });
+  });
+
+  describe('compare', () => {
+    it('should report objects nothing references, leaving recent ones alone', () => {
+      const inventory = ReconciliationService.buildInventory({ songs: [song()] });
+      const report = ReconciliationService.compare(
+        [
+          object('original/1-a-song.flac', 100),
+          object('previews/1-a-song.flac', 20),
+          object('medium/1-a-song.aac', 40),
+          object('hls/song-1/medium/segment_00000.aac', 5),
+          object('hls/song-1/high/segment_00000.aac', 5),
+          object('original/9-deleted.mp3', 80),
+          object('original/10-uploading.mp3', 80, new Date('2026-05-10T11:00:00.000Z')),
+        ],
+        inventory,
+        { now: NOW, graceMs: 24 * 60 * 60 * 1000 },
+      );
+
+      expect(report.orphanObjects).toEqual([
+        { key: 'hls/song-1/high/segment_00000.aac', size: 5 },
+        { key: 'original/9-deleted.mp3', size: 80 },
+      ]);
+      expect(report.skippedRecent).toBe(1);
+      expect(report.missingObjects).toEqual([]);
+      expect(report.sizeMismatches).toEqual([]);
+    });
+
+    it('should report missing files of ready songs only', () => {
+      const inventory = ReconciliationService.buildInventory({
+        songs: [song(), song({ id: 'song-2', status: SONG_STATUS.PENDING, r2_key: 'original/2-pending.mp3', file_sizes: {} })],
+      });
+      const report = ReconciliationService.compare([object('original/1-a-song.flac', 100)], inventory, { now: NOW });
+
+      expect(report.missingObjects).toEqual([
+        { key: 'previews/1-a-song.flac', kind: KINDS.PREVIEW, quality: 'preview', songId: 'song-1' },
+        { key: 'medium/1-a-song.aac', kind: KINDS.TIER, quality: 'medium', songId: 'song-1' },
+      ]);
+    });
+
+    it('should report sizes that differ from file_sizes', () => {
+      const inventory = ReconciliationService.buildInventory({ songs: [song()] });
+      const report = ReconciliationService.compare(
+        [object('original/1-a-song.flac', 100), object('previews/1-a-song.flac', 20), object('medium/1-a-song.aac', 41)],
+        inventory,
+        { now: NOW },
+      );
+
+      expect(report.sizeMismatches).toEqual([
+        { key: 'medium/1-a-song.aac', kind: KINDS.TIER, quality: 'medium', songId: 'song-1', expected: 40, actual: 41 },
+      ]);
+    });
+  });
+
+  describe('listObjects', () => {
+    let originalDriver;
+
+    beforeEach(() => {
+      originalDriver = fileUploadHelper.driver;
+      fileUploadHelper.setDriver(new MemoryStorageDriver());
+    });
+
+    afterEach(() => {
+      fileUploadHelper.setDriver(originalDriver);
+    });
+
+    it('should list the managed folders only', async () => {
+      const keys = ['original/a.mp3', 'low/a.aac', 'covers/a.jpg', 'images/songs/s/x-64.jpg', 'hls/s/low/segment_00000.aac', 'tmp/other'];
+      for (const key of keys) {
+        await fileUploadHelper.uploadFile(Buffer.from(key), key, 'application/octet-stream');
+      }
+
+      const listed = (await ReconciliationService.listObjects()).map(item => item.key);
+      expect(listed.sort()).toEqual(keys.filter(key => key !== 'tmp/other').sort());
+    });
+  });
+});
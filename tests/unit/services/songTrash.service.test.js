@@ -0,0 +1,82 @@
+/**
+ * Unit Tests for the song trash
+ */
+
+import config from '../../../src/config/index.js';
+import fileUploadHelper from '../../../src/services/audioUpload.js';
+import ArtworkService from '../../../src/services/artwork.service.js';
+import SongTrashService from '../../../src/services/songTrash.service.js';
+import { MemoryStorageDriver } from '../../../src/services/storage/index.js';
+import { ARTWORK_CONFIG, AUDIO_QUALITIES } from '../../../src/utils/constants.js';
+
+describe('SongTrashService', () => {
+  const originalStorage = { ...config.storage };
+  const originalRetention = config.trash.retentionDays;
+
+  beforeEach(() => {
+    config.storage.publicBaseUrl = 'http://localhost:3000';
+    config.trash.retentionDays = 30;
+  });
+
+  afterAll(() => {
+    Object.assign(config.storage, originalStorage);
+    config.trash.retentionDays = originalRetention;
+  });
+
+  describe('retention window', () => {
+    it('should place the cutoff one retention period back', () => {
+      const now = new Date('2026-03-31T12:00:00.000Z');
+      expect(SongTrashService.getRetentionCutoff(now)).toBe('2026-03-01T12:00:00.000Z');
+
+      config.trash.retentionDays = 7;
+      expect(SongTrashService.getRetentionCutoff(now)).toBe('2026-03-24T12:00:00.000Z');
+    });
+
+    it('should purge a song one retention period after it was trashed', () => {
+      expect(SongTrashService.getPurgeAt('2026-03-01T12:00:00.000Z')).toBe('2026-03-31T12:00:00.000Z');
+    });
+  });
+
+  describe('removeFiles', () => {
+    let originalDriver;
+
+    beforeEach(() => {
+      originalDriver = fileUploadHelper.driver;
+      fileUploadHelper.setDriver(new MemoryStorageDriver());
+    });
+
+    afterEach(() => {
+      fileUploadHelper.setDriver(originalDriver);
+    });
+
+    const put = key => fileUploadHelper.uploadFile(Buffer.from(key), key, 'application/octet-stream');
+
+    it('should delete the original, preview, tiers, segments, artwork and waveform but nothing else', async () => {
+      const original = 'original/1-a-song.mp3';
+      const song = {
+        id: 'song-1',
+        r2_key: original,
+        file_sizes: { original: 10, preview: 5, low: 3 },
+        metadata: { cover_art: { key: 'covers/1-a-song.jpg' } },
+        waveform: { key: fileUploadHelper.getWaveformFileKey(original) },
+      };
+      const artworkPrefix = ArtworkService.getPrefix(ARTWORK_CONFIG.KINDS.SONG, song.id);
+      const keys = [
+        original,
+        fileUploadHelper.getQualityFileKey(original, AUDIO_QUALITIES.PREVIEW),
+        fileUploadHelper.getQualityFileKey(original, AUDIO_QUALITIES.LOW),
+        fileUploadHelper.generateHlsSegmentKey(song.id, AUDIO_QUALITIES.LOW, 0),
+        'covers/1-a-song.jpg',
+        `${artworkPrefix}abc-640.jpg`,
+        'waveforms/1-a-song.json',
+      ];
+      const unrelated = ['original/2-other.mp3', fileUploadHelper.generateHlsSegmentKey('song-2', 'low', 0)];
+      for (const key of [...keys, ...unrelated]) await put(key);
+
+      await SongTrashService.removeFiles(song);
+
+      const { files } = await fileUploadHelper.listFiles('');
+      expect(files.map(file => file.key).sort()).toEqual(unrelated.sort());
+    });
+  });
+});
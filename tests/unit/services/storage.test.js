@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for storage drivers and signed URLs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../../../src/config/index.js';
+import {
+  createStorageDriver,
+  LocalStorageDriver,
+  MemoryStorageDriver,
+} from '../../../src/services/storage/index.js';
+import {
+  createSignedUrl,
+  verifySignedUrl,
+} from '../../../src/services/storage/signedUrl.js';
+
+const readStream = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('storage', () => {
+  const originalStorage = { ...config.storage };
+
+  beforeEach(() => {
+    config.storage.signingSecret = 'test-storage-secret';
+    config.storage.publicBaseUrl = 'http://localhost:3000';
+  });
+
+  afterAll(() => {
+    Object.assign(config.storage, originalStorage);
+  });
+
+  describe('createStorageDriver', () => {
+    it('should create drivers by name', () => {
+      expect(createStorageDriver('memory')).toBeInstanceOf(MemoryStorageDriver);
+    });
+
+    it('should reject unknown drivers', () => {
+      expect(() => createStorageDriver('ftp')).toThrow('Unknown storage driver');
+    });
+  });
+
+  describe('signed URLs', () => {
+    const parse = url => {
+      const { pathname, searchParams } = new URL(url);
+      return {
+        key: decodeURIComponent(pathname.replace('/api/v1/storage/files/', '')),
+        expires: searchParams.get('expires'),
+        signature: searchParams.get('signature'),
+      };
+    };
+
+    it('should verify a URL it signed', () => {
+      const { key, expires, signature } = parse(createSignedUrl('original/a b.mp3', 60));
+      expect(key).toBe('original/a b.mp3');
+      expect(verifySignedUrl(key, expires, signature)).toBe(true);
+    });
+
+    it('should bind the signature to the HTTP method', () => {
+      const { key, expires, signature } = parse(
+        createSignedUrl('original/a.mp3', 60, { method: 'PUT' }),
+      );
+      expect(verifySignedUrl(key, expires, signature, 'PUT')).toBe(true);
+      expect(verifySignedUrl(key, expires, signature)).toBe(false);
+
+      const download = parse(createSignedUrl('original/a.mp3', 60));
+      expect(verifySignedUrl(key, download.expires, download.signature, 'PUT')).toBe(false);
+    });
+
+    it('should reject other keys, tampered signatures and expired URLs', () => {
+      const { expires, signature } = parse(createSignedUrl('original/a.mp3', 60));
+      expect(verifySignedUrl('original/b.mp3', expires, signature)).toBe(false);
+      expect(verifySignedUrl('original/a.mp3', expires, 'ab'.repeat(32))).toBe(false);
+
+      const expired = parse(createSignedUrl('original/a.mp3', -10));
+      expect(
+        verifySignedUrl('original/a.mp3', expired.expires, expired.signature),
+      ).toBe(false);
+    });
+  });
+
+  describe.each([
+    ['memory', () => new MemoryStorageDriver()],
+    [
+      'local',
+      () => new LocalStorageDriver(fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'))),
+    ],
+  ])('%s driver', (name, create) => {
+    let driver;
+
+    beforeEach(() => {
+      driver = create();
+    });
+
+    afterEach(() => {
+      if (name === 'local') fs.rmSync(driver.root, { recursive: true, force: true });
+    });
+
+    it('should put, head and read back ranges', async () => {
+      await driver.put('original/song.mp3', Buffer.from('0123456789'), {
+        contentType: 'audio/mpeg',
+        metadata: { quality: 'original' },
+      });
+
+      const file = await driver.head('original/song.mp3');
+      expect(file).toMatchObject({
+        size: 10,
+        contentType: 'audio/mpeg',
+        metadata: { quality: 'original' },
+      });
+      expect(file.etag).toBeTruthy();
+
+      const object = await driver.getStream('original/song.mp3', { start: 2, end: 5 });
+      expect(object.contentRange).toBe('bytes 2-5/10');
+      expect(await readStream(object.body)).toBe('2345');
+    });
+
+    it('should report missing files', async () => {
+      expect(await driver.head('original/missing.mp3')).toBeNull();
+      await expect(driver.getStream('original/missing.mp3')).rejects.toThrow(
+        'File not found',
+      );
+    });
+
+    it('should list by prefix with a cursor and delete', async () => {
+      for (const key of ['original/a.mp3', 'original/b.mp3', 'high/a.mp3']) {
+        await driver.put(key, Buffer.from('x'), { contentType: 'audio/mpeg' });
+      }
+
+      const first = await driver.list('original/', { limit: 1 });
+      expect(first.files.map(file => file.key)).toEqual(['original/a.mp3']);
+
+      const second = await driver.list('original/', { cursor: first.cursor, limit: 1 });
+      expect(second.files.map(file => file.key)).toEqual(['original/b.mp3']);
+      expect(second.cursor).toBeNull();
+
+      await driver.delete('original/a.mp3');
+      expect(await driver.head('original/a.mp3')).toBeNull();
+    });
+
+    it('should assemble multipart uploads in part order', async () => {
+      const uploadId = await driver.createMultipartUpload('original/big.mp3', {
+        contentType: 'audio/mpeg',
+      });
+      const second = await driver.uploadPart('original/big.mp3', uploadId, 2, Buffer.from('world'));
+      const first = await driver.uploadPart('original/big.mp3', uploadId, 1, Buffer.from('hello '));
+      expect(first.size).toBe(6);
+
+      // Parts stay out of listings until the upload completes
+      expect((await driver.list('')).files).toEqual([]);
+
+      await driver.completeMultipartUpload('original/big.mp3', uploadId, [
+        { partNumber: 1, etag: first.etag },
+        { partNumber: 2, etag: second.etag },
+      ]);
+
+      const object = await driver.getStream('original/big.mp3');
+      expect(await readStream(object.body)).toBe('hello world');
+      expect(await driver.head('original/big.mp3')).toMatchObject({
+        size: 11,
+        contentType: 'audio/mpeg',
+      });
+    });
+
+    it('should reject changed parts and forget aborted uploads', async () => {
+      const uploadId = await driver.createMultipartUpload('original/big.mp3');
+      const part = await driver.uploadPart('original/big.mp3', uploadId, 1, Buffer.from('a'));
+      await driver.uploadPart('original/big.mp3', uploadId, 1, Buffer.from('b'));
+
+      await expect(
+        driver.completeMultipartUpload('original/big.mp3', uploadId, [
+          { partNumber: 1, etag: part.etag },
+        ]),
+      ).rejects.toThrow('Multipart upload parts are missing or have changed');
+      expect(await driver.head('original/big.mp3')).toBeNull();
+
+      await driver.abortMultipartUpload('original/big.mp3', uploadId);
+      await expect(
+        driver.uploadPart('original/big.mp3', uploadId, 2, Buffer.from('c')),
+      ).rejects.toThrow('Multipart upload not found');
+    });
+  });
+
+  describe('local driver', () => {
+    it('should refuse keys outside its root', async () => {
+      const driver = new LocalStorageDriver(os.tmpdir());
+      await expect(driver.put('../escape', Buffer.from('x'))).rejects.toThrow(
+        'Invalid storage key',
+      );
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit Tests for StreamLimitService
+ */
+
+import StreamLimitService from '../../../src/services/streamLimit.service.js';
+import { ERROR_CODES } from '../../../src/utils/constants.js';
+
+const now = Date.parse('2026-01-01T12:00:00Z');
+const stream = (deviceId, secondsAgo) => ({
+  deviceId,
+  lastSeenAt: new Date(now - secondsAgo * 1000).toISOString(),
+});
+
+describe('StreamLimitService', () => {
+  describe('splitStale', () => {
+    it('should drop streams without a recent heartbeat and sort the rest', () => {
+      const { active, stale } = StreamLimitService.splitStale(
+        [stream('phone', 10), stream('tv', 300), stream('laptop', 60)],
+        now,
+      );
+
+      expect(active.map(s => s.deviceId)).toEqual(['laptop', 'phone']);
+      expect(stale.map(s => s.deviceId)).toEqual(['tv']);
+    });
+  });
+
+  describe('findConflict', () => {
+    const active = [stream('laptop', 60), stream('phone', 10)];
+
+    it('should let a device that already holds a slot continue', () => {
+      expect(StreamLimitService.findConflict(active, 'phone', 2)).toBeNull();
+    });
+
+    it('should allow a new device while under the cap', () => {
+      expect(StreamLimitService.findConflict(active, 'tv', 3)).toBeNull();
+    });
+
+    it('should report the quietest device once the cap is reached', () => {
+      expect(StreamLimitService.findConflict(active, 'tv', 2)).toEqual(active[0]);
+    });
+
+    it('should not limit when the cap is 0', () => {
+      expect(StreamLimitService.findConflict(active, 'tv', 0)).toBeNull();
+    });
+  });
+
+  describe('parseClaimReply', () => {
+    it('should return the claimed stream', () => {
+      const claimed = { ...stream('phone', 0), deviceName: 'Pixel', songId: 's1' };
+      expect(StreamLimitService.parseClaimReply(['ok', JSON.stringify(claimed)], 'phone', 2, now)).toEqual(claimed);
+    });
+
+    it('should accept entries the client already deserialised', () => {
+      const claimed = stream('phone', 0);
+      expect(StreamLimitService.parseClaimReply(['ok', claimed], 'phone', 2, now)).toEqual(claimed);
+    });
+
+    it('should report the quietest device when the cap is reached', () => {
+      expect.assertions(3);
+      try {
+        StreamLimitService.parseClaimReply(
+          ['conflict', JSON.stringify(stream('phone', 10)), JSON.stringify(stream('laptop', 60))],
+          'tv',
+          2,
+          now,
+        );
+      } catch (error) {
+        expect(error.statusCode).toBe(409);
+        expect(error.errors[0].code).toBe(ERROR_CODES.STREAM_LIMIT_REACHED);
+        expect(error.errors[0].conflictingDevice.deviceId).toBe('laptop');
+      }
+    });
+
+    it('should tell a kicked device it was stopped', () => {
+      expect.assertions(2);
+      try {
+        StreamLimitService.parseClaimReply(['kicked'], 'tv', 2, now);
+      } catch (error) {
+        expect(error.statusCode).toBe(409);
+        expect(error.errors[0]).toEqual({ code: ERROR_CODES.STREAM_KICKED, deviceId: 'tv' });
+      }
+    });
+  });
+});
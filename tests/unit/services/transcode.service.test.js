@@ -0,0 +1,84 @@
+/**
+ * Unit Tests for quality tier transcoding
+ */
+
+import config from '../../../src/config/index.js';
+import fileUploadHelper from '../../../src/services/audioUpload.js';
+import { MemoryStorageDriver } from '../../../src/services/storage/index.js';
+import TranscodeService from '../../../src/services/transcode.service.js';
+import { AUDIO_QUALITIES } from '../../../src/utils/constants.js';
+
+describe('TranscodeService', () => {
+  describe('planTiers', () => {
+    const bitrates = { high: 320, medium: 128, low: 64 };
+
+    it('should skip tiers above the source bitrate', () => {
+      expect(TranscodeService.planTiers(192, bitrates)).toEqual({ medium: 128, low: 64 });
+      expect(TranscodeService.planTiers(128, bitrates)).toEqual({ medium: 128, low: 64 });
+      expect(TranscodeService.planTiers(48, bitrates)).toEqual({});
+    });
+
+    it('should produce every tier when the source bitrate is unknown', () => {
+      expect(TranscodeService.planTiers(null, bitrates)).toEqual(bitrates);
+      expect(TranscodeService.planTiers(null)).toEqual(config.audio.bitrates);
+    });
+  });
+
+  describe('rendition keys', () => {
+    it('should store tiers as AAC next to the original and keep preview extensions', () => {
+      const original = 'original/123-abc-song.flac';
+
+      expect(fileUploadHelper.getQualityFileKey(original, AUDIO_QUALITIES.HIGH)).toBe('high/123-abc-song.aac');
+      expect(fileUploadHelper.getQualityFileKey(original, AUDIO_QUALITIES.LOW)).toBe('low/123-abc-song.aac');
+      expect(fileUploadHelper.getQualityFileKey(original, AUDIO_QUALITIES.PREVIEW)).toBe('previews/123-abc-song.flac');
+      expect(fileUploadHelper.getQualityFileKey(original, AUDIO_QUALITIES.ORIGINAL)).toBe(original);
+    });
+  });
+
+  describe('uploadMultipleQualities and removeRenditions', () => {
+    const originalStorage = { ...config.storage };
+    let originalDriver;
+
+    beforeEach(() => {
+      config.storage.publicBaseUrl = 'http://localhost:3000';
+      originalDriver = fileUploadHelper.driver;
+      fileUploadHelper.setDriver(new MemoryStorageDriver());
+    });
+
+    afterEach(() => {
+      fileUploadHelper.setDriver(originalDriver);
+      Object.assign(config.storage, originalStorage);
+    });
+
+    const listKeys = async () => (await fileUploadHelper.listFiles('')).files.map(file => file.key).sort();
+
+    it('should upload tiers where streaming looks for them and delete them with the segments', async () => {
+      const original = 'original/1-a-song.mp3';
+      await fileUploadHelper.uploadFile(Buffer.from('original'), original, 'audio/mpeg');
+
+      const upload = await fileUploadHelper.uploadMultipleQualities(
+        { high: Buffer.from('high tier'), low: Buffer.from('low') },
+        original,
+        'audio/aac',
+      );
+      expect(upload.results.high).toMatchObject({ key: 'high/1-a-song.aac', size: 9 });
+      expect(upload.errors).toBeUndefined();
+
+      for (const index of [0, 1]) {
+        await fileUploadHelper.uploadFile(
+          Buffer.from('segment'),
+          fileUploadHelper.generateHlsSegmentKey('song-1', 'high', index),
+          'audio/aac',
+        );
+      }
+
+      await TranscodeService.removeRenditions({
+        id: 'song-1',
+        r2_key: original,
+        file_sizes: { original: 8, high: 9, low: 3 },
+      });
+
+      expect(await listKeys()).toEqual([original]);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit Tests for resumable upload session planning
+ */
+
+import UploadSessionService from '../../../src/services/uploadSession.service.js';
+import { UPLOAD_SESSION_CONFIG } from '../../../src/utils/constants.js';
+
+const MB = 1024 * 1024;
+
+describe('UploadSessionService', () => {
+  describe('planParts', () => {
+    it('should split a file into parts of the requested size', () => {
+      expect(UploadSessionService.planParts(20 * MB, 8 * MB)).toEqual({
+        partSize: 8 * MB,
+        totalParts: 3,
+      });
+    });
+
+    it('should keep the part size within the allowed range', () => {
+      expect(UploadSessionService.planParts(20 * MB, 1).partSize).toBe(
+        UPLOAD_SESSION_CONFIG.MIN_PART_SIZE,
+      );
+      expect(UploadSessionService.planParts(20 * MB, 1024 * MB).partSize).toBe(
+        UPLOAD_SESSION_CONFIG.MAX_PART_SIZE,
+      );
+    });
+
+    it('should grow parts so the file fits in the part limit', () => {
+      const fileSize = UPLOAD_SESSION_CONFIG.MIN_PART_SIZE * UPLOAD_SESSION_CONFIG.MAX_PARTS * 2;
+      const plan = UploadSessionService.planParts(fileSize, UPLOAD_SESSION_CONFIG.MIN_PART_SIZE);
+      expect(plan.totalParts).toBeLessThanOrEqual(UPLOAD_SESSION_CONFIG.MAX_PARTS);
+    });
+
+    it('should use a single part for small files', () => {
+      expect(UploadSessionService.planParts(1000).totalParts).toBe(1);
+    });
+  });
+
+  describe('expectedPartSize', () => {
+    const session = { file_size: 20 * MB, part_size: 8 * MB, total_parts: 3 };
+
+    it('should expect full parts except for the last one', () => {
+      expect(UploadSessionService.expectedPartSize(session, 1)).toBe(8 * MB);
+      expect(UploadSessionService.expectedPartSize(session, 2)).toBe(8 * MB);
+      expect(UploadSessionService.expectedPartSize(session, 3)).toBe(4 * MB);
+    });
+
+    it('should reject part numbers outside the session', () => {
+      expect(UploadSessionService.expectedPartSize(session, 0)).toBeNull();
+      expect(UploadSessionService.expectedPartSize(session, 4)).toBeNull();
+      expect(UploadSessionService.expectedPartSize(session, 1.5)).toBeNull();
+    });
+  });
+
+  describe('findMissingParts', () => {
+    it('should list parts not yet received', () => {
+      const parts = [{ part_number: 1 }, { part_number: 4 }, { part_number: 2 }];
+      expect(UploadSessionService.findMissingParts(5, parts)).toEqual([3, 5]);
+      expect(UploadSessionService.findMissingParts(2, [])).toEqual([1, 2]);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Unit Tests for song waveforms
+ */
+
+import fileUploadHelper from '../../../src/services/audioUpload.js';
+import WaveformService from '../../../src/services/waveform.service.js';
+import { WAVEFORM_CONFIG } from '../../../src/utils/constants.js';
+
+describe('WaveformService', () => {
+  describe('getWaveformFileKey', () => {
+    it('should store the waveform next to the audio, named after the original', () => {
+      expect(fileUploadHelper.getWaveformFileKey('original/1-a-song.flac')).toBe(
+        `${WAVEFORM_CONFIG.FOLDER}1-a-song${WAVEFORM_CONFIG.EXTENSION}`,
+      );
+    });
+  });
+
+  describe('toResponse', () => {
+    const stored = { version: 1, scale: 255, durationMs: 4000, peaks: [10, 200, 30, 40, 255, 0, 60, 70] };
+
+    it('should serve the stored points by default', () => {
+      expect(WaveformService.toResponse('song-1', stored)).toEqual({
+        songId: 'song-1',
+        resolution: 8,
+        scale: 255,
+        durationMs: 4000,
+        peaks: stored.peaks,
+      });
+    });
+
+    it('should downsample to the requested resolution', () => {
+      const response = WaveformService.toResponse('song-1', stored, 4);
+
+      expect(response.resolution).toBe(4);
+      expect(response.peaks).toEqual([200, 40, 255, 70]);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for artist name normalisation
+ */
+
+import { normalizeArtistName, cleanArtistName, slugifyArtistName } from '../../../src/utils/artistName.js';
+
+describe('artistName', () => {
+  describe('normalizeArtistName', () => {
+    it('matches credits that differ only in case and whitespace', () => {
+      expect(normalizeArtistName('Drake')).toBe('drake');
+      expect(normalizeArtistName('drake ')).toBe('drake');
+      expect(normalizeArtistName('  Florence   +\tThe Machine ')).toBe('florence + the machine');
+    });
+
+    it('applies NFKC so compatibility forms match', () => {
+      expect(normalizeArtistName('Ｄｒａｋｅ')).toBe('drake');
+      expect(normalizeArtistName('Beyonce\u0301')).toBe(normalizeArtistName('Beyonc\u00e9'));
+    });
+
+    it('returns null for blank or missing credits', () => {
+      expect(normalizeArtistName('   ')).toBeNull();
+      expect(normalizeArtistName(null)).toBeNull();
+      expect(normalizeArtistName(undefined)).toBeNull();
+    });
+  });
+
+  describe('cleanArtistName', () => {
+    it('keeps case but collapses whitespace', () => {
+      expect(cleanArtistName('  The   Weeknd ')).toBe('The Weeknd');
+    });
+  });
+
+  describe('slugifyArtistName', () => {
+    it('builds URL slugs from letters and digits', () => {
+      expect(slugifyArtistName('Florence + The Machine')).toBe('florence-the-machine');
+      expect(slugifyArtistName('AC/DC')).toBe('ac-dc');
+      expect(slugifyArtistName('  blink-182 ')).toBe('blink-182');
+    });
+
+    it('keeps letters of other scripts', () => {
+      expect(slugifyArtistName('Sigur Rós')).toBe('sigur-rós');
+      expect(slugifyArtistName('坂本 龍一')).toBe('坂本-龍一');
+    });
+
+    it('falls back when nothing is left', () => {
+      expect(slugifyArtistName('!!!')).toBe('artist');
+      expect(slugifyArtistName('')).toBe('artist');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for audio feature extraction
+ */
+
+import {
+  createFeatureAnalyser,
+  createFft,
+  deriveDescriptors,
+  estimateKey,
+} from '../../../src/utils/audioFeatures.js';
+import { FEATURE_CONFIG } from '../../../src/utils/constants.js';
+
+const SAMPLE_RATE = FEATURE_CONFIG.SAMPLE_RATE;
+
+/**
+ * Sum of equal sines
+ * @param {number[]} frequencies - Hz
+ * @param {number} seconds - Length
+ * @returns {Float32Array} Mono samples
+ */
+const tones = (frequencies, seconds) =>
+  Float32Array.from({ length: SAMPLE_RATE * seconds }, (_, i) =>
+    frequencies.reduce((sum, frequency) => sum + 0.2 * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE), 0),
+  );
+
+/**
+ * Short decaying 1 kHz blips on every beat
+ * @param {number} bpm - Beats per minute
+ * @param {number} seconds - Length
+ * @returns {Float32Array} Mono samples
+ */
+const clickTrack = (bpm, seconds) => {
+  const samples = new Float32Array(SAMPLE_RATE * seconds);
+  const period = (SAMPLE_RATE * 60) / bpm;
+  for (let beat = 0; beat * period < samples.length; beat++) {
+    const start = Math.round(beat * period);
+    for (let i = 0; i < 400 && start + i < samples.length; i++) {
+      samples[start + i] = 0.8 * Math.exp(-i / 80) * Math.sin((2 * Math.PI * 1000 * i) / SAMPLE_RATE);
+    }
+  }
+  return samples;
+};
+
+const analyse = samples => {
+  const analyser = createFeatureAnalyser();
+  for (let start = 0; start < samples.length; start += FEATURE_CONFIG.READ_CHUNK_FRAMES) {
+    analyser.write(samples.subarray(start, start + FEATURE_CONFIG.READ_CHUNK_FRAMES));
+  }
+  return analyser.finish();
+};
+
+describe('Audio feature extraction', () => {
+  describe('createFft', () => {
+    it('should put a sine in its bin', () => {
+      const size = 64;
+      const re = Float64Array.from({ length: size }, (_, i) => Math.cos((2 * Math.PI * 5 * i) / size));
+      const im = new Float64Array(size);
+      createFft(size)(re, im);
+
+      const magnitudes = Array.from(re, (value, k) => Math.hypot(value, im[k]));
+      expect(magnitudes[5]).toBeCloseTo(size / 2, 6);
+      expect(magnitudes[59]).toBeCloseTo(size / 2, 6);
+      expect(magnitudes[4]).toBeCloseTo(0, 6);
+    });
+
+    it('should reject sizes that are not a power of two', () => {
+      expect(() => createFft(1000)).toThrow('power of two');
+    });
+  });
+
+  describe('tempo', () => {
+    it.each([90, 120, 150])('should find %i BPM in a click track', bpm => {
+      const features = analyse(clickTrack(bpm, 12));
+
+      expect(Math.abs(features.tempo - bpm)).toBeLessThan(1.5);
+      expect(features.danceability).toBeGreaterThan(0.7);
+    });
+
+    it('should leave the tempo unknown without a beat', () => {
+      const features = analyse(tones([261.63, 329.63, 392], 10));
+
+      expect(features.tempo).toBeNull();
+      expect(features.danceability).toBeLessThan(0.3);
+    });
+  });
+
+  describe('key and mode', () => {
+    it('should recognise major and minor triads', () => {
+      expect(analyse(tones([261.63, 329.63, 392], 5))).toMatchObject({ key: 0, mode: 1 }); // C major
+      expect(analyse(tones([220, 261.63, 329.63], 5))).toMatchObject({ key: 9, mode: 0 }); // A minor
+      expect(analyse(tones([369.99, 466.16, 554.37], 5))).toMatchObject({ key: 6, mode: 1 }); // F# major
+    });
+
+    it('should report no key for an empty chromagram', () => {
+      expect(estimateKey(new Array(12).fill(0))).toEqual({ key: -1, mode: null, strength: 0 });
+    });
+  });
+
+  describe('spectral features and energy', () => {
+    it('should centre a pure tone on its frequency', () => {
+      const features = analyse(tones([1000], 5));
+
+      expect(features.spectralCentroid).toBeGreaterThan(980);
+      expect(features.spectralCentroid).toBeLessThan(1020);
+      expect(features.spectralFlatness).toBeLessThan(0.01);
+    });
+
+    it('should rate silence as no energy with no spectral features', () => {
+      const features = analyse(new Float32Array(SAMPLE_RATE * 5));
+
+      expect(features).toMatchObject({
+        tempo: null,
+        key: -1,
+        mode: null,
+        energy: 0,
+        spectralCentroid: null,
+        durationMs: 5000,
+      });
+    });
+
+    it('should rate loud, fast, major music as more energetic and positive', () => {
+      const calm = deriveDescriptors({ rmsDb: -30, centroidHz: 800, bpm: 70, pulse: 0.05, mode: 0 });
+      const lively = deriveDescriptors({ rmsDb: -9, centroidHz: 2500, bpm: 124, pulse: 0.6, mode: 1 });
+
+      expect(lively.energy).toBeGreaterThan(calm.energy);
+      expect(lively.danceability).toBeGreaterThan(calm.danceability);
+      expect(lively.valence).toBeGreaterThan(calm.valence);
+    });
+  });
+});
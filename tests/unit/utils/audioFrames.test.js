@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for audio frame parsers
+ */
+
+import {
+  skipId3v2,
+  parseMpegFrameHeader,
+  parseAdtsHeader,
+  iterateFrames,
+  parseWav,
+} from '../../../src/utils/audioFrames.js';
+
+// MPEG-1 Layer III, 128kbps, 44.1kHz, stereo, no padding -> 417 byte frames
+const mp3Frame = () => {
+  const frame = Buffer.alloc(417);
+  frame.set([0xff, 0xfb, 0x90, 0x04]);
+  return frame;
+};
+
+// ADTS AAC-LC, 44.1kHz, stereo, 200 byte frames
+const adtsFrame = () => {
+  const frame = Buffer.alloc(200);
+  const length = 200;
+  frame.set([
+    0xff,
+    0xf1,
+    (1 << 6) | (4 << 2),
+    (2 << 6) | ((length >> 11) & 0x03),
+    (length >> 3) & 0xff,
+    ((length & 0x07) << 5) | 0x1f,
+    0xfc,
+  ]);
+  return frame;
+};
+
+const wavBuffer = (seconds = 1) => {
+  const sampleRate = 8000;
+  const blockAlign = 2;
+  const dataSize = sampleRate * blockAlign * seconds;
+  const buffer = Buffer.alloc(44 + dataSize);
+  buffer.write('RIFF', 0, 'latin1');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'latin1');
+  buffer.write('fmt ', 12, 'latin1');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * blockAlign, 28);
+  buffer.writeUInt16LE(blockAlign, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'latin1');
+  buffer.writeUInt32LE(dataSize, 40);
+  return buffer;
+};
+
+describe('audioFrames', () => {
+  describe('skipId3v2', () => {
+    it('should return 0 without a tag', () => {
+      expect(skipId3v2(mp3Frame())).toBe(0);
+    });
+
+    it('should skip a tag using its syncsafe size', () => {
+      const tag = Buffer.alloc(10 + 200);
+      tag.write('ID3', 0, 'latin1');
+      tag[3] = 4;
+      tag[8] = 0x01; // 128
+      tag[9] = 0x48; // +72 = 200
+      expect(skipId3v2(Buffer.concat([tag, mp3Frame()]))).toBe(210);
+    });
+  });
+
+  describe('parseMpegFrameHeader', () => {
+    it('should parse an MPEG-1 Layer III header', () => {
+      expect(parseMpegFrameHeader(mp3Frame(), 0)).toEqual({
+        version: 1,
+        layer: 3,
+        bitrate: 128,
+        sampleRate: 44100,
+        channels: 2,
+        samplesPerFrame: 1152,
+        frameLength: 417,
+      });
+    });
+
+    it('should reject bytes without frame sync', () => {
+      expect(parseMpegFrameHeader(Buffer.alloc(4), 0)).toBeNull();
+    });
+  });
+
+  describe('parseAdtsHeader', () => {
+    it('should parse an ADTS header', () => {
+      expect(parseAdtsHeader(adtsFrame(), 0)).toEqual({
+        profile: 2,
+        sampleRate: 44100,
+        channels: 2,
+        samplesPerFrame: 1024,
+        frameLength: 200,
+      });
+    });
+  });
+
+  describe('iterateFrames', () => {
+    it('should walk frames and resync over garbage', () => {
+      const buffer = Buffer.concat([
+        mp3Frame(),
+        Buffer.from([0x00, 0x12, 0x34]),
+        mp3Frame(),
+      ]);
+      const offsets = [...iterateFrames(buffer, 0, parseMpegFrameHeader)].map(
+        frame => frame.offset,
+      );
+      expect(offsets).toEqual([0, 420]);
+    });
+  });
+
+  describe('parseWav', () => {
+    it('should read the format and data chunks', () => {
+      const wav = parseWav(wavBuffer());
+      expect(wav.format).toMatchObject({
+        audioFormat: 1,
+        channels: 1,
+        sampleRate: 8000,
+        blockAlign: 2,
+        bitsPerSample: 16,
+      });
+      expect(wav.dataChunk).toEqual({ offset: 44, size: 16000 });
+    });
+
+    it('should return null for non-WAVE data', () => {
+      expect(parseWav(mp3Frame())).toBeNull();
+    });
+  });
+});
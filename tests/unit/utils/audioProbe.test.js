@@ -0,0 +1,188 @@
+/**
+ * Unit Tests for audio content probing
+ */
+
+import { sniffContainer, probeAudio } from '../../../src/utils/audioProbe.js';
+
+// MPEG-1 Layer III, 128kbps, 44.1kHz, stereo -> 417 byte frames
+const mp3Frames = count => {
+  const frame = Buffer.alloc(417);
+  frame.set([0xff, 0xfb, 0x90, 0x04]);
+  return Buffer.concat(Array.from({ length: count }, () => frame));
+};
+
+// ADTS AAC-LC, 44.1kHz, stereo, 200 byte frames
+const adtsFrames = count => {
+  const frame = Buffer.alloc(200);
+  frame.set([0xff, 0xf1, (1 << 6) | (4 << 2), (2 << 6), (200 >> 3) & 0xff, ((200 & 0x07) << 5) | 0x1f, 0xfc]);
+  return Buffer.concat(Array.from({ length: count }, () => frame));
+};
+
+const wavBuffer = () => {
+  const buffer = Buffer.alloc(44 + 16000);
+  buffer.write('RIFF', 0, 'latin1');
+  buffer.writeUInt32LE(36 + 16000, 4);
+  buffer.write('WAVE', 8, 'latin1');
+  buffer.write('fmt ', 12, 'latin1');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(8000, 24);
+  buffer.writeUInt32LE(16000, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'latin1');
+  buffer.writeUInt32LE(16000, 40);
+  return buffer;
+};
+
+const flacBuffer = () => {
+  const info = Buffer.alloc(34);
+  const sampleRate = 96000;
+  info[10] = (sampleRate >> 12) & 0xff;
+  info[11] = (sampleRate >> 4) & 0xff;
+  info[12] = ((sampleRate & 0x0f) << 4) | (1 << 1) | 0x01; // stereo, bps-1 high bit
+  info[13] = 0x07 << 4; // bps-1 = 0b10111 -> 24 bits
+  info.writeUInt32BE(sampleRate * 10, 14);
+  const header = Buffer.from([0x80, 0, 0, 34]);
+  return Buffer.concat([Buffer.from('fLaC', 'latin1'), header, info, Buffer.alloc(4000)]);
+};
+
+const atom = (type, ...children) => {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+const mp4Buffer = () => {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(1000, 12);
+  mvhd.writeUInt32BE(10000, 16);
+
+  const entry = Buffer.alloc(28);
+  entry.writeUInt16BE(2, 16); // channels
+  entry.writeUInt16BE(16, 18); // sample size
+  entry.writeUInt16BE(44100, 24); // sample rate (16.16)
+  const stsd = atom('stsd', Buffer.from([0, 0, 0, 0, 0, 0, 0, 1]), atom('mp4a', entry));
+
+  return Buffer.concat([
+    atom('ftyp', Buffer.from('M4A \0\0\0\0', 'latin1')),
+    atom(
+      'moov',
+      atom('mvhd', mvhd),
+      atom('trak', atom('mdia', atom('minf', atom('stbl', stsd)))),
+    ),
+    atom('mdat', Buffer.alloc(160000)),
+  ]);
+};
+
+const oggPage = (granule, packet) => {
+  const header = Buffer.alloc(28);
+  header.write('OggS', 0, 'latin1');
+  header.writeBigInt64LE(BigInt(granule), 6);
+  header[26] = 1;
+  header[27] = packet.length;
+  return Buffer.concat([header, packet]);
+};
+
+const oggVorbis = () => {
+  const ident = Buffer.alloc(30);
+  ident[0] = 0x01;
+  ident.write('vorbis', 1, 'latin1');
+  ident[11] = 2;
+  ident.writeUInt32LE(44100, 12);
+  ident.writeInt32LE(160000, 20);
+  return Buffer.concat([oggPage(0, ident), Buffer.alloc(2000), oggPage(44100 * 5, Buffer.alloc(10))]);
+};
+
+describe('audioProbe', () => {
+  describe('sniffContainer', () => {
+    it('should detect containers from their signatures', () => {
+      expect(sniffContainer(mp3Frames(3))).toBe('mp3');
+      expect(sniffContainer(adtsFrames(3))).toBe('aac');
+      expect(sniffContainer(wavBuffer())).toBe('wav');
+      expect(sniffContainer(flacBuffer())).toBe('flac');
+      expect(sniffContainer(mp4Buffer())).toBe('mp4');
+      expect(sniffContainer(oggVorbis())).toBe('ogg');
+      expect(sniffContainer(Buffer.from([0x1a, 0x45, 0xdf, 0xa3, ...Buffer.alloc(20)]))).toBe('webm');
+    });
+
+    it('should look past an ID3v2 tag', () => {
+      const tag = Buffer.alloc(20);
+      tag.write('ID3', 0, 'latin1');
+      tag[3] = 3;
+      tag[9] = 10;
+      expect(sniffContainer(Buffer.concat([tag, mp3Frames(3)]))).toBe('mp3');
+    });
+
+    it('should not detect non-audio content', () => {
+      expect(sniffContainer(Buffer.from('%PDF-1.7 hello world, not audio'))).toBeNull();
+      expect(sniffContainer(Buffer.alloc(4096))).toBeNull();
+      expect(sniffContainer(Buffer.alloc(4))).toBeNull();
+    });
+  });
+
+  describe('probeAudio', () => {
+    it('should read MP3 frame properties', () => {
+      expect(probeAudio(mp3Frames(50))).toMatchObject({
+        container: 'mp3',
+        codec: 'mp3',
+        sampleRate: 44100,
+        channels: 2,
+        bitrate: 128,
+      });
+    });
+
+    it('should read WAV format properties', () => {
+      expect(probeAudio(wavBuffer())).toEqual({
+        container: 'wav',
+        codec: 'pcm',
+        sampleRate: 8000,
+        channels: 1,
+        bitrate: 128,
+        bitsPerSample: 16,
+        durationMs: 1000,
+      });
+    });
+
+    it('should read FLAC STREAMINFO and average the bitrate', () => {
+      const buffer = flacBuffer();
+      expect(probeAudio(buffer)).toEqual({
+        container: 'flac',
+        codec: 'flac',
+        sampleRate: 96000,
+        channels: 2,
+        bitrate: Math.round((buffer.length * 8) / 10000),
+        bitsPerSample: 24,
+        durationMs: 10000,
+      });
+    });
+
+    it('should read the MP4 audio sample entry', () => {
+      expect(probeAudio(mp4Buffer())).toMatchObject({
+        container: 'mp4',
+        codec: 'aac',
+        sampleRate: 44100,
+        channels: 2,
+        durationMs: 10000,
+      });
+    });
+
+    it('should read the Vorbis identification header and last granule', () => {
+      expect(probeAudio(oggVorbis())).toMatchObject({
+        container: 'ogg',
+        codec: 'vorbis',
+        sampleRate: 44100,
+        channels: 2,
+        bitrate: 160,
+        durationMs: 5000,
+      });
+    });
+
+    it('should return null for unrecognised content', () => {
+      expect(probeAudio(Buffer.alloc(4096))).toBeNull();
+    });
+  });
+});
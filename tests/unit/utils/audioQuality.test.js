@@ -0,0 +1,102 @@
+/**
+ * Unit Tests for audio quality resolution
+ */
+
+import {
+  isStreamableQuality,
+  stepDownQuality,
+  getFallbackChain,
+  hasRendition,
+  resolveTargetQuality,
+  resolveQuality,
+} from '../../../src/utils/audioQuality.js';
+
+describe('audioQuality', () => {
+  describe('isStreamableQuality', () => {
+    it('should accept stream tiers and reject preview', () => {
+      expect(isStreamableQuality('medium')).toBe(true);
+      expect(isStreamableQuality('preview')).toBe(false);
+      expect(isStreamableQuality('ultra')).toBe(false);
+    });
+  });
+
+  describe('stepDownQuality', () => {
+    it('should step down one tier and stop at low', () => {
+      expect(stepDownQuality('original')).toBe('high');
+      expect(stepDownQuality('high')).toBe('medium');
+      expect(stepDownQuality('low')).toBe('low');
+    });
+  });
+
+  describe('getFallbackChain', () => {
+    it('should start at the target and end at original', () => {
+      expect(getFallbackChain('medium')).toEqual(['medium', 'low', 'original']);
+      expect(getFallbackChain('original')).toEqual(['original']);
+    });
+  });
+
+  describe('hasRendition', () => {
+    it('should treat original as always present', () => {
+      expect(hasRendition({}, 'original')).toBe(true);
+    });
+
+    it('should require a recorded size for other tiers', () => {
+      expect(hasRendition({ high: 1024 }, 'high')).toBe(true);
+      expect(hasRendition({ high: 1024 }, 'low')).toBe(false);
+      expect(hasRendition(null, 'low')).toBe(false);
+    });
+  });
+
+  describe('resolveTargetQuality', () => {
+    it('should resolve the target without looking at renditions', () => {
+      expect(resolveTargetQuality({ requested: 'low' })).toBe('low');
+      expect(
+        resolveTargetQuality({
+          preferences: { preferred_quality: 'high', data_saver_mode: true },
+        }),
+      ).toBe('medium');
+    });
+  });
+
+  describe('resolveQuality', () => {
+    const fileSizes = { original: 9000, high: 3000, medium: 1200 };
+
+    it('should serve an explicitly requested quality', () => {
+      expect(resolveQuality({ requested: 'medium', fileSizes })).toEqual({
+        requested: 'medium',
+        target: 'medium',
+        served: 'medium',
+      });
+    });
+
+    it('should default to the preferred quality', () => {
+      const preferences = { preferred_quality: 'high', data_saver_mode: false };
+      expect(resolveQuality({ preferences, fileSizes }).served).toBe('high');
+    });
+
+    it('should step down a tier in data saver mode', () => {
+      const preferences = { preferred_quality: 'high', data_saver_mode: true };
+      expect(resolveQuality({ preferences, fileSizes }).served).toBe('medium');
+    });
+
+    it('should not apply data saver to explicit requests', () => {
+      const preferences = { preferred_quality: 'high', data_saver_mode: true };
+      expect(
+        resolveQuality({ requested: 'high', preferences, fileSizes }).served,
+      ).toBe('high');
+    });
+
+    it('should fall back when the rendition is missing', () => {
+      expect(resolveQuality({ requested: 'low', fileSizes }).served).toBe(
+        'original',
+      );
+      expect(
+        resolveQuality({ requested: 'high', fileSizes: { original: 1 } }).served,
+      ).toBe('original');
+    });
+
+    it('should default to high without preferences', () => {
+      expect(resolveQuality({ fileSizes }).target).toBe('high');
+    });
+  });
+});
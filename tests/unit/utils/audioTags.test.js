@@ -0,0 +1,350 @@
+/**
+ * Unit Tests for audio tag readers
+ */
+
+import {
+  parseId3v2,
+  parseId3v1,
+  parseFlac,
+  parseMp4,
+  parseRiff,
+  getFramedDuration,
+  readAudioTags,
+} from '../../../src/utils/audioTags.js';
+import { parseMpegFrameHeader } from '../../../src/utils/audioFrames.js';
+
+// MPEG-1 Layer III, 128kbps, 44.1kHz, stereo -> 417 byte frames of 1152 samples
+const mp3Frames = count => {
+  const frame = Buffer.alloc(417);
+  frame.set([0xff, 0xfb, 0x90, 0x04]);
+  return Buffer.concat(Array.from({ length: count }, () => frame));
+};
+
+const syncsafe = size => [
+  (size >> 21) & 0x7f,
+  (size >> 14) & 0x7f,
+  (size >> 7) & 0x7f,
+  size & 0x7f,
+];
+
+const id3Frame = (id, body) => {
+  const header = Buffer.alloc(10);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32BE(body.length, 4);
+  return Buffer.concat([header, body]);
+};
+
+const textFrame = (id, text) =>
+  id3Frame(id, Buffer.concat([Buffer.from([3]), Buffer.from(text, 'utf8')]));
+
+const id3v2Tag = frames => {
+  const body = Buffer.concat(frames);
+  const header = Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, ...syncsafe(body.length)]);
+  return Buffer.concat([header, body]);
+};
+
+const id3v1Tag = ({ title, artist, track, genre }) => {
+  const tag = Buffer.alloc(128);
+  tag.write('TAG', 0, 'latin1');
+  tag.write(title, 3, 'latin1');
+  tag.write(artist, 33, 'latin1');
+  tag.write('1999', 93, 'latin1');
+  tag[126] = track;
+  tag[127] = genre;
+  return tag;
+};
+
+const flacBlock = (type, body, last = false) => {
+  const header = Buffer.alloc(4);
+  header[0] = (last ? 0x80 : 0) | type;
+  header.writeUIntBE(body.length, 1, 3);
+  return Buffer.concat([header, body]);
+};
+
+const flacBuffer = ({ sampleRate, totalSamples, comments }) => {
+  const info = Buffer.alloc(34);
+  info[10] = (sampleRate >> 12) & 0xff;
+  info[11] = (sampleRate >> 4) & 0xff;
+  info[12] = ((sampleRate & 0x0f) << 4) | (1 << 1); // 2 channels
+  info[13] = (15 << 4) | Math.floor(totalSamples / 2 ** 32); // 16 bits
+  info.writeUInt32BE(totalSamples % 2 ** 32, 14);
+
+  const vendor = Buffer.from('test');
+  const entries = comments.map(comment => {
+    const text = Buffer.from(comment, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(text.length);
+    return Buffer.concat([length, text]);
+  });
+  const vendorLength = Buffer.alloc(4);
+  vendorLength.writeUInt32LE(vendor.length);
+  const count = Buffer.alloc(4);
+  count.writeUInt32LE(comments.length);
+
+  return Buffer.concat([
+    Buffer.from('fLaC', 'latin1'),
+    flacBlock(0, info),
+    flacBlock(4, Buffer.concat([vendorLength, vendor, count, ...entries]), true),
+  ]);
+};
+
+const atom = (type, ...children) => {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+const dataAtom = (type, payload) => {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(type);
+  return atom('data', header, payload);
+};
+
+const mp4Buffer = () => {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(1000, 12); // timescale
+  mvhd.writeUInt32BE(215500, 16); // duration
+
+  const trkn = Buffer.alloc(8);
+  trkn.writeUInt16BE(4, 2);
+  trkn.writeUInt16BE(10, 4);
+
+  const ilst = atom(
+    'ilst',
+    atom('©nam', dataAtom(1, Buffer.from('Song'))),
+    atom('©ART', dataAtom(1, Buffer.from('Band'))),
+    atom('©day', dataAtom(1, Buffer.from('2021-03-01'))),
+    atom('trkn', dataAtom(0, trkn)),
+    atom('covr', dataAtom(14, Buffer.from([0x89, 0x50, 0x4e, 0x47]))),
+  );
+
+  return Buffer.concat([
+    atom('ftyp', Buffer.from('M4A \0\0\0\0', 'latin1')),
+    atom('moov', atom('mvhd', mvhd), atom('udta', atom('meta', Buffer.alloc(4), ilst))),
+  ]);
+};
+
+const wavBuffer = info => {
+  const sampleRate = 8000;
+  const dataSize = sampleRate * 2 * 2; // 2 seconds, 16-bit mono
+  const chunks = Object.entries(info).map(([id, text]) => {
+    const value = Buffer.from(`${text}\0`, 'latin1');
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'latin1');
+    header.writeUInt32LE(value.length, 4);
+    return Buffer.concat([header, value, Buffer.alloc(value.length % 2)]);
+  });
+  const list = Buffer.concat([Buffer.from('INFO', 'latin1'), ...chunks]);
+
+  const fmt = Buffer.alloc(24);
+  fmt.write('fmt ', 0, 'latin1');
+  fmt.writeUInt32LE(16, 4);
+  fmt.writeUInt16LE(1, 8);
+  fmt.writeUInt16LE(1, 10);
+  fmt.writeUInt32LE(sampleRate, 12);
+  fmt.writeUInt32LE(sampleRate * 2, 16);
+  fmt.writeUInt16LE(2, 20);
+  fmt.writeUInt16LE(16, 22);
+
+  const listHeader = Buffer.alloc(8);
+  listHeader.write('LIST', 0, 'latin1');
+  listHeader.writeUInt32LE(list.length, 4);
+
+  const dataHeader = Buffer.alloc(8);
+  dataHeader.write('data', 0, 'latin1');
+  dataHeader.writeUInt32LE(dataSize, 4);
+
+  const body = Buffer.concat([fmt, listHeader, list, dataHeader, Buffer.alloc(dataSize)]);
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'latin1');
+  riff.writeUInt32LE(body.length + 4, 4);
+  riff.write('WAVE', 8, 'latin1');
+  return Buffer.concat([riff, body]);
+};
+
+describe('audioTags', () => {
+  describe('parseId3v2', () => {
+    it('should return null without a tag', () => {
+      expect(parseId3v2(mp3Frames(1))).toBeNull();
+    });
+
+    it('should read text, user-defined and picture frames', () => {
+      const txxx = Buffer.concat([Buffer.from([0]), Buffer.from('ISRC\0USABC1234567', 'latin1')]);
+      const apic = Buffer.concat([
+        Buffer.from([0]),
+        Buffer.from('image/png\0', 'latin1'),
+        Buffer.from([3]),
+        Buffer.from('cover\0', 'latin1'),
+        Buffer.from([1, 2, 3]),
+      ]);
+      const tag = parseId3v2(
+        id3v2Tag([
+          textFrame('TIT2', 'Héllo'),
+          textFrame('TRCK', '3/12'),
+          id3Frame('TXXX', txxx),
+          id3Frame('APIC', apic),
+        ]),
+      );
+
+      expect(tag.version).toBe('2.3');
+      expect(tag.tags).toEqual({ TIT2: 'Héllo', TRCK: '3/12', 'TXXX:ISRC': 'USABC1234567' });
+      expect(tag.picture).toMatchObject({ mimeType: 'image/png', type: 3, description: 'cover' });
+      expect([...tag.picture.data]).toEqual([1, 2, 3]);
+    });
+
+    it('should decode UTF-16 text with a byte order mark', () => {
+      const body = Buffer.concat([Buffer.from([1, 0xff, 0xfe]), Buffer.from('Artist', 'utf16le')]);
+      expect(parseId3v2(id3v2Tag([id3Frame('TPE1', body)])).tags.TPE1).toBe('Artist');
+    });
+  });
+
+  describe('parseId3v1', () => {
+    it('should read fields, ID3v1.1 track and genre', () => {
+      const tags = parseId3v1(
+        Buffer.concat([mp3Frames(1), id3v1Tag({ title: 'Old', artist: 'Someone', track: 7, genre: 17 })]),
+      );
+      expect(tags).toMatchObject({ title: 'Old', artist: 'Someone', year: '1999', track: '7', genre: 'Rock' });
+    });
+  });
+
+  describe('parseFlac', () => {
+    it('should read STREAMINFO and Vorbis comments', () => {
+      const flac = parseFlac(
+        flacBuffer({
+          sampleRate: 44100,
+          totalSamples: 44100 * 180,
+          comments: ['TITLE=Track', 'artist=Band', 'ARTIST=Guest'],
+        }),
+      );
+
+      expect(flac.streamInfo).toEqual({
+        sampleRate: 44100,
+        channels: 2,
+        bitsPerSample: 16,
+        totalSamples: 44100 * 180,
+      });
+      expect(flac.tags).toEqual({ TITLE: 'Track', ARTIST: ['Band', 'Guest'] });
+    });
+  });
+
+  describe('parseMp4', () => {
+    it('should read the movie duration, ilst tags and cover', () => {
+      const mp4 = parseMp4(mp4Buffer());
+      expect(mp4.durationMs).toBe(215500);
+      expect(mp4.tags).toMatchObject({
+        '©nam': 'Song',
+        '©ART': 'Band',
+        trkn: { number: 4, total: 10 },
+      });
+      expect(mp4.picture.mimeType).toBe('image/png');
+    });
+  });
+
+  describe('parseRiff', () => {
+    it('should read the duration and INFO tags', () => {
+      const riff = parseRiff(wavBuffer({ INAM: 'Take 1', IART: 'Studio' }));
+      expect(riff.durationMs).toBe(2000);
+      expect(riff.tags).toEqual({ INAM: 'Take 1', IART: 'Studio' });
+    });
+  });
+
+  describe('getFramedDuration', () => {
+    it('should count MP3 frames', () => {
+      const result = getFramedDuration(mp3Frames(100), parseMpegFrameHeader);
+      expect(result.durationMs).toBe(Math.round(((100 * 1152) / 44100) * 1000));
+      expect(result.bitrate).toBe(128);
+    });
+
+    it('should prefer the Xing frame count', () => {
+      const frames = mp3Frames(3);
+      frames.write('Xing', 4 + 32, 'latin1');
+      frames.writeUInt32BE(0x01, 4 + 32 + 4);
+      frames.writeUInt32BE(1000, 4 + 32 + 8);
+      expect(getFramedDuration(frames, parseMpegFrameHeader).durationMs).toBe(
+        Math.round(((1000 * 1152) / 44100) * 1000),
+      );
+    });
+
+    it('should ignore a lone sync word', () => {
+      const buffer = Buffer.alloc(2000);
+      buffer.set([0xff, 0xfb, 0x90, 0x04], 100);
+      expect(getFramedDuration(buffer, parseMpegFrameHeader)).toBeNull();
+    });
+  });
+
+  describe('readAudioTags', () => {
+    it('should normalise MP3 tags, preferring ID3v2 over ID3v1', () => {
+      const buffer = Buffer.concat([
+        id3v2Tag([
+          textFrame('TIT2', 'New Title'),
+          textFrame('TCON', '(17)'),
+          textFrame('TPOS', '2/2'),
+          textFrame('TYER', '2004'),
+        ]),
+        mp3Frames(10),
+        id3v1Tag({ title: 'Old', artist: 'Someone', track: 7, genre: 0 }),
+      ]);
+
+      const result = readAudioTags(buffer);
+      expect(result).toMatchObject({
+        format: 'mp3',
+        title: 'New Title',
+        artist: 'Someone',
+        genre: 'Rock',
+        year: 2004,
+        trackNumber: 7,
+        discNumber: 2,
+        discTotal: 2,
+        picture: null,
+      });
+      expect(result.durationMs).toBeGreaterThan(0);
+      expect(result.raw.id3v2.TIT2).toBe('New Title');
+      expect(result.raw.id3v1.title).toBe('Old');
+    });
+
+    it('should normalise FLAC tags and duration', () => {
+      const result = readAudioTags(
+        flacBuffer({
+          sampleRate: 48000,
+          totalSamples: 48000 * 90,
+          comments: ['TITLE=Track', 'TRACKNUMBER=5', 'TRACKTOTAL=9', 'DATE=2010-01-02'],
+        }),
+      );
+      expect(result).toMatchObject({
+        format: 'flac',
+        durationMs: 90000,
+        title: 'Track',
+        trackNumber: 5,
+        trackTotal: 9,
+        year: 2010,
+      });
+    });
+
+    it('should normalise MP4 tags', () => {
+      const result = readAudioTags(mp4Buffer());
+      expect(result).toMatchObject({
+        format: 'mp4',
+        durationMs: 215500,
+        title: 'Song',
+        artist: 'Band',
+        year: 2021,
+        trackNumber: 4,
+        trackTotal: 10,
+      });
+      expect(result.picture.data.length).toBe(4);
+    });
+
+    it('should normalise WAV tags', () => {
+      const result = readAudioTags(wavBuffer({ INAM: 'Take 1', IGNR: 'Jazz' }));
+      expect(result).toMatchObject({ format: 'wav', durationMs: 2000, title: 'Take 1', genre: 'Jazz' });
+    });
+
+    it('should return empty results for unknown data', () => {
+      const result = readAudioTags(Buffer.alloc(2048));
+      expect(result).toMatchObject({ format: null, durationMs: null, picture: null, raw: {} });
+      expect(result.title).toBeUndefined();
+    });
+  });
+});
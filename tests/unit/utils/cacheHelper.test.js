@@ -8,6 +8,7 @@ import { CACHE_TTL, CACHE_KEYS } from '../../../src/utils/constants.js';
 // Mock Redis client
 const mockRedisClient = {
   get: jest.fn(),
+  mget: jest.fn(),
   set: jest.fn(),
   del: jest.fn(),
   exists: jest.fn(),
@@ -91,6 +92,25 @@ describe('CacheHelper', () => {
     });
   });
 
+  describe('getMany', () => {
+    it('should return values in key order with null for misses', async () => {
+      mockRedisClient.mget.mockResolvedValue([{ id: 1 }, null, { id: 3 }]);
+
+      const result = await cacheHelper.getMany(['a', 'b', 'c']);
+
+      expect(result).toEqual([{ id: 1 }, null, { id: 3 }]);
+      expect(mockRedisClient.mget).toHaveBeenCalledWith('a', 'b', 'c');
+    });
+
+    it('should treat errors as misses', async () => {
+      mockRedisClient.mget.mockRejectedValue(new Error('Redis error'));
+
+      const result = await cacheHelper.getMany(['a', 'b']);
+
+      expect(result).toEqual([null, null]);
+    });
+  });
+
   describe('set', () => {
     it('should set value in cache with TTL', async () => {
       const key = 'test:key';
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for the ffmpeg runner
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  buildAacArgs,
+  buildPcmArgs,
+  decodePcm,
+  encodeAacTiers,
+  runFfmpeg,
+} from '../../../src/utils/ffmpeg.js';
+
+describe('ffmpeg', () => {
+  describe('buildAacArgs', () => {
+    const outputs = [
+      { path: '/tmp/high.aac', bitrate: 320 },
+      { path: '/tmp/low.aac', bitrate: 64 },
+    ];
+
+    it('should encode every output from one input', () => {
+      const args = buildAacArgs('/tmp/input.mp3', outputs, { sampleRate: 44100, channels: 2 });
+
+      expect(args.slice(0, 7)).toEqual(['-hide_banner', '-loglevel', 'error', '-nostdin', '-y', '-i', '/tmp/input.mp3']);
+      expect(args.filter(arg => arg === '-i')).toHaveLength(1);
+      expect(args.join(' ')).toContain('-c:a aac -b:a 320k -f adts /tmp/high.aac');
+      expect(args.join(' ')).toContain('-c:a aac -b:a 64k -f adts /tmp/low.aac');
+      expect(args).not.toContain('-ar');
+      expect(args).not.toContain('-ac');
+    });
+
+    it('should resample hi-res and downmix surround sources', () => {
+      const args = buildAacArgs('/tmp/input.flac', outputs.slice(0, 1), {
+        sampleRate: 96000,
+        channels: 6,
+      });
+
+      expect(args.join(' ')).toContain('-b:a 320k -ar 48000 -ac 2 -f adts');
+    });
+  });
+
+  describe('runFfmpeg', () => {
+    it('should report a missing binary', async () => {
+      await expect(
+        runFfmpeg(['-version'], { ffmpegPath: '/nonexistent/ffmpeg' }),
+      ).rejects.toThrow('ffmpeg not found (looked for "/nonexistent/ffmpeg")');
+    });
+
+    it('should report a failing run with its output', async () => {
+      await expect(
+        runFfmpeg(['-e', 'console.error("bad input"); process.exit(1)'], { ffmpegPath: process.execPath }),
+      ).rejects.toThrow('exited with code 1: bad input');
+    });
+
+    it('should kill runs that exceed the timeout', async () => {
+      await expect(
+        runFfmpeg(['-e', 'setTimeout(() => {}, 10000)'], { ffmpegPath: process.execPath, timeoutMs: 200 }),
+      ).rejects.toThrow('ffmpeg timed out after 200ms');
+    });
+  });
+
+  describe('encodeAacTiers', () => {
+    it('should fail when ffmpeg is unavailable', async () => {
+      await expect(
+        encodeAacTiers(Buffer.from('audio'), { low: 64 }, { ffmpegPath: '/nonexistent/ffmpeg' }),
+      ).rejects.toThrow('ffmpeg not found');
+    });
+  });
+
+  describe('buildPcmArgs', () => {
+    it('should decode the first audio stream to float PCM at the given format', () => {
+      const args = buildPcmArgs('/tmp/input.m4a', '/tmp/output.pcm', { sampleRate: 48000, channels: 2 });
+
+      expect(args.join(' ')).toContain('-i /tmp/input.m4a -map 0:a:0 -ac 2 -ar 48000 -c:a pcm_f32le -f f32le /tmp/output.pcm');
+    });
+  });
+
+  describe('decodePcm', () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'freetune-fake-ffmpeg-'));
+    });
+
+    afterAll(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should hand over the decoded samples in chunks', async () => {
+      // Stands in for ffmpeg: writes three stereo frames to the output path
+      const fakeFfmpeg = path.join(dir, 'ffmpeg');
+      await fs.writeFile(
+        fakeFfmpeg,
+        `#!${process.execPath}\n` +
+          'const samples = new Float32Array([0.5, -0.5, 0.25, -0.25, 1, -1]);\n' +
+          "require('fs').writeFileSync(process.argv[process.argv.length - 1], Buffer.from(samples.buffer));\n",
+        { mode: 0o755 },
+      );
+
+      const chunks = [];
+      const frames = await decodePcm(Buffer.from('audio'), {
+        ffmpegPath: fakeFfmpeg,
+        sampleRate: 48000,
+        channels: 2,
+        chunkFrames: 2,
+        onChunk: samples => chunks.push(Array.from(samples)),
+      });
+
+      expect(frames).toBe(3);
+      expect(chunks).toEqual([[0.5, -0.5, 0.25, -0.25], [1, -1]]);
+    });
+
+    it('should fail when ffmpeg is unavailable', async () => {
+      await expect(
+        decodePcm(Buffer.from('audio'), {
+          ffmpegPath: '/nonexistent/ffmpeg',
+          sampleRate: 48000,
+          channels: 2,
+          chunkFrames: 1024,
+          onChunk: () => {},
+        }),
+      ).rejects.toThrow('ffmpeg not found');
+    });
+  });
+});
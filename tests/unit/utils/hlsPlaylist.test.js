@@ -0,0 +1,65 @@
+/**
+ * Unit Tests for HLS playlist builders
+ */
+
+import {
+  getHlsQualities,
+  getSegmentDurations,
+  buildMasterPlaylist,
+  buildMediaPlaylist,
+} from '../../../src/utils/hlsPlaylist.js';
+
+describe('hlsPlaylist', () => {
+  describe('getHlsQualities', () => {
+    it('should keep only transcoded tiers, highest bitrate first', () => {
+      expect(getHlsQualities(['low', 'original', 'high', 'medium'])).toEqual([
+        'high',
+        'medium',
+        'low',
+      ]);
+    });
+
+    it('should return an empty list when nothing is available', () => {
+      expect(getHlsQualities(undefined)).toEqual([]);
+      expect(getHlsQualities(['original'])).toEqual([]);
+    });
+  });
+
+  describe('getSegmentDurations', () => {
+    it('should split a track into fixed segments with a shorter tail', () => {
+      expect(getSegmentDurations(15000, 6)).toEqual([6, 6, 3]);
+    });
+
+    it('should not emit a trailing empty segment', () => {
+      expect(getSegmentDurations(12000, 6)).toEqual([6, 6]);
+    });
+  });
+
+  describe('buildMasterPlaylist', () => {
+    it('should emit one stream per variant with its bandwidth', () => {
+      const playlist = buildMasterPlaylist([
+        { quality: 'high', uri: 'hls/high.m3u8' },
+        { quality: 'low', uri: 'hls/low.m3u8' },
+      ]);
+
+      expect(playlist.startsWith('#EXTM3U\n')).toBe(true);
+      expect(playlist).toContain('BANDWIDTH=320000');
+      expect(playlist).toContain('BANDWIDTH=64000');
+      expect(playlist).toContain('hls/high.m3u8\n');
+    });
+  });
+
+  describe('buildMediaPlaylist', () => {
+    it('should emit a VOD playlist with target duration and end tag', () => {
+      const playlist = buildMediaPlaylist([
+        { duration: 6, uri: 'https://r2/seg0' },
+        { duration: 2.5, uri: 'https://r2/seg1' },
+      ]);
+
+      expect(playlist).toContain('#EXT-X-TARGETDURATION:6');
+      expect(playlist).toContain('#EXT-X-PLAYLIST-TYPE:VOD');
+      expect(playlist).toContain('#EXTINF:2.500,\nhttps://r2/seg1');
+      expect(playlist.trim().endsWith('#EXT-X-ENDLIST')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for HLS segmenting of ADTS AAC
+ */
+
+import { getSegmentDurations } from '../../../src/utils/hlsPlaylist.js';
+import { splitAdtsSegments } from '../../../src/utils/hlsSegmenter.js';
+
+const FRAME_LENGTH = 10;
+const FRAME_SECONDS = 1024 / 44100;
+
+// AAC-LC, 44.1 kHz (sample rate index 4), stereo, no CRC, 1024 samples per frame
+const adtsFrame = marker => {
+  const frame = Buffer.alloc(FRAME_LENGTH, marker);
+  frame[0] = 0xff;
+  frame[1] = 0xf1;
+  frame[2] = (1 << 6) | (4 << 2);
+  frame[3] = (2 << 6) | ((FRAME_LENGTH >> 11) & 0x03);
+  frame[4] = (FRAME_LENGTH >> 3) & 0xff;
+  frame[5] = ((FRAME_LENGTH & 0x07) << 5) | 0x1f;
+  frame[6] = 0xfc;
+  return frame;
+};
+
+const adtsAudio = seconds =>
+  Buffer.concat(
+    Array.from({ length: Math.ceil(seconds / FRAME_SECONDS) }, (_, i) => adtsFrame(i % 256)),
+  );
+
+describe('splitAdtsSegments', () => {
+  it('should cut at the first frame past each segment boundary', () => {
+    const audio = adtsAudio(10);
+    const segments = splitAdtsSegments(audio, getSegmentDurations(10000));
+
+    expect(segments).toHaveLength(2);
+    expect(segments[0].length).toBe(Math.ceil(6 / FRAME_SECONDS) * FRAME_LENGTH);
+    expect(Buffer.concat(segments).equals(audio)).toBe(true);
+  });
+
+  it('should not drift over many segments', () => {
+    const durations = getSegmentDurations(60000);
+    const segments = splitAdtsSegments(adtsAudio(60), durations);
+
+    expect(segments).toHaveLength(durations.length);
+    let frames = 0;
+    segments.slice(0, -1).forEach((segment, i) => {
+      frames += segment.length / FRAME_LENGTH;
+      expect(Math.abs(frames * FRAME_SECONDS - (i + 1) * 6)).toBeLessThan(FRAME_SECONDS);
+    });
+  });
+
+  it('should skip a leading ID3 tag', () => {
+    const audio = adtsAudio(7);
+    const id3 = Buffer.from([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 2, 0, 0]);
+    const segments = splitAdtsSegments(Buffer.concat([id3, audio]), getSegmentDurations(7000));
+
+    expect(Buffer.concat(segments).equals(audio)).toBe(true);
+  });
+
+  it('should reject audio without AAC frames', () => {
+    expect(() => splitAdtsSegments(Buffer.alloc(64), [6])).toThrow('No AAC frames found');
+  });
+
+  it('should reject audio shorter than the playlist', () => {
+    expect(() => splitAdtsSegments(adtsAudio(5), getSegmentDurations(20000))).toThrow(
+      'too short for 4 segments',
+    );
+  });
+
+  it('should return no segments for an empty playlist', () => {
+    expect(splitAdtsSegments(adtsAudio(1), [])).toEqual([]);
+  });
+});
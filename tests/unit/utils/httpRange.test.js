@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for HTTP Range helpers
+ */
+
+import {
+  parseByteRange,
+  isIfRangeSatisfied,
+  formatContentRange,
+} from '../../../src/utils/httpRange.js';
+
+describe('httpRange', () => {
+  describe('parseByteRange', () => {
+    it('should return null when no header is present', () => {
+      expect(parseByteRange(undefined, 1000)).toBeNull();
+    });
+
+    it('should parse a closed range', () => {
+      expect(parseByteRange('bytes=0-499', 1000)).toEqual({ start: 0, end: 499 });
+    });
+
+    it('should parse an open-ended range', () => {
+      expect(parseByteRange('bytes=500-', 1000)).toEqual({ start: 500, end: 999 });
+    });
+
+    it('should parse a suffix range', () => {
+      expect(parseByteRange('bytes=-200', 1000)).toEqual({ start: 800, end: 999 });
+    });
+
+    it('should clamp the end to the object size', () => {
+      expect(parseByteRange('bytes=900-5000', 1000)).toEqual({ start: 900, end: 999 });
+    });
+
+    it('should flag ranges starting past the end as unsatisfiable', () => {
+      expect(parseByteRange('bytes=1000-', 1000)).toEqual({ unsatisfiable: true });
+    });
+
+    it('should ignore malformed and multi-range headers', () => {
+      expect(parseByteRange('items=0-10', 1000)).toBeNull();
+      expect(parseByteRange('bytes=abc-10', 1000)).toBeNull();
+      expect(parseByteRange('bytes=0-10,20-30', 1000)).toBeNull();
+    });
+  });
+
+  describe('isIfRangeSatisfied', () => {
+    const lastModified = new Date('2025-01-01T00:00:00Z');
+
+    it('should allow ranges when If-Range is absent', () => {
+      expect(isIfRangeSatisfied(undefined, { etag: '"abc"' })).toBe(true);
+    });
+
+    it('should match a strong ETag', () => {
+      expect(isIfRangeSatisfied('"abc"', { etag: '"abc"' })).toBe(true);
+      expect(isIfRangeSatisfied('"old"', { etag: '"abc"' })).toBe(false);
+    });
+
+    it('should reject weak ETags', () => {
+      expect(isIfRangeSatisfied('W/"abc"', { etag: 'W/"abc"' })).toBe(false);
+    });
+
+    it('should compare HTTP dates against Last-Modified', () => {
+      expect(
+        isIfRangeSatisfied(lastModified.toUTCString(), { lastModified }),
+      ).toBe(true);
+      expect(
+        isIfRangeSatisfied('Tue, 31 Dec 2024 00:00:00 GMT', { lastModified }),
+      ).toBe(false);
+    });
+  });
+
+  describe('formatContentRange', () => {
+    it('should format a Content-Range value', () => {
+      expect(formatContentRange(0, 499, 1000)).toBe('bytes 0-499/1000');
+    });
+  });
+});
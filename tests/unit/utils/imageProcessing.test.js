@@ -0,0 +1,24 @@
+/**
+ * Unit Tests for image sniffing
+ */
+
+import { sniffImage } from '../../../src/utils/imageProcessing.js';
+
+describe('imageProcessing', () => {
+  describe('sniffImage', () => {
+    const pad = buffer => Buffer.concat([buffer, Buffer.alloc(16)]);
+
+    it('should identify images by signature', () => {
+      expect(sniffImage(pad(Buffer.from([0xff, 0xd8, 0xff, 0xe0])))).toBe('jpeg');
+      expect(sniffImage(pad(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])))).toBe('png');
+      expect(sniffImage(pad(Buffer.from('RIFF\0\0\0\0WEBP', 'latin1')))).toBe('webp');
+      expect(sniffImage(pad(Buffer.from('GIF89a', 'latin1')))).toBe('gif');
+    });
+
+    it('should return null for anything else', () => {
+      expect(sniffImage(pad(Buffer.from('ID3')))).toBeNull();
+      expect(sniffImage(Buffer.from([0xff, 0xd8]))).toBeNull();
+      expect(sniffImage('not a buffer')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for the loudness meter
+ */
+
+import {
+  createLoudnessMeter,
+  getKWeightingCoefficients,
+  getTrackGain,
+  integrateBlocks,
+} from '../../../src/utils/loudness.js';
+
+const SAMPLE_RATE = 48000;
+
+/**
+ * Interleaved stereo sine
+ * @param {number} frequency - Hz
+ * @param {number} amplitude - Linear amplitude
+ * @param {number} seconds - Length
+ * @returns {Float32Array} Samples
+ */
+const stereoSine = (frequency, amplitude, seconds) => {
+  const frames = Math.round(SAMPLE_RATE * seconds);
+  const samples = new Float32Array(frames * 2);
+  for (let i = 0; i < frames; i++) {
+    const value = amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE);
+    samples[i * 2] = value;
+    samples[i * 2 + 1] = value;
+  }
+  return samples;
+};
+
+const measure = (samples, chunkSize = samples.length) => {
+  const meter = createLoudnessMeter({ sampleRate: SAMPLE_RATE, channels: 2 });
+  for (let start = 0; start < samples.length; start += chunkSize) {
+    meter.write(samples.subarray(start, start + chunkSize));
+  }
+  return meter.finish();
+};
+
+describe('Loudness meter', () => {
+  describe('getKWeightingCoefficients', () => {
+    it('should match the BS.1770 coefficients at 48 kHz', () => {
+      const [shelf, highPass] = getKWeightingCoefficients(48000);
+
+      expect(shelf.b[0]).toBeCloseTo(1.53512485958697, 8);
+      expect(shelf.b[1]).toBeCloseTo(-2.69169618940638, 8);
+      expect(shelf.b[2]).toBeCloseTo(1.19839281085285, 8);
+      expect(shelf.a[0]).toBeCloseTo(-1.69065929318241, 8);
+      expect(shelf.a[1]).toBeCloseTo(0.73248077421585, 8);
+      expect(highPass.b).toEqual([1, -2, 1]);
+      expect(highPass.a[0]).toBeCloseTo(-1.99004745483398, 8);
+      expect(highPass.a[1]).toBeCloseTo(0.99007225036621, 8);
+    });
+  });
+
+  describe('createLoudnessMeter', () => {
+    it('should read a -23 dBFS 1 kHz stereo sine as -23 LUFS (EBU Tech 3341)', () => {
+      const result = measure(stereoSine(1000, 10 ** (-23 / 20), 20));
+
+      expect(result.integratedLufs).toBeCloseTo(-23, 1);
+      expect(result.peak).toBeCloseTo(10 ** (-23 / 20), 3);
+      expect(result.durationMs).toBe(20000);
+    });
+
+    it('should give the same result whatever the chunk size', () => {
+      const samples = stereoSine(440, 0.5, 3);
+
+      expect(measure(samples, 998).integratedLufs).toBeCloseTo(measure(samples).integratedLufs, 10);
+    });
+
+    it('should gate out silence between loud passages', () => {
+      const tone = stereoSine(1000, 10 ** (-23 / 20), 10);
+      const withSilence = new Float32Array(tone.length * 2);
+      withSilence.set(tone, 0);
+
+      // Ungated, half a track of silence would read 3 LU quieter
+      expect(measure(withSilence).integratedLufs).toBeCloseTo(-23, 0);
+    });
+
+    it('should report silence and clips shorter than a block as unmeasurable', () => {
+      expect(measure(new Float32Array(SAMPLE_RATE * 2 * 2)).integratedLufs).toBeNull();
+      expect(measure(stereoSine(1000, 0.5, 0.3)).integratedLufs).toBeNull();
+    });
+  });
+
+  describe('integrateBlocks', () => {
+    it('should drop blocks more than 10 LU below the ungated loudness', () => {
+      const loud = 10 ** ((-20 + 0.691) / 10);
+      const quiet = 10 ** ((-40 + 0.691) / 10);
+
+      expect(integrateBlocks([loud, loud, quiet, quiet])).toBeCloseTo(-20, 6);
+    });
+  });
+
+  describe('getTrackGain', () => {
+    it('should bring a track to the -18 LUFS reference', () => {
+      expect(getTrackGain(-9.5)).toBeCloseTo(-8.5);
+      expect(getTrackGain(-23)).toBeCloseTo(5);
+      expect(getTrackGain(-14, -16)).toBeCloseTo(-2);
+      expect(getTrackGain(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for the lyrics parser
+ */
+
+import {
+  detectLyricsFormat,
+  escapeLikePattern,
+  findLyricsLine,
+  getLyricsText,
+  parseLyrics,
+  parseTimestamp,
+} from '../../../src/utils/lyrics.js';
+import { LYRICS_FORMATS } from '../../../src/utils/constants.js';
+
+describe('Lyrics parser', () => {
+  describe('parseTimestamp', () => {
+    it('should read minutes, seconds and hundredths or milliseconds', () => {
+      expect(parseTimestamp('01:02.34')).toBe(62340);
+      expect(parseTimestamp('01:02.345')).toBe(62345);
+      expect(parseTimestamp('00:05.5')).toBe(5500);
+      expect(parseTimestamp('00:05:25')).toBe(5250);
+      expect(parseTimestamp('3:07')).toBe(187000);
+    });
+
+    it('should reject anything else', () => {
+      expect(parseTimestamp('ar:Someone')).toBeNull();
+      expect(parseTimestamp('01:75.00')).toBeNull();
+      expect(parseTimestamp('Chorus')).toBeNull();
+    });
+  });
+
+  describe('detectLyricsFormat', () => {
+    it('should tell plain, LRC and enhanced LRC apart', () => {
+      expect(detectLyricsFormat('[Chorus]\nLa la la')).toBe(LYRICS_FORMATS.PLAIN);
+      expect(detectLyricsFormat('[ar:Someone]\n[00:01.00]La la la')).toBe(LYRICS_FORMATS.LRC);
+      expect(detectLyricsFormat('[00:01.00]<00:01.00>La <00:01.50>la')).toBe(LYRICS_FORMATS.ENHANCED_LRC);
+    });
+  });
+
+  describe('parseLyrics', () => {
+    it('should keep plain lyrics as untimed lines', () => {
+      const parsed = parseLyrics('\uFEFF\nFirst line\r\n\r\nSecond line\n\n');
+
+      expect(parsed.synced).toBe(false);
+      expect(parsed.lines).toEqual([
+        { startMs: null, endMs: null, text: 'First line' },
+        { startMs: null, endMs: null, text: '' },
+        { startMs: null, endMs: null, text: 'Second line' },
+      ]);
+    });
+
+    it('should order LRC lines, repeat multi-timestamp lines and read ID tags', () => {
+      const parsed = parseLyrics(
+        [
+          '[ti:A Song]',
+          '[ar:Someone]',
+          '[00:10.00][00:30.00]Chorus line',
+          '[00:20.00]Verse line',
+          'untimed note',
+          '[00:40.00]',
+        ].join('\n'),
+        { durationMs: 45000 },
+      );
+
+      expect(parsed.format).toBe(LYRICS_FORMATS.LRC);
+      expect(parsed.tags).toEqual({ ti: 'A Song', ar: 'Someone' });
+      expect(parsed.lines).toEqual([
+        { startMs: 10000, endMs: 20000, text: 'Chorus line' },
+        { startMs: 20000, endMs: 30000, text: 'Verse line' },
+        { startMs: 30000, endMs: 40000, text: 'Chorus line' },
+        { startMs: 40000, endMs: 45000, text: '' },
+      ]);
+    });
+
+    it('should apply the offset tag', () => {
+      const parsed = parseLyrics('[offset:+500]\n[00:01.00]Sooner\n[00:00.20]Clamped');
+
+      expect(parsed.offsetMs).toBe(500);
+      expect(parsed.lines.map(line => line.startMs)).toEqual([0, 500]);
+    });
+
+    it('should read word timings of enhanced LRC', () => {
+      const parsed = parseLyrics(
+        '[00:12.00]<00:12.00>Hello <00:12.50>bright <00:13.10>world<00:14.00>\n[00:15.00]<00:15.00>Again',
+      );
+
+      expect(parsed.format).toBe(LYRICS_FORMATS.ENHANCED_LRC);
+      expect(parsed.lines[0]).toEqual({
+        startMs: 12000,
+        endMs: 15000,
+        text: 'Hello bright world',
+        words: [
+          { startMs: 12000, endMs: 12500, text: 'Hello' },
+          { startMs: 12500, endMs: 13100, text: 'bright' },
+          { startMs: 13100, endMs: 14000, text: 'world' },
+        ],
+      });
+      // The last word of the last line stays open without a duration
+      expect(parsed.lines[1].words).toEqual([{ startMs: 15000, endMs: null, text: 'Again' }]);
+    });
+
+    it('should drop word tags when enhanced lyrics are read as LRC', () => {
+      const parsed = parseLyrics('[00:01.00]<00:01.00>One <00:01.50>two', { format: LYRICS_FORMATS.LRC });
+
+      expect(parsed.lines).toEqual([{ startMs: 1000, endMs: null, text: 'One two' }]);
+    });
+  });
+
+  describe('search helpers', () => {
+    it('should give the text without timestamps and find a remembered line', () => {
+      const text = getLyricsText(parseLyrics('[00:01.00]Under the Bridge\n[00:05.00]Down by the river'));
+
+      expect(text).toBe('Under the Bridge\nDown by the river');
+      expect(findLyricsLine(text, 'BY THE')).toBe('Down by the river');
+      expect(findLyricsLine(text, 'ocean')).toBeNull();
+    });
+  });
+
+  describe('escapeLikePattern', () => {
+    it('should escape wildcards and the escape character', () => {
+      expect(escapeLikePattern('100% of_it \\o/')).toBe('100\\% of\\_it \\\\o/');
+      expect(escapeLikePattern('plain words')).toBe('plain words');
+    });
+  });
+});
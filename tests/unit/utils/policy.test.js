@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for authorization policies
+ */
+
+import {
+  assertAllowed,
+  canManagePlaylist,
+  canManageSong,
+  canViewPlaylist,
+  getSongOwnerId,
+  isAdmin,
+  isOwnerOrAdmin,
+} from '../../../src/utils/policy.js';
+import { ERROR_MESSAGES, ROLES } from '../../../src/utils/constants.js';
+
+describe('policy', () => {
+  const uploader = { id: 'user-1', role: ROLES.USER };
+  const other = { id: 'user-2', role: ROLES.USER };
+  const admin = { id: 'admin-1', role: ROLES.ADMIN };
+
+  describe('isAdmin', () => {
+    it('should only accept the admin role', () => {
+      expect(isAdmin(admin)).toBe(true);
+      expect(isAdmin(uploader)).toBe(false);
+      expect(isAdmin(undefined)).toBe(false);
+    });
+  });
+
+  describe('isOwnerOrAdmin', () => {
+    it('should never match a missing owner or user', () => {
+      expect(isOwnerOrAdmin(uploader, null)).toBe(false);
+      expect(isOwnerOrAdmin({ role: ROLES.USER }, undefined)).toBe(false);
+      expect(isOwnerOrAdmin(undefined, 'user-1')).toBe(false);
+    });
+  });
+
+  describe('canManageSong', () => {
+    const song = { id: 'song-1', metadata: { uploaded_by: 'user-1' } };
+
+    it('should allow the uploader and admins', () => {
+      expect(canManageSong(uploader, song)).toBe(true);
+      expect(canManageSong(admin, song)).toBe(true);
+    });
+
+    it('should refuse other users', () => {
+      expect(canManageSong(other, song)).toBe(false);
+    });
+
+    it('should leave songs without an uploader to admins', () => {
+      const legacy = { id: 'song-2', metadata: {} };
+      expect(getSongOwnerId(legacy)).toBeNull();
+      expect(canManageSong(uploader, legacy)).toBe(false);
+      expect(canManageSong(admin, legacy)).toBe(true);
+    });
+  });
+
+  describe('playlists', () => {
+    const privatePlaylist = { id: 'p1', user_id: 'user-1', is_public: false };
+    const publicPlaylist = { ...privatePlaylist, is_public: true };
+
+    it('should let the owner and admins manage a playlist', () => {
+      expect(canManagePlaylist(uploader, privatePlaylist)).toBe(true);
+      expect(canManagePlaylist(admin, privatePlaylist)).toBe(true);
+      expect(canManagePlaylist(other, publicPlaylist)).toBe(false);
+    });
+
+    it('should show public playlists to everyone', () => {
+      expect(canViewPlaylist(other, publicPlaylist)).toBe(true);
+      expect(canViewPlaylist(undefined, publicPlaylist)).toBe(true);
+      expect(canViewPlaylist(other, privatePlaylist)).toBe(false);
+      expect(canViewPlaylist(admin, privatePlaylist)).toBe(true);
+    });
+  });
+
+  describe('assertAllowed', () => {
+    it('should throw 403 when not allowed', () => {
+      expect.assertions(4);
+      expect(() => assertAllowed(true)).not.toThrow();
+      expect(() => assertAllowed(false)).toThrow(ERROR_MESSAGES.FORBIDDEN);
+
+      try {
+        assertAllowed(false, 'Nope');
+      } catch (error) {
+        expect(error.statusCode).toBe(403);
+        expect(error.message).toBe('Nope');
+      }
+    });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Unit Tests for waveform peaks
+ */
+
+import { createPeakCollector, downsamplePeaks, quantisePeaks } from '../../../src/utils/waveform.js';
+
+describe('Waveform peaks', () => {
+  describe('createPeakCollector', () => {
+    it('should keep the largest absolute sample of every window across channels', () => {
+      const collector = createPeakCollector({ channels: 2, windowFrames: 2 });
+      collector.write(Float32Array.from([0.1, -0.5, 0.2, 0.3, 0, 0, -0.75, 0.25, 0.4, 0]));
+
+      expect(collector.finish()).toEqual([0.5, 0.75, 0.4].map(Math.fround));
+    });
+
+    it('should give the same peaks whatever the chunk size', () => {
+      const samples = Float32Array.from({ length: 1000 }, (_, i) => Math.sin(i / 7) * (i / 1000));
+      const whole = createPeakCollector({ channels: 1, windowFrames: 80 });
+      whole.write(samples);
+      const chunked = createPeakCollector({ channels: 1, windowFrames: 80 });
+      for (let start = 0; start < samples.length; start += 333) {
+        chunked.write(samples.subarray(start, start + 333));
+      }
+
+      expect(chunked.finish()).toEqual(whole.finish());
+    });
+  });
+
+  describe('downsamplePeaks', () => {
+    it('should keep the largest peak of every bucket', () => {
+      expect(downsamplePeaks([0.1, 0.9, 0.2, 0.3, 0.5, 0.4], 3)).toEqual([0.9, 0.3, 0.5]);
+      expect(downsamplePeaks([0.1, 0.9, 0.2, 0.3, 0.5], 2)).toEqual([0.9, 0.5]);
+    });
+
+    it('should never add points', () => {
+      expect(downsamplePeaks([0.1, 0.2], 16)).toEqual([0.1, 0.2]);
+      expect(downsamplePeaks([], 16)).toEqual([]);
+    });
+  });
+
+  describe('quantisePeaks', () => {
+    it('should map full scale to the scale and cap clipped samples', () => {
+      expect(quantisePeaks([0, 0.5, 1, 1.2], 255)).toEqual([0, 128, 255, 255]);
+    });
+  });
+});
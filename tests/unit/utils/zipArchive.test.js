@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for the zip archive reader
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { extractZipEntries, isZipArchive } from '../../../src/utils/zipArchive.js';
+
+// Minimal zip writer: stored or deflated entries, no data descriptors
+const buildZip = files => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data, deflate = false, size = data.length } of files) {
+    const body = deflate ? zlib.deflateRawSync(data) : data;
+    const nameBytes = Buffer.from(name, 'utf8');
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, body);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+describe('zipArchive', () => {
+  let dir;
+  let count = 0;
+
+  // Write a zip and an empty output directory; extract from one into the other
+  const extract = async (zip, options) => {
+    count += 1;
+    const archivePath = path.join(dir, `${count}.zip`);
+    const destDir = path.join(dir, `out-${count}`);
+    await fs.writeFile(archivePath, zip);
+    await fs.mkdir(destDir);
+    return extractZipEntries(archivePath, destDir, options);
+  };
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'freetune-zip-test-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should detect zip archives', () => {
+    expect(isZipArchive(buildZip([{ name: 'a.txt', data: Buffer.from('a') }]))).toBe(true);
+    expect(isZipArchive(Buffer.from('ID3 not a zip at all, just bytes'))).toBe(false);
+  });
+
+  it('should extract stored and deflated entries to files, skipping directories', async () => {
+    const text = Buffer.from('hello '.repeat(100));
+    const entries = await extract(
+      buildZip([
+        { name: 'Album/', data: Buffer.alloc(0) },
+        { name: 'Album/01 Intro.mp3', data: Buffer.from('stored') },
+        { name: 'Album/02 Späť.mp3', data: text, deflate: true },
+        { name: 'Album/empty.txt', data: Buffer.alloc(0) },
+      ]),
+    );
+
+    expect(entries.map(entry => entry.name)).toEqual([
+      'Album/01 Intro.mp3',
+      'Album/02 Späť.mp3',
+      'Album/empty.txt',
+    ]);
+    expect((await fs.readFile(entries[0].path)).toString()).toBe('stored');
+    expect((await fs.readFile(entries[1].path)).equals(text)).toBe(true);
+    expect(entries[1].size).toBe(text.length);
+    expect((await fs.readFile(entries[2].path)).length).toBe(0);
+  });
+
+  it('should apply the filter before counting entries', async () => {
+    const zip = buildZip([
+      { name: '__MACOSX/._a.mp3', data: Buffer.from('x') },
+      { name: 'a.mp3', data: Buffer.from('y') },
+    ]);
+    const entries = await extract(zip, {
+      maxEntries: 1,
+      filter: name => !name.startsWith('__MACOSX/'),
+    });
+    expect(entries).toHaveLength(1);
+  });
+
+  it('should enforce entry and size limits from the central directory', async () => {
+    const zip = buildZip([
+      { name: 'a', data: Buffer.alloc(600) },
+      { name: 'b', data: Buffer.alloc(600) },
+    ]);
+    await expect(extract(zip, { maxEntries: 1 })).rejects.toThrow('more than 1 files');
+    await expect(extract(zip, { maxTotalSize: 1000 })).rejects.toThrow('expands to more than');
+  });
+
+  it('should stop entries that inflate past their declared size', async () => {
+    const zip = buildZip([{ name: 'bomb', data: Buffer.alloc(10 * 1024 * 1024), deflate: true, size: 10 }]);
+    await expect(extract(zip)).rejects.toThrow('Zip entry bomb does not match its declared size');
+
+    const [written] = await fs.readdir(path.join(dir, `out-${count}`));
+    expect((await fs.stat(path.join(dir, `out-${count}`, written))).size).toBeLessThan(1024 * 1024);
+  });
+
+  it('should reject entries that are shorter than declared', async () => {
+    const zip = buildZip([{ name: 'short', data: Buffer.from('abc'), deflate: true, size: 10 }]);
+    await expect(extract(zip)).rejects.toThrow('Zip entry short does not match its declared size');
+  });
+
+  it('should reject files that are not zips', async () => {
+    await expect(extract(Buffer.from('not a zip archive!!!!!!'))).rejects.toThrow('Not a zip archive');
+  });
+
+  it('should reject truncated archives', async () => {
+    const zip = buildZip([{ name: 'a', data: Buffer.from('abc') }]);
+    await expect(extract(zip.subarray(0, zip.length - 22))).rejects.toThrow('truncated');
+  });
+});